@@ -1,9 +1,10 @@
 "use strict";
 
-const { debug, warn } = require("../infra/log");
+const { debug, info, warn } = require("../infra/log");
 const { normalizeString } = require("../infra/util");
 const { defaultConfig } = require("./default-config");
 const { normalizeConfig } = require("./normalize-config");
+const { secretStorageKey, splitConfigSecrets, resolveConfigSecrets, listSecretRefNames, hasPlaintextSecrets, getSecretStorage } = require("./secrets");
 
 const CONFIG_KEY = "augment-byok.config.v1";
 
@@ -12,7 +13,10 @@ class ConfigManager {
     this.current = defaultConfig();
     this.lastGood = this.current;
     this.lastError = null;
+    this.missingSecrets = [];
     this._ctx = null;
+    // SecretStorage 是异步的：引用 name → 原文 的内存副本，使 reloadNow/get 保持同步
+    this._secretCache = new Map();
   }
 
   attachContext(ctx) {
@@ -45,10 +49,12 @@ class ConfigManager {
         debug(`config missing (${reason})`);
         return { ok: false, reason: "missing" };
       }
-      const cfg = normalizeConfig(raw);
+      const { config: cfg, missing } = resolveConfigSecrets(normalizeConfig(raw), (name) => this._secretCache.get(name));
       this.current = cfg;
       this.lastGood = cfg;
       this.lastError = null;
+      this.missingSecrets = missing;
+      if (missing.length) warn(`config secrets missing in SecretStorage (${reason}): ${missing.join(", ")}`);
 
       debug(`config loaded (${reason})`);
       return { ok: true };
@@ -60,12 +66,65 @@ class ConfigManager {
     }
   }
 
+  /**
+   * 先从 SecretStorage 读取配置引用的密钥，再 reloadNow。
+   * globalState 里仍有明文密钥（旧版本写入）时一次性迁移：原文移入 SecretStorage，配置改写为引用。
+   */
+  async reloadWithSecretsNow(reason) {
+    const ctx = this._ctx;
+    const storage = getSecretStorage(ctx);
+    const raw = ctx && ctx.globalState && typeof ctx.globalState.get === "function" ? ctx.globalState.get(CONFIG_KEY) : null;
+    if (storage && raw) {
+      try {
+        const cfg = normalizeConfig(raw);
+        for (const name of listSecretRefNames(cfg)) {
+          const v = await storage.get(secretStorageKey(name));
+          if (typeof v === "string" && v) this._secretCache.set(name, v);
+          else this._secretCache.delete(name);
+        }
+        if (hasPlaintextSecrets(cfg)) {
+          await this._persist(cfg);
+          info(`config secrets migrated to SecretStorage (${reason})`);
+        }
+      } catch (err) {
+        warn(`config secrets load failed (${reason}): ${err instanceof Error ? err.message : String(err)}`);
+      }
+    }
+    return this.reloadNow(reason);
+  }
+
+  // 写入存储：有 SecretStorage 时密钥原文存入 SecretStorage、globalState 只留引用；返回写入 globalState 的配置
+  async _persist(cfg) {
+    const ctx = this._ctx;
+    const storage = getSecretStorage(ctx);
+    if (!storage) {
+      const { config } = resolveConfigSecrets(cfg, (name) => this._secretCache.get(name));
+      await ctx.globalState.update(CONFIG_KEY, config);
+      return config;
+    }
+    const { config, secrets } = splitConfigSecrets(cfg);
+    for (const [name, value] of secrets) {
+      if (this._secretCache.get(name) === value) continue;
+      await storage.store(secretStorageKey(name), value);
+      this._secretCache.set(name, value);
+    }
+    await ctx.globalState.update(CONFIG_KEY, config);
+    const live = new Set(listSecretRefNames(config));
+    for (const name of Array.from(this._secretCache.keys())) {
+      if (live.has(name)) continue;
+      await storage.delete(secretStorageKey(name));
+      this._secretCache.delete(name);
+    }
+    return config;
+  }
+
   async saveNow(raw, reason) {
     const ctx = this._ctx;
     if (!ctx || !ctx.globalState || typeof ctx.globalState.update !== "function") throw new Error("config storage not ready (missing globalState)");
-    const cfg = normalizeConfig(raw);
-    await ctx.globalState.update(CONFIG_KEY, cfg);
+    const stored = await this._persist(normalizeConfig(raw));
+    const { config: cfg, missing } = resolveConfigSecrets(stored, (name) => this._secretCache.get(name));
     this.current = cfg;
+    this.missingSecrets = missing;
     this.lastGood = cfg;
     this.lastError = null;
     debug(`config saved (${normalizeString(reason) || "save"})`);
@@ -25,6 +25,19 @@ function defaultConfig() {
       maxSummarizationInputChars: 250000,
       prompt: "You are performing a CONTEXT CHECKPOINT COMPACTION. Create a handoff summary for another LLM that will resume the task.\n\nInclude:\n- Current progress and key decisions made\n- Important context, constraints, or user preferences\n- What remains to be done (clear next steps)\n- Any critical data, examples, or references needed to continue\n\nBe concise, structured, and focused on helping the next LLM seamlessly continue the work.",
       rollingSummary: true,
+      hierarchical: {
+        enabled: false,
+        levelCharBudgets: [8000, 6000, 4000]
+      },
+      presummarize: {
+        enabled: false,
+        triggerFraction: 0.85,
+        debounceMs: 2000
+      },
+      pinned: {
+        patterns: [],
+        maxChars: 20000
+      },
       summaryNodeRequestMessageTemplate: "<supervisor>\nThis is a continuation of the conversation that Agent(you) had with the user.\n\nHere is the summary of whole conversation history that was generated by Agent(you) so 'I' in the summary represents Agent(you).\n<summary request_id=\"{summarization_request_id}\">\n{summary}\n</summary>\n\nThe whole previous conversation history was split into three parts:\n- beginning. Information from this part is only present in the compressed form in the summary above. This part is not shown neither in abridged nor in full form below to reduce context size. This part can be empty if the whole conversation was short enough.\n- middle. This part is present in the abridged form below.\n- end. This part is present in full form below.\n\nBeginning part has {beginning_part_dropped_num_exchanges} exchanges.\n\n<middle_part_abridged>\n{middle_part_abridged}\n</middle_part_abridged>\n\n<end_part_full>\n{end_part_full}\n</end_part_full>\n\nContinue the conversation and finish the task given by the user from this point.\n</supervisor>",
       abridgedHistoryParams: {
         totalCharsLimit: 10000,
@@ -1,8 +1,9 @@
 "use strict";
 
 const { warn } = require("../infra/log");
-const { normalizeEndpoint, normalizeString, normalizeStringList } = require("../infra/util");
+const { normalizeEndpoint, normalizeString } = require("../infra/util");
 const { defaultConfig } = require("./default-config");
+const { normalizeProvider } = require("./normalize-provider");
 
 const UNSAFE_JSON_KEYS = new Set(["__proto__", "prototype", "constructor"]);
 
@@ -29,6 +30,59 @@ function normalizeMode(v) {
   return "";
 }
 
+function normalizeRoutingFallbacks(list) {
+  const out = [];
+  for (const it of Array.isArray(list) ? list : []) {
+    const r = asObject(it);
+    const providerId = normalizeString(r?.providerId);
+    if (!providerId) continue;
+    out.push({ providerId, model: normalizeString(r?.model) });
+    if (out.length >= 8) break;
+  }
+  return out;
+}
+
+function normalizeLimitFields(raw) {
+  const r = asObject(raw);
+  if (!r) return null;
+  const out = {};
+  for (const k of ["dailyUsd", "monthlyUsd"]) {
+    const n = Number(r[k]);
+    if (r[k] != null && r[k] !== "" && Number.isFinite(n) && n > 0) out[k] = n;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// budgets：dailyUsd/monthlyUsd（全部 provider）+ providers[id] 单独额度；onExceeded=block|downgrade。
+function normalizeBudgets(raw) {
+  const r = asObject(raw);
+  if (!r) return null;
+  const out = normalizeLimitFields(r) || {};
+  const providers = {};
+  for (const [k, v] of Object.entries(asObject(r.providers) || {})) {
+    const id = normalizeString(k);
+    const l = normalizeLimitFields(v);
+    if (id && l) providers[id] = l;
+  }
+  if (Object.keys(providers).length) out.providers = providers;
+  if (!Object.keys(out).length) return null;
+  out.onExceeded = normalizeString(r.onExceeded) === "downgrade" ? "downgrade" : "block";
+  const d = asObject(r.downgrade);
+  const providerId = normalizeString(d?.providerId);
+  if (providerId) out.downgrade = { providerId, model: normalizeString(d?.model) };
+  return out;
+}
+
+// capture：调试用，默认关闭；dir 为空时落到扩展 globalStorage/captures，maxFiles 为轮转上限。
+function normalizeCapture(raw) {
+  const r = asObject(raw);
+  if (!r) return null;
+  const out = { enabled: r.enabled === true, dir: normalizeString(r.dir) };
+  const maxFiles = Number(r.maxFiles);
+  if (Number.isFinite(maxFiles) && maxFiles > 0) out.maxFiles = Math.floor(maxFiles);
+  return out;
+}
+
 function sanitizeUserJson(value, ctx) {
   const depth = ctx && typeof ctx === "object" ? Number(ctx.depth) : 0;
   const seen = ctx && typeof ctx === "object" && ctx.seen instanceof WeakMap ? ctx.seen : new WeakMap();
@@ -82,6 +136,19 @@ function normalizeConfig(raw) {
         out.prompts.endpointSystem[ep] = text;
       }
     }
+
+    // 仅改写选区的端点支持 diff 输出模式
+    const editOutputMode = asObject(prompts.editOutputMode);
+    if (editOutputMode) {
+      const modes = {};
+      for (const [k, v] of Object.entries(editOutputMode)) {
+        const ep = normalizeEndpoint(k);
+        const mode = normalizeString(v);
+        if (!["/edit", "/instruction-stream", "/smart-paste-stream"].includes(ep) || (mode !== "diff" && mode !== "rewrite")) continue;
+        modes[ep] = mode;
+      }
+      if (Object.keys(modes).length) out.prompts.editOutputMode = modes;
+    }
   }
 
   const historySummary = asObject(raw.historySummary);
@@ -126,6 +193,45 @@ function normalizeConfig(raw) {
     if (normalizeString(prompt)) hs.prompt = prompt;
     const rollingSummary = historySummary.rollingSummary;
     if (typeof rollingSummary === "boolean") hs.rollingSummary = rollingSummary;
+    const hierarchical = asObject(historySummary.hierarchical);
+    if (hierarchical) {
+      const h = hs.hierarchical;
+      if (typeof hierarchical.enabled === "boolean") h.enabled = hierarchical.enabled;
+      // 每层一个字符预算（level 0 = 滚动摘要，之后依次为更旧的 epoch digest），最多 5 层
+      const budgets = Array.isArray(hierarchical.levelCharBudgets)
+        ? hierarchical.levelCharBudgets.map(Number).filter((n) => Number.isFinite(n) && n > 0).map(Math.floor).slice(0, 5)
+        : [];
+      if (budgets.length >= 2) h.levelCharBudgets = budgets;
+      else if (hierarchical.levelCharBudgets != null) warn("historySummary.hierarchical.levelCharBudgets 至少需要 2 个正整数（level 0 + epoch），将使用默认值");
+    }
+    const presummarize = asObject(historySummary.presummarize);
+    if (presummarize) {
+      const p = hs.presummarize;
+      if (typeof presummarize.enabled === "boolean") p.enabled = presummarize.enabled;
+      const triggerFraction = Number(presummarize.triggerFraction);
+      if (Number.isFinite(triggerFraction) && triggerFraction > 0 && triggerFraction <= 1) p.triggerFraction = triggerFraction;
+      const debounceMs = presummarize.debounceMs;
+      if (Number.isFinite(Number(debounceMs)) && Number(debounceMs) >= 0) p.debounceMs = Math.floor(Number(debounceMs));
+    }
+    const pinned = asObject(historySummary.pinned);
+    if (pinned) {
+      const p = hs.pinned;
+      // 正则源码（不区分大小写）；无法编译的丢弃并告警
+      if (Array.isArray(pinned.patterns)) {
+        p.patterns = pinned.patterns.map((x) => (typeof x === "string" ? x.trim() : "")).filter((src) => {
+          if (!src) return false;
+          try {
+            new RegExp(src, "i");
+            return true;
+          } catch {
+            warn(`historySummary.pinned.patterns 无效正则（已忽略）：${src}`);
+            return false;
+          }
+        });
+      }
+      const maxChars = pinned.maxChars;
+      if (Number.isFinite(Number(maxChars)) && Number(maxChars) >= 0) p.maxChars = Math.floor(Number(maxChars));
+    }
     const template = typeof historySummary.summaryNodeRequestMessageTemplate === "string" ? historySummary.summaryNodeRequestMessageTemplate : "";
     if (normalizeString(template)) {
       if (!isValidHistorySummaryTemplateNewMode(template)) {
@@ -168,52 +274,35 @@ function normalizeConfig(raw) {
       const ep = normalizeEndpoint(k);
       if (!ep) continue;
       const hadDefault = Object.prototype.hasOwnProperty.call(out.routing.rules, ep);
-      const r = asObject(v);
+      // 简写：rules[endpoint] 为数组时视为 byok failover 链（[0] 为主 provider，其余为 fallbacks）。
+      const chain = Array.isArray(v) ? normalizeRoutingFallbacks(v) : null;
+      if (chain && !chain.length) continue;
+      const r = chain ? { mode: "byok", ...chain[0], fallbacks: chain.slice(1) } : asObject(v);
       const mode = normalizeMode(r?.mode) || "official";
       let providerId = normalizeString(r?.providerId);
       let model = normalizeString(r?.model);
+      let fallbacks = normalizeRoutingFallbacks(r?.fallbacks);
       if (mode !== "byok") {
         providerId = "";
         model = "";
+        fallbacks = [];
       }
       if (!hadDefault && mode === "official" && !providerId && !model) continue;
-      out.routing.rules[ep] = { mode, providerId, model };
+      out.routing.rules[ep] = fallbacks.length ? { mode, providerId, model, fallbacks } : { mode, providerId, model };
     }
   }
 
   const providers = raw.providers;
   if (Array.isArray(providers)) {
-    out.providers = providers
-      .map((p) => {
-        const rec = asObject(p);
-        if (!rec) return null;
-        const id = normalizeString(rec.id);
-        const type = normalizeString(rec.type);
-        const baseUrl = normalizeString(rec.baseUrl);
-        const apiKey = normalizeString(rec.apiKey);
-        const defaultModel = normalizeString(rec.defaultModel);
-        const models = normalizeStringList(rec.models, { maxItems: 10000 });
-        const headers = rec.headers;
-        const requestDefaults = rec.requestDefaults;
-        if (!id || !type) return null;
-
-        const finalModels = models.length ? models : defaultModel ? [defaultModel] : [];
-        const finalDefaultModel = defaultModel || finalModels[0] || "";
-
-        return {
-          id,
-          type,
-          baseUrl,
-          apiKey,
-          models: finalModels,
-          defaultModel: finalDefaultModel,
-          headers: headers && typeof headers === "object" && !Array.isArray(headers) ? headers : {},
-          requestDefaults: requestDefaults && typeof requestDefaults === "object" && !Array.isArray(requestDefaults) ? requestDefaults : {}
-        };
-      })
-      .filter(Boolean);
+    out.providers = providers.map(normalizeProvider).filter(Boolean);
   }
 
+  const budgets = normalizeBudgets(raw.budgets);
+  if (budgets) out.budgets = budgets;
+
+  const capture = normalizeCapture(raw.capture);
+  if (capture) out.capture = capture;
+
   return out;
 }
 
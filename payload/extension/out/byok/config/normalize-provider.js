@@ -0,0 +1,134 @@
+"use strict";
+
+const { normalizeString, normalizeStringList } = require("../infra/util");
+
+const UNSAFE_JSON_KEYS = new Set(["__proto__", "prototype", "constructor"]);
+
+function asObject(v) {
+  return v && typeof v === "object" && !Array.isArray(v) ? v : null;
+}
+
+// 价格字段（USD / 1M tokens）的唯一归一化实现：配置归一化、用量计价与模型能力表共用
+function normalizePriceFields(raw) {
+  const r = asObject(raw);
+  if (!r) return null;
+  const out = {};
+  for (const k of ["input", "output", "cacheRead", "cacheWrite"]) {
+    const n = Number(r[k]);
+    if (r[k] != null && r[k] !== "" && Number.isFinite(n) && n >= 0) out[k] = n;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// provider.pricing：USD / 1M tokens（input/output/cacheRead/cacheWrite），可选 models[model] 覆盖。
+function normalizeProviderPricing(raw) {
+  const r = asObject(raw);
+  if (!r) return null;
+  const out = normalizePriceFields(r) || {};
+  const models = {};
+  for (const [k, v] of Object.entries(asObject(r.models) || {})) {
+    const m = normalizeString(k);
+    const p = normalizePriceFields(v);
+    if (m && p) models[m] = p;
+  }
+  if (Object.keys(models).length) out.models = models;
+  return Object.keys(out).length ? out : null;
+}
+
+// provider.modelCapabilities：{ [modelId 或子串]: { contextWindowTokens?, maxOutputTokens?, vision?, tools?, parallelTools?, reasoning?, pricing? } }
+function normalizeProviderModelCapabilities(raw) {
+  const out = {};
+  for (const [k, v] of Object.entries(asObject(raw) || {})) {
+    const key = normalizeString(k);
+    const r = asObject(v);
+    if (!key || !r || UNSAFE_JSON_KEYS.has(key)) continue;
+    const caps = {};
+    for (const f of ["contextWindowTokens", "maxOutputTokens"]) {
+      const n = Number(r[f]);
+      if (r[f] != null && r[f] !== "" && Number.isFinite(n) && n >= 1) caps[f] = Math.floor(n);
+    }
+    for (const f of ["vision", "tools", "parallelTools"]) if (typeof r[f] === "boolean") caps[f] = r[f];
+    const reasoning = normalizeString(r.reasoning);
+    if (reasoning === "none" || reasoning === "effort" || reasoning === "budget" || reasoning === "always") caps.reasoning = reasoning;
+    const pricing = normalizePriceFields(r.pricing);
+    if (pricing) caps.pricing = pricing;
+    if (Object.keys(caps).length) out[key] = caps;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// provider.limits：客户端限流（providers/rate-limiter），只保留正整数项
+function normalizeProviderRateLimits(raw) {
+  const r = asObject(raw);
+  if (!r) return null;
+  const out = {};
+  for (const k of ["maxConcurrent", "requestsPerMinute", "tokensPerMinute"]) {
+    const n = Number(r[k]);
+    if (r[k] != null && r[k] !== "" && Number.isFinite(n) && n >= 1) out[k] = Math.floor(n);
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// provider.fim：/completion 的原生 FIM（providers/fim）；style 必填，其余可选
+function normalizeProviderFim(raw) {
+  const r = asObject(raw);
+  if (!r) return null;
+  const style = normalizeString(r.style);
+  if (style !== "openai_completions" && style !== "deepseek" && style !== "codestral" && style !== "ollama_raw") return null;
+  const out = { style };
+  for (const k of ["baseUrl", "path", "model", "template"]) {
+    const v = normalizeString(r[k]);
+    if (v) out[k] = v;
+  }
+  const stop = (Array.isArray(r.stop) ? r.stop : []).filter((s) => typeof s === "string" && s).slice(0, 16);
+  if (stop.length) out.stop = stop;
+  for (const k of ["maxTokens", "timeoutMs"]) {
+    const n = Number(r[k]);
+    if (r[k] != null && r[k] !== "" && Number.isFinite(n) && n >= 1) out[k] = Math.floor(n);
+  }
+  return out;
+}
+
+// providers[] 单项：id/type 缺失时返回 null（整项丢弃）
+function normalizeProvider(raw) {
+  const rec = asObject(raw);
+  if (!rec) return null;
+  const id = normalizeString(rec.id);
+  const type = normalizeString(rec.type);
+  const baseUrl = normalizeString(rec.baseUrl);
+  const apiKey = normalizeString(rec.apiKey);
+  const defaultModel = normalizeString(rec.defaultModel);
+  const models = normalizeStringList(rec.models, { maxItems: 10000 });
+  const headers = rec.headers;
+  const requestDefaults = rec.requestDefaults;
+  if (!id || !type) return null;
+
+  const finalModels = models.length ? models : defaultModel ? [defaultModel] : [];
+  const finalDefaultModel = defaultModel || finalModels[0] || "";
+  const pricing = normalizeProviderPricing(rec.pricing);
+  const limits = normalizeProviderRateLimits(rec.limits);
+  const modelCapabilities = normalizeProviderModelCapabilities(rec.modelCapabilities);
+  const fim = normalizeProviderFim(rec.fim);
+  // key 池：apiKeys 为 apiKey 之外的备用 key；apiKeyRotation=round_robin（默认）| least_recently_limited
+  const apiKeys = normalizeStringList(rec.apiKeys, { maxItems: 50 }).filter((k) => k !== apiKey);
+  const apiKeyRotation = normalizeString(rec.apiKeyRotation) === "least_recently_limited" ? "least_recently_limited" : "";
+
+  return {
+    id,
+    type,
+    baseUrl,
+    apiKey,
+    ...(apiKeys.length ? { apiKeys } : {}),
+    ...(apiKeyRotation ? { apiKeyRotation } : {}),
+    models: finalModels,
+    defaultModel: finalDefaultModel,
+    headers: headers && typeof headers === "object" && !Array.isArray(headers) ? headers : {},
+    requestDefaults: requestDefaults && typeof requestDefaults === "object" && !Array.isArray(requestDefaults) ? requestDefaults : {},
+    ...(pricing ? { pricing } : {}),
+    ...(limits ? { limits } : {}),
+    ...(modelCapabilities ? { modelCapabilities } : {}),
+    ...(fim ? { fim } : {})
+  };
+}
+
+module.exports = { normalizeProvider, normalizePriceFields };
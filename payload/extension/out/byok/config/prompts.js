@@ -15,4 +15,11 @@ function resolveExtraSystemPrompt(cfg, endpoint) {
   return perEndpoint;
 }
 
-module.exports = { resolveExtraSystemPrompt };
+// prompts.editOutputMode[endpoint]：diff=模型输出补丁、本地应用到选区；缺省为整段重写
+function resolveEditOutputMode(cfg, endpoint) {
+  const ep = normalizeEndpoint(endpoint);
+  const modes = asObject(cfg?.prompts?.editOutputMode);
+  return modes && ep && modes[ep] === "diff" ? "diff" : "rewrite";
+}
+
+module.exports = { resolveExtraSystemPrompt, resolveEditOutputMode };
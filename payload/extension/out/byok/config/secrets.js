@@ -0,0 +1,111 @@
+"use strict";
+
+const { normalizeString } = require("../infra/util");
+
+// 配置中的密钥只保留引用（"secret:<name>"），原文存 VS Code SecretStorage 的 `augment-byok.secret.v1/<name>`
+const SECRET_STORAGE_PREFIX = "augment-byok.secret.v1/";
+const SECRET_REF_PREFIX = "secret:";
+const AUTH_HEADER_KEYS = ["authorization", "x-api-key", "api-key", "x-goog-api-key"];
+
+function isSecretRef(v) {
+  return typeof v === "string" && v.startsWith(SECRET_REF_PREFIX) && v.length > SECRET_REF_PREFIX.length;
+}
+
+function secretRefName(ref) {
+  return isSecretRef(ref) ? ref.slice(SECRET_REF_PREFIX.length) : "";
+}
+
+function secretStorageKey(name) {
+  return SECRET_STORAGE_PREFIX + name;
+}
+
+function isAuthHeaderKey(key) {
+  return AUTH_HEADER_KEYS.includes(String(key || "").trim().toLowerCase());
+}
+
+// 遍历配置里的全部密钥位置：official.apiToken / providers[].apiKey / providers[].apiKeys[] / providers[].headers 的鉴权头
+function forEachSecretField(cfg, fn) {
+  const c = cfg && typeof cfg === "object" ? cfg : {};
+  if (c.official && typeof c.official === "object") fn(c.official, "apiToken", "official/apiToken");
+  for (const p of Array.isArray(c.providers) ? c.providers : []) {
+    const pid = normalizeString(p?.id);
+    if (!pid) continue;
+    const base = `providers/${encodeURIComponent(pid)}`;
+    fn(p, "apiKey", `${base}/apiKey`);
+    if (Array.isArray(p.apiKeys)) p.apiKeys.forEach((_k, i) => fn(p.apiKeys, i, `${base}/apiKeys/${i}`));
+    const headers = p.headers && typeof p.headers === "object" && !Array.isArray(p.headers) ? p.headers : {};
+    for (const k of Object.keys(headers)) {
+      if (isAuthHeaderKey(k)) fn(headers, k, `${base}/headers/${encodeURIComponent(String(k).trim().toLowerCase())}`);
+    }
+  }
+}
+
+/**
+ * 拆分密钥：返回（深拷贝的）只含引用的配置与 name → 原文 的 Map。
+ * 已是引用的字段保持不变（原文未知，例如 SecretStorage 中缺失）。
+ */
+function splitConfigSecrets(cfg) {
+  const config = JSON.parse(JSON.stringify(cfg ?? {}));
+  const secrets = new Map();
+  forEachSecretField(config, (obj, key, name) => {
+    const v = obj[key];
+    if (typeof v !== "string" || !v || isSecretRef(v)) return;
+    secrets.set(name, v);
+    obj[key] = SECRET_REF_PREFIX + name;
+  });
+  return { config, secrets };
+}
+
+// 用 lookup(name) 把引用替换为原文；找不到的引用置空（不把引用串当作 key 发给上游），并返回缺失的 name
+function resolveConfigSecrets(cfg, lookup) {
+  const config = JSON.parse(JSON.stringify(cfg ?? {}));
+  const missing = [];
+  forEachSecretField(config, (obj, key) => {
+    const name = secretRefName(obj[key]);
+    if (!name) return;
+    const v = typeof lookup === "function" ? lookup(name) : undefined;
+    if (typeof v === "string" && v) obj[key] = v;
+    else {
+      obj[key] = "";
+      missing.push(name);
+    }
+  });
+  return { config, missing };
+}
+
+function listSecretRefNames(cfg) {
+  const out = [];
+  forEachSecretField(cfg, (obj, key) => {
+    const name = secretRefName(obj[key]);
+    if (name) out.push(name);
+  });
+  return out;
+}
+
+function hasPlaintextSecrets(cfg) {
+  let found = false;
+  forEachSecretField(cfg, (obj, key) => {
+    const v = obj[key];
+    if (typeof v === "string" && v && !isSecretRef(v)) found = true;
+  });
+  return found;
+}
+
+function getSecretStorage(ctx) {
+  const s = ctx && ctx.secrets;
+  return s && typeof s.get === "function" && typeof s.store === "function" && typeof s.delete === "function" ? s : null;
+}
+
+module.exports = {
+  SECRET_STORAGE_PREFIX,
+  SECRET_REF_PREFIX,
+  AUTH_HEADER_KEYS,
+  isSecretRef,
+  secretStorageKey,
+  isAuthHeaderKey,
+  splitConfigSecrets,
+  resolveConfigSecrets,
+  listSecretRefNames,
+  hasPlaintextSecrets,
+  getSecretStorage
+};
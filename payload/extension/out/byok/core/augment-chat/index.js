@@ -13,6 +13,7 @@ module.exports = {
   convertOpenAiResponsesTools: shared.convertOpenAiResponsesTools,
   convertAnthropicTools: shared.convertAnthropicTools,
   convertGeminiTools: shared.convertGeminiTools,
+  convertBedrockTools: shared.convertBedrockTools,
   buildToolMetaByName: shared.buildToolMetaByName,
   buildOpenAiMessages: openai.buildOpenAiMessages,
   buildOpenAiResponsesInput: openaiResponses.buildOpenAiResponsesInput,
@@ -37,6 +37,7 @@ module.exports = {
   convertAnthropicTools: tools.convertAnthropicTools,
   convertGeminiTools: tools.convertGeminiTools,
   convertOpenAiResponsesTools: tools.convertOpenAiResponsesTools,
+  convertBedrockTools: tools.convertBedrockTools,
   buildToolMetaByName: tools.buildToolMetaByName,
   normalizeAugmentChatRequest: req.normalizeAugmentChatRequest,
   coerceRulesText: req.coerceRulesText,
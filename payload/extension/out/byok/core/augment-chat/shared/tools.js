@@ -114,6 +114,11 @@ function convertGeminiTools(toolDefs) {
   return [{ functionDeclarations: decls }];
 }
 
+function convertBedrockTools(toolDefs) {
+  const defs = normalizeToolDefinitions(toolDefs);
+  return defs.map((d) => ({ toolSpec: { name: d.name, ...(normalizeString(d.description) ? { description: d.description } : {}), inputSchema: { json: resolveToolSchema(d) } } }));
+}
+
 function convertOpenAiResponsesTools(toolDefs) {
   const defs = normalizeToolDefinitions(toolDefs);
   return defs.map((d) => ({
@@ -147,5 +152,6 @@ module.exports = {
   convertAnthropicTools,
   convertGeminiTools,
   convertOpenAiResponsesTools,
+  convertBedrockTools,
   buildToolMetaByName
 };
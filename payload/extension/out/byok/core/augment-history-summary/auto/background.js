@@ -0,0 +1,172 @@
+"use strict";
+
+const { debug } = require("../../../infra/log");
+const { normalizeString } = require("../../../infra/util");
+const shared = require("../../augment-chat/shared");
+const { REQUEST_NODE_HISTORY_SUMMARY } = require("../../augment-protocol");
+const { createAbortError } = require("../../../providers/http");
+const { cacheGetFreshState } = require("../cache");
+const { exchangeRequestId } = require("../consistency");
+const { estimateRequestExtraSizeChars, estimateHistorySizeChars } = require("./estimate");
+const { resolveHistorySummaryConfig } = require("./config");
+const { collectPinnedIndexes, computeTailSelectionWithPins } = require("./pinned");
+const { computeTriggerDecision } = require("./trigger");
+const { resolveSummaryText } = require("./summary-text");
+
+const { asRecord, asArray, asString, normalizeNodeType } = shared;
+
+// 刚完成的一轮在下一次请求的 chat_history 里才有真实 request_id：这里用占位 id，且只允许它落在尾部
+const PENDING_EXCHANGE_ID = "byok_history_summary_pending";
+// 采用预摘要边界时，尾部原文最多可比本次预算多保留这么多（比例）
+const PRESUMMARY_TAIL_SLACK = 0.1;
+
+// conversationId → { timer, controller, promise }：每个对话最多一个后台任务，新一轮完成时取代旧任务
+const JOBS = new Map();
+
+function isPresummarizeEnabled(hs) {
+  return hs?.presummarize?.enabled === true;
+}
+
+function cancelHistorySummaryPresummarize(conversationId, reason = "cancelled") {
+  const cid = normalizeString(conversationId);
+  const job = cid ? JOBS.get(cid) : null;
+  if (!job) return false;
+  JOBS.delete(cid);
+  if (job.timer) clearTimeout(job.timer);
+  job.controller.abort(createAbortError(`historySummary presummarize ${reason}`));
+  return true;
+}
+
+function cancelAllHistorySummaryPresummarize(reason) {
+  let n = 0;
+  for (const cid of Array.from(JOBS.keys())) if (cancelHistorySummaryPresummarize(cid, reason)) n += 1;
+  return n;
+}
+
+/** 新请求到达：未开始的任务直接取消（本次请求内联处理）；已在生成中的等它写完缓存（失败已被吞掉）。 */
+async function settleHistorySummaryPresummarize(conversationId) {
+  const cid = normalizeString(conversationId);
+  const job = cid ? JOBS.get(cid) : null;
+  if (!job) return;
+  if (job.timer) {
+    cancelHistorySummaryPresummarize(cid, "superseded by request");
+    return;
+  }
+  await job.promise;
+}
+
+function stripSummaryNodes(nodes) {
+  return asArray(nodes).filter((n) => normalizeNodeType(n) !== REQUEST_NODE_HISTORY_SUMMARY);
+}
+
+function buildPendingExchange(req, responseText) {
+  const r = asRecord(req);
+  return {
+    request_id: PENDING_EXCHANGE_ID,
+    request_message: asString(r.message),
+    response_text: asString(responseText),
+    request_nodes: stripSummaryNodes(r.request_nodes),
+    structured_request_nodes: stripSummaryNodes(r.structured_request_nodes),
+    nodes: stripSummaryNodes(r.nodes),
+    response_nodes: [],
+    structured_output_nodes: []
+  };
+}
+
+// 提前量：ratio/auto 按 triggerOnContextRatio × triggerFraction，chars 按 triggerOnHistorySizeChars × triggerFraction
+function withEarlyTrigger(hs) {
+  const f = Number(hs.presummarize.triggerFraction) || 1;
+  if (normalizeString(hs.triggerStrategy).toLowerCase() === "chars") {
+    return { ...hs, triggerOnHistorySizeChars: Math.max(1, Math.floor(hs.triggerOnHistorySizeChars * f)) };
+  }
+  return { ...hs, triggerOnContextRatio: (Number(hs.triggerOnContextRatio) || 0.7) * f };
+}
+
+/**
+ * 一轮完成后调用：按“下一轮的 chat_history”（本轮 history + 刚完成的 exchange）预估用量，
+ * 接近触发阈值时在 debounceMs 后于后台生成（或滚动更新）摘要并写入缓存。返回是否已排程。
+ */
+function scheduleHistorySummaryPresummarize({ cfg, req, responseText, requestedModel, fallbackProvider, fallbackModel }) {
+  const hs = resolveHistorySummaryConfig(cfg);
+  if (!hs || !isPresummarizeEnabled(hs)) return false;
+  const convId = normalizeString(req?.conversation_id);
+  const history = asArray(req?.chat_history);
+  if (!convId || !history.length) return false;
+
+  const projected = [...history, buildPendingExchange(req, responseText)];
+  const nextReq = { ...asRecord(req), message: "", chat_history: projected, request_nodes: [], structured_request_nodes: [], nodes: [] };
+  const totalWithExtra = estimateHistorySizeChars(projected) + estimateRequestExtraSizeChars(nextReq);
+  const decision = computeTriggerDecision({
+    hs: withEarlyTrigger(hs),
+    requestedModel,
+    provider: fallbackProvider,
+    model: fallbackModel,
+    req: nextReq,
+    history: projected,
+    totalWithExtra,
+    convId
+  });
+  if (!decision) return false;
+  // 与请求时相同的 pinned 预算扣减，保证预摘要边界与下一轮计算的一致（新匹配的 pins 由请求时记录）
+  const { indexes: pinnedIdx } = collectPinnedIndexes({ hs, convId, history: projected });
+  const sel = computeTailSelectionWithPins({ history: projected, hs, decision, pinnedIdx });
+  if (!sel || sel.tailStart >= history.length) return false;
+
+  // 缓存已覆盖到该边界（或更后）且没有待重新生成的标记：无需再生成
+  const existing = cacheGetFreshState(convId, Date.now(), hs.cacheTtlMs, { history });
+  const existingBoundary = normalizeString(existing?.summarizedUntilRequestId);
+  const existingIdx = existingBoundary ? history.findIndex((h) => exchangeRequestId(h) === existingBoundary) : -1;
+  if (existingIdx >= sel.tailStart && !existing.regenerate) return false;
+
+  cancelHistorySummaryPresummarize(convId, "superseded by newer turn");
+  const job = { timer: null, controller: new AbortController(), promise: null };
+  job.timer = setTimeout(() => {
+    job.timer = null;
+    const startedAt = Date.now();
+    job.promise = resolveSummaryText({
+      hs,
+      cfg,
+      convId,
+      boundaryRequestId: sel.boundaryRequestId,
+      history: projected,
+      tailStart: sel.tailStart,
+      droppedHead: sel.droppedHead,
+      fallbackProvider,
+      fallbackModel,
+      timeoutMs: hs.timeoutSeconds * 1000,
+      abortSignal: job.controller.signal
+    })
+      .then((r) => debug(`historySummary presummarized: conv=${convId} boundary=${sel.boundaryRequestId} ok=${Boolean(r)} ms=${Date.now() - startedAt}`))
+      .catch((err) => debug(`historySummary presummarize failed (ignored): conv=${convId} ${err instanceof Error ? err.message : String(err)}`))
+      .finally(() => {
+        if (JOBS.get(convId) === job) JOBS.delete(convId);
+      });
+  }, hs.presummarize.debounceMs);
+  if (typeof job.timer.unref === "function") job.timer.unref();
+  JOBS.set(convId, job);
+  debug(`historySummary presummarize scheduled: conv=${convId} boundary=${sel.boundaryRequestId} in ${hs.presummarize.debounceMs}ms`);
+  return true;
+}
+
+/**
+ * 请求时采用后台预摘要的边界：缓存边界在本次选出的边界之后（尾部更短）直接采用；
+ * 在之前时只要尾部原文不超过预算的 (1 + PRESUMMARY_TAIL_SLACK) 也采用，从而精确命中缓存、不再内联调用摘要模型。
+ */
+function adoptPresummarizedSelection({ hs, convId, history, decision, sel }) {
+  if (!sel || !isPresummarizeEnabled(hs)) return sel;
+  const cached = cacheGetFreshState(convId, Date.now(), hs.cacheTtlMs, { history });
+  const bid = normalizeString(cached?.summarizedUntilRequestId);
+  const idx = bid ? history.findIndex((h) => exchangeRequestId(h) === bid) : -1;
+  if (idx <= 0 || idx === sel.tailStart || history.length - idx < hs.minTailExchanges) return sel;
+  if (idx < sel.tailStart && estimateHistorySizeChars(history.slice(idx)) > decision.tailExcludeChars * (1 + PRESUMMARY_TAIL_SLACK)) return sel;
+  debug(`historySummary adopted presummarized boundary: conv=${convId} tailStart=${sel.tailStart}→${idx}`);
+  return { tailStart: idx, boundaryRequestId: bid, droppedHead: history.slice(0, idx), tail: history.slice(idx) };
+}
+
+module.exports = {
+  scheduleHistorySummaryPresummarize,
+  settleHistorySummaryPresummarize,
+  cancelHistorySummaryPresummarize,
+  cancelAllHistorySummaryPresummarize,
+  adoptPresummarizedSelection
+};
@@ -2,12 +2,13 @@
 
 const { normalizeString } = require("../../../infra/util");
 const shared = require("../../augment-chat/shared");
-const { inferContextWindowTokensFromModelName } = require("../../token-budget/context-window");
+const { resolveModelCapabilities } = require("../../model-capabilities");
 
 const { asRecord } = shared;
 
-function resolveContextWindowTokens(hs, requestedModel) {
-  const model = normalizeString(requestedModel);
+// historySummary 的 overrides/default 优先；否则查模型能力表（provider 为实际路由到的 provider，用于其 modelCapabilities 覆盖）
+function resolveContextWindowTokens(hs, requestedModel, { provider, model: routedModel } = {}) {
+  const model = normalizeString(requestedModel) || normalizeString(routedModel);
   if (!model) return null;
   const overrides = asRecord(hs?.contextWindowTokensOverrides);
   const keys = Object.keys(overrides).sort((a, b) => String(b).length - String(a).length);
@@ -19,7 +20,39 @@ function resolveContextWindowTokens(hs, requestedModel) {
   }
   const d = Number(hs?.contextWindowTokensDefault);
   if (Number.isFinite(d) && d > 0) return Math.floor(d);
-  return inferContextWindowTokensFromModelName(model);
+  return resolveModelCapabilities({ provider, model: normalizeString(routedModel) || model }).contextWindowTokens || null;
+}
+
+function resolveHierarchicalConfig(raw) {
+  const h = asRecord(raw);
+  const budgets = Array.isArray(h.levelCharBudgets)
+    ? h.levelCharBudgets.map((n) => Math.floor(Number(n))).filter((n) => Number.isFinite(n) && n > 0)
+    : [];
+  return { enabled: h.enabled === true && budgets.length >= 2, levelCharBudgets: budgets };
+}
+
+function resolvePresummarizeConfig(raw) {
+  const p = asRecord(raw);
+  const f = Number(p.triggerFraction);
+  const debounceMs = Number(p.debounceMs);
+  return {
+    enabled: p.enabled === true,
+    triggerFraction: Number.isFinite(f) && f > 0 && f <= 1 ? f : 0.85,
+    debounceMs: Number.isFinite(debounceMs) && debounceMs >= 0 ? Math.floor(debounceMs) : 2000
+  };
+}
+
+function resolvePinnedConfig(raw) {
+  const p = asRecord(raw);
+  const patterns = [];
+  for (const src of Array.isArray(p.patterns) ? p.patterns : []) {
+    if (typeof src !== "string" || !src.trim()) continue;
+    try {
+      patterns.push(new RegExp(src.trim(), "i"));
+    } catch {}
+  }
+  const maxChars = Number(p.maxChars);
+  return { patterns, maxChars: Number.isFinite(maxChars) && maxChars >= 0 ? Math.floor(maxChars) : 20000 };
 }
 
 function resolveHistorySummaryConfig(cfg) {
@@ -46,6 +79,9 @@ function resolveHistorySummaryConfig(cfg) {
     triggerOnContextRatio: Number(hs.triggerOnContextRatio) || 0.7,
     targetContextRatio: Number(hs.targetContextRatio) || 0.55,
     prompt: typeof hs.prompt === "string" ? hs.prompt : "",
+    hierarchical: resolveHierarchicalConfig(hs.hierarchical),
+    presummarize: resolvePresummarizeConfig(hs.presummarize),
+    pinned: resolvePinnedConfig(hs.pinned),
     abridgedHistoryParams: asRecord(hs.abridgedHistoryParams)
   };
 }
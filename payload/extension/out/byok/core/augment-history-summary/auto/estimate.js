@@ -3,43 +3,53 @@
 const shared = require("../../augment-chat/shared");
 const { exchangeRequestNodes, exchangeResponseNodes } = require("../abridged");
 const { REQUEST_NODE_TOOL_RESULT } = require("../../augment-protocol");
+const { countTokens } = require("../../token-budget/tokenizer");
 
 const { asRecord, asArray, asString, pick, normalizeNodeType } = shared;
 
-function approxTokenCountFromByteLen(len) {
-  const BYTES_PER_TOKEN = 4;
-  return Math.ceil(Number(len) / BYTES_PER_TOKEN);
+// meter：{ text(s), image(base64), overhead(n) }；默认按字符计，createTokenMeter(model) 按 token 计
+const CHAR_METER = { text: (s) => s.length, image: (s) => s.length, overhead: (n) => n };
+
+// 图片按固定 token 计（base64 长度与实际图片 token 无关）
+const IMAGE_TOKENS_ESTIMATE = 1600;
+
+function createTokenMeter(model) {
+  return {
+    text: (s) => countTokens(s, { model }),
+    image: (s) => (s ? IMAGE_TOKENS_ESTIMATE : 0),
+    overhead: (n) => Math.ceil(n / 4)
+  };
 }
 
-function estimateRequestExtraSizeChars(req) {
+function estimateRequestExtraSizeChars(req, meter = CHAR_METER) {
   const r = asRecord(req);
   return (
-    asString(pick(r, ["prefix"])).length +
-    asString(pick(r, ["selected_code", "selectedCode"])).length +
-    asString(pick(r, ["suffix"])).length +
-    asString(pick(r, ["diff"])).length
+    meter.text(asString(pick(r, ["prefix"]))) +
+    meter.text(asString(pick(r, ["selected_code", "selectedCode"]))) +
+    meter.text(asString(pick(r, ["suffix"]))) +
+    meter.text(asString(pick(r, ["diff"])))
   );
 }
 
-function estimateNodeSizeChars(node) {
+function estimateNodeSizeChars(node, meter = CHAR_METER) {
   const n = asRecord(node);
-  let out = 16;
-  out += asString(pick(n, ["content"])).length;
-  out += asString(pick(pick(n, ["text_node", "textNode"]), ["content"])).length;
+  let out = meter.overhead(16);
+  out += meter.text(asString(pick(n, ["content"])));
+  out += meter.text(asString(pick(pick(n, ["text_node", "textNode"]), ["content"])));
   const tr = asRecord(pick(n, ["tool_result_node", "toolResultNode"]));
   if (normalizeNodeType(n) === REQUEST_NODE_TOOL_RESULT) {
-    out += asString(pick(tr, ["tool_use_id", "toolUseId"])).length;
-    out += asString(pick(tr, ["content"])).length;
+    out += meter.text(asString(pick(tr, ["tool_use_id", "toolUseId"])));
+    out += meter.text(asString(pick(tr, ["content"])));
     for (const c of asArray(pick(tr, ["content_nodes", "contentNodes"]))) {
       const cr = asRecord(c);
-      out += 8;
-      out += asString(pick(cr, ["text_content", "textContent"])).length;
+      out += meter.overhead(8);
+      out += meter.text(asString(pick(cr, ["text_content", "textContent"])));
       const img = asRecord(pick(cr, ["image_content", "imageContent"]));
-      out += asString(pick(img, ["image_data", "imageData"])).length;
+      out += meter.image(asString(pick(img, ["image_data", "imageData"])));
     }
   }
   const img = asRecord(pick(n, ["image_node", "imageNode"]));
-  out += asString(pick(img, ["image_data", "imageData"])).length;
+  out += meter.image(asString(pick(img, ["image_data", "imageData"])));
   for (const v of [
     pick(n, ["image_id_node", "imageIdNode"]),
     pick(n, ["ide_state_node", "ideStateNode"]),
@@ -52,36 +62,37 @@ function estimateNodeSizeChars(node) {
   ]) {
     if (v == null) continue;
     try {
-      out += JSON.stringify(v).length;
+      out += meter.text(JSON.stringify(v));
     } catch {}
   }
   const tu = asRecord(pick(n, ["tool_use", "toolUse"]));
-  out += asString(pick(tu, ["tool_use_id", "toolUseId"])).length;
-  out += asString(pick(tu, ["tool_name", "toolName"])).length;
-  out += asString(pick(tu, ["input_json", "inputJson"])).length;
-  out += asString(pick(tu, ["mcp_server_name", "mcpServerName"])).length;
-  out += asString(pick(tu, ["mcp_tool_name", "mcpToolName"])).length;
+  out += meter.text(asString(pick(tu, ["tool_use_id", "toolUseId"])));
+  out += meter.text(asString(pick(tu, ["tool_name", "toolName"])));
+  out += meter.text(asString(pick(tu, ["input_json", "inputJson"])));
+  out += meter.text(asString(pick(tu, ["mcp_server_name", "mcpServerName"])));
+  out += meter.text(asString(pick(tu, ["mcp_tool_name", "mcpToolName"])));
   const th = asRecord(pick(n, ["thinking", "thinking_node", "thinkingNode"]));
-  out += asString(pick(th, ["summary"])).length;
+  out += meter.text(asString(pick(th, ["summary"])));
   return out;
 }
 
-function estimateExchangeSizeChars(exchange) {
+function estimateExchangeSizeChars(exchange, meter = CHAR_METER) {
   const it = asRecord(exchange);
   const reqNodes = exchangeRequestNodes(it);
   const respNodes = exchangeResponseNodes(it);
+  const sumNodes = (nodes) => nodes.reduce((a, node) => a + estimateNodeSizeChars(node, meter), 0);
   let n = 0;
-  n += reqNodes.length ? reqNodes.map(estimateNodeSizeChars).reduce((a, b) => a + b, 0) : asString(it.request_message).length;
-  n += respNodes.length ? respNodes.map(estimateNodeSizeChars).reduce((a, b) => a + b, 0) : asString(it.response_text).length;
+  n += reqNodes.length ? sumNodes(reqNodes) : meter.text(asString(it.request_message));
+  n += respNodes.length ? sumNodes(respNodes) : meter.text(asString(it.response_text));
   return n;
 }
 
-function estimateHistorySizeChars(history) {
-  return asArray(history).map(estimateExchangeSizeChars).reduce((a, b) => a + b, 0);
+function estimateHistorySizeChars(history, meter = CHAR_METER) {
+  return asArray(history).reduce((a, ex) => a + estimateExchangeSizeChars(ex, meter), 0);
 }
 
 module.exports = {
-  approxTokenCountFromByteLen,
+  createTokenMeter,
   estimateRequestExtraSizeChars,
   estimateExchangeSizeChars,
   estimateHistorySizeChars
@@ -0,0 +1,84 @@
+"use strict";
+
+const { debug } = require("../../../infra/log");
+const { normalizeString } = require("../../../infra/util");
+const { asString } = require("../../augment-chat/shared");
+const { buildSummaryLevel, verifySummaryLevels, renderSummaryLevels } = require("../levels");
+
+function isHierarchicalSummaryEnabled(hs) {
+  return hs?.rollingSummary === true && hs?.hierarchical?.enabled === true && Array.isArray(hs.hierarchical.levelCharBudgets);
+}
+
+function buildTaggedTextExchange(requestId, tag, text) {
+  return {
+    request_id: requestId,
+    request_message: `[${tag}]\n${asString(text).trim()}\n[/${tag}]`,
+    response_text: "",
+    request_nodes: [],
+    structured_request_nodes: [],
+    nodes: [],
+    response_nodes: [],
+    structured_output_nodes: []
+  };
+}
+
+function buildEpochDigestPrompt(hsPrompt, maxChars) {
+  return `${normalizeString(hsPrompt)}\n\nYou are compacting older conversation summaries into a long-term EPOCH DIGEST. You will be given an existing digest (possibly empty) and a newer summary. Merge them, keeping durable information (goals, decisions, constraints, user preferences, file and identifier names, unresolved issues) and dropping transient step-by-step detail. Prefer the latest state when conflicts exist. Keep the digest under ${maxChars} characters. Output only the digest.`;
+}
+
+/**
+ * 分层模式下滚动摘要的“上一次状态”：取校验通过的最新层。
+ * level 0 仍有效时沿用其文本做滚动更新；否则（已折叠进 epoch / 回退丢弃）从最新有效层的边界开始重新生成 level 0。
+ */
+function pickHierarchicalPrevState(entry, history) {
+  const kept = verifySummaryLevels(entry, history);
+  if (!kept.length) return null;
+  const newest = kept[0];
+  return {
+    summaryText: newest.level === 0 ? newest.text : "",
+    summarizedUntilRequestId: newest.untilRequestId,
+    olderLevels: kept.filter((l) => l.level > 0)
+  };
+}
+
+/**
+ * 把新的 level 0 与更旧的层合并，并按每层字符预算逐级折叠：
+ * level L 超预算 → 与 level L+1 一起重新摘要为新的 level L+1（level L 清空）；最高层超预算 → 原地再压缩。
+ * 模型调用失败时保持原状（下次再试），不丢内容。
+ */
+async function compactSummaryLevels({ hs, olderLevels, summaryText, boundaryRequestId, droppedHead, summarize }) {
+  const budgets = hs.hierarchical.levelCharBudgets;
+  const byLevel = new Map();
+  for (const l of Array.isArray(olderLevels) ? olderLevels : []) if (l.level > 0 && l.level < budgets.length) byLevel.set(l.level, { ...l });
+  byLevel.set(0, buildSummaryLevel(0, summaryText, boundaryRequestId, droppedHead));
+
+  for (let level = 0; level < budgets.length; level++) {
+    const cur = byLevel.get(level);
+    const budget = budgets[level];
+    if (!cur || cur.text.length <= budget) continue;
+
+    if (level === budgets.length - 1) {
+      const text = normalizeString(await summarize(buildEpochDigestPrompt(hs.prompt, budget), [buildTaggedTextExchange("byok_history_summary_epoch", "EPOCH_DIGEST", cur.text)], budget));
+      if (text) byLevel.set(level, { ...cur, text: text.length > budget ? `${text.slice(0, budget - 1)}…` : text });
+      debug(`historySummary epoch digest recompressed: level=${level} chars=${cur.text.length}→${byLevel.get(level).text.length} budget=${budget}`);
+      continue;
+    }
+
+    const above = byLevel.get(level + 1);
+    const input = [
+      ...(above ? [buildTaggedTextExchange("byok_history_summary_epoch", "EPOCH_DIGEST", above.text)] : []),
+      buildTaggedTextExchange("byok_history_summary_newer", "NEWER_SUMMARY", cur.text)
+    ];
+    const merged = normalizeString(await summarize(buildEpochDigestPrompt(hs.prompt, budgets[level + 1]), input, budgets[level + 1]));
+    if (!merged) break;
+    // 新 epoch 覆盖到 level L 的边界：沿用它的边界与一致性 hash
+    byLevel.set(level + 1, { ...cur, level: level + 1, text: merged });
+    byLevel.delete(level);
+    debug(`historySummary folded level=${level} into epoch digest level=${level + 1}: chars=${cur.text.length}→${merged.length}`);
+  }
+
+  const levels = Array.from(byLevel.values()).sort((a, b) => a.level - b.level);
+  return { levels, summaryText: renderSummaryLevels(levels) };
+}
+
+module.exports = { isHierarchicalSummaryEnabled, pickHierarchicalPrevState, compactSummaryLevels };
@@ -5,25 +5,21 @@ const { normalizeString } = require("../../../infra/util");
 const shared = require("../../augment-chat/shared");
 const { buildAbridgedHistoryText, exchangeRequestNodes, exchangeResponseNodes } = require("../abridged");
 const { REQUEST_NODE_HISTORY_SUMMARY } = require("../../augment-protocol");
+const cache = require("../cache");
+const { deleteHistorySummaryPins } = require("../pins");
+
+const { estimateRequestExtraSizeChars, estimateHistorySizeChars } = require("./estimate");
+const { resolveHistorySummaryConfig } = require("./config");
+const { resolvePinnedIndexes, selectPinnedExchanges, computeTailSelectionWithPins } = require("./pinned");
+const { computeTriggerDecision } = require("./trigger");
+const { resolveSummaryText } = require("./summary-text");
 const {
-  setHistorySummaryStorage,
-  cacheGetFresh,
-  cacheGetFreshState,
-  cachePut,
-  deleteHistorySummaryCache,
-  clearHistorySummaryCacheAll
-} = require("../cache");
-const { runSummaryModelOnce } = require("../provider-dispatch");
-
-const { approxTokenCountFromByteLen, estimateRequestExtraSizeChars, estimateHistorySizeChars } = require("./estimate");
-const { resolveContextWindowTokens, resolveHistorySummaryConfig, pickProviderById } = require("./config");
-const { computeTailSelection } = require("./tail-selection");
-const {
-  DEFAULT_SUMMARY_TAIL_REQUEST_IDS,
-  historyStartRequestId,
-  tailRequestIds,
-  computeRequestIdsHash
-} = require("../consistency");
+  scheduleHistorySummaryPresummarize,
+  settleHistorySummaryPresummarize,
+  cancelHistorySummaryPresummarize,
+  cancelAllHistorySummaryPresummarize,
+  adoptPresummarizedSelection
+} = require("./background");
 
 const { asRecord, asArray, asString, pick, normalizeNodeType } = shared;
 
@@ -31,23 +27,6 @@ function nowMs() {
   return Date.now();
 }
 
-function buildPrevSummaryExchange(summaryText) {
-  return {
-    request_id: "byok_history_summary_prev",
-    request_message: `[PREVIOUS_SUMMARY]\n${asString(summaryText).trim()}\n[/PREVIOUS_SUMMARY]`,
-    response_text: "",
-    request_nodes: [],
-    structured_request_nodes: [],
-    nodes: [],
-    response_nodes: [],
-    structured_output_nodes: []
-  };
-}
-
-function buildRollingUpdatePrompt(hsPrompt) {
-  return `${normalizeString(hsPrompt)}\n\nYou will be given an existing summary and additional conversation turns. The new turns may overlap with information already included in the summary, and the history may be incomplete due to truncation. Update the summary to include any NEW information, avoid duplication, and prefer the latest state when conflicts exist. Output only the updated summary.`;
-}
-
 function hasHistorySummaryNode(nodes) {
   return asArray(nodes).some(
     (n) =>
@@ -69,111 +48,6 @@ function requestContainsSummary(req) {
   return hasHistorySummaryNode(nodes);
 }
 
-function computeTriggerDecision({ hs, requestedModel, totalWithExtra, convId }) {
-  const triggerOnHistorySizeChars = Number(hs.triggerOnHistorySizeChars);
-  const baseDecision = { kind: "chars", thresholdChars: triggerOnHistorySizeChars, tailExcludeChars: hs.historyTailSizeCharsToExclude };
-  const strategy = normalizeString(hs.triggerStrategy).toLowerCase();
-
-  if (strategy === "chars") return totalWithExtra >= triggerOnHistorySizeChars ? baseDecision : null;
-
-  const cwTokensRaw = resolveContextWindowTokens(hs, requestedModel);
-  const cwTokens =
-    strategy === "auto" && cwTokensRaw ? Math.min(cwTokensRaw, Math.max(0, Math.floor(triggerOnHistorySizeChars / 4))) : cwTokensRaw;
-  if ((strategy === "ratio" || strategy === "auto") && cwTokens) {
-    const approxTotalTokens = approxTokenCountFromByteLen(totalWithExtra);
-    const ratio = cwTokens ? approxTotalTokens / cwTokens : 0;
-    const triggerRatio = Number(hs.triggerOnContextRatio) || 0.7;
-    if (ratio < triggerRatio) return null;
-    const targetRatio = Number(hs.targetContextRatio) || 0.55;
-    const thresholdTokens = Math.ceil(cwTokens * triggerRatio);
-    const thresholdChars = thresholdTokens * 4;
-    const targetTokens = Math.floor(cwTokens * targetRatio);
-    const targetCharsBudget = targetTokens * 4;
-    const summaryOverhead = (Number(hs.abridgedHistoryParams?.totalCharsLimit) || 0) + (Number(hs.maxTokens) || 0) * 4 + 4096;
-    const tailExcludeChars = Math.max(0, targetCharsBudget - summaryOverhead);
-    debug(
-      `historySummary trigger ratio: conv=${convId} model=${normalizeString(requestedModel)} tokens≈${approxTotalTokens}/${cwTokens} ratio≈${ratio.toFixed(3)}`
-    );
-    return { kind: "ratio", thresholdChars, tailExcludeChars };
-  }
-
-  return totalWithExtra >= triggerOnHistorySizeChars ? baseDecision : null;
-}
-
-async function resolveSummaryText({
-  hs,
-  cfg,
-  convId,
-  boundaryRequestId,
-  history,
-  tailStart,
-  droppedHead,
-  fallbackProvider,
-  fallbackModel,
-  timeoutMs,
-  abortSignal
-}) {
-  const now = nowMs();
-  const cached = cacheGetFresh(convId, boundaryRequestId, now, hs.cacheTtlMs, { history, droppedHead });
-  if (cached) return { summaryText: cached.summaryText, summarizationRequestId: cached.summarizationRequestId, now };
-
-  const provider = pickProviderById(cfg, hs.providerId) || fallbackProvider;
-  const model = normalizeString(hs.model) || normalizeString(fallbackModel);
-  let prompt = asString(hs.prompt);
-  let inputHistory = droppedHead.slice();
-
-  let usedRolling = false;
-  if (hs.rollingSummary === true) {
-    const prev = cacheGetFreshState(convId, now, hs.cacheTtlMs, { history });
-    const rollingPrompt = buildRollingUpdatePrompt(hs.prompt);
-    if (
-      prev &&
-      normalizeString(prev.summarizedUntilRequestId) &&
-      normalizeString(prev.summarizedUntilRequestId) !== boundaryRequestId
-    ) {
-      const prevBoundaryPos = history.findIndex(
-        (h) => normalizeString(h?.request_id) === normalizeString(prev.summarizedUntilRequestId)
-      );
-      if (prevBoundaryPos >= 0 && prevBoundaryPos < tailStart) {
-        const delta = history.slice(prevBoundaryPos, tailStart);
-        if (delta.length) {
-          const prevExchange = buildPrevSummaryExchange(prev.summaryText);
-          inputHistory = [prevExchange, ...delta];
-          usedRolling = true;
-          prompt = rollingPrompt;
-        }
-      } else if (inputHistory.length) {
-        const prevExchange = buildPrevSummaryExchange(prev.summaryText);
-        inputHistory = [prevExchange, ...inputHistory];
-        usedRolling = true;
-        prompt = rollingPrompt;
-      }
-    }
-  }
-
-  const maxIn = Number(hs.maxSummarizationInputChars) || 0;
-  if (maxIn > 0) {
-    const shrink = () => estimateHistorySizeChars(inputHistory) > maxIn;
-    if (usedRolling) while (inputHistory.length > 1 && shrink()) inputHistory.splice(1, 1);
-    else while (inputHistory.length && shrink()) inputHistory.shift();
-  }
-  if (!inputHistory.length) return null;
-
-  const timeout = Math.min(Math.max(1000, Number(timeoutMs) || 120000), hs.timeoutSeconds * 1000);
-  const summaryText = normalizeString(
-    await runSummaryModelOnce({ provider, model, prompt, chatHistory: inputHistory, maxTokens: hs.maxTokens, timeoutMs: timeout, abortSignal })
-  );
-  if (!summaryText) return null;
-  const summarizationRequestId = `byok_history_summary_${now}`;
-  await cachePut(convId, boundaryRequestId, summaryText, summarizationRequestId, now, {
-    startRequestId: historyStartRequestId(history),
-    summarizedUntilIndex: droppedHead.length,
-    summarizedRequestIdsHash: computeRequestIdsHash(droppedHead),
-    summarizedTailRequestIds: tailRequestIds(droppedHead, DEFAULT_SUMMARY_TAIL_REQUEST_IDS)
-  });
-  return { summaryText, summarizationRequestId, now };
-}
-
 function buildHistoryEnd(tail) {
   return asArray(tail).map((h) => {
     const it = asRecord(h);
@@ -187,7 +61,7 @@ function buildHistoryEnd(tail) {
   });
 }
 
-function injectHistorySummaryNodeIntoRequestNodes({ hs, req, tail, summaryText, summarizationRequestId, abridged }) {
+function injectHistorySummaryNodeIntoRequestNodes({ hs, req, tail, pinned, summaryText, summarizationRequestId, abridged }) {
   const template = asString(hs.summaryNodeRequestMessageTemplate);
   const historyEnd = buildHistoryEnd(tail);
   const summaryNode = {
@@ -196,6 +70,7 @@ function injectHistorySummaryNodeIntoRequestNodes({ hs, req, tail, summaryText,
     history_beginning_dropped_num_exchanges: abridged.droppedBeginning,
     history_middle_abridged_text: abridged.text,
     history_end: historyEnd,
+    ...(asArray(pinned).length ? { history_pinned: buildHistoryEnd(pinned) } : {}),
     message_template: template
   };
   const node = { id: 0, type: REQUEST_NODE_HISTORY_SUMMARY, content: "", history_summary_node: summaryNode };
@@ -223,13 +98,15 @@ async function maybeSummarizeAndCompactAugmentChatRequest({
   if (!history.length) return false;
   if (historyContainsSummary(history)) return false;
   if (requestContainsSummary(req)) return false;
+  await settleHistorySummaryPresummarize(convId);
 
   const totalChars = estimateHistorySizeChars(history);
   const totalWithExtra = totalChars + asString(req?.message).length + estimateRequestExtraSizeChars(req);
-  const decision = computeTriggerDecision({ hs, requestedModel, totalWithExtra, convId });
+  const decision = computeTriggerDecision({ hs, requestedModel, provider: fallbackProvider, model: fallbackModel, req, history, totalWithExtra, convId });
 
   if (decision) {
-    const sel = computeTailSelection({ history, hs, decision });
+    const pinnedIdx = await resolvePinnedIndexes({ hs, convId, history });
+    const sel = adoptPresummarizedSelection({ hs, convId, history, decision, sel: computeTailSelectionWithPins({ history, hs, decision, pinnedIdx }) });
 
     if (sel && sel.droppedHead.length) {
       const abridged = buildAbridgedHistoryText(history, hs.abridgedHistoryParams, sel.boundaryRequestId);
@@ -248,10 +125,13 @@ async function maybeSummarizeAndCompactAugmentChatRequest({
       });
 
       if (summary) {
+        const pinned = selectPinnedExchanges({ hs, history, pinnedIdx, tailStart: sel.tailStart });
+        if (pinned.omitted) debug(`historySummary pinned over budget: conv=${convId} kept=${pinned.exchanges.length} omitted=${pinned.omitted}`);
         const injected = injectHistorySummaryNodeIntoRequestNodes({
           hs,
           req,
           tail: sel.tail,
+          pinned: pinned.exchanges,
           summaryText: summary.summaryText,
           summarizationRequestId: summary.summarizationRequestId,
           abridged
@@ -266,13 +146,16 @@ async function maybeSummarizeAndCompactAugmentChatRequest({
 
   // 当 Augment 客户端已按轮数裁剪掉历史中的 summary exchange 时，仍然需要用缓存的 summary 补回“早期上下文”，否则会退化为仅剩最近 N 轮。
   const now = nowMs();
-  const cached = hs.rollingSummary === true ? cacheGetFreshState(convId, now, hs.cacheTtlMs, { history }) : null;
-  if (!cached || !normalizeString(cached.summaryText)) return false;
+  const cached = hs.rollingSummary === true ? cache.cacheGetFreshState(convId, now, hs.cacheTtlMs, { history }) : null;
+  // 标记了重新生成的旧摘要视为作废：不再补注入，直到下次触发摘要时重新生成
+  if (!cached || cached.regenerate || !normalizeString(cached.summaryText)) return false;
 
-  const sel2 = computeTailSelection({
+  const pinnedIdx2 = await resolvePinnedIndexes({ hs, convId, history });
+  const sel2 = computeTailSelectionWithPins({
     history,
     hs,
-    decision: { kind: "cached", thresholdChars: 0, tailExcludeChars: hs.historyTailSizeCharsToExclude }
+    decision: { kind: "cached", thresholdChars: 0, tailExcludeChars: hs.historyTailSizeCharsToExclude },
+    pinnedIdx: pinnedIdx2
   });
   const boundaryRequestId2 = normalizeString(sel2?.boundaryRequestId) || normalizeString(history[0]?.request_id) || "";
   const tail2 = sel2?.tail?.length ? sel2.tail : history;
@@ -284,6 +167,7 @@ async function maybeSummarizeAndCompactAugmentChatRequest({
     hs,
     req,
     tail: tail2,
+    pinned: sel2 ? selectPinnedExchanges({ hs, history, pinnedIdx: pinnedIdx2, tailStart: sel2.tailStart }).exchanges : [],
     summaryText: cached.summaryText,
     summarizationRequestId,
     abridged: abridged2
@@ -294,4 +178,48 @@ async function maybeSummarizeAndCompactAugmentChatRequest({
   return true;
 }
 
-module.exports = { setHistorySummaryStorage, maybeSummarizeAndCompactAugmentChatRequest, deleteHistorySummaryCache, clearHistorySummaryCacheAll };
+// 缓存失效跟随对话生命周期：删除/清空时同时取消该对话（或全部）的后台预摘要，避免旧任务把摘要写回
+function setHistorySummaryStorage(storage) {
+  cancelAllHistorySummaryPresummarize("storage reset");
+  return cache.setHistorySummaryStorage(storage);
+}
+
+async function deleteHistorySummaryCache(conversationId) {
+  cancelHistorySummaryPresummarize(conversationId, "conversation cache deleted");
+  return await cache.deleteHistorySummaryCache(conversationId);
+}
+
+// 对话被删除（或在面板中删除）：摘要与 pins 一起删除；缓存失效（回退/编辑历史）只删摘要，pins 保留
+async function deleteHistorySummaryConversation(conversationId) {
+  const deleted = await deleteHistorySummaryCache(conversationId);
+  const unpinned = await deleteHistorySummaryPins(conversationId);
+  return deleted || unpinned;
+}
+
+// 清空摘要缓存不动 pins（手动固定是用户意图，不是缓存）；清理 pins 是面板里单独的操作
+async function clearHistorySummaryCacheAll() {
+  cancelAllHistorySummaryPresummarize("cache cleared");
+  return await cache.clearHistorySummaryCacheAll();
+}
+
+// 面板手动编辑/请求重新生成：同样取消进行中的后台任务，避免旧摘要覆盖用户的修改
+async function updateHistorySummaryCacheText(conversationId, summaryText) {
+  cancelHistorySummaryPresummarize(conversationId, "summary edited");
+  return await cache.updateHistorySummaryCacheText(conversationId, summaryText);
+}
+
+async function setHistorySummaryCacheRegenerate(conversationId, target) {
+  cancelHistorySummaryPresummarize(conversationId, "regenerate requested");
+  return await cache.setHistorySummaryCacheRegenerate(conversationId, target);
+}
+
+module.exports = {
+  setHistorySummaryStorage,
+  maybeSummarizeAndCompactAugmentChatRequest,
+  scheduleHistorySummaryPresummarize,
+  deleteHistorySummaryCache,
+  deleteHistorySummaryConversation,
+  clearHistorySummaryCacheAll,
+  updateHistorySummaryCacheText,
+  setHistorySummaryCacheRegenerate
+};
@@ -0,0 +1,105 @@
+"use strict";
+
+const { debug } = require("../../../infra/log");
+const shared = require("../../augment-chat/shared");
+const { exchangeRequestNodes } = require("../abridged");
+const { REQUEST_NODE_TEXT, REQUEST_NODE_TOOL_RESULT } = require("../../augment-protocol");
+const { exchangeRequestId } = require("../consistency");
+const { getHistorySummaryPins, pinHistorySummaryExchanges } = require("../pins");
+const { estimateExchangeSizeChars } = require("./estimate");
+const { computeTailSelection, exchangeHasToolResults } = require("./tail-selection");
+
+const { asRecord, asArray, asString, pick, normalizeNodeType } = shared;
+
+// 匹配 pinned.patterns 的文本：用户消息、回复与工具结果
+function exchangeSearchText(h) {
+  const it = asRecord(h);
+  const parts = [asString(it.request_message), asString(it.response_text)];
+  for (const n of exchangeRequestNodes(it)) {
+    const t = normalizeNodeType(n);
+    if (t === REQUEST_NODE_TEXT) parts.push(asString(pick(pick(n, ["text_node", "textNode"]), ["content"])));
+    else if (t === REQUEST_NODE_TOOL_RESULT) parts.push(asString(pick(pick(n, ["tool_result_node", "toolResultNode"]), ["content"])));
+  }
+  return parts.join("\n");
+}
+
+/** 当前 history 中被固定的下标（升序）：对话已记录的 pins + 新匹配 patterns 的 exchanges（用户取消过的除外）。 */
+function collectPinnedIndexes({ hs, convId, history }) {
+  const stored = getHistorySummaryPins(convId);
+  const pinnedIds = new Set(stored.pinned.map((p) => p.requestId));
+  const unpinned = new Set(stored.unpinned);
+  const patterns = asArray(hs?.pinned?.patterns);
+  const indexes = [];
+  const matched = [];
+  asArray(history).forEach((h, i) => {
+    const rid = exchangeRequestId(h);
+    if (!rid) return;
+    if (pinnedIds.has(rid)) return void indexes.push(i);
+    if (!patterns.length || unpinned.has(rid)) return;
+    const text = exchangeSearchText(h);
+    if (!patterns.some((re) => re.test(text))) return;
+    indexes.push(i);
+    matched.push({ requestId: rid, source: "pattern", preview: asString(asRecord(h).request_message).trim() });
+  });
+  return { indexes, matched };
+}
+
+/** 同 collectPinnedIndexes，并把新匹配到的 exchanges 记入该对话的 pins（之后即使 patterns 变化也保持固定）。 */
+async function resolvePinnedIndexes({ hs, convId, history }) {
+  const { indexes, matched } = collectPinnedIndexes({ hs, convId, history });
+  if (matched.length) {
+    const added = await pinHistorySummaryExchanges(convId, matched);
+    if (added) debug(`historySummary pinned by pattern: conv=${convId} added=${added}`);
+  }
+  return indexes;
+}
+
+/**
+ * 选出需要原文带入的 pinned exchanges：只取边界之前（尾部本身已是原文）的，按时间顺序累计到 pinned.maxChars 为止。
+ * 带工具结果的 exchange 同时带上前一轮（其中有对应的 tool_use）。
+ */
+function selectPinnedExchanges({ hs, history, pinnedIdx, tailStart }) {
+  const maxChars = Number(hs?.pinned?.maxChars) || 0;
+  const hsList = asArray(history);
+  const wanted = new Set();
+  for (const i of asArray(pinnedIdx)) {
+    if (i < 0 || i >= tailStart) continue;
+    wanted.add(i);
+    if (i > 0 && exchangeHasToolResults(hsList[i])) wanted.add(i - 1);
+  }
+  const exchanges = [];
+  let chars = 0;
+  let omitted = 0;
+  for (const i of Array.from(wanted).sort((a, b) => a - b)) {
+    const sz = estimateExchangeSizeChars(hsList[i]);
+    if (!maxChars || chars + sz > maxChars) {
+      omitted += 1;
+      continue;
+    }
+    exchanges.push(hsList[i]);
+    chars += sz;
+  }
+  return { exchanges, chars, omitted };
+}
+
+/**
+ * 固定的 exchanges 原文占用尾部预算：扣除边界前 pinned 的字符数后重新选边界。
+ * 边界后移会让更多 pinned 落到边界之前，所以反复扣除直到 pinned 占用不再增长（边界只会后移，必然收敛）。
+ */
+function computeTailSelectionWithPins({ history, hs, decision, pinnedIdx }) {
+  let sel = computeTailSelection({ history, hs, decision });
+  if (!sel || !asArray(pinnedIdx).length) return sel;
+  let charged = 0;
+  for (let guard = 0; guard < asArray(history).length; guard++) {
+    const { chars } = selectPinnedExchanges({ hs, history, pinnedIdx, tailStart: sel.tailStart });
+    if (chars <= charged) break;
+    charged = chars;
+    const tailExcludeChars = Math.max(0, Number(decision.tailExcludeChars) - charged);
+    const next = computeTailSelection({ history, hs, decision: { ...decision, tailExcludeChars } });
+    if (!next) break;
+    sel = next;
+  }
+  return sel;
+}
+
+module.exports = { collectPinnedIndexes, resolvePinnedIndexes, selectPinnedExchanges, computeTailSelectionWithPins };
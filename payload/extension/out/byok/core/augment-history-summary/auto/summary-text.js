@@ -0,0 +1,129 @@
+"use strict";
+
+const { normalizeString } = require("../../../infra/util");
+const { asString } = require("../../augment-chat/shared");
+const { cacheGetFresh, cacheGetFreshState, cachePut, getHistorySummaryCacheEntry } = require("../cache");
+const { runSummaryModelOnce } = require("../provider-dispatch");
+const { DEFAULT_SUMMARY_TAIL_REQUEST_IDS, historyStartRequestId, tailRequestIds, computeRequestIdsHash } = require("../consistency");
+const { estimateHistorySizeChars } = require("./estimate");
+const { pickProviderById } = require("./config");
+const { isHierarchicalSummaryEnabled, pickHierarchicalPrevState, compactSummaryLevels } = require("./hierarchical");
+
+function nowMs() {
+  return Date.now();
+}
+
+function buildPrevSummaryExchange(summaryText) {
+  return {
+    request_id: "byok_history_summary_prev",
+    request_message: `[PREVIOUS_SUMMARY]\n${asString(summaryText).trim()}\n[/PREVIOUS_SUMMARY]`,
+    response_text: "",
+    request_nodes: [],
+    structured_request_nodes: [],
+    nodes: [],
+    response_nodes: [],
+    structured_output_nodes: []
+  };
+}
+
+function buildRollingUpdatePrompt(hsPrompt) {
+  return `${normalizeString(hsPrompt)}\n\nYou will be given an existing summary and additional conversation turns. The new turns may overlap with information already included in the summary, and the history may be incomplete due to truncation. Update the summary to include any NEW information, avoid duplication, and prefer the latest state when conflicts exist. Output only the updated summary.`;
+}
+
+async function resolveSummaryText({
+  hs,
+  cfg,
+  convId,
+  boundaryRequestId,
+  history,
+  tailStart,
+  droppedHead,
+  fallbackProvider,
+  fallbackModel,
+  timeoutMs,
+  abortSignal
+}) {
+  const now = nowMs();
+  const cached = cacheGetFresh(convId, boundaryRequestId, now, hs.cacheTtlMs, { history, droppedHead });
+  if (cached) return { summaryText: cached.summaryText, summarizationRequestId: cached.summarizationRequestId, now };
+
+  // 面板请求了“换模型重新生成”：不沿用旧摘要（不滚动），用指定模型从头摘要 droppedHead；写入缓存后标记自然清除
+  const regenerate = getHistorySummaryCacheEntry(convId)?.regenerate || null;
+  const provider = pickProviderById(cfg, regenerate?.providerId || hs.providerId) || fallbackProvider;
+  const model = normalizeString(regenerate?.model) || normalizeString(hs.model) || normalizeString(fallbackModel);
+  let prompt = asString(hs.prompt);
+  let inputHistory = droppedHead.slice();
+
+  let usedRolling = false;
+  const hierarchical = isHierarchicalSummaryEnabled(hs);
+  let olderLevels = [];
+  if (hs.rollingSummary === true && !regenerate) {
+    // 分层模式：各层单独校验（回退/分叉只丢弃失效的新层），滚动更新只作用于 level 0
+    const prev = hierarchical
+      ? pickHierarchicalPrevState(cacheGetFreshState(convId, now, hs.cacheTtlMs), history)
+      : cacheGetFreshState(convId, now, hs.cacheTtlMs, { history });
+    if (prev && hierarchical) olderLevels = prev.olderLevels;
+    const rollingPrompt = buildRollingUpdatePrompt(hs.prompt);
+    const prevExchanges = prev && normalizeString(prev.summaryText) ? [buildPrevSummaryExchange(prev.summaryText)] : [];
+    if (
+      prev &&
+      normalizeString(prev.summarizedUntilRequestId) &&
+      normalizeString(prev.summarizedUntilRequestId) !== boundaryRequestId
+    ) {
+      const prevBoundaryPos = history.findIndex(
+        (h) => normalizeString(h?.request_id) === normalizeString(prev.summarizedUntilRequestId)
+      );
+      if (prevBoundaryPos >= 0 && prevBoundaryPos < tailStart) {
+        const delta = history.slice(prevBoundaryPos, tailStart);
+        if (delta.length) {
+          inputHistory = [...prevExchanges, ...delta];
+          usedRolling = prevExchanges.length > 0;
+          if (usedRolling) prompt = rollingPrompt;
+        }
+      } else if (inputHistory.length && prevExchanges.length) {
+        inputHistory = [...prevExchanges, ...inputHistory];
+        usedRolling = true;
+        prompt = rollingPrompt;
+      }
+    }
+  }
+
+  const maxIn = Number(hs.maxSummarizationInputChars) || 0;
+  if (maxIn > 0) {
+    const shrink = () => estimateHistorySizeChars(inputHistory) > maxIn;
+    if (usedRolling) while (inputHistory.length > 1 && shrink()) inputHistory.splice(1, 1);
+    else while (inputHistory.length && shrink()) inputHistory.shift();
+  }
+  if (!inputHistory.length) return null;
+
+  const timeout = Math.min(Math.max(1000, Number(timeoutMs) || 120000), hs.timeoutSeconds * 1000);
+  const summarize = async (p, chatHistory, maxChars) =>
+    await runSummaryModelOnce({
+      provider,
+      model,
+      prompt: p,
+      chatHistory,
+      maxTokens: maxChars ? Math.max(hs.maxTokens, Math.ceil(maxChars / 2)) : hs.maxTokens,
+      timeoutMs: timeout,
+      abortSignal
+    });
+  const rollingText = normalizeString(await summarize(prompt, inputHistory));
+  if (!rollingText) return null;
+  const compacted = hierarchical
+    ? await compactSummaryLevels({ hs, olderLevels, summaryText: rollingText, boundaryRequestId, droppedHead, summarize })
+    : null;
+  const summaryText = compacted ? compacted.summaryText : rollingText;
+  const summarizationRequestId = `byok_history_summary_${now}`;
+  await cachePut(convId, boundaryRequestId, summaryText, summarizationRequestId, now, {
+    startRequestId: historyStartRequestId(history),
+    summarizedUntilIndex: droppedHead.length,
+    summarizedRequestIdsHash: computeRequestIdsHash(droppedHead),
+    summarizedTailRequestIds: tailRequestIds(droppedHead, DEFAULT_SUMMARY_TAIL_REQUEST_IDS),
+    levels: compacted ? compacted.levels : null,
+    providerId: normalizeString(provider?.id),
+    model
+  });
+  return { summaryText, summarizationRequestId, now };
+}
+
+module.exports = { resolveSummaryText };
@@ -76,4 +76,4 @@ function computeTailSelection({ history, hs, decision }) {
   return { tailStart, boundaryRequestId, droppedHead, tail };
 }
 
-module.exports = { computeTailSelection };
+module.exports = { computeTailSelection, exchangeHasToolResults };
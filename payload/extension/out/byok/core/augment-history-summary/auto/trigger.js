@@ -0,0 +1,50 @@
+"use strict";
+
+const { debug } = require("../../../infra/log");
+const { normalizeString } = require("../../../infra/util");
+const { asString } = require("../../augment-chat/shared");
+const { applyTokenCorrection } = require("../../token-budget/tokenizer");
+const { createTokenMeter, estimateRequestExtraSizeChars, estimateHistorySizeChars } = require("./estimate");
+const { resolveContextWindowTokens } = require("./config");
+
+// 按目标模型的分词器估算（含从 usage 学到的校正系数）；只在 ratio/auto 策略下计算
+function estimateConversationTokens({ req, history, provider, model }) {
+  const meter = createTokenMeter(model);
+  const raw = estimateHistorySizeChars(history, meter) + meter.text(asString(req?.message)) + estimateRequestExtraSizeChars(req, meter);
+  return applyTokenCorrection(raw, { provider, model });
+}
+
+function computeTriggerDecision({ hs, requestedModel, provider, model, req, history, totalWithExtra, convId }) {
+  const triggerOnHistorySizeChars = Number(hs.triggerOnHistorySizeChars);
+  const baseDecision = { kind: "chars", thresholdChars: triggerOnHistorySizeChars, tailExcludeChars: hs.historyTailSizeCharsToExclude };
+  const strategy = normalizeString(hs.triggerStrategy).toLowerCase();
+
+  if (strategy === "chars") return totalWithExtra >= triggerOnHistorySizeChars ? baseDecision : null;
+
+  const cwTokensRaw = resolveContextWindowTokens(hs, requestedModel, { provider, model });
+  if ((strategy === "ratio" || strategy === "auto") && cwTokensRaw) {
+    const approxTotalTokens = estimateConversationTokens({ req, history, provider, model });
+    // 本对话实际的字符/token 比（CJK 与代码差异很大），用于把 token 阈值换算回 tail-selection 的字符预算
+    const charsPerToken = approxTotalTokens > 0 && totalWithExtra > 0 ? totalWithExtra / approxTotalTokens : 4;
+    const cwTokens = strategy === "auto" ? Math.min(cwTokensRaw, Math.max(0, Math.floor(triggerOnHistorySizeChars / charsPerToken))) : cwTokensRaw;
+    if (!cwTokens) return totalWithExtra >= triggerOnHistorySizeChars ? baseDecision : null;
+    const ratio = approxTotalTokens / cwTokens;
+    const triggerRatio = Number(hs.triggerOnContextRatio) || 0.7;
+    if (ratio < triggerRatio) return null;
+    const targetRatio = Number(hs.targetContextRatio) || 0.55;
+    const thresholdTokens = Math.ceil(cwTokens * triggerRatio);
+    const thresholdChars = Math.ceil(thresholdTokens * charsPerToken);
+    const targetTokens = Math.floor(cwTokens * targetRatio);
+    const targetCharsBudget = Math.floor(targetTokens * charsPerToken);
+    const summaryOverhead = (Number(hs.abridgedHistoryParams?.totalCharsLimit) || 0) + Math.ceil((Number(hs.maxTokens) || 0) * charsPerToken) + 4096;
+    const tailExcludeChars = Math.max(0, targetCharsBudget - summaryOverhead);
+    debug(
+      `historySummary trigger ratio: conv=${convId} model=${normalizeString(requestedModel)} tokens≈${approxTotalTokens}/${cwTokens} ratio≈${ratio.toFixed(3)} chars/token≈${charsPerToken.toFixed(2)}`
+    );
+    return { kind: "ratio", thresholdChars, tailExcludeChars };
+  }
+
+  return totalWithExtra >= triggerOnHistorySizeChars ? baseDecision : null;
+}
+
+module.exports = { computeTriggerDecision };
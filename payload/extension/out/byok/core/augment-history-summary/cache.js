@@ -11,10 +11,13 @@ const {
   computeRequestIdsHash,
   tailIdsEndsWith
 } = require("./consistency");
+const { readStoredSummaryLevels, normalizeSummaryLevels } = require("./levels");
 
 const HISTORY_SUMMARY_CACHE_KEY = "augment-byok.historySummaryCache.v1";
 const HISTORY_SUMMARY_CACHE = new Map();
 const HISTORY_SUMMARY_CACHE_MAX_ENTRIES = 200;
+// 记录格式版本：1 = 单个滚动摘要；2 = 增加分层摘要 levels（仅分层模式写入；缺省时读取方派生 level 0）。更新版本的记录直接忽略。
+const HISTORY_SUMMARY_CACHE_SCHEMA_VERSION = 2;
 let historySummaryCacheLoaded = false;
 let historySummaryStorage = null;
 
@@ -56,6 +59,34 @@ function resolveHistorySummaryStorage() {
   return s;
 }
 
+function normalizeRegenerateTarget(v) {
+  const r = v && typeof v === "object" && !Array.isArray(v) ? v : null;
+  const providerId = normalizeString(r?.providerId);
+  const model = normalizeString(r?.model);
+  return providerId || model ? { providerId, model } : null;
+}
+
+// 管理面板用的附加字段（schemaVersion 2 内可选，旧记录缺省）：生成摘要的 provider/model、手动编辑时间、待重新生成的目标
+function normalizeEntryMeta(rec) {
+  return {
+    summaryProviderId: normalizeString(rec?.summaryProviderId),
+    summaryModel: normalizeString(rec?.summaryModel),
+    editedAtMs: Number(rec?.editedAtMs) || 0,
+    regenerate: normalizeRegenerateTarget(rec?.regenerate)
+  };
+}
+
+// 内存/持久化记录里只保留分层模式产出的 levels；非分层记录不带该字段
+function withStoredLevels(flat, rawLevels) {
+  const levels = readStoredSummaryLevels(rawLevels);
+  return levels.length ? { ...flat, levels } : { ...flat };
+}
+
+// 对外返回时派生 level 0，调用方无需区分记录来源
+function withDerivedLevels(e) {
+  return { ...e, levels: normalizeSummaryLevels(e.levels, e) };
+}
+
 function maybeLoadHistorySummaryCacheFromStorage() {
   if (historySummaryCacheLoaded) return true;
   const storage = resolveHistorySummaryStorage();
@@ -73,6 +104,8 @@ function maybeLoadHistorySummaryCacheFromStorage() {
         const convId = normalizeString(cid);
         const rec = v && typeof v === "object" && !Array.isArray(v) ? v : null;
         if (!convId || !rec) continue;
+        const schemaVersion = Number(rec.schemaVersion ?? rec.schema_version) || 1;
+        if (schemaVersion > HISTORY_SUMMARY_CACHE_SCHEMA_VERSION) continue;
         const summaryText = asString(rec.summaryText ?? rec.summary_text);
         const summarizedUntilRequestId = asString(rec.summarizedUntilRequestId ?? rec.summarized_until_request_id);
         const summarizationRequestId = asString(rec.summarizationRequestId ?? rec.summarization_request_id);
@@ -84,7 +117,7 @@ function maybeLoadHistorySummaryCacheFromStorage() {
           ? rec.summarizedTailRequestIds ?? rec.summarized_tail_request_ids
           : [];
         if (!summarizedUntilRequestId) continue;
-        HISTORY_SUMMARY_CACHE.set(convId, {
+        const flat = {
           summaryText,
           summarizedUntilRequestId,
           summarizationRequestId,
@@ -92,8 +125,10 @@ function maybeLoadHistorySummaryCacheFromStorage() {
           startRequestId,
           summarizedUntilIndex,
           summarizedRequestIdsHash,
-          summarizedTailRequestIds
-        });
+          summarizedTailRequestIds,
+          ...normalizeEntryMeta(rec)
+        };
+        HISTORY_SUMMARY_CACHE.set(convId, withStoredLevels(flat, rec.levels));
       }
     }
     historySummaryCacheLoaded = true;
@@ -121,6 +156,7 @@ async function persistHistorySummaryCacheToStorage() {
   const entries = {};
   for (const [cid, v] of HISTORY_SUMMARY_CACHE.entries()) {
     entries[cid] = {
+      schemaVersion: HISTORY_SUMMARY_CACHE_SCHEMA_VERSION,
       summaryText: asString(v?.summaryText),
       summarizedUntilRequestId: asString(v?.summarizedUntilRequestId),
       summarizationRequestId: asString(v?.summarizationRequestId),
@@ -128,11 +164,13 @@ async function persistHistorySummaryCacheToStorage() {
       startRequestId: asString(v?.startRequestId),
       summarizedUntilIndex: Number(v?.summarizedUntilIndex) || 0,
       summarizedRequestIdsHash: asString(v?.summarizedRequestIdsHash),
-      summarizedTailRequestIds: Array.isArray(v?.summarizedTailRequestIds) ? v.summarizedTailRequestIds : []
+      summarizedTailRequestIds: Array.isArray(v?.summarizedTailRequestIds) ? v.summarizedTailRequestIds : [],
+      ...(Array.isArray(v?.levels) && v.levels.length ? { levels: v.levels } : {}),
+      ...normalizeEntryMeta(v)
     };
   }
   try {
-    await storage.update(HISTORY_SUMMARY_CACHE_KEY, { version: 1, entries });
+    await storage.update(HISTORY_SUMMARY_CACHE_KEY, { version: HISTORY_SUMMARY_CACHE_SCHEMA_VERSION, entries });
     return true;
   } catch (err) {
     debug(`historySummary cache persist failed (ignored): ${err instanceof Error ? err.message : String(err)}`);
@@ -149,6 +187,7 @@ function cacheGetFresh(conversationId, boundaryRequestId, now, ttlMs, opts) {
   if (!e) return null;
   if (ttlMs > 0 && now - Number(e.updatedAtMs || 0) > ttlMs) return null;
   if (normalizeString(e.summarizedUntilRequestId) !== bid) return null;
+  if (e.regenerate) return null;
 
   const o = opts && typeof opts === "object" && !Array.isArray(opts) ? opts : null;
   const history = o && Array.isArray(o.history) ? o.history : null;
@@ -183,7 +222,7 @@ function cacheGetFreshState(conversationId, now, ttlMs, opts) {
     if (!ok) return null;
   }
 
-  return { ...e };
+  return withDerivedLevels(e);
 }
 
 function verifyHistorySummaryCacheEntryForHistory(entry, { history, boundaryId, boundaryIdx, droppedHead } = {}) {
@@ -232,7 +271,7 @@ async function cachePut(conversationId, boundaryRequestId, summaryText, summariz
   const summarizedUntilIndex = Number.isFinite(Number(m.summarizedUntilIndex)) ? Math.max(0, Math.floor(Number(m.summarizedUntilIndex))) : 0;
   const summarizedRequestIdsHash = normalizeString(m.summarizedRequestIdsHash);
   const summarizedTailRequestIds = Array.isArray(m.summarizedTailRequestIds) ? m.summarizedTailRequestIds : [];
-  HISTORY_SUMMARY_CACHE.set(cid, {
+  const flat = {
     summaryText: asString(summaryText),
     summarizedUntilRequestId: bid,
     summarizationRequestId: asString(summarizationRequestId),
@@ -240,8 +279,10 @@ async function cachePut(conversationId, boundaryRequestId, summaryText, summariz
     startRequestId,
     summarizedUntilIndex,
     summarizedRequestIdsHash,
-    summarizedTailRequestIds
-  });
+    summarizedTailRequestIds,
+    ...normalizeEntryMeta({ summaryProviderId: m.providerId, summaryModel: m.model })
+  };
+  HISTORY_SUMMARY_CACHE.set(cid, withStoredLevels(flat, m.levels));
   await persistHistorySummaryCacheToStorage();
 }
 
@@ -255,6 +296,61 @@ async function deleteHistorySummaryCache(conversationId) {
   return true;
 }
 
+/** 管理面板列表：每个对话一行（不含摘要全文），按更新时间倒序。 */
+function listHistorySummaryCacheEntries() {
+  maybeLoadHistorySummaryCacheFromStorage();
+  const out = [];
+  for (const [cid, e] of HISTORY_SUMMARY_CACHE.entries()) {
+    out.push({
+      conversationId: cid,
+      summaryChars: asString(e.summaryText).length,
+      summarizedUntilRequestId: asString(e.summarizedUntilRequestId),
+      updatedAtMs: Number(e.updatedAtMs) || 0,
+      providerId: asString(e.summaryProviderId),
+      model: asString(e.summaryModel),
+      levels: normalizeSummaryLevels(e.levels, e).length,
+      editedAtMs: Number(e.editedAtMs) || 0,
+      regenerate: e.regenerate ? { ...e.regenerate } : null
+    });
+  }
+  return out.sort((a, b) => b.updatedAtMs - a.updatedAtMs);
+}
+
+function getHistorySummaryCacheEntry(conversationId) {
+  maybeLoadHistorySummaryCacheFromStorage();
+  const cid = normalizeString(conversationId);
+  const e = cid ? HISTORY_SUMMARY_CACHE.get(cid) : null;
+  return e ? { conversationId: cid, ...withDerivedLevels(e) } : null;
+}
+
+/**
+ * 手动编辑摘要：保留边界与一致性校验字段，丢弃分层结构（读取时按编辑后的全文派生 level 0）。
+ * 之后的滚动更新以编辑后的文本为基础，手动补充的事实会被带入后续摘要。
+ */
+async function updateHistorySummaryCacheText(conversationId, summaryText) {
+  maybeLoadHistorySummaryCacheFromStorage();
+  const cid = normalizeString(conversationId);
+  const e = cid ? HISTORY_SUMMARY_CACHE.get(cid) : null;
+  const text = asString(summaryText).trim();
+  if (!e || !text) return false;
+  const now = nowMs();
+  const { levels: _levels, ...rest } = e;
+  HISTORY_SUMMARY_CACHE.set(cid, { ...rest, summaryText: text, updatedAtMs: now, editedAtMs: now, regenerate: null });
+  await persistHistorySummaryCacheToStorage();
+  return true;
+}
+
+/** 标记下次摘要该对话时用指定 provider/model 重新生成（缓存不含对话原文，无法立即重算）；target 为空则取消标记。 */
+async function setHistorySummaryCacheRegenerate(conversationId, target) {
+  maybeLoadHistorySummaryCacheFromStorage();
+  const cid = normalizeString(conversationId);
+  const e = cid ? HISTORY_SUMMARY_CACHE.get(cid) : null;
+  if (!e) return false;
+  HISTORY_SUMMARY_CACHE.set(cid, { ...e, regenerate: normalizeRegenerateTarget(target) });
+  await persistHistorySummaryCacheToStorage();
+  return true;
+}
+
 async function clearHistorySummaryCacheAll() {
   maybeLoadHistorySummaryCacheFromStorage();
   const n = HISTORY_SUMMARY_CACHE.size;
@@ -266,9 +362,14 @@ async function clearHistorySummaryCacheAll() {
 
 module.exports = {
   setHistorySummaryStorage,
+  getHistorySummaryStorage: resolveHistorySummaryStorage,
   cacheGetFresh,
   cacheGetFreshState,
   cachePut,
   deleteHistorySummaryCache,
-  clearHistorySummaryCacheAll
+  clearHistorySummaryCacheAll,
+  listHistorySummaryCacheEntries,
+  getHistorySummaryCacheEntry,
+  updateHistorySummaryCacheText,
+  setHistorySummaryCacheRegenerate
 };
@@ -144,7 +144,11 @@ function renderHistorySummaryNodeValue(v, extraToolResults) {
   const extra = asArray(extraToolResults);
   if (extra.length) historyEnd.push({ request_message: "", response_text: "", request_nodes: extra, response_nodes: [] });
 
-  const endPartFull = historyEnd.map(buildExchangeRenderCtx).map(renderExchangeFull).join("\n");
+  const historyPinned = asArray(pick(r, ["history_pinned", "historyPinned"])).map(normalizeHistoryEndExchange);
+  const pinnedPartFull = historyPinned.map(buildExchangeRenderCtx).map(renderExchangeFull).join("\n");
+  let endPartFull = historyEnd.map(buildExchangeRenderCtx).map(renderExchangeFull).join("\n");
+  // 模板没有 {pinned_part_full} 时，固定（pinned）的早期 exchanges 原文放在 end part 最前面
+  if (pinnedPartFull && !messageTemplate.includes("{pinned_part_full}")) endPartFull = `<pinned_exchanges>\n${pinnedPartFull}\n</pinned_exchanges>\n${endPartFull}`;
   const abridged = historyMiddleAbridgedText;
 
   return replacePlaceholders(messageTemplate, [
@@ -153,6 +157,7 @@ function renderHistorySummaryNodeValue(v, extraToolResults) {
     ["{beginning_part_dropped_num_exchanges}", String(historyBeginningDroppedNumExchanges)],
     ["{middle_part_abridged}", abridged],
     ["{end_part_full}", endPartFull],
+    ["{pinned_part_full}", pinnedPartFull],
   ]);
 }
 
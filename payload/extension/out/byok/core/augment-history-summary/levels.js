@@ -0,0 +1,95 @@
+"use strict";
+
+const { normalizeString } = require("../../infra/util");
+const { asString } = require("../augment-chat/shared");
+const {
+  DEFAULT_SUMMARY_TAIL_REQUEST_IDS,
+  exchangeRequestId,
+  historyStartRequestId,
+  tailRequestIds,
+  computeRequestIdsHash,
+  tailIdsEndsWith
+} = require("./consistency");
+
+// 分层摘要：level 0 = 滚动摘要（最新），level 1+ = epoch digest（越高越旧）。
+// 每层记录自己的边界（untilRequestId = 该层覆盖范围之后的第一个 exchange）与一致性 hash（边界前 N 个 request_id）。
+
+function idsToExchanges(ids) {
+  return (Array.isArray(ids) ? ids : []).map((id) => ({ request_id: normalizeString(id) }));
+}
+
+/** 由“该层覆盖的 exchanges”构造一层记录（coveredExchanges 的最后一个紧挨着 untilRequestId）。 */
+function buildSummaryLevel(level, text, untilRequestId, coveredExchanges) {
+  const tailIds = tailRequestIds(coveredExchanges, DEFAULT_SUMMARY_TAIL_REQUEST_IDS);
+  return {
+    level: Math.max(0, Math.floor(Number(level) || 0)),
+    text: asString(text),
+    untilRequestId: normalizeString(untilRequestId),
+    requestIdsHash: computeRequestIdsHash(idsToExchanges(tailIds)),
+    tailRequestIds: tailIds
+  };
+}
+
+/** 只解析记录里实际写入的层（分层模式产出）；没有则返回空数组，不做迁移。 */
+function readStoredSummaryLevels(rawLevels) {
+  const out = new Map();
+  for (const raw of Array.isArray(rawLevels) ? rawLevels : []) {
+    const r = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : null;
+    const level = Number(r?.level);
+    const text = asString(r?.text);
+    const untilRequestId = normalizeString(r?.untilRequestId);
+    if (!r || !Number.isInteger(level) || level < 0 || !normalizeString(text) || !untilRequestId || out.has(level)) continue;
+    const tailIds = Array.isArray(r.tailRequestIds) ? r.tailRequestIds.map(normalizeString).filter(Boolean) : [];
+    out.set(level, { level, text, untilRequestId, requestIdsHash: normalizeString(r.requestIdsHash), tailRequestIds: tailIds });
+  }
+  return Array.from(out.values()).sort((a, b) => a.level - b.level);
+}
+
+/**
+ * 读取 cache 记录中的层：有 levels 直接使用；v1 或非分层模式的扁平记录在读取时派生出单个 level 0（不回写）。
+ * 返回按 level 升序、每层最多一条的数组。
+ */
+function normalizeSummaryLevels(rawLevels, flat) {
+  const stored = readStoredSummaryLevels(rawLevels);
+  if (stored.length) return stored;
+  const f = flat && typeof flat === "object" ? flat : {};
+  const ids = Array.isArray(f.summarizedTailRequestIds) ? f.summarizedTailRequestIds.map(normalizeString).filter(Boolean) : [];
+  if (!normalizeString(f.summaryText) || !normalizeString(f.summarizedUntilRequestId)) return [];
+  return [buildSummaryLevel(0, f.summaryText, f.summarizedUntilRequestId, idsToExchanges(ids))];
+}
+
+// 边界在 history 中：比较边界前的 request_id 窗口（窗口完整时比 hash，history 被裁剪到窗口内时比尾部）
+function levelMatchesHistory(level, history, idx) {
+  const window = history.slice(Math.max(0, idx - DEFAULT_SUMMARY_TAIL_REQUEST_IDS), idx);
+  const stored = Array.isArray(level.tailRequestIds) ? level.tailRequestIds : [];
+  if (window.length === stored.length && level.requestIdsHash) return computeRequestIdsHash(window) === level.requestIdsHash;
+  return tailIdsEndsWith(stored, window.map(exchangeRequestId));
+}
+
+/**
+ * 按当前 history 校验各层，返回仍可信的层（level 升序）。
+ * 从最新层往旧层找第一个“边界可见且 hash 一致”的层：它和更旧的层都可信，更新的层（回退/分叉后已不存在）丢弃。
+ * 所有边界都不可见时：history 起点未变 = 回退到了所有边界之前（全部丢弃）；起点变了 = 头部被裁剪，无法校验，沿用。
+ */
+function verifySummaryLevels(entry, history) {
+  const e = entry && typeof entry === "object" ? entry : {};
+  const levels = normalizeSummaryLevels(e.levels, e);
+  const hs = Array.isArray(history) ? history : [];
+  if (!levels.length || !hs.length) return levels;
+  for (let i = 0; i < levels.length; i++) {
+    const idx = hs.findIndex((h) => exchangeRequestId(h) === levels[i].untilRequestId);
+    if (idx >= 0 && levelMatchesHistory(levels[i], hs, idx)) return levels.slice(i);
+  }
+  const storedStart = normalizeString(e.startRequestId);
+  return storedStart && storedStart === historyStartRequestId(hs) ? [] : levels;
+}
+
+/** 拼出注入用的摘要文本：旧 → 新；只有 level 0 时与非分层模式完全一致。 */
+function renderSummaryLevels(levels) {
+  const list = (Array.isArray(levels) ? levels : []).filter((l) => l && normalizeString(l.text)).sort((a, b) => b.level - a.level);
+  return list
+    .map((l) => (l.level > 0 ? `[EPOCH_DIGEST level=${l.level}]\n${l.text.trim()}\n[/EPOCH_DIGEST]` : l.text.trim()))
+    .join("\n\n");
+}
+
+module.exports = { buildSummaryLevel, readStoredSummaryLevels, normalizeSummaryLevels, verifySummaryLevels, renderSummaryLevels };
@@ -0,0 +1,151 @@
+"use strict";
+
+const { debug } = require("../../infra/log");
+const { normalizeString } = require("../../infra/util");
+const { asString } = require("../augment-chat/shared");
+const { getHistorySummaryStorage } = require("./cache");
+
+// 按对话记录“固定（pinned）”的 exchanges：与摘要缓存同一个 globalState，单独一个 key（摘要失效/重算不影响 pins）
+const HISTORY_SUMMARY_PINS_KEY = "augment-byok.historySummaryPins.v1";
+const HISTORY_SUMMARY_PINS_MAX_CONVERSATIONS = 200;
+const HISTORY_SUMMARY_PINS_MAX_PER_CONVERSATION = 50;
+const PIN_PREVIEW_CHARS = 160;
+
+const PINS = new Map();
+let pinsLoadedFor = null;
+
+function normalizeIdList(v) {
+  return Array.from(new Set((Array.isArray(v) ? v : []).map(normalizeString).filter(Boolean)));
+}
+
+function normalizePinRecord(raw) {
+  const r = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const seen = new Set();
+  const pinned = [];
+  for (const it of Array.isArray(r.pinned) ? r.pinned : []) {
+    const requestId = normalizeString(it?.requestId);
+    if (!requestId || seen.has(requestId)) continue;
+    seen.add(requestId);
+    pinned.push({
+      requestId,
+      source: normalizeString(it?.source) === "pattern" ? "pattern" : "manual",
+      preview: asString(it?.preview).slice(0, PIN_PREVIEW_CHARS),
+      pinnedAtMs: Number(it?.pinnedAtMs) || 0
+    });
+  }
+  return { pinned: pinned.slice(-HISTORY_SUMMARY_PINS_MAX_PER_CONVERSATION), unpinned: normalizeIdList(r.unpinned), updatedAtMs: Number(r.updatedAtMs) || 0 };
+}
+
+// storage 由 cache.js 的 setHistorySummaryStorage 统一设置：storage 变化时重新加载
+function ensurePinsLoaded() {
+  const storage = getHistorySummaryStorage();
+  if (pinsLoadedFor === storage) return storage;
+  PINS.clear();
+  pinsLoadedFor = storage;
+  if (!storage || typeof storage.get !== "function") return storage;
+  try {
+    const root = storage.get(HISTORY_SUMMARY_PINS_KEY);
+    const entries = root && typeof root === "object" && root.entries && typeof root.entries === "object" ? root.entries : {};
+    for (const [cid, rec] of Object.entries(entries)) {
+      const convId = normalizeString(cid);
+      const v = normalizePinRecord(rec);
+      if (convId && (v.pinned.length || v.unpinned.length)) PINS.set(convId, v);
+    }
+  } catch (err) {
+    debug(`historySummary pins load failed (ignored): ${err instanceof Error ? err.message : String(err)}`);
+  }
+  return storage;
+}
+
+async function persistPins() {
+  const storage = ensurePinsLoaded();
+  if (!storage || typeof storage.update !== "function") return false;
+  if (PINS.size > HISTORY_SUMMARY_PINS_MAX_CONVERSATIONS) {
+    const keep = new Set(
+      Array.from(PINS.entries())
+        .sort((a, b) => b[1].updatedAtMs - a[1].updatedAtMs)
+        .slice(0, HISTORY_SUMMARY_PINS_MAX_CONVERSATIONS)
+        .map(([cid]) => cid)
+    );
+    for (const cid of Array.from(PINS.keys())) if (!keep.has(cid)) PINS.delete(cid);
+  }
+  try {
+    await storage.update(HISTORY_SUMMARY_PINS_KEY, { version: 1, entries: Object.fromEntries(PINS.entries()) });
+    return true;
+  } catch (err) {
+    debug(`historySummary pins persist failed (ignored): ${err instanceof Error ? err.message : String(err)}`);
+    return false;
+  }
+}
+
+function getHistorySummaryPins(conversationId) {
+  ensurePinsLoaded();
+  const cid = normalizeString(conversationId);
+  const v = cid ? PINS.get(cid) : null;
+  return v ? { pinned: v.pinned.map((p) => ({ ...p })), unpinned: v.unpinned.slice() } : { pinned: [], unpinned: [] };
+}
+
+/**
+ * 追加 pins（items: [{requestId, source, preview}]）。source="pattern" 的自动 pin 不会覆盖用户手动取消过的 request_id；
+ * 手动 pin 会撤销之前的取消。返回新增条数。
+ */
+async function pinHistorySummaryExchanges(conversationId, items) {
+  ensurePinsLoaded();
+  const cid = normalizeString(conversationId);
+  if (!cid) return 0;
+  const cur = normalizePinRecord(PINS.get(cid));
+  const have = new Set(cur.pinned.map((p) => p.requestId));
+  const now = Date.now();
+  let added = 0;
+  for (const it of Array.isArray(items) ? items : []) {
+    const requestId = normalizeString(it?.requestId);
+    const source = normalizeString(it?.source) === "pattern" ? "pattern" : "manual";
+    if (!requestId || have.has(requestId)) continue;
+    if (source === "pattern" && cur.unpinned.includes(requestId)) continue;
+    cur.unpinned = cur.unpinned.filter((id) => id !== requestId);
+    cur.pinned.push({ requestId, source, preview: asString(it?.preview).slice(0, PIN_PREVIEW_CHARS), pinnedAtMs: now });
+    have.add(requestId);
+    added += 1;
+  }
+  if (!added) return 0;
+  PINS.set(cid, normalizePinRecord({ ...cur, updatedAtMs: now }));
+  await persistPins();
+  return added;
+}
+
+async function unpinHistorySummaryExchange(conversationId, requestId) {
+  ensurePinsLoaded();
+  const cid = normalizeString(conversationId);
+  const rid = normalizeString(requestId);
+  const cur = cid && rid ? PINS.get(cid) : null;
+  if (!cur || !cur.pinned.some((p) => p.requestId === rid)) return false;
+  const next = { pinned: cur.pinned.filter((p) => p.requestId !== rid), unpinned: normalizeIdList([...cur.unpinned, rid]), updatedAtMs: Date.now() };
+  PINS.set(cid, normalizePinRecord(next));
+  await persistPins();
+  return true;
+}
+
+async function deleteHistorySummaryPins(conversationId) {
+  ensurePinsLoaded();
+  const cid = normalizeString(conversationId);
+  if (!cid || !PINS.delete(cid)) return false;
+  await persistPins();
+  return true;
+}
+
+async function clearHistorySummaryPinsAll() {
+  ensurePinsLoaded();
+  const n = PINS.size;
+  if (!n) return 0;
+  PINS.clear();
+  await persistPins();
+  return n;
+}
+
+module.exports = {
+  getHistorySummaryPins,
+  pinHistorySummaryExchanges,
+  unpinHistorySummaryExchange,
+  deleteHistorySummaryPins,
+  clearHistorySummaryPinsAll
+};
@@ -1,7 +1,11 @@
 "use strict";
 
-const { normalizeString, normalizeRawToken } = require("../../infra/util");
-const { completeAugmentChatTextByProviderType } = require("../provider-augment-chat");
+const { normalizeString } = require("../../infra/util");
+const { completeAugmentChatTextByProviderType, isApiKeyOptionalByProviderType } = require("../provider-augment-chat");
+const { isAzureResponsesApi } = require("../../providers/azure/request");
+const { resolveProviderApiKey } = require("../provider-api-key");
+const { runInProviderCallScope } = require("../provider-call-scope");
+const { PRIORITY_BACKGROUND } = require("../../providers/rate-limiter");
 
 function normalizeProviderRequestDefaults(provider, maxTokens) {
   const base =
@@ -14,7 +18,7 @@ function normalizeProviderRequestDefaults(provider, maxTokens) {
   const hasMt = Number.isFinite(mt) && mt > 0;
   if (hasMt) {
     const n = Math.floor(mt);
-    if (type === "openai_responses") {
+    if (type === "openai_responses" || (type === "azure_openai" && isAzureResponsesApi(out))) {
       out.max_output_tokens = n;
       if ("max_tokens" in out) delete out.max_tokens;
       if ("maxTokens" in out) delete out.maxTokens;
@@ -23,6 +27,11 @@ function normalizeProviderRequestDefaults(provider, maxTokens) {
       out.generationConfig = { ...gc, maxOutputTokens: n };
       if ("max_tokens" in out) delete out.max_tokens;
       if ("maxTokens" in out) delete out.maxTokens;
+    } else if (type === "ollama") {
+      const opts = out.options && typeof out.options === "object" && !Array.isArray(out.options) ? out.options : {};
+      out.options = { ...opts, num_predict: n };
+      if ("max_tokens" in out) delete out.max_tokens;
+      if ("maxTokens" in out) delete out.maxTokens;
     } else {
       out.max_tokens = n;
     }
@@ -31,6 +40,7 @@ function normalizeProviderRequestDefaults(provider, maxTokens) {
   if (out.reasoning) delete out.reasoning;
   if (out.reasoning_effort) delete out.reasoning_effort;
   if (out.reasoningEffort) delete out.reasoningEffort;
+  if ("think" in out) delete out.think;
   if (out.tools) delete out.tools;
   if (out.tool_choice) delete out.tool_choice;
   if (out.toolChoice) delete out.toolChoice;
@@ -41,11 +51,11 @@ async function runSummaryModelOnce({ provider, model, prompt, chatHistory, maxTo
   const p = provider && typeof provider === "object" ? provider : null;
   const type = normalizeString(p?.type);
   const baseUrl = normalizeString(p?.baseUrl);
-  const apiKey = normalizeRawToken(p?.apiKey);
+  const apiKey = await resolveProviderApiKey(p);
   const extraHeaders = p?.headers && typeof p.headers === "object" && !Array.isArray(p.headers) ? p.headers : {};
   const requestDefaults = normalizeProviderRequestDefaults(p, maxTokens);
   if (!type || !baseUrl || !normalizeString(model)) throw new Error("historySummary provider/model 未配置");
-  if (!apiKey && Object.keys(extraHeaders).length === 0) throw new Error("historySummary provider 未配置 api_key（且 headers 为空）");
+  if (!apiKey && Object.keys(extraHeaders).length === 0 && !isApiKeyOptionalByProviderType(type)) throw new Error("historySummary provider 未配置 api_key（且 headers 为空）");
   if (!normalizeString(prompt) || !Array.isArray(chatHistory) || !chatHistory.length) throw new Error("historySummary prompt/chatHistory 为空");
 
   const augmentReq = {
@@ -68,17 +78,20 @@ async function runSummaryModelOnce({ provider, model, prompt, chatHistory, maxTo
     feature_detection_flags: {}
   };
 
-  return await completeAugmentChatTextByProviderType({
-    type,
-    baseUrl,
-    apiKey,
-    model,
-    req: augmentReq,
-    timeoutMs,
-    abortSignal,
-    extraHeaders,
-    requestDefaults
-  });
+  // 摘要不走 failover，但同样占用该 provider 的 limits（后台优先级）
+  return await runInProviderCallScope({ provider: p, lease: null, priority: PRIORITY_BACKGROUND }, () =>
+    completeAugmentChatTextByProviderType({
+      type,
+      baseUrl,
+      apiKey,
+      model,
+      req: augmentReq,
+      timeoutMs,
+      abortSignal,
+      extraHeaders,
+      requestDefaults
+    })
+  );
 }
 
 module.exports = { normalizeProviderRequestDefaults, runSummaryModelOnce };
@@ -152,6 +152,7 @@ function formatHistorySummaryForPrompt(v) {
   const dropped = Number(pick(h, ["history_beginning_dropped_num_exchanges", "historyBeginningDroppedNumExchanges"]));
   const abridged = truncateInlineText(pick(h, ["history_middle_abridged_text", "historyMiddleAbridgedText"]), 2000);
   const endLen = asArray(pick(h, ["history_end", "historyEnd"])).length;
+  const pinnedLen = asArray(pick(h, ["history_pinned", "historyPinned"])).length;
   const tmpl = truncateInlineText(pick(h, ["message_template", "messageTemplate"]), 400);
   const lines = ["[HISTORY_SUMMARY]"];
   if (reqId) lines.push(`summarization_request_id=${reqId}`);
@@ -160,6 +161,7 @@ function formatHistorySummaryForPrompt(v) {
   if (summaryText) lines.push(`summary_text=${summaryText}`);
   if (abridged) lines.push(`history_middle_abridged_text=${abridged}`);
   if (endLen) lines.push(`history_end_exchanges=${endLen}`);
+  if (pinnedLen) lines.push(`history_pinned_exchanges=${pinnedLen}`);
   if (lines.length === 1) return "";
   lines.push("[/HISTORY_SUMMARY]");
   return lines.join("\n").trim();
@@ -0,0 +1,90 @@
+"use strict";
+
+const { normalizeString } = require("../infra/util");
+
+// 不消耗 provider 额度的 BYOK 端点（不受预算限制）
+const BUDGET_EXEMPT_ENDPOINTS = new Set(["/get-models"]);
+
+function pickLimit(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function hasAnyLimit(b) {
+  if (pickLimit(b?.dailyUsd) || pickLimit(b?.monthlyUsd)) return true;
+  const ps = b?.providers && typeof b.providers === "object" ? b.providers : {};
+  return Object.values(ps).some((p) => pickLimit(p?.dailyUsd) || pickLimit(p?.monthlyUsd));
+}
+
+function formatUsd(n) {
+  return `$${(Number(n) || 0).toFixed(2)}`;
+}
+
+// spend({ providerId?, period: "daily" | "monthly" }) → 已花费 USD（providerId 为空表示全部 provider）
+function listExceededBudgets(budgets, { providerId, spend } = {}) {
+  const b = budgets && typeof budgets === "object" ? budgets : {};
+  const pid = normalizeString(providerId);
+  const per = pid && b.providers && typeof b.providers === "object" ? b.providers[pid] : null;
+  const checks = [
+    { scope: "overall", providerId: "", period: "daily", limitUsd: pickLimit(b.dailyUsd) },
+    { scope: "overall", providerId: "", period: "monthly", limitUsd: pickLimit(b.monthlyUsd) },
+    { scope: "provider", providerId: pid, period: "daily", limitUsd: pickLimit(per?.dailyUsd) },
+    { scope: "provider", providerId: pid, period: "monthly", limitUsd: pickLimit(per?.monthlyUsd) }
+  ];
+  const out = [];
+  for (const c of checks) {
+    if (!c.limitUsd) continue;
+    const spentUsd = Number(spend({ providerId: c.providerId, period: c.period })) || 0;
+    if (spentUsd >= c.limitUsd) out.push({ ...c, spentUsd });
+  }
+  return out;
+}
+
+function formatExceededBudget(e) {
+  const who = e.scope === "overall" ? "全部 provider" : `provider ${e.providerId}`;
+  const when = e.period === "daily" ? "今日" : "本月";
+  return `${who} ${when} ${formatUsd(e.spentUsd)} / ${formatUsd(e.limitUsd)}`;
+}
+
+function pickProviderById(cfg, providerId) {
+  const id = normalizeString(providerId);
+  const list = Array.isArray(cfg?.providers) ? cfg.providers : [];
+  return id ? list.find((p) => p && normalizeString(p.id) === id) || null : null;
+}
+
+// 超限：onExceeded=downgrade、超出的都是原 provider 自身的额度、且 downgrade 目标自身未超限 → 改路由到目标；
+// 全局额度超限时换 provider 也还是超，直接 mode=blocked（由 shim 输出错误结果，不回落 official）。
+function applyBudgetGuard({ cfg, route, spend } = {}) {
+  const r = route && typeof route === "object" ? route : null;
+  const budgets = cfg?.budgets && typeof cfg.budgets === "object" ? cfg.budgets : null;
+  if (!r || r.mode !== "byok" || !budgets || !hasAnyLimit(budgets)) return r;
+  if (BUDGET_EXEMPT_ENDPOINTS.has(normalizeString(r.endpoint))) return r;
+  if (typeof spend !== "function") return r;
+
+  const providerOver = (pid) => listExceededBudgets({ providers: budgets.providers }, { providerId: pid, spend }).length > 0;
+  const exceeded = listExceededBudgets(budgets, { providerId: r.provider?.id, spend });
+  if (!exceeded.length) {
+    const fallbacks = Array.isArray(r.fallbacks) ? r.fallbacks.filter((f) => !providerOver(f?.provider?.id)) : [];
+    return fallbacks.length === (r.fallbacks || []).length ? r : { ...r, fallbacks };
+  }
+
+  const detail = exceeded.map(formatExceededBudget).join("; ");
+  const providerScoped = exceeded.every((e) => e.scope === "provider");
+  if (providerScoped && normalizeString(budgets.onExceeded) === "downgrade") {
+    const target = budgets.downgrade && typeof budgets.downgrade === "object" ? budgets.downgrade : {};
+    const provider = pickProviderById(cfg, target.providerId);
+    const model = normalizeString(target.model) || normalizeString(provider?.defaultModel);
+    const same = provider && provider === r.provider && model === normalizeString(r.model);
+    if (provider && model && !same && !providerOver(provider.id)) {
+      return { ...r, reason: "budget_downgrade", provider, model, fallbacks: [], budgetExceeded: detail };
+    }
+  }
+  return { ...r, mode: "blocked", reason: "budget", fallbacks: [], budgetExceeded: detail };
+}
+
+function formatBudgetBlockedMessage(route) {
+  const detail = normalizeString(route?.budgetExceeded);
+  return `BYOK 预算已超限（${detail || "limit reached"}），已拒绝本次请求；可在配置 budgets 中调整额度或改用 downgrade。`;
+}
+
+module.exports = { listExceededBudgets, applyBudgetGuard, formatBudgetBlockedMessage };
@@ -0,0 +1,115 @@
+"use strict";
+
+const { normalizeString } = require("../../infra/util");
+const { redactSecrets } = require("../../infra/log");
+const { buildToolMetaByName } = require("../augment-chat");
+const { streamAugmentChatChunksByProviderType } = require("../provider-augment-chat");
+const { createCaptureSession, bindCaptureSession } = require("./session");
+
+// 回放时不需要真实凭证：录制的响应已包含结果，适配器只需通过“已配置 apiKey”的校验
+const REPLAY_API_KEY = "byok-replay";
+// chat-stream shim 在适配器输出之上追加的字段，回放对比时忽略
+const SHIM_ONLY_CHUNK_KEYS = ["checkpoint_not_found", "workspace_file_chunks"];
+
+function requestPath(url) {
+  try {
+    return new URL(String(url)).pathname;
+  } catch {
+    return String(url || "").replace(/[?#].*$/, "");
+  }
+}
+
+function toReplayResponse(exchange) {
+  if (exchange.error && !exchange.response) throw new Error(`replay: recorded fetch error: ${exchange.error}`);
+  const r = exchange.response || {};
+  const parts = Array.isArray(r.bodyBase64Chunks)
+    ? r.bodyBase64Chunks.map((b) => new Uint8Array(Buffer.from(String(b), "base64")))
+    : (Array.isArray(r.bodyChunks) ? r.bodyChunks : []).map((s) => new TextEncoder().encode(String(s)));
+  let i = 0;
+  const body = new ReadableStream({
+    pull(controller) {
+      if (i < parts.length) controller.enqueue(parts[i++]);
+      else controller.close();
+    }
+  });
+  const status = Number(r.status) || 200;
+  return new Response([204, 205, 304].includes(status) ? null : body, { status, headers: r.headers || {} });
+}
+
+/**
+ * 按“方法 + 路径”顺序匹配录制的 HTTP 往返（忽略 host/query，便于跨环境回放）；
+ * 匹配不到时退回到下一个未使用的记录（例如重试改写了 URL）。
+ */
+function createReplayResponder(exchanges) {
+  const list = Array.isArray(exchanges) ? exchanges : [];
+  const used = new Set();
+  return {
+    used,
+    async respond(url, init) {
+      const method = normalizeString(init?.method) || "GET";
+      const p = requestPath(url);
+      let idx = list.findIndex((e, i) => !used.has(i) && (normalizeString(e?.request?.method) || "GET") === method && requestPath(e?.request?.url) === p);
+      if (idx < 0) idx = list.findIndex((_e, i) => !used.has(i));
+      if (idx < 0) throw new Error(`replay: 没有可用的录制响应（${method} ${p}）`);
+      used.add(idx);
+      return toReplayResponse(list[idx]);
+    }
+  };
+}
+
+// 默认回放最后一个 attempt（failover 时即最终产出 chunks 的那个 provider）
+function pickReplayAttempt(capture, attemptIndex) {
+  const attempts = Array.isArray(capture?.attempts) ? capture.attempts : [];
+  if (!attempts.length) throw new Error("capture 不包含任何 provider attempt");
+  const idx = attemptIndex == null ? attempts.length - 1 : Number(attemptIndex);
+  const a = attempts[idx];
+  if (!a || !normalizeString(a.type)) throw new Error(`capture attempt 不存在: ${attemptIndex}`);
+  return a;
+}
+
+// 把录制的上游响应重新喂给同一个 provider 适配器，得到 Augment chunks（离线、确定性）
+async function* replayCaptureChunks(capture, { attemptIndex, timeoutMs } = {}) {
+  const a = pickReplayAttempt(capture, attemptIndex);
+  const req = capture.augmentRequest && typeof capture.augmentRequest === "object" ? capture.augmentRequest : {};
+  const options = capture.options && typeof capture.options === "object" ? capture.options : {};
+  const session = createCaptureSession({ endpoint: capture.endpoint, requestId: capture.requestId, replay: createReplayResponder(a.exchanges) });
+  yield* bindCaptureSession(
+    session,
+    streamAugmentChatChunksByProviderType({
+      type: a.type,
+      baseUrl: a.baseUrl,
+      apiKey: REPLAY_API_KEY,
+      model: a.model,
+      req,
+      timeoutMs: Number(timeoutMs) > 0 ? Number(timeoutMs) : 30000,
+      extraHeaders: {},
+      requestDefaults: a.requestDefaults,
+      toolMetaByName: buildToolMetaByName(req.tool_definitions),
+      supportToolUseStart: options.supportToolUseStart === true,
+      supportParallelToolUse: options.supportParallelToolUse === true,
+      nodeIdStart: 0
+    })
+  );
+}
+
+function stripShimOnlyKeys(chunk) {
+  if (!chunk || typeof chunk !== "object") return chunk;
+  const out = { ...chunk };
+  for (const k of SHIM_ONLY_CHUNK_KEYS) delete out[k];
+  return out;
+}
+
+// 与录制的输出对比（actual 按落盘规则脱敏后再比）；返回第一处差异（null 表示一致），用于把 capture 固化为回归测试
+function diffReplayChunks(expected, actual) {
+  const e = (Array.isArray(expected) ? expected : []).map(stripShimOnlyKeys);
+  const a = redactSecrets(Array.isArray(actual) ? actual : []).map(stripShimOnlyKeys);
+  const n = Math.max(e.length, a.length);
+  for (let i = 0; i < n; i++) {
+    const x = JSON.stringify(e[i]);
+    const y = JSON.stringify(a[i]);
+    if (x !== y) return { index: i, expected: e[i], actual: a[i] };
+  }
+  return null;
+}
+
+module.exports = { REPLAY_API_KEY, createReplayResponder, replayCaptureChunks, diffReplayChunks };
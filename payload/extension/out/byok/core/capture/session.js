@@ -0,0 +1,193 @@
+"use strict";
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { normalizeString } = require("../../infra/util");
+const { redactSecrets, redactSecretText } = require("../../infra/log");
+
+const CAPTURE_FORMAT_VERSION = 1;
+// 单个 HTTP 响应最多记录的字符数（超出后只透传不记录，标记 truncated）
+const MAX_RESPONSE_CHARS = 8 * 1024 * 1024;
+const MIN_SECRET_LENGTH = 8;
+
+// 只在 provider 适配器的执行期间生效：safeFetch 通过它找到当前 capture/replay 会话
+const sessionStorage = new AsyncLocalStorage();
+
+function isTextContentType(contentType) {
+  const ct = normalizeString(contentType).toLowerCase();
+  return !ct || ct.startsWith("text/") || ct.includes("json") || ct.includes("xml") || ct.includes("x-www-form-urlencoded");
+}
+
+function headersToObject(headers) {
+  if (!headers) return {};
+  if (typeof headers.forEach === "function" && typeof headers.get === "function") {
+    const out = {};
+    headers.forEach((v, k) => (out[k] = v));
+    return out;
+  }
+  return headers && typeof headers === "object" ? { ...headers } : {};
+}
+
+function parseBodyForCapture(body) {
+  if (body == null) return null;
+  if (typeof body !== "string") return `[${Object.prototype.toString.call(body)}]`;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * 一次 BYOK 交换的 capture 会话：Augment 请求、每个 provider attempt 的 HTTP 往返（含原始响应帧）与输出 chunks。
+ * `replay` 非空时为回放会话：safeFetch 不再联网，改由 replay.respond(url, init) 返回录制的响应。
+ */
+function createCaptureSession({ endpoint, requestId, augmentRequest, options, replay } = {}) {
+  return {
+    endpoint: normalizeString(endpoint),
+    requestId: normalizeString(requestId),
+    startedAtMs: Date.now(),
+    augmentRequest: augmentRequest ?? null,
+    options: options && typeof options === "object" ? { ...options } : {},
+    attempts: [],
+    chunks: [],
+    error: "",
+    secrets: new Set(),
+    replay: replay || null
+  };
+}
+
+function beginCaptureAttempt(session, { providerId, type, baseUrl, model, requestDefaults, apiKey } = {}) {
+  const attempt = {
+    providerId: normalizeString(providerId),
+    type: normalizeString(type),
+    baseUrl: normalizeString(baseUrl),
+    model: normalizeString(model),
+    requestDefaults: requestDefaults && typeof requestDefaults === "object" ? requestDefaults : {},
+    exchanges: []
+  };
+  session.attempts.push(attempt);
+  const key = normalizeString(apiKey);
+  if (key.length >= MIN_SECRET_LENGTH) session.secrets.add(key);
+  return attempt;
+}
+
+function currentCaptureAttempt(session) {
+  if (!session.attempts.length) beginCaptureAttempt(session, {});
+  return session.attempts[session.attempts.length - 1];
+}
+
+// AsyncLocalStorage 需要在每次 next() 时进入：async generator 的函数体在调用方的上下文中执行
+async function* bindCaptureSession(session, src) {
+  const it = src[Symbol.asyncIterator]();
+  let done = false;
+  try {
+    while (true) {
+      const r = await sessionStorage.run(session, () => it.next());
+      if (r.done) {
+        done = true;
+        return r.value;
+      }
+      yield r.value;
+    }
+  } finally {
+    if (!done && typeof it.return === "function") await sessionStorage.run(session, () => it.return());
+  }
+}
+
+function recordResponse(exchange, resp) {
+  const contentType = resp.headers && typeof resp.headers.get === "function" ? resp.headers.get("content-type") : "";
+  const binary = !isTextContentType(contentType);
+  const r = { status: resp.status, headers: headersToObject(resp.headers), [binary ? "bodyBase64Chunks" : "bodyChunks"]: [] };
+  exchange.response = r;
+  if (!resp.body || typeof resp.body.pipeThrough !== "function") return resp;
+
+  const decoder = new TextDecoder();
+  let chars = 0;
+  const push = (s) => {
+    if (!s || r.truncated) return;
+    if (chars + s.length > MAX_RESPONSE_CHARS) {
+      r.truncated = true;
+      return;
+    }
+    chars += s.length;
+    (binary ? r.bodyBase64Chunks : r.bodyChunks).push(s);
+  };
+  // 按网络到达的分块记录（保留分块边界，回放时可复现跨 chunk 的解析问题）
+  const tap = new TransformStream({
+    transform(chunk, controller) {
+      push(binary ? Buffer.from(chunk).toString("base64") : decoder.decode(chunk, { stream: true }));
+      controller.enqueue(chunk);
+    },
+    flush() {
+      if (!binary) push(decoder.decode());
+    }
+  });
+  return new Response(resp.body.pipeThrough(tap), { status: resp.status, statusText: resp.statusText, headers: resp.headers });
+}
+
+// safeFetch 的拦截点：无会话时直接联网；capture 会话记录请求与响应；replay 会话返回录制的响应
+async function fetchWithCapture(url, init, doFetch) {
+  const session = sessionStorage.getStore();
+  if (!session) return await doFetch();
+  if (session.replay) return await session.replay.respond(url, init);
+
+  const i = init || {};
+  const exchange = {
+    request: { method: normalizeString(i.method) || "GET", url: String(url), headers: headersToObject(i.headers), body: parseBodyForCapture(i.body) },
+    response: null
+  };
+  currentCaptureAttempt(session).exchanges.push(exchange);
+  try {
+    return recordResponse(exchange, await doFetch());
+  } catch (err) {
+    exchange.error = err instanceof Error ? err.message : String(err);
+    throw err;
+  }
+}
+
+function recordCaptureChunk(session, chunk) {
+  session.chunks.push(chunk);
+}
+
+function scrubSecrets(json, secrets) {
+  let s = json;
+  for (const secret of secrets) {
+    for (const form of new Set([secret, JSON.stringify(secret).slice(1, -1)])) s = s.split(form).join("***");
+  }
+  return s;
+}
+
+// 落盘格式：凭证按 infra/log 的规则脱敏（不截断），并额外抹掉本次用到的 apiKey 原文
+function serializeCaptureSession(session) {
+  const attempts = session.attempts.map((a) => ({
+    ...a,
+    exchanges: a.exchanges.map((e) => {
+      const res = e.response;
+      const response = res ? { ...res, headers: redactSecrets(res.headers), ...(res.bodyChunks ? { bodyChunks: res.bodyChunks.map(redactSecretText) } : {}) } : null;
+      return { request: redactSecrets(e.request), response, ...(e.error ? { error: redactSecretText(e.error) } : {}) };
+    })
+  }));
+  const out = {
+    version: CAPTURE_FORMAT_VERSION,
+    capturedAt: new Date(session.startedAtMs).toISOString(),
+    durationMs: Date.now() - session.startedAtMs,
+    endpoint: session.endpoint,
+    requestId: session.requestId,
+    options: session.options,
+    augmentRequest: redactSecrets(session.augmentRequest),
+    attempts: attempts.map((a) => ({ ...a, baseUrl: redactSecretText(a.baseUrl), requestDefaults: redactSecrets(a.requestDefaults) })),
+    chunks: redactSecrets(session.chunks),
+    ...(session.error ? { error: redactSecretText(session.error) } : {})
+  };
+  return JSON.parse(scrubSecrets(JSON.stringify(out), session.secrets));
+}
+
+module.exports = {
+  CAPTURE_FORMAT_VERSION,
+  createCaptureSession,
+  beginCaptureAttempt,
+  bindCaptureSession,
+  fetchWithCapture,
+  recordCaptureChunk,
+  serializeCaptureSession
+};
@@ -0,0 +1,101 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { debug, warn } = require("../../infra/log");
+const { normalizeString } = require("../../infra/util");
+const { createCaptureSession, recordCaptureChunk, serializeCaptureSession } = require("./session");
+
+const DEFAULT_CAPTURE_MAX_FILES = 50;
+const CAPTURE_FILE_RE = /^\d{4}-\d{2}-\d{2}T.*\.json$/;
+
+let defaultCaptureDir = "";
+
+// 未配置 capture.dir 时落到扩展的 globalStorage（bootstrap 激活时注入）
+function setCaptureDefaultDir(dir) {
+  defaultCaptureDir = normalizeString(dir);
+  return Boolean(defaultCaptureDir);
+}
+
+function resolveCaptureConfig(cfg) {
+  const c = cfg && typeof cfg === "object" && cfg.capture && typeof cfg.capture === "object" ? cfg.capture : null;
+  if (!c || c.enabled !== true) return null;
+  const dir = normalizeString(c.dir) || (defaultCaptureDir ? path.join(defaultCaptureDir, "captures") : "");
+  if (!dir) return null;
+  const maxFiles = Number(c.maxFiles);
+  return { dir, maxFiles: Number.isFinite(maxFiles) && maxFiles > 0 ? Math.floor(maxFiles) : DEFAULT_CAPTURE_MAX_FILES };
+}
+
+function captureFileName(capture) {
+  const stamp = normalizeString(capture?.capturedAt).replace(/[:.]/g, "-") || new Date().toISOString().replace(/[:.]/g, "-");
+  const ep = normalizeString(capture?.endpoint).replace(/[^A-Za-z0-9_-]+/g, "_").replace(/^_+|_+$/g, "") || "byok";
+  const rid = normalizeString(capture?.requestId).replace(/[^A-Za-z0-9_-]+/g, "").slice(0, 40);
+  return `${stamp}_${ep}${rid ? `_${rid}` : ""}.json`;
+}
+
+// 轮转：文件名以时间戳开头，按名称排序删除最旧的，保留最近 maxFiles 个
+async function rotateCaptureDir(dir, maxFiles) {
+  const names = (await fs.promises.readdir(dir)).filter((n) => CAPTURE_FILE_RE.test(n)).sort();
+  const stale = names.slice(0, Math.max(0, names.length - maxFiles));
+  for (const n of stale) await fs.promises.unlink(path.join(dir, n)).catch(() => void 0);
+  return stale.length;
+}
+
+async function writeCaptureFile(capture, { dir, maxFiles } = {}) {
+  const d = normalizeString(dir);
+  if (!d) throw new Error("capture dir 未配置");
+  await fs.promises.mkdir(d, { recursive: true });
+  const filePath = path.join(d, captureFileName(capture));
+  await fs.promises.writeFile(filePath, JSON.stringify(capture, null, 2), "utf8");
+  const removed = await rotateCaptureDir(d, Number(maxFiles) > 0 ? Number(maxFiles) : DEFAULT_CAPTURE_MAX_FILES);
+  debug(`capture written: ${filePath}${removed ? ` (rotated ${removed})` : ""}`);
+  return filePath;
+}
+
+async function readCaptureFile(filePath) {
+  const raw = await fs.promises.readFile(filePath, "utf8");
+  const json = JSON.parse(raw);
+  if (!json || typeof json !== "object" || !Array.isArray(json.attempts)) throw new Error(`不是有效的 capture 文件: ${filePath}`);
+  return json;
+}
+
+// capture 未开启时返回 null（调用方按原路径执行，零开销）
+function startCaptureSession(cfg, { endpoint, requestId } = {}) {
+  const conf = resolveCaptureConfig(cfg);
+  if (!conf) return null;
+  const session = createCaptureSession({ endpoint, requestId });
+  session.store = conf;
+  return session;
+}
+
+// 透传输出 chunks 并记录；流结束（含异常/取消）后写盘，写盘失败只告警不影响请求
+async function* recordCapturedChunks(session, src) {
+  try {
+    for await (const chunk of src) {
+      recordCaptureChunk(session, chunk);
+      yield chunk;
+    }
+  } catch (err) {
+    session.error = err instanceof Error ? err.message : String(err);
+    throw err;
+  } finally {
+    // 空请求（未调用任何 provider）不落盘
+    if (session.attempts.length || session.error) {
+      try {
+        await writeCaptureFile(serializeCaptureSession(session), session.store);
+      } catch (err) {
+        warn("capture write failed:", err instanceof Error ? err.message : String(err));
+      }
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_CAPTURE_MAX_FILES,
+  setCaptureDefaultDir,
+  resolveCaptureConfig,
+  writeCaptureFile,
+  readCaptureFile,
+  startCaptureSession,
+  recordCapturedChunks
+};
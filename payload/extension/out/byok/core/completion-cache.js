@@ -0,0 +1,96 @@
+"use strict";
+
+const crypto = require("crypto");
+const { normalizeString } = require("../infra/util");
+
+// /completion、/chat-input-completion 的内存缓存（不持久化）：Map 插入序即 LRU 序
+const COMPLETION_CACHE = new Map();
+const COMPLETION_CACHE_MAX_ENTRIES = 200;
+const COMPLETION_CACHE_TTL_MS = 5 * 60 * 1000;
+// 光标上下文：只取 suffix 开头这么多字符参与 key，远处代码变化不影响复用
+const CURSOR_SUFFIX_CONTEXT_CHARS = 256;
+
+const STATS = { lookups: 0, hits: 0, typeThroughHits: 0 };
+
+function hashText(s) {
+  return crypto.createHash("sha256").update(String(s), "utf8").digest("hex").slice(0, 24);
+}
+
+function normalizeInput(input) {
+  const r = input && typeof input === "object" ? input : {};
+  const prefix = typeof r.prefix === "string" ? r.prefix : "";
+  const suffix = typeof r.suffix === "string" ? r.suffix : "";
+  // scope：端点 + path + 路由（provider/model）+ 光标后的上下文；prefix 单独按长度 + hash 比较
+  const scope = [normalizeString(r.endpoint), normalizeString(r.path), normalizeString(r.routeKey), hashText(suffix.slice(0, CURSOR_SUFFIX_CONTEXT_CHARS))].join("|");
+  return { scope, prefix };
+}
+
+function isFresh(entry, nowMs) {
+  return Boolean(entry) && nowMs - entry.storedAtMs <= COMPLETION_CACHE_TTL_MS;
+}
+
+function touch(key, entry) {
+  COMPLETION_CACHE.delete(key);
+  COMPLETION_CACHE.set(key, entry);
+}
+
+// 用户在缓存的补全上继续输入：新 prefix = 旧 prefix + 已输入字符，且已输入字符恰好是补全的开头
+function findTypeThrough(scope, prefix, nowMs) {
+  let best = null;
+  for (const [key, e] of COMPLETION_CACHE.entries()) {
+    if (e.scope !== scope || prefix.length <= e.prefixLength || !isFresh(e, nowMs)) continue;
+    const typed = prefix.slice(e.prefixLength);
+    if (typed.length >= e.text.length || !e.text.startsWith(typed)) continue;
+    if (best && best.entry.prefixLength >= e.prefixLength) continue;
+    if (hashText(prefix.slice(0, e.prefixLength)) !== e.prefixHash) continue;
+    best = { key, entry: e, typed };
+  }
+  return best;
+}
+
+/**
+ * 查缓存：精确命中（同一 prefix）或 type-through 命中（返回补全剩余部分）；未命中返回 null。
+ */
+function lookupCompletion(input, { nowMs = Date.now() } = {}) {
+  const { scope, prefix } = normalizeInput(input);
+  STATS.lookups += 1;
+
+  const key = `${scope}|${prefix.length}|${hashText(prefix)}`;
+  const exact = COMPLETION_CACHE.get(key);
+  if (exact && isFresh(exact, nowMs)) {
+    touch(key, exact);
+    STATS.hits += 1;
+    return { text: exact.text, kind: "exact" };
+  }
+  if (exact) COMPLETION_CACHE.delete(key);
+
+  const tt = findTypeThrough(scope, prefix, nowMs);
+  if (!tt) return null;
+  touch(tt.key, tt.entry);
+  STATS.hits += 1;
+  STATS.typeThroughHits += 1;
+  return { text: tt.entry.text.slice(tt.typed.length), kind: "type_through" };
+}
+
+function storeCompletion(input, text, { nowMs = Date.now() } = {}) {
+  if (typeof text !== "string") return;
+  const { scope, prefix } = normalizeInput(input);
+  const prefixHash = hashText(prefix);
+  const key = `${scope}|${prefix.length}|${prefixHash}`;
+  touch(key, { scope, prefixLength: prefix.length, prefixHash, text, storedAtMs: nowMs });
+  while (COMPLETION_CACHE.size > COMPLETION_CACHE_MAX_ENTRIES) COMPLETION_CACHE.delete(COMPLETION_CACHE.keys().next().value);
+}
+
+function getCompletionCacheStats() {
+  const hitRate = STATS.lookups ? STATS.hits / STATS.lookups : 0;
+  return { ...STATS, entries: COMPLETION_CACHE.size, hitRate };
+}
+
+function resetCompletionCache() {
+  COMPLETION_CACHE.clear();
+  STATS.lookups = 0;
+  STATS.hits = 0;
+  STATS.typeThroughHits = 0;
+}
+
+module.exports = { lookupCompletion, storeCompletion, getCompletionCacheStats, resetCompletionCache };
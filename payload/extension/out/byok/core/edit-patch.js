@@ -0,0 +1,114 @@
+"use strict";
+
+const { fuzzyLineRange } = require("./text-match");
+
+// diff 输出模式（prompts.editOutputMode）：模型输出 SEARCH/REPLACE 块或 unified diff，本地应用到选区原文
+const SEARCH_OPEN_RE = /^<{7} SEARCH\s*$/;
+const SEARCH_SEPARATOR_RE = /^={7}\s*$/;
+const SEARCH_CLOSE_RE = /^>{7}(?: REPLACE)?\s*$/;
+
+function stripOuterCodeFence(text) {
+  const t = typeof text === "string" ? text.trim() : "";
+  const m = t.match(/^```[^\n]*\n([\s\S]*?)\n?```$/);
+  return m ? m[1] : t;
+}
+
+function parseSearchReplaceBlocks(lines) {
+  const out = [];
+  let cur = null;
+  for (const line of lines) {
+    if (!cur) {
+      if (SEARCH_OPEN_RE.test(line)) cur = { search: [], replace: [], stage: "search" };
+      continue;
+    }
+    if (cur.stage === "search" && SEARCH_SEPARATOR_RE.test(line)) cur.stage = "replace";
+    else if (cur.stage === "replace" && SEARCH_CLOSE_RE.test(line)) {
+      out.push({ search: cur.search.join("\n"), replace: cur.replace.join("\n") });
+      cur = null;
+    } else cur[cur.stage].push(line);
+  }
+  // 未闭合的块视为输出被截断：整体失败，交给整段重写兜底
+  return cur ? null : out;
+}
+
+function parseUnifiedDiffHunks(lines) {
+  const out = [];
+  let cur = null;
+  const flush = () => {
+    if (cur && (cur.search.length || cur.replace.length)) out.push({ search: cur.search.join("\n"), replace: cur.replace.join("\n") });
+    cur = null;
+  };
+  for (const line of lines) {
+    if (line.startsWith("@@")) {
+      flush();
+      cur = { search: [], replace: [] };
+      continue;
+    }
+    if (!cur || line.startsWith("--- ") || line.startsWith("+++ ") || line.startsWith("\\")) continue;
+    const tag = line[0];
+    const body = line.slice(1);
+    if (tag === "-") cur.search.push(body);
+    else if (tag === "+") cur.replace.push(body);
+    else {
+      // 上下文行（部分模型会丢掉行首空格，空行按上下文处理）
+      const ctx = tag === " " ? body : line;
+      cur.search.push(ctx);
+      cur.replace.push(ctx);
+    }
+  }
+  flush();
+  return out;
+}
+
+/** 解析模型输出的补丁：返回 [{ search, replace }]；无法识别时返回 null。 */
+function parseEditPatch(text) {
+  const raw = stripOuterCodeFence(text).replace(/\r\n/g, "\n");
+  if (!raw) return null;
+  const lines = raw.split("\n");
+  if (lines.some((l) => SEARCH_OPEN_RE.test(l))) {
+    const blocks = parseSearchReplaceBlocks(lines);
+    return blocks && blocks.length ? blocks : null;
+  }
+  if (lines.some((l) => l.startsWith("@@"))) {
+    const hunks = parseUnifiedDiffHunks(lines);
+    return hunks.length ? hunks : null;
+  }
+  return null;
+}
+
+// 先精确匹配（从上一个块之后开始找），再按整行做空白不敏感的模糊匹配
+function locateSearch(source, search, fromIndex) {
+  const exact = source.indexOf(search, fromIndex);
+  if (exact >= 0) return { start: exact, end: exact + search.length };
+  const before = source.indexOf(search);
+  if (before >= 0) return { start: before, end: before + search.length };
+  return fuzzyLineRange(source, search, { fromIndex });
+}
+
+/**
+ * 把补丁应用到原文：成功返回 { ok: true, text }；任一块定位失败返回 { ok: false, error }。
+ */
+function applyEditPatch(source, patchText) {
+  const src = typeof source === "string" ? source : "";
+  const blocks = parseEditPatch(patchText);
+  if (!blocks) return { ok: false, error: "no patch blocks found" };
+
+  let text = src;
+  let cursor = 0;
+  for (let i = 0; i < blocks.length; i++) {
+    const { search, replace } = blocks[i];
+    if (!search.trim()) {
+      if (text.trim()) return { ok: false, error: `block ${i + 1}: empty SEARCH on non-empty code` };
+      text = replace;
+      cursor = text.length;
+      continue;
+    }
+    const hit = locateSearch(text, search, cursor);
+    if (!hit) return { ok: false, error: `block ${i + 1}: SEARCH text not found` };
+    text = text.slice(0, hit.start) + replace + text.slice(hit.end);
+    cursor = hit.start + replace.length;
+  }
+  return { ok: true, text };
+}
+
+module.exports = { parseEditPatch, applyEditPatch };
@@ -0,0 +1,40 @@
+"use strict";
+
+// 结构化输出用的最小 JSON Schema 校验：type / properties / required / additionalProperties:false / items / enum
+function typeMatches(value, type) {
+  if (type === "object") return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  if (type === "array") return Array.isArray(value);
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  if (type === "null") return value === null;
+  return typeof value === type;
+}
+
+function collectErrors(value, schema, at, out) {
+  const s = schema && typeof schema === "object" ? schema : {};
+  const types = Array.isArray(s.type) ? s.type : s.type ? [s.type] : [];
+  if (types.length && !types.some((t) => typeMatches(value, t))) {
+    out.push(`${at}: expected ${types.join("|")}`);
+    return;
+  }
+  if (Array.isArray(s.enum) && !s.enum.includes(value)) out.push(`${at}: expected one of ${s.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+
+  if (typeMatches(value, "object")) {
+    const props = s.properties && typeof s.properties === "object" ? s.properties : {};
+    for (const k of Array.isArray(s.required) ? s.required : []) if (!(k in value)) out.push(`${at}.${k}: required`);
+    for (const [k, v] of Object.entries(value)) {
+      if (props[k]) collectErrors(v, props[k], `${at}.${k}`, out);
+      else if (s.additionalProperties === false) out.push(`${at}.${k}: unexpected property`);
+    }
+  }
+  if (Array.isArray(value) && s.items) value.forEach((v, i) => collectErrors(v, s.items, `${at}[${i}]`, out));
+}
+
+/** 校验 value 是否符合 schema：返回错误列表（空数组表示通过；最多 maxErrors 条）。 */
+function validateJsonSchema(value, schema, { maxErrors = 5 } = {}) {
+  const out = [];
+  collectErrors(value, schema, "$", out);
+  return out.slice(0, maxErrors);
+}
+
+module.exports = { validateJsonSchema };
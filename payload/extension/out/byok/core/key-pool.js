@@ -0,0 +1,178 @@
+"use strict";
+
+const crypto = require("crypto");
+const { normalizeString } = require("../infra/util");
+const { currentProviderCallScope } = require("./provider-call-scope");
+
+// provider 的 key 池：apiKey + apiKeys（去重）；多于 1 个 key 时按 apiKeyRotation 轮换
+const KEY_ROTATION_ROUND_ROBIN = "round_robin";
+const KEY_ROTATION_LEAST_RECENTLY_LIMITED = "least_recently_limited";
+const KEY_ROTATIONS = [KEY_ROTATION_ROUND_ROBIN, KEY_ROTATION_LEAST_RECENTLY_LIMITED];
+// 429/配额错误未带 retry-after 时的冷却时长
+const DEFAULT_KEY_COOLDOWN_MS = 60 * 1000;
+const QUOTA_ERROR_RE = /\b(?:insufficient_quota|quota|rate[ _-]?limit(?:ed)?|resource[ _-]?exhausted|too many requests)\b/i;
+
+// providerId → { cursor, stats: Map(fingerprint → 健康度) }；仅内存（重启即重置）
+const pools = new Map();
+
+function listProviderApiKeys(provider) {
+  const out = [];
+  for (const v of [provider?.apiKey, ...(Array.isArray(provider?.apiKeys) ? provider.apiKeys : [])]) {
+    const s = normalizeString(v);
+    if (s && !out.includes(s)) out.push(s);
+  }
+  return out;
+}
+
+function resolveKeyRotation(provider) {
+  const r = normalizeString(provider?.apiKeyRotation);
+  return KEY_ROTATIONS.includes(r) ? r : KEY_ROTATION_ROUND_ROBIN;
+}
+
+function fingerprintKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex").slice(0, 12);
+}
+
+// 面板展示用：env:/cmd: 引用本身不是密钥，直接显示；其余只显示末 4 位
+function describeKey(key) {
+  const s = normalizeString(key);
+  if (/^(?:env|cmd):/i.test(s)) return s;
+  return s.length > 8 ? `…${s.slice(-4)}` : "…";
+}
+
+function getPool(providerId) {
+  const pid = normalizeString(providerId);
+  let pool = pools.get(pid);
+  if (!pool) pools.set(pid, (pool = { cursor: 0, stats: new Map() }));
+  return pool;
+}
+
+function getKeyStats(pool, fp) {
+  let s = pool.stats.get(fp);
+  if (!s) pool.stats.set(fp, (s = { uses: 0, limitedCount: 0, lastUsedAtMs: 0, lastLimitedAtMs: 0, cooldownUntilMs: 0, lastError: "" }));
+  return s;
+}
+
+function pickKeyIndex(keys, pool, rotation, tried, now) {
+  const open = keys.map((k, i) => ({ i, fp: fingerprintKey(k) })).filter((x) => !tried.has(x.fp));
+  if (!open.length) return -1;
+  const ready = open.filter((x) => getKeyStats(pool, x.fp).cooldownUntilMs <= now);
+  // 全部在冷却：选最早结束冷却的（仍可能 429，但比直接失败好）
+  if (!ready.length) return open.reduce((a, b) => (getKeyStats(pool, b.fp).cooldownUntilMs < getKeyStats(pool, a.fp).cooldownUntilMs ? b : a)).i;
+  if (rotation === KEY_ROTATION_LEAST_RECENTLY_LIMITED) {
+    const rank = (x) => getKeyStats(pool, x.fp);
+    return ready.reduce((a, b) => {
+      const ra = rank(a);
+      const rb = rank(b);
+      if (rb.lastLimitedAtMs !== ra.lastLimitedAtMs) return rb.lastLimitedAtMs < ra.lastLimitedAtMs ? b : a;
+      return rb.lastUsedAtMs < ra.lastUsedAtMs ? b : a;
+    }).i;
+  }
+  const start = pool.cursor % keys.length;
+  const ordered = ready.slice().sort((a, b) => ((a.i - start + keys.length) % keys.length) - ((b.i - start + keys.length) % keys.length));
+  return ordered[0].i;
+}
+
+/**
+ * 为一次 provider 调用租用一个 key：返回 apiKey 替换为所选 key 的 candidate 副本与 lease。
+ * 单 key provider 原样返回（lease=null）；tried 记录本次请求已用过的 key，轮换时跳过。
+ */
+function leaseCandidateKey(candidate, tried) {
+  const provider = candidate?.provider;
+  const keys = listProviderApiKeys(provider);
+  if (keys.length < 2) return { candidate, lease: null };
+  const pool = getPool(provider.id);
+  const now = Date.now();
+  const seen = tried instanceof Set ? tried : new Set();
+  const idx = pickKeyIndex(keys, pool, resolveKeyRotation(provider), seen, now);
+  if (idx < 0) return { candidate, lease: null };
+
+  const fp = fingerprintKey(keys[idx]);
+  const stats = getKeyStats(pool, fp);
+  stats.uses += 1;
+  stats.lastUsedAtMs = now;
+  pool.cursor = idx + 1;
+  seen.add(fp);
+  const lease = { providerId: normalizeString(provider.id), fp, index: idx, remaining: keys.filter((k) => !seen.has(fingerprintKey(k))).length };
+  return { candidate: { ...candidate, provider: { ...provider, apiKey: keys[idx] } }, lease };
+}
+
+function pickErrorStatus(err) {
+  const s = Number(err && typeof err === "object" ? err.status : NaN);
+  if (Number.isFinite(s) && s > 0) return Math.floor(s);
+  const m = (err instanceof Error ? err.message : String(err ?? "")).match(/\s([1-5]\d\d):\s/);
+  return m ? Number(m[1]) : 0;
+}
+
+function isKeyRateLimitError(err) {
+  const status = pickErrorStatus(err);
+  if (status === 429) return true;
+  const msg = err instanceof Error ? err.message : String(err ?? "");
+  return (status === 402 || status === 403) && QUOTA_ERROR_RE.test(msg);
+}
+
+// 429/配额错误：按 retry-after（makeUpstreamHttpError 解析到 err.retryAfterMs）冷却该 key
+function markKeyRateLimited(lease, err) {
+  if (!lease) return 0;
+  const pool = getPool(lease.providerId);
+  const stats = getKeyStats(pool, lease.fp);
+  const retryAfterMs = Number(err && typeof err === "object" ? err.retryAfterMs : NaN);
+  const cooldownMs = Number.isFinite(retryAfterMs) && retryAfterMs > 0 ? retryAfterMs : DEFAULT_KEY_COOLDOWN_MS;
+  const now = Date.now();
+  stats.limitedCount += 1;
+  stats.lastLimitedAtMs = now;
+  stats.cooldownUntilMs = now + cooldownMs;
+  stats.lastError = `http_${pickErrorStatus(err) || "?"}`;
+  return cooldownMs;
+}
+
+// 当前请求的 key 池里还有未用过的 key：429 直接交给轮换，不在同一个 key 上等待重试
+function hasAlternateLeasedKey() {
+  const lease = currentProviderCallScope()?.lease;
+  return Boolean(lease && lease.remaining > 0);
+}
+
+// 面板展示：{ [providerId]: [{ index, label, state, cooldownRemainingMs, uses, limitedCount, lastLimitedAtMs, lastError }] }
+function snapshotKeyPoolHealth(cfg) {
+  const out = {};
+  const now = Date.now();
+  for (const p of Array.isArray(cfg?.providers) ? cfg.providers : []) {
+    const keys = listProviderApiKeys(p);
+    const pid = normalizeString(p?.id);
+    if (!pid || keys.length < 2) continue;
+    const pool = getPool(pid);
+    out[pid] = keys.map((k, index) => {
+      const s = getKeyStats(pool, fingerprintKey(k));
+      const remaining = Math.max(0, s.cooldownUntilMs - now);
+      return {
+        index,
+        label: describeKey(k),
+        state: remaining > 0 ? "cooldown" : "ok",
+        cooldownRemainingMs: remaining,
+        uses: s.uses,
+        limitedCount: s.limitedCount,
+        lastLimitedAtMs: s.lastLimitedAtMs,
+        lastError: s.lastError
+      };
+    });
+  }
+  return out;
+}
+
+function resetKeyPools() {
+  pools.clear();
+}
+
+module.exports = {
+  KEY_ROTATION_ROUND_ROBIN,
+  KEY_ROTATION_LEAST_RECENTLY_LIMITED,
+  KEY_ROTATIONS,
+  DEFAULT_KEY_COOLDOWN_MS,
+  listProviderApiKeys,
+  leaseCandidateKey,
+  isKeyRateLimitError,
+  markKeyRateLimited,
+  hasAlternateLeasedKey,
+  snapshotKeyPoolHealth,
+  resetKeyPools
+};
@@ -0,0 +1,138 @@
+"use strict";
+
+const { normalizeString, parseByokModelId } = require("../infra/util");
+const { normalizePriceFields } = require("../config/normalize-provider");
+
+// 模型能力表：内置（按名称族） < 上游元数据（models 列表 / Ollama /api/show） < providers[].modelCapabilities 覆盖
+const CAPABILITY_NUMBER_KEYS = ["contextWindowTokens", "maxOutputTokens"];
+const CAPABILITY_BOOLEAN_KEYS = ["vision", "tools", "parallelTools"];
+// reasoning：none=不支持；effort=reasoning_effort 档位（OpenAI o 系列/gpt-5）；budget=thinking token 预算（Claude/Gemini 2.5）；always=始终推理且不可关闭
+const REASONING_STYLES = ["none", "effort", "budget", "always"];
+
+// 尽力而为的默认值（自上而下首个匹配生效）；不内置价格，避免过期数据混入用量账本
+const BUILTIN_MODEL_CAPABILITIES = [
+  [/claude-opus-4/, { contextWindowTokens: 200000, maxOutputTokens: 32000, vision: true, tools: true, parallelTools: true, reasoning: "budget" }],
+  [/claude-(?:sonnet-4|haiku-4|3-7-sonnet)/, { contextWindowTokens: 200000, maxOutputTokens: 64000, vision: true, tools: true, parallelTools: true, reasoning: "budget" }],
+  [/claude-/, { contextWindowTokens: 200000, maxOutputTokens: 8192, vision: true, tools: true, parallelTools: true, reasoning: "none" }],
+  [/gpt-5/, { contextWindowTokens: 400000, maxOutputTokens: 128000, vision: true, tools: true, parallelTools: true, reasoning: "effort" }],
+  [/gpt-4\.1/, { contextWindowTokens: 1047576, maxOutputTokens: 32768, vision: true, tools: true, parallelTools: true, reasoning: "none" }],
+  [/gpt-4o/, { contextWindowTokens: 128000, maxOutputTokens: 16384, vision: true, tools: true, parallelTools: true, reasoning: "none" }],
+  [/(?:^|[/:])o[134](?:-mini|-pro)?(?:$|-)/, { contextWindowTokens: 200000, maxOutputTokens: 100000, vision: true, tools: true, parallelTools: false, reasoning: "effort" }],
+  [/gemini-2\.5-(?:pro|flash)/, { contextWindowTokens: 1048576, maxOutputTokens: 65536, vision: true, tools: true, parallelTools: true, reasoning: "budget" }],
+  [/gemini-(?:2\.0|1\.5)/, { contextWindowTokens: 1048576, maxOutputTokens: 8192, vision: true, tools: true, parallelTools: true, reasoning: "none" }],
+  [/deepseek-(?:reasoner|r1)/, { contextWindowTokens: 128000, maxOutputTokens: 65536, vision: false, reasoning: "always" }],
+  [/deepseek-(?:chat|v3)/, { contextWindowTokens: 128000, maxOutputTokens: 8192, vision: false, tools: true, parallelTools: true, reasoning: "none" }]
+];
+
+// 上游元数据探测结果：providerId + lower(modelId) → capabilities（同名模型在不同 provider 上窗口/价格可能不同；仅内存，重启后重新探测）
+const discovered = new Map();
+
+function capabilityKey(model) {
+  const raw = normalizeString(model);
+  const parsed = parseByokModelId(raw);
+  return (parsed ? parsed.modelId : raw).toLowerCase().replace(/^models\//, "");
+}
+
+// providerId 优先取显式值，否则从 byok:<providerId>:<model> 解析
+function discoveredKey(providerId, model) {
+  const id = normalizeString(providerId) || normalizeString(parseByokModelId(normalizeString(model))?.providerId);
+  const key = capabilityKey(model);
+  return id && key ? `${id}\u0000${key}` : "";
+}
+
+function normalizeModelCapabilities(raw) {
+  const r = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const out = {};
+  for (const k of CAPABILITY_NUMBER_KEYS) {
+    const n = Number(r[k]);
+    if (Number.isFinite(n) && n > 0) out[k] = Math.floor(n);
+  }
+  for (const k of CAPABILITY_BOOLEAN_KEYS) if (typeof r[k] === "boolean") out[k] = r[k];
+  const reasoning = normalizeString(r.reasoning);
+  if (REASONING_STYLES.includes(reasoning)) out.reasoning = reasoning;
+  const pricing = normalizePriceFields(r.pricing);
+  if (pricing) out.pricing = pricing;
+  return out;
+}
+
+// 名称里的 `NNk`（例如 coder-32k）：仅在内置表没有窗口时兜底
+function inferContextWindowFromNameSuffix(key) {
+  const mk = key.match(/(?:^|[^0-9])([0-9]{1,4})k(?:\b|[^0-9])/);
+  const n = mk ? Number(mk[1]) : 0;
+  if (!Number.isFinite(n) || n <= 0) return null;
+  if (n === 128) return 128000;
+  if (n === 200) return 200000;
+  return n * 1024;
+}
+
+function matchBuiltinCapabilities(key) {
+  const hit = BUILTIN_MODEL_CAPABILITIES.find(([re]) => re.test(key));
+  return hit ? { ...hit[1] } : {};
+}
+
+// providers[].modelCapabilities：{ [modelId 或子串]: {...} }；精确匹配优先，否则取最长的包含子串
+function matchProviderOverrides(provider, key) {
+  const table = provider && typeof provider.modelCapabilities === "object" && !Array.isArray(provider.modelCapabilities) ? provider.modelCapabilities : {};
+  const keys = Object.keys(table).filter((k) => normalizeString(k));
+  const exact = keys.find((k) => capabilityKey(k) === key);
+  if (exact) return normalizeModelCapabilities(table[exact]);
+  const partial = keys.filter((k) => key.includes(capabilityKey(k))).sort((a, b) => b.length - a.length)[0];
+  return partial ? normalizeModelCapabilities(table[partial]) : {};
+}
+
+function rememberModelCapabilities({ providerId, model } = {}, caps) {
+  const dk = discoveredKey(providerId, model);
+  const c = normalizeModelCapabilities(caps);
+  if (!dk || !Object.keys(c).length) return false;
+  discovered.set(dk, { ...discovered.get(dk), ...c });
+  return true;
+}
+
+function resolveModelCapabilities({ provider, model } = {}) {
+  const key = capabilityKey(model);
+  if (!key) return {};
+  const out = matchBuiltinCapabilities(key);
+  if (!out.contextWindowTokens) {
+    const n = inferContextWindowFromNameSuffix(key);
+    if (n) out.contextWindowTokens = n;
+  }
+  return { ...out, ...discovered.get(discoveredKey(provider?.id, model)), ...matchProviderOverrides(provider, key) };
+}
+
+function formatTokenCount(n) {
+  return n >= 1000 ? `${Math.round(n / 1000)}k` : String(n);
+}
+
+// `/get-models` 的 model_info_registry 描述，例如 "ctx 200k · out 64k · tools · vision · reasoning:budget"
+function describeModelCapabilities(caps) {
+  const c = caps && typeof caps === "object" ? caps : {};
+  const parts = [];
+  if (c.contextWindowTokens) parts.push(`ctx ${formatTokenCount(c.contextWindowTokens)}`);
+  if (c.maxOutputTokens) parts.push(`out ${formatTokenCount(c.maxOutputTokens)}`);
+  if (c.tools) parts.push(c.parallelTools ? "tools(parallel)" : "tools");
+  if (c.vision) parts.push("vision");
+  if (c.reasoning && c.reasoning !== "none") parts.push(`reasoning:${c.reasoning}`);
+  return parts.join(" · ");
+}
+
+// `/get-models` 的 model_info_registry 结构化字段（与 description 同源；不含 pricing）
+function pickModelInfoCapabilities(caps) {
+  const c = caps && typeof caps === "object" ? caps : {};
+  const out = {};
+  for (const k of [...CAPABILITY_NUMBER_KEYS, ...CAPABILITY_BOOLEAN_KEYS, "reasoning"]) if (c[k] !== undefined) out[k] = c[k];
+  return out;
+}
+
+function clearDiscoveredModelCapabilities() {
+  discovered.clear();
+}
+
+module.exports = {
+  REASONING_STYLES,
+  normalizeModelCapabilities,
+  rememberModelCapabilities,
+  resolveModelCapabilities,
+  describeModelCapabilities,
+  pickModelInfoCapabilities,
+  clearDiscoveredModelCapabilities
+};
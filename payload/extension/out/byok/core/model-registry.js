@@ -1,6 +1,7 @@
 "use strict";
 
 const { normalizeString, parseByokModelId } = require("../infra/util");
+const { resolveModelCapabilities, describeModelCapabilities, pickModelInfoCapabilities } = require("./model-capabilities");
 
 function safeParseJsonObject(raw) {
   try {
@@ -20,7 +21,14 @@ function pickFirstString(obj, keys) {
   return "";
 }
 
-function ensureModelRegistryFeatureFlags(existingFlags, { byokModelIds, defaultModel, agentChatModel } = {}) {
+function findProvider(cfg, providerId) {
+  const list = Array.isArray(cfg?.providers) ? cfg.providers : [];
+  return list.find((p) => normalizeString(p?.id) === providerId) || null;
+}
+
+// cfg 可选：用于查 providers[].modelCapabilities 覆盖；description 为能力摘要（上下文窗口/输出上限/tools/vision/reasoning），
+// 同样的能力另以 capabilities 对象给出结构化值
+function ensureModelRegistryFeatureFlags(existingFlags, { byokModelIds, defaultModel, agentChatModel, cfg } = {}) {
   const dm = normalizeString(defaultModel) || "unknown";
   const flags =
     existingFlags && typeof existingFlags === "object" && !Array.isArray(existingFlags) ? { ...existingFlags } : {};
@@ -33,7 +41,10 @@ function ensureModelRegistryFeatureFlags(existingFlags, { byokModelIds, defaultM
     if (!parsed) continue;
     const displayName = `${parsed.providerId}: ${parsed.modelId}`;
     if (!registry[displayName]) registry[displayName] = raw;
-    if (!infoRegistry[raw]) infoRegistry[raw] = { description: "", disabled: false, displayName, shortName: displayName };
+    if (!infoRegistry[raw]) {
+      const caps = resolveModelCapabilities({ provider: findProvider(cfg, parsed.providerId), model: parsed.modelId });
+      infoRegistry[raw] = { description: describeModelCapabilities(caps), capabilities: pickModelInfoCapabilities(caps), disabled: false, displayName, shortName: displayName };
+    }
   }
 
   const registryJson = JSON.stringify(registry);
@@ -1,6 +1,29 @@
 "use strict";
 
 const { normalizeString } = require("../../infra/util");
+const { validateJsonSchema } = require("../json-schema");
+
+// /next_edit_loc 的结构化输出 schema（兼容 OpenAI strict 模式：字段全部 required、禁止额外字段）
+const NEXT_EDIT_LOC_OUTPUT_SCHEMA = Object.freeze({
+  name: "next_edit_locations",
+  description: "Candidate locations (0-based inclusive line ranges) where the next edit should occur.",
+  schema: {
+    type: "object",
+    properties: {
+      candidate_locations: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { path: { type: "string" }, start: { type: "integer" }, stop: { type: "integer" } },
+          required: ["path", "start", "stop"],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ["candidate_locations"],
+    additionalProperties: false
+  }
+});
 
 function stripOuterCodeFence(text) {
   const t = typeof text === "string" ? text.trim() : "";
@@ -106,32 +129,60 @@ function normalizeNextEditLocCandidate(raw, { fallbackPath, source } = {}) {
   return { item: { path, range: { start, stop: Math.max(start, stop) } }, score, debug_info };
 }
 
-function parseNextEditLocCandidatesFromText(text, { fallbackPath, max, source } = {}) {
-  const parsed = parseJsonValueLoose(text);
-  if (!parsed) return [];
+function pickLocationList(parsed) {
+  if (Array.isArray(parsed)) return parsed;
   const root = parsed && typeof parsed === "object" ? parsed : null;
-  const list =
-    Array.isArray(parsed)
-      ? parsed
-      : Array.isArray(root?.candidate_locations)
-        ? root.candidate_locations
-        : Array.isArray(root?.candidateLocations)
-          ? root.candidateLocations
-          : Array.isArray(root?.locations)
-            ? root.locations
-            : root
-              ? [root]
-              : [];
+  if (!root) return null;
+  for (const k of ["candidate_locations", "candidateLocations", "locations"]) if (Array.isArray(root[k])) return root[k];
+  return [root];
+}
+
+// 宽松形状 → schema 形状：只收敛字段名/外层结构，缺失的 start 不补默认值（交给 schema 校验报错）
+function toSchemaLocation(raw, fallbackPath) {
+  const r = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : null;
+  if (!r) return raw;
+  const item = r.item && typeof r.item === "object" ? r.item : r;
+  const range = item.range && typeof item.range === "object" ? item.range : r.range && typeof r.range === "object" ? r.range : {};
+  const path = item.path ?? item.file_path ?? item.filePath ?? (fallbackPath || undefined);
+  const start = range.start?.line ?? range.start_line ?? range.startLine ?? range.start ?? item.start ?? item.start_line ?? item.startLine;
+  const stop =
+    range.end?.line ?? range.stop?.line ?? range.end_line ?? range.stopLine ?? range.stop ?? range.end ?? item.stop ?? item.stop_line ?? item.stopLine ?? item.end ?? item.end_line ?? item.endLine ?? start;
+  const out = {};
+  if (path !== undefined) out.path = path;
+  if (start !== undefined) out.start = start;
+  if (stop !== undefined) out.stop = stop;
+  return out;
+}
+
+/**
+ * 解析 /next_edit_loc 输出：先宽松提取 JSON（容忍代码块/前后解释文本、根数组、locations 等形状），
+ * 收敛成 schema 形状后再按 NEXT_EDIT_LOC_OUTPUT_SCHEMA 校验。
+ * 返回 { ok: true, candidates } 或 { ok: false, error }（供调用方做一次修复重试）。
+ */
+function parseNextEditLocOutput(text, { fallbackPath, max, source } = {}) {
+  if (!stripOuterCodeFence(text)) return { ok: false, error: "empty output" };
+  const parsed = parseJsonValueLoose(text);
+  const list = pickLocationList(parsed);
+  if (!list) return { ok: false, error: "invalid JSON (no JSON value found)" };
+  const shaped = { candidate_locations: list.map((it) => toSchemaLocation(it, normalizeString(fallbackPath))) };
+  const errors = validateJsonSchema(shaped, NEXT_EDIT_LOC_OUTPUT_SCHEMA.schema);
+  if (errors.length) return { ok: false, error: errors.join("; ") };
 
   const lim = Number.isFinite(Number(max)) && Number(max) > 0 ? Math.min(6, Math.floor(Number(max))) : 1;
-  const out = [];
-  for (const it of list) {
+  const candidates = [];
+  for (const it of shaped.candidate_locations) {
     const c = normalizeNextEditLocCandidate(it, { fallbackPath, source });
-    if (!c) continue;
-    out.push(c);
-    if (out.length >= lim) break;
+    if (c) candidates.push(c);
+    if (candidates.length >= lim) break;
   }
-  return out;
+  return { ok: true, candidates };
+}
+
+function buildNextEditLocRepairMessage(error) {
+  return (
+    `Your previous reply could not be used: ${normalizeString(error) || "invalid output"}.\n` +
+    "Reply again with ONLY a JSON object of the form {\"candidate_locations\":[{\"path\":\"...\",\"start\":0,\"stop\":0}]} — no prose, no markdown."
+  );
 }
 
 function candidateKey(c) {
@@ -163,6 +214,8 @@ function mergeNextEditLocCandidates({ baseline, llmCandidates, max } = {}) {
 }
 
 module.exports = {
-  parseNextEditLocCandidatesFromText,
+  NEXT_EDIT_LOC_OUTPUT_SCHEMA,
+  parseNextEditLocOutput,
+  buildNextEditLocRepairMessage,
   mergeNextEditLocCandidates
 };
@@ -88,7 +88,7 @@ function buildNextEditStreamRuntimeContext(body) {
   };
 
   const blobName = normalizeString(blobNameHint) || normalizeString(blobKeyForText) || normalizeString(path);
-  return { promptBody, path, blobName, selectionBegin, selectionEnd, existingCode };
+  return { promptBody, path, blobName, blobText, selectionBegin, selectionEnd, existingCode };
 }
 
 module.exports = { buildNextEditStreamRuntimeContext };
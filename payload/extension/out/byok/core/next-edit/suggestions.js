@@ -0,0 +1,228 @@
+"use strict";
+
+const { normalizeString } = require("../../infra/util");
+const { normalizeBlobsMap, coerceBlobText } = require("../blob-utils");
+const { bestMatchIndex } = require("../text-match");
+const { pickNumResults } = require("./fields");
+const { utf16ToUtf32Offset, utf32ToUtf16Offset } = require("../unicode-utils");
+
+// 模型输出协议（prompts/next-edit-stream.js）：每个建议一个块，ORIGINAL 为文件中逐字存在的原文；
+// EDIT 后的 path 为空时指当前文件；当前文件的空 ORIGINAL 表示“替换选区”。
+//   <<<<<<< EDIT path/to/file
+//   original
+//   =======
+//   replacement
+//   >>>>>>> END
+const EDIT_OPEN_RE = /^<{7} EDIT(?:\s+(.*))?$/;
+const EDIT_SEPARATOR = "=======";
+const EDIT_CLOSE_RE = /^>{7}(?: END)?\s*$/;
+
+// 每个请求最多产出的建议数（num_results 可调整，上限 6）
+const DEFAULT_MAX_SUGGESTIONS = 3;
+
+function pickMaxNextEditSuggestions(body) {
+  return pickNumResults(body, { defaultValue: DEFAULT_MAX_SUGGESTIONS, max: 6 });
+}
+
+function stripOuterCodeFence(text) {
+  const t = typeof text === "string" ? text : "";
+  const m = t.trim().match(/^```[^\n]*\n([\s\S]*?)\n?```$/);
+  return m ? m[1] : t;
+}
+
+/**
+ * 增量解析流式输出：push(delta) 返回本次闭合的块；finish() 丢弃未闭合的块。
+ * 未出现任何 EDIT 块时 legacyText() 返回整段输出（兼容旧的“只输出替换代码”）。
+ */
+function createNextEditBlockParser() {
+  let pending = "";
+  let full = "";
+  let sawBlock = false;
+  let block = null;
+
+  const consumeLine = (line, out) => {
+    const l = line.endsWith("\r") ? line.slice(0, -1) : line;
+    if (!block) {
+      const m = l.match(EDIT_OPEN_RE);
+      if (m) {
+        sawBlock = true;
+        block = { path: normalizeString(m[1]), original: [], updated: [], stage: "original" };
+      }
+      return;
+    }
+    if (block.stage === "original" && l === EDIT_SEPARATOR) {
+      block.stage = "updated";
+      return;
+    }
+    if (block.stage === "updated" && EDIT_CLOSE_RE.test(l)) {
+      out.push({ path: block.path, original: block.original.join("\n"), updated: block.updated.join("\n") });
+      block = null;
+      return;
+    }
+    block[block.stage].push(l);
+  };
+
+  return {
+    push(delta) {
+      const out = [];
+      const t = typeof delta === "string" ? delta : "";
+      if (!t) return out;
+      full += t;
+      pending += t;
+      let nl;
+      while ((nl = pending.indexOf("\n")) >= 0) {
+        consumeLine(pending.slice(0, nl), out);
+        pending = pending.slice(nl + 1);
+      }
+      return out;
+    },
+    finish() {
+      const out = [];
+      if (pending) consumeLine(pending, out);
+      pending = "";
+      block = null;
+      return out;
+    },
+    legacyText() {
+      return sawBlock ? null : stripOuterCodeFence(full);
+    }
+  };
+}
+
+// 收窄到真正变化的行：去掉首尾相同的整行（各自至少保留一行）；完全相同返回 null
+function trimUnchangedLines(original, updated) {
+  if (original === updated) return null;
+  const a = original.split("\n");
+  const b = updated.split("\n");
+  let head = 0;
+  while (head < a.length - 1 && head < b.length - 1 && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - 1 - head && tail < b.length - 1 - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+  const offset = a.slice(0, head).reduce((n, line) => n + line.length + 1, 0);
+  return { offset, original: a.slice(head, a.length - tail).join("\n"), updated: b.slice(head, b.length - tail).join("\n") };
+}
+
+/**
+ * 可放置建议的文件：path → { blobName, text }；来源为 blobs 与 recent_changes（后者的 blob_name 优先作为 blobName）。
+ */
+function collectNextEditFiles(body) {
+  const b = body && typeof body === "object" ? body : {};
+  const blobs = normalizeBlobsMap(b.blobs) || {};
+  const files = new Map();
+  for (const k of Object.keys(blobs)) {
+    const text = coerceBlobText(blobs[k]);
+    if (text) files.set(k, { blobName: k, text });
+  }
+  const changes = b.recent_changes ?? b.recentChanges;
+  for (const c of Array.isArray(changes) ? changes : []) {
+    const path = normalizeString(c?.path ?? c?.file_path ?? c?.filePath);
+    const blobName = normalizeString(c?.blob_name ?? c?.blobName);
+    if (!path) continue;
+    const text = files.get(path)?.text || (blobName ? files.get(blobName)?.text : "") || "";
+    if (text) files.set(path, { blobName: blobName || path, text });
+  }
+  return files;
+}
+
+function isPrimaryPath(p, primary) {
+  return !p || p === primary.path || p === primary.blobName;
+}
+
+/**
+ * 把解析出的块定位为 next_edit 建议（char 偏移为 UTF-32，与 selection_* 一致）。
+ * 找不到原文 / 内容未变化时返回 null。
+ */
+function resolveNextEditSuggestion(block, { primary, files } = {}) {
+  const p0 = primary && typeof primary === "object" ? primary : {};
+  const blk = block && typeof block === "object" ? block : {};
+  const original = typeof blk.original === "string" ? blk.original : "";
+  const updated = typeof blk.updated === "string" ? blk.updated : "";
+  const onPrimary = isPrimaryPath(normalizeString(blk.path), p0);
+
+  if (onPrimary && (!original || (!p0.blobText && original === p0.existingCode))) {
+    if (updated === p0.existingCode) return null;
+    return { path: p0.path || p0.blobName, blobName: p0.blobName, charStart: p0.selectionBegin, charEnd: p0.selectionEnd, existingCode: p0.existingCode, suggestedCode: updated };
+  }
+  if (!original) return null;
+
+  const file = onPrimary ? { blobName: p0.blobName, text: p0.blobText } : files instanceof Map ? files.get(normalizeString(blk.path)) : null;
+  const text = file && typeof file.text === "string" ? file.text : "";
+  if (!text) return null;
+
+  const hints = onPrimary ? { prefixHint: p0.prefixHint, suffixHint: p0.suffixHint } : {};
+  const idx = bestMatchIndex(text, original, hints);
+  if (idx < 0) return null;
+  const hunk = trimUnchangedLines(original, updated);
+  if (!hunk) return null;
+  const start16 = idx + hunk.offset;
+  return {
+    path: onPrimary ? p0.path || p0.blobName : normalizeString(blk.path),
+    blobName: file.blobName,
+    charStart: utf16ToUtf32Offset(text, start16),
+    charEnd: utf16ToUtf32Offset(text, start16 + hunk.original.length),
+    existingCode: hunk.original,
+    suggestedCode: hunk.updated
+  };
+}
+
+// 同一文件内范围重叠的后续建议丢弃（客户端无法同时应用）
+function overlapsEmitted(emitted, s) {
+  const list = emitted.get(s.path) || [];
+  const hit = list.some(([a, z]) => s.charStart < z && a < s.charEnd) || list.some(([a, z]) => a === z && s.charStart === a);
+  if (!hit) emitted.set(s.path, [...list, [s.charStart, s.charEnd]]);
+  return hit;
+}
+
+/**
+ * 流式 next-edit：从文本增量中逐个产出建议（每个块闭合即产出），最多 maxSuggestions 个。
+ */
+async function* streamNextEditSuggestions(deltas, { primary, files, maxSuggestions } = {}) {
+  const max = Number.isFinite(Number(maxSuggestions)) && Number(maxSuggestions) > 0 ? Math.floor(Number(maxSuggestions)) : 1;
+  const parser = createNextEditBlockParser();
+  const emitted = new Map();
+  let count = 0;
+  const place = (blocks) => {
+    const out = [];
+    for (const blk of blocks) {
+      const s = resolveNextEditSuggestion(blk, { primary, files });
+      if (!s || overlapsEmitted(emitted, s)) continue;
+      out.push(s);
+    }
+    return out;
+  };
+
+  for await (const delta of deltas) {
+    for (const s of place(parser.push(delta))) {
+      yield s;
+      if (++count >= max) return;
+    }
+  }
+  for (const s of place(parser.finish())) {
+    yield s;
+    if (++count >= max) return;
+  }
+
+  const legacy = parser.legacyText();
+  if (legacy != null && count === 0) {
+    const s = resolveNextEditSuggestion({ path: "", original: "", updated: legacy }, { primary, files });
+    if (s) yield s;
+  }
+}
+
+// 主文件选区附近的原文片段：用于同一段原文在文件中多次出现时定位
+function buildPrimaryMatchHints(blobText, selectionBegin, selectionEnd) {
+  const t = typeof blobText === "string" ? blobText : "";
+  if (!t) return { prefixHint: "", suffixHint: "" };
+  const a = utf32ToUtf16Offset(t, selectionBegin);
+  const z = utf32ToUtf16Offset(t, selectionEnd);
+  return { prefixHint: t.slice(Math.max(0, a - 400), a), suffixHint: t.slice(z, z + 400) };
+}
+
+module.exports = {
+  pickMaxNextEditSuggestions,
+  createNextEditBlockParser,
+  collectNextEditFiles,
+  resolveNextEditSuggestion,
+  streamNextEditSuggestions,
+  buildPrimaryMatchHints
+};
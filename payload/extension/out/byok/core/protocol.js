@@ -21,14 +21,15 @@ function buildFallbackChatPrompt(body) {
   return { system: "", messages: [{ role: "user", content: user }] };
 }
 
-function buildMessagesForEndpoint(endpoint, body, cfg) {
+// outputMode 仅对 /edit、/instruction-stream、/smart-paste-stream 生效（"diff" 时要求模型输出补丁）
+function buildMessagesForEndpoint(endpoint, body, cfg, { outputMode } = {}) {
   const ep = normalizeString(endpoint);
   const extraSystem = resolveExtraSystemPrompt(cfg, ep);
   if (ep === "/completion") return buildCompletionPrompt(body, { extraSystem });
   if (ep === "/chat-input-completion") return buildChatInputCompletionPrompt(body, { extraSystem });
-  if (ep === "/edit") return buildEditPrompt(body, { extraSystem });
-  if (ep === "/instruction-stream") return buildInstructionStreamPrompt(body, { extraSystem });
-  if (ep === "/smart-paste-stream") return buildSmartPasteStreamPrompt(body, { extraSystem });
+  if (ep === "/edit") return buildEditPrompt(body, { extraSystem, outputMode });
+  if (ep === "/instruction-stream") return buildInstructionStreamPrompt(body, { extraSystem, outputMode });
+  if (ep === "/smart-paste-stream") return buildSmartPasteStreamPrompt(body, { extraSystem, outputMode });
   if (ep === "/generate-commit-message-stream") return buildCommitMessageStreamPrompt(body, { extraSystem });
   if (ep === "/generate-conversation-title") return buildConversationTitlePrompt(body, { extraSystem });
   if (ep === "/next-edit-stream") return buildNextEditStreamPrompt(body, { extraSystem });
@@ -144,14 +145,14 @@ function buildByokModelsFromConfig(cfg) {
   return out;
 }
 
-function makeBackGetModelsResult({ defaultModel, models }) {
+function makeBackGetModelsResult({ defaultModel, models, cfg }) {
   const dm = normalizeString(defaultModel) || (Array.isArray(models) && models.length ? models[0].name : "unknown");
   const ms = Array.isArray(models) ? models : [];
   const byokIds = ms.map((m) => normalizeString(m?.name)).filter(Boolean);
   return {
     default_model: dm,
     models: ms,
-    feature_flags: ensureModelRegistryFeatureFlags({}, { byokModelIds: byokIds, defaultModel: dm })
+    feature_flags: ensureModelRegistryFeatureFlags({}, { byokModelIds: byokIds, defaultModel: dm, cfg })
   };
 }
 
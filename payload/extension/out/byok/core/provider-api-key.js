@@ -0,0 +1,104 @@
+"use strict";
+
+const { exec } = require("child_process");
+const { debug } = require("../infra/log");
+const { normalizeString, normalizeRawToken } = require("../infra/util");
+
+// apiKey 引用：`env:NAME` 读环境变量；`cmd:<shell command>` 执行命令取 stdout（例如 vault CLI）
+const API_KEY_REF_RE = /^(env|cmd):\s*(\S[\s\S]*)$/i;
+const DEFAULT_API_KEY_TTL_SECONDS = 300;
+const API_KEY_CMD_TIMEOUT_MS = 30000;
+const API_KEY_CMD_MAX_BUFFER = 64 * 1024;
+
+// ref → { value, expiresAtMs } | { pending }；只在内存中，解析结果不回写配置也不进日志
+const cache = new Map();
+
+function parseApiKeyRef(apiKey) {
+  const m = normalizeString(apiKey).match(API_KEY_REF_RE);
+  return m ? { kind: m[1].toLowerCase(), target: m[2].trim() } : null;
+}
+
+function isApiKeyRef(apiKey) {
+  return Boolean(parseApiKeyRef(apiKey));
+}
+
+// `cmd:` 引用的命令文本（非命令引用返回空串）；导入配置时据此提示用户确认
+function apiKeyCommandOf(apiKey) {
+  const ref = parseApiKeyRef(apiKey);
+  return ref && ref.kind === "cmd" ? ref.target : "";
+}
+
+function resolveApiKeyTtlMs(requestDefaults) {
+  const rd = requestDefaults && typeof requestDefaults === "object" && !Array.isArray(requestDefaults) ? requestDefaults : {};
+  const n = Number(rd.__byok_api_key_ttl_seconds);
+  return (Number.isFinite(n) && n >= 0 ? n : DEFAULT_API_KEY_TTL_SECONDS) * 1000;
+}
+
+function runKeyCommand(command) {
+  return new Promise((resolve, reject) => {
+    exec(command, { timeout: API_KEY_CMD_TIMEOUT_MS, maxBuffer: API_KEY_CMD_MAX_BUFFER, windowsHide: true }, (err, stdout) => {
+      // 错误信息只带退出码/信号，不带 stdout/stderr（可能含密钥）
+      if (err) return reject(new Error(`apiKey 命令执行失败（${err.killed ? "timeout" : `code=${err.code ?? err.signal ?? "?"}`}）: ${command}`));
+      resolve(String(stdout || ""));
+    });
+  });
+}
+
+async function fetchApiKeyRef(ref) {
+  if (ref.kind === "env") {
+    const v = normalizeRawToken(process.env[ref.target]);
+    if (!v) throw new Error(`apiKey 环境变量未设置: ${ref.target}`);
+    return v;
+  }
+  const v = normalizeRawToken(await runKeyCommand(ref.target));
+  if (!v) throw new Error(`apiKey 命令输出为空: ${ref.target}`);
+  return v;
+}
+
+/**
+ * 解析 apiKey：普通值原样返回；`env:`/`cmd:` 引用按 TTL 缓存（ttl=0 表示每次重新获取），并发请求共享同一次获取。
+ */
+async function resolveApiKey(apiKey, { ttlMs } = {}) {
+  const raw = normalizeString(apiKey);
+  const ref = parseApiKeyRef(raw);
+  if (!ref) return normalizeRawToken(raw);
+
+  const hit = cache.get(raw);
+  if (hit && hit.pending) return await hit.pending;
+  if (hit && Date.now() < hit.expiresAtMs) return hit.value;
+
+  const ttl = Number.isFinite(Number(ttlMs)) && Number(ttlMs) >= 0 ? Number(ttlMs) : DEFAULT_API_KEY_TTL_SECONDS * 1000;
+  const pending = fetchApiKeyRef(ref);
+  cache.set(raw, { pending });
+  try {
+    const value = await pending;
+    cache.set(raw, { value, expiresAtMs: Date.now() + ttl });
+    debug(`apiKey resolved from ${ref.kind} (ttl=${Math.round(ttl / 1000)}s)`);
+    return value;
+  } catch (err) {
+    cache.delete(raw);
+    throw err;
+  }
+}
+
+async function resolveProviderApiKey(provider) {
+  return await resolveApiKey(provider?.apiKey, { ttlMs: resolveApiKeyTtlMs(provider?.requestDefaults) });
+}
+
+// 401 后丢弃缓存：下次 resolve 会重新执行命令/读取环境变量；返回 false 表示不是引用（重试无意义）
+function invalidateProviderApiKey(provider) {
+  const raw = normalizeString(provider?.apiKey);
+  if (!isApiKeyRef(raw)) return false;
+  cache.delete(raw);
+  return true;
+}
+
+module.exports = {
+  DEFAULT_API_KEY_TTL_SECONDS,
+  isApiKeyRef,
+  apiKeyCommandOf,
+  resolveApiKeyTtlMs,
+  resolveApiKey,
+  resolveProviderApiKey,
+  invalidateProviderApiKey
+};
@@ -11,6 +11,7 @@ const {
   convertOpenAiResponsesTools,
   convertAnthropicTools,
   convertGeminiTools,
+  convertBedrockTools,
   buildOpenAiMessages,
   buildOpenAiResponsesInput,
   buildAnthropicMessages,
@@ -21,16 +22,56 @@ const { openAiCompleteText, openAiChatStreamChunks } = require("../providers/ope
 const { openAiResponsesCompleteText, openAiResponsesChatStreamChunks } = require("../providers/openai-responses");
 const { anthropicCompleteText, anthropicChatStreamChunks } = require("../providers/anthropic");
 const { geminiCompleteText, geminiChatStreamChunks } = require("../providers/gemini");
+const { ollamaCompleteText, ollamaChatStreamChunks } = require("../providers/ollama");
+const { resolveOllamaContextWindowTokens } = require("../providers/ollama/model-info");
+const { bedrockCompleteText, bedrockChatStreamChunks } = require("../providers/bedrock");
+const { isVertexAnthropicModel, resolveVertexTarget } = require("../providers/vertex/request");
+const { isAzureResponsesApi, resolveAzureTarget } = require("../providers/azure/request");
 
-function convertToolDefinitionsByProviderType(type, toolDefs) {
+function convertToolDefinitionsByProviderType(type, toolDefs, model, requestDefaults) {
   const t = normalizeString(type);
-  if (t === "openai_compatible") return convertOpenAiTools(toolDefs);
+  if (t === "openai_compatible" || t === "ollama") return convertOpenAiTools(toolDefs);
   if (t === "anthropic") return convertAnthropicTools(toolDefs);
+  if (t === "gemini_vertex") return isVertexAnthropicModel(model) ? convertAnthropicTools(toolDefs) : convertGeminiTools(toolDefs);
   if (t === "openai_responses") return convertOpenAiResponsesTools(toolDefs);
+  if (t === "azure_openai") return isAzureResponsesApi(requestDefaults) ? convertOpenAiResponsesTools(toolDefs) : convertOpenAiTools(toolDefs);
   if (t === "gemini_ai_studio") return convertGeminiTools(toolDefs);
+  if (t === "bedrock") return convertBedrockTools(toolDefs);
   throw new Error(`未知 provider.type: ${t}（支持：${formatKnownProviderTypes()}）`);
 }
 
+// Anthropic/Bedrock（含 Vertex 上的 Claude）的 input tokens 不含 cache read/write；OpenAI/Responses/Gemini 的 input/prompt tokens 已包含 cached 部分。
+function usageInputIncludesCacheReadsByProviderType(type, model) {
+  const t = normalizeString(type);
+  if (t === "gemini_vertex") return !isVertexAnthropicModel(model);
+  return t !== "anthropic" && t !== "bedrock";
+}
+
+// 本地 Ollama 默认无鉴权；Bedrock 由适配器自行校验（SigV4 凭证 / API key / 自定义 authorization）；其余 provider 必须配置 api_key 或 headers。
+function isApiKeyOptionalByProviderType(type) {
+  const t = normalizeString(type);
+  return t === "ollama" || t === "bedrock";
+}
+
+// 在推断输出上限/触发历史摘要之前，尽量拿到真实上下文窗口（记录到模型能力表；失败不影响请求）。
+async function prefetchContextWindowByProviderType({ type, providerId, baseUrl, apiKey, model, extraHeaders, requestDefaults, timeoutMs, abortSignal }) {
+  if (normalizeString(type) !== "ollama") return null;
+  return await resolveOllamaContextWindowTokens({ providerId, baseUrl, apiKey, model, extraHeaders, requestDefaults, timeoutMs, abortSignal });
+}
+
+// gemini_vertex 复用 Gemini / Anthropic 适配器：先解析 Vertex 目标（含 token 交换），再按 model 的 publisher 选择报文方言。
+// azure_openai 复用 OpenAI Chat Completions / Responses 适配器：按 __byok_azure_api 选择方言，URL/鉴权由 azure 目标替换。
+async function resolveProviderDialect({ type, baseUrl, apiKey, model, extraHeaders, requestDefaults, timeoutMs, abortSignal }) {
+  const t = normalizeString(type);
+  if (t === "azure_openai") {
+    const azure = resolveAzureTarget({ baseUrl, apiKey, model, extraHeaders, requestDefaults });
+    return { dialect: azure.api === "responses" ? "openai_responses" : "openai_compatible", vertex: undefined, azure };
+  }
+  if (t !== "gemini_vertex") return { dialect: t, vertex: undefined, azure: undefined };
+  const vertex = await resolveVertexTarget({ baseUrl, apiKey, model, extraHeaders, requestDefaults, timeoutMs, abortSignal });
+  return { dialect: vertex.publisher === "anthropic" ? "anthropic" : "gemini_ai_studio", vertex, azure: undefined };
+}
+
 async function completeAugmentChatTextByProviderType({
   type,
   baseUrl,
@@ -45,7 +86,8 @@ async function completeAugmentChatTextByProviderType({
   const t = normalizeString(type);
   const lab = `complete/${t || "unknown"}`;
   const callOnce = async (rd) => {
-    if (t === "openai_compatible") {
+    const { dialect: d, vertex, azure } = await resolveProviderDialect({ type: t, baseUrl, apiKey, model, extraHeaders, requestDefaults: rd, timeoutMs, abortSignal });
+    if (d === "openai_compatible") {
       return await openAiCompleteText({
         baseUrl,
         apiKey,
@@ -54,10 +96,11 @@ async function completeAugmentChatTextByProviderType({
         timeoutMs,
         abortSignal,
         extraHeaders,
-        requestDefaults: rd
+        requestDefaults: rd,
+        azure
       });
     }
-    if (t === "anthropic") {
+    if (d === "anthropic") {
       return await anthropicCompleteText({
         baseUrl,
         apiKey,
@@ -67,10 +110,11 @@ async function completeAugmentChatTextByProviderType({
         timeoutMs,
         abortSignal,
         extraHeaders,
-        requestDefaults: rd
+        requestDefaults: rd,
+        vertex
       });
     }
-    if (t === "openai_responses") {
+    if (d === "openai_responses") {
       const { instructions, input } = buildOpenAiResponsesInput(req);
       return await openAiResponsesCompleteText({
         baseUrl,
@@ -81,10 +125,11 @@ async function completeAugmentChatTextByProviderType({
         timeoutMs,
         abortSignal,
         extraHeaders,
-        requestDefaults: rd
+        requestDefaults: rd,
+        azure
       });
     }
-    if (t === "gemini_ai_studio") {
+    if (d === "gemini_ai_studio") {
       const { systemInstruction, contents } = buildGeminiContents(req);
       return await geminiCompleteText({
         baseUrl,
@@ -95,6 +140,32 @@ async function completeAugmentChatTextByProviderType({
         timeoutMs,
         abortSignal,
         extraHeaders,
+        requestDefaults: rd,
+        vertex
+      });
+    }
+    if (d === "ollama") {
+      return await ollamaCompleteText({
+        baseUrl,
+        apiKey,
+        model,
+        messages: buildOpenAiMessages(req),
+        timeoutMs,
+        abortSignal,
+        extraHeaders,
+        requestDefaults: rd
+      });
+    }
+    if (d === "bedrock") {
+      return await bedrockCompleteText({
+        baseUrl,
+        apiKey,
+        model,
+        system: buildSystemPrompt(req),
+        messages: buildAnthropicMessages(req),
+        timeoutMs,
+        abortSignal,
+        extraHeaders,
         requestDefaults: rd
       });
     }
@@ -142,7 +213,7 @@ async function* streamAugmentChatChunksByProviderType({
 }) {
   const t = normalizeString(type);
   const tl = normalizeTraceLabel(traceLabel);
-  const tools = convertToolDefinitionsByProviderType(t, req?.tool_definitions);
+  const tools = convertToolDefinitionsByProviderType(t, req?.tool_definitions, model, requestDefaults);
 
   const label = tl ? `${tl} ${t || "unknown"}` : `${t || "unknown"}`;
   const lab = `stream/${t || "unknown"}`;
@@ -153,8 +224,9 @@ async function* streamAugmentChatChunksByProviderType({
     if (abortSignal && abortSignal.aborted) throw new Error("Aborted");
     let emitted = false;
     try {
+      const { dialect: d, vertex, azure } = await resolveProviderDialect({ type: t, baseUrl, apiKey, model, extraHeaders, requestDefaults: rd, timeoutMs, abortSignal });
       let gen;
-      if (t === "openai_compatible") {
+      if (d === "openai_compatible") {
         gen = openAiChatStreamChunks({
           baseUrl,
           apiKey,
@@ -168,9 +240,10 @@ async function* streamAugmentChatChunksByProviderType({
           toolMetaByName,
           supportToolUseStart,
           supportParallelToolUse,
-          nodeIdStart
+          nodeIdStart,
+          azure
         });
-      } else if (t === "anthropic") {
+      } else if (d === "anthropic") {
         gen = anthropicChatStreamChunks({
           baseUrl,
           apiKey,
@@ -184,9 +257,10 @@ async function* streamAugmentChatChunksByProviderType({
           requestDefaults: rd,
           toolMetaByName,
           supportToolUseStart,
-          nodeIdStart
+          nodeIdStart,
+          vertex
         });
-      } else if (t === "openai_responses") {
+      } else if (d === "openai_responses") {
         const { instructions, input } = buildOpenAiResponsesInput(req);
         gen = openAiResponsesChatStreamChunks({
           baseUrl,
@@ -202,9 +276,10 @@ async function* streamAugmentChatChunksByProviderType({
           toolMetaByName,
           supportToolUseStart,
           supportParallelToolUse,
-          nodeIdStart
+          nodeIdStart,
+          azure
         });
-      } else if (t === "gemini_ai_studio") {
+      } else if (d === "gemini_ai_studio") {
         const { systemInstruction, contents } = buildGeminiContents(req);
         gen = geminiChatStreamChunks({
           baseUrl,
@@ -219,6 +294,38 @@ async function* streamAugmentChatChunksByProviderType({
           requestDefaults: rd,
           toolMetaByName,
           supportToolUseStart,
+          nodeIdStart,
+          vertex
+        });
+      } else if (d === "ollama") {
+        gen = ollamaChatStreamChunks({
+          baseUrl,
+          apiKey,
+          model,
+          messages: buildOpenAiMessages(req),
+          tools,
+          timeoutMs,
+          abortSignal,
+          extraHeaders,
+          requestDefaults: rd,
+          toolMetaByName,
+          supportToolUseStart,
+          nodeIdStart
+        });
+      } else if (d === "bedrock") {
+        gen = bedrockChatStreamChunks({
+          baseUrl,
+          apiKey,
+          model,
+          system: buildSystemPrompt(req),
+          messages: buildAnthropicMessages(req),
+          tools,
+          timeoutMs,
+          abortSignal,
+          extraHeaders,
+          requestDefaults: rd,
+          toolMetaByName,
+          supportToolUseStart,
           nodeIdStart
         });
       } else {
@@ -250,4 +357,12 @@ async function* streamAugmentChatChunksByProviderType({
   throw new Error(`未知 provider.type: ${t}（支持：${formatKnownProviderTypes()}）`);
 }
 
-module.exports = { convertToolDefinitionsByProviderType, completeAugmentChatTextByProviderType, streamAugmentChatChunksByProviderType };
+module.exports = {
+  convertToolDefinitionsByProviderType,
+  usageInputIncludesCacheReadsByProviderType,
+  resolveProviderDialect,
+  isApiKeyOptionalByProviderType,
+  prefetchContextWindowByProviderType,
+  completeAugmentChatTextByProviderType,
+  streamAugmentChatChunksByProviderType
+};
@@ -0,0 +1,50 @@
+"use strict";
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+// 一次 provider 调用的上下文（provider 副本 / key 租约 / endpoint 优先级），供 providers/request-util 在 HTTP 层读取
+const scopeStorage = new AsyncLocalStorage();
+
+async function runInProviderCallScope(scope, fn) {
+  return scope ? await scopeStorage.run(scope, fn) : await fn();
+}
+
+// 同 bindCaptureSession：async generator 的每次 next() 都要进入上下文
+async function* bindProviderCallScope(scope, src) {
+  if (!scope) return yield* src;
+  const it = src[Symbol.asyncIterator]();
+  let done = false;
+  try {
+    while (true) {
+      const r = await scopeStorage.run(scope, () => it.next());
+      if (r.done) {
+        done = true;
+        return r.value;
+      }
+      yield r.value;
+    }
+  } finally {
+    if (!done && typeof it.return === "function") await scopeStorage.run(scope, () => it.return());
+  }
+}
+
+function currentProviderCallScope() {
+  return scopeStorage.getStore() || null;
+}
+
+// providers 解析到上游 usage 时上报（字段同 tokenUsageNode）；由调用上下文的 onUsage 记入用量账本，不在 failover 内的调用忽略
+function reportProviderCallUsage({ inputTokens, outputTokens, cacheReadInputTokens, cacheCreationInputTokens } = {}) {
+  const scope = currentProviderCallScope();
+  if (!scope || typeof scope.onUsage !== "function") return;
+  if (inputTokens == null && outputTokens == null && cacheReadInputTokens == null && cacheCreationInputTokens == null) return;
+  const usage = {};
+  if (inputTokens != null) usage.input_tokens = inputTokens;
+  if (outputTokens != null) usage.output_tokens = outputTokens;
+  if (cacheReadInputTokens != null) usage.cache_read_input_tokens = cacheReadInputTokens;
+  if (cacheCreationInputTokens != null) usage.cache_creation_input_tokens = cacheCreationInputTokens;
+  try {
+    scope.onUsage(usage);
+  } catch {}
+}
+
+module.exports = { runInProviderCallScope, bindProviderCallScope, currentProviderCallScope, reportProviderCallUsage };
@@ -0,0 +1,181 @@
+"use strict";
+
+const { warn } = require("../infra/log");
+const { normalizeString } = require("../infra/util");
+const { invalidateProviderApiKey } = require("./provider-api-key");
+const { leaseCandidateKey, isKeyRateLimitError, markKeyRateLimited } = require("./key-pool");
+const { runInProviderCallScope, bindProviderCallScope } = require("./provider-call-scope");
+const { resolveRequestPriority } = require("../providers/rate-limiter");
+const { usageInputIncludesCacheReadsByProviderType } = require("./provider-augment-chat");
+const { recordUsage } = require("./usage-ledger/store");
+
+const CONNECTION_ERROR_RE = /\b(?:ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|EHOSTUNREACH|ENETUNREACH|UND_ERR_[A-Z_]+|socket hang up|fetch failed|network error)\b/i;
+const HTTP_STATUS_IN_MESSAGE_RE = /\s([1-5]\d\d):\s/;
+
+function isAbortError(err) {
+  return Boolean(err && typeof err === "object" && err.name === "AbortError");
+}
+
+function pickHttpStatus(err) {
+  const s = Number(err && typeof err === "object" ? err.status : NaN);
+  if (Number.isFinite(s) && s > 0) return Math.floor(s);
+  const msg = err instanceof Error ? err.message : String(err ?? "");
+  const m = msg.match(HTTP_STATUS_IN_MESSAGE_RE);
+  return m ? Number(m[1]) : 0;
+}
+
+// 只在“换一个 provider 可能成功”的错误上 failover：429/5xx、超时、连接失败。
+// 用户手动取消、4xx（鉴权/参数错误）等直接抛出，避免把确定性错误放大为多次请求。
+function classifyProviderFailoverReason(err) {
+  if (!err) return "";
+  const msg = err instanceof Error ? err.message : String(err);
+  if (isAbortError(err)) return /\btimeout\b/i.test(msg) ? "timeout" : "";
+
+  const status = pickHttpStatus(err);
+  if (status === 429) return "http_429";
+  if (status >= 500 && status <= 599) return `http_${status}`;
+  if (status) return "";
+
+  if (err && typeof err === "object" && err.name === "UpstreamFetchError") return "connection";
+  if (CONNECTION_ERROR_RE.test(msg)) return "connection";
+  return "";
+}
+
+function candidateKey(c) {
+  return `${normalizeString(c?.provider?.id)}\u0000${normalizeString(c?.model)}`;
+}
+
+function listRouteCandidates({ provider, model, fallbacks } = {}) {
+  const out = [];
+  const seen = new Set();
+  const push = (c) => {
+    if (!c || !c.provider || typeof c.provider !== "object") return;
+    const k = candidateKey(c);
+    if (seen.has(k)) return;
+    seen.add(k);
+    out.push({ provider: c.provider, model: normalizeString(c.model) });
+  };
+  push({ provider, model });
+  for (const f of Array.isArray(fallbacks) ? fallbacks : []) push(f);
+  return out;
+}
+
+function formatCandidate(c) {
+  const id = normalizeString(c?.provider?.id) || normalizeString(c?.provider?.type) || "unknown";
+  return `${id}/${normalizeString(c?.model) || "unknown"}`;
+}
+
+function logFailover({ label, attempt, total, candidate, next, reason, err }) {
+  const msg = err instanceof Error ? err.message : String(err);
+  warn(
+    `${normalizeString(label) || "byok"} failover attempt=${attempt}/${total} ${formatCandidate(candidate)} reason=${reason} -> ${formatCandidate(next)}: ${msg}`
+  );
+}
+
+function shouldFailover(err, { hasNext, abortSignal }) {
+  if (!hasNext) return "";
+  if (abortSignal && abortSignal.aborted) return "";
+  return classifyProviderFailoverReason(err);
+}
+
+// apiKey 为 env:/cmd: 引用时，401 多半是密钥已轮换：丢弃缓存后同一 candidate 重试一次（run 内会重新解析）
+function shouldRetryWithFreshApiKey(err, candidate, { label }) {
+  if (pickHttpStatus(err) !== 401 || !invalidateProviderApiKey(candidate?.provider)) return false;
+  warn(`${normalizeString(label) || "byok"} ${formatCandidate(candidate)} got 401, re-resolving apiKey and retrying once`);
+  return true;
+}
+
+// HTTP 层（providers/request-util）读取：key 租约决定 429 是否交给轮换，provider.limits + endpoint 优先级决定排队；
+// onUsage 接收 providers 上报的非流式 / 文本流 usage（/chat-stream 的 TOKEN_USAGE 节点由 byok-chat-stream 记账）
+function makeCallScope(leased, endpoint) {
+  const { provider, model } = leased.candidate;
+  const onUsage = (usage) => {
+    const inputIncludesCacheReads = usageInputIncludesCacheReadsByProviderType(provider?.type, model);
+    recordUsage({ provider, model, endpoint, usage, inputIncludesCacheReads }).catch(() => void 0);
+  };
+  return { provider, lease: leased.lease, priority: resolveRequestPriority(endpoint), onUsage };
+}
+
+// 同一 candidate 内的重试：401 刷新 key 引用（沿用同一个 key）；429/配额错误冷却当前 key 并换 key 池中的下一个
+function createCandidateAttempts(candidate, { label, abortSignal }) {
+  const tried = new Set();
+  let refreshed = false;
+  let pinned = null;
+  return {
+    next() {
+      const leased = pinned || leaseCandidateKey(candidate, tried);
+      pinned = null;
+      return leased;
+    },
+    shouldRetry(err, leased) {
+      if (abortSignal && abortSignal.aborted) return false;
+      if (!refreshed && shouldRetryWithFreshApiKey(err, leased.candidate, { label })) {
+        refreshed = true;
+        pinned = leased;
+        return true;
+      }
+      if (!leased.lease || !isKeyRateLimitError(err)) return false;
+      const cooldownMs = markKeyRateLimited(leased.lease, err);
+      if (leased.lease.remaining <= 0) return false;
+      warn(`${normalizeString(label) || "byok"} ${formatCandidate(candidate)} key#${leased.lease.index + 1} rate limited (cooldown ${Math.round(cooldownMs / 1000)}s), rotating key`);
+      return true;
+    }
+  };
+}
+
+async function runWithProviderFailover({ candidates, label, endpoint, abortSignal, run }) {
+  const list = Array.isArray(candidates) ? candidates : [];
+  if (!list.length) throw new Error("BYOK provider 未选择");
+  let lastErr = null;
+  for (let i = 0; i < list.length; i++) {
+    const attempts = createCandidateAttempts(list[i], { label, abortSignal });
+    while (true) {
+      const leased = attempts.next();
+      try {
+        return await runInProviderCallScope(makeCallScope(leased, endpoint), () => run(leased.candidate, i));
+      } catch (err) {
+        if (attempts.shouldRetry(err, leased)) continue;
+        lastErr = err;
+        const reason = shouldFailover(err, { hasNext: i + 1 < list.length, abortSignal });
+        if (!reason) throw err;
+        logFailover({ label, attempt: i + 1, total: list.length, candidate: list[i], next: list[i + 1], reason, err });
+        break;
+      }
+    }
+  }
+  throw lastErr || new Error("BYOK failover exhausted");
+}
+
+// 流式：仅在尚未输出任何 chunk 时允许切换 provider / key（避免 UI 收到重复/拼接的输出）。
+async function* streamWithProviderFailover({ candidates, label, endpoint, abortSignal, run }) {
+  const list = Array.isArray(candidates) ? candidates : [];
+  if (!list.length) throw new Error("BYOK provider 未选择");
+  for (let i = 0; i < list.length; i++) {
+    const attempts = createCandidateAttempts(list[i], { label, abortSignal });
+    while (true) {
+      const leased = attempts.next();
+      let emitted = false;
+      try {
+        for await (const item of bindProviderCallScope(makeCallScope(leased, endpoint), run(leased.candidate, i))) {
+          emitted = true;
+          yield item;
+        }
+        return;
+      } catch (err) {
+        if (emitted) throw err;
+        if (attempts.shouldRetry(err, leased)) continue;
+        const reason = shouldFailover(err, { hasNext: i + 1 < list.length, abortSignal });
+        if (!reason) throw err;
+        logFailover({ label, attempt: i + 1, total: list.length, candidate: list[i], next: list[i + 1], reason, err });
+        break;
+      }
+    }
+  }
+}
+
+module.exports = {
+  classifyProviderFailoverReason,
+  listRouteCandidates,
+  runWithProviderFailover,
+  streamWithProviderFailover
+};
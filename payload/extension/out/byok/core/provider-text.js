@@ -5,8 +5,12 @@ const { formatKnownProviderTypes } = require("./provider-types");
 
 const { openAiCompleteText, openAiStreamTextDeltas } = require("../providers/openai");
 const { openAiResponsesCompleteText, openAiResponsesStreamTextDeltas } = require("../providers/openai-responses");
-const { anthropicCompleteText, anthropicStreamTextDeltas } = require("../providers/anthropic");
+const { anthropicCompleteText, anthropicCompleteToolInput, anthropicStreamTextDeltas } = require("../providers/anthropic");
 const { geminiCompleteText, geminiStreamTextDeltas } = require("../providers/gemini");
+const { toGeminiResponseSchema } = require("../providers/gemini/request");
+const { ollamaCompleteText, ollamaStreamTextDeltas } = require("../providers/ollama");
+const { bedrockCompleteText, bedrockStreamTextDeltas } = require("../providers/bedrock");
+const { resolveProviderDialect } = require("./provider-augment-chat");
 
 function asOpenAiMessages(system, messages) {
   const sys = typeof system === "string" ? system : "";
@@ -64,7 +68,8 @@ async function completeTextByProviderType({
   requestDefaults
 }) {
   const t = normalizeString(type);
-  if (t === "openai_compatible") {
+  const { dialect: d, vertex, azure } = await resolveProviderDialect({ type: t, baseUrl, apiKey, model, extraHeaders, requestDefaults, timeoutMs, abortSignal });
+  if (d === "openai_compatible") {
     return await openAiCompleteText({
       baseUrl,
       apiKey,
@@ -73,24 +78,79 @@ async function completeTextByProviderType({
       timeoutMs,
       abortSignal,
       extraHeaders,
-      requestDefaults
+      requestDefaults,
+      azure
     });
   }
-  if (t === "anthropic") {
+  if (d === "anthropic") {
     const { system: sys, messages: msgs } = asAnthropicMessages(system, messages);
-    return await anthropicCompleteText({ baseUrl, apiKey, model, system: sys, messages: msgs, timeoutMs, abortSignal, extraHeaders, requestDefaults });
+    return await anthropicCompleteText({ baseUrl, apiKey, model, system: sys, messages: msgs, timeoutMs, abortSignal, extraHeaders, requestDefaults, vertex });
   }
-  if (t === "openai_responses") {
+  if (d === "openai_responses") {
     const { instructions, input } = asOpenAiResponsesInput(system, messages);
-    return await openAiResponsesCompleteText({ baseUrl, apiKey, model, instructions, input, timeoutMs, abortSignal, extraHeaders, requestDefaults });
+    return await openAiResponsesCompleteText({ baseUrl, apiKey, model, instructions, input, timeoutMs, abortSignal, extraHeaders, requestDefaults, azure });
   }
-  if (t === "gemini_ai_studio") {
+  if (d === "gemini_ai_studio") {
     const { systemInstruction, contents } = asGeminiContents(system, messages);
-    return await geminiCompleteText({ baseUrl, apiKey, model, systemInstruction, contents, timeoutMs, abortSignal, extraHeaders, requestDefaults });
+    return await geminiCompleteText({ baseUrl, apiKey, model, systemInstruction, contents, timeoutMs, abortSignal, extraHeaders, requestDefaults, vertex });
+  }
+  if (d === "ollama") {
+    return await ollamaCompleteText({ baseUrl, apiKey, model, messages: asOpenAiMessages(system, messages), timeoutMs, abortSignal, extraHeaders, requestDefaults });
+  }
+  if (d === "bedrock") {
+    const { system: sys, messages: msgs } = asAnthropicMessages(system, messages);
+    return await bedrockCompleteText({ baseUrl, apiKey, model, system: sys, messages: msgs, timeoutMs, abortSignal, extraHeaders, requestDefaults });
   }
   throw new Error(`未知 provider.type: ${t}（支持：${formatKnownProviderTypes()}）`);
 }
 
+function asObject(v) {
+  return v && typeof v === "object" && !Array.isArray(v) ? v : {};
+}
+
+// 结构化输出：按方言把 JSON schema 合并进 requestDefaults（适配器的 invalid-request 兜底会去掉它，退化为普通文本）
+function withStructuredOutputDefaults(dialect, requestDefaults, { name, schema }) {
+  const rd = asObject(requestDefaults);
+  if (dialect === "openai_compatible") return { ...rd, response_format: { type: "json_schema", json_schema: { name, schema, strict: true } } };
+  if (dialect === "openai_responses") return { ...rd, text: { ...asObject(rd.text), format: { type: "json_schema", name, schema, strict: true } } };
+  if (dialect === "gemini_ai_studio") {
+    return { ...rd, generationConfig: { ...asObject(rd.generationConfig), responseMimeType: "application/json", responseSchema: toGeminiResponseSchema(schema) } };
+  }
+  if (dialect === "ollama") return { ...rd, format: schema };
+  return rd;
+}
+
+/**
+ * 按 JSON schema 约束输出（返回 JSON 文本，调用方负责校验）：
+ * OpenAI response_format=json_schema / Responses text.format / Gemini responseSchema / Ollama format / Anthropic 强制 tool-use；
+ * 其余方言（bedrock）按普通文本完成。
+ */
+async function completeStructuredByProviderType({
+  type,
+  baseUrl,
+  apiKey,
+  model,
+  system,
+  messages,
+  schema,
+  timeoutMs,
+  abortSignal,
+  extraHeaders,
+  requestDefaults
+}) {
+  const t = normalizeString(type);
+  const s = asObject(schema);
+  const name = normalizeString(s.name) || "structured_output";
+  const { dialect: d, vertex } = await resolveProviderDialect({ type: t, baseUrl, apiKey, model, extraHeaders, requestDefaults, timeoutMs, abortSignal });
+  if (d === "anthropic") {
+    const { system: sys, messages: msgs } = asAnthropicMessages(system, messages);
+    const tool = { name, description: normalizeString(s.description) || name, input_schema: s.schema };
+    return await anthropicCompleteToolInput({ baseUrl, apiKey, model, system: sys, messages: msgs, tool, timeoutMs, abortSignal, extraHeaders, requestDefaults, vertex });
+  }
+  const rd = withStructuredOutputDefaults(d, requestDefaults, { name, schema: s.schema });
+  return await completeTextByProviderType({ type: t, baseUrl, apiKey, model, system, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults: rd });
+}
+
 async function* streamTextDeltasByProviderType({
   type,
   baseUrl,
@@ -104,7 +164,8 @@ async function* streamTextDeltasByProviderType({
   requestDefaults
 }) {
   const t = normalizeString(type);
-  if (t === "openai_compatible") {
+  const { dialect: d, vertex, azure } = await resolveProviderDialect({ type: t, baseUrl, apiKey, model, extraHeaders, requestDefaults, timeoutMs, abortSignal });
+  if (d === "openai_compatible") {
     yield* openAiStreamTextDeltas({
       baseUrl,
       apiKey,
@@ -113,23 +174,33 @@ async function* streamTextDeltasByProviderType({
       timeoutMs,
       abortSignal,
       extraHeaders,
-      requestDefaults
+      requestDefaults,
+      azure
     });
     return;
   }
-  if (t === "anthropic") {
+  if (d === "anthropic") {
     const { system: sys, messages: msgs } = asAnthropicMessages(system, messages);
-    yield* anthropicStreamTextDeltas({ baseUrl, apiKey, model, system: sys, messages: msgs, timeoutMs, abortSignal, extraHeaders, requestDefaults });
+    yield* anthropicStreamTextDeltas({ baseUrl, apiKey, model, system: sys, messages: msgs, timeoutMs, abortSignal, extraHeaders, requestDefaults, vertex });
     return;
   }
-  if (t === "openai_responses") {
+  if (d === "openai_responses") {
     const { instructions, input } = asOpenAiResponsesInput(system, messages);
-    yield* openAiResponsesStreamTextDeltas({ baseUrl, apiKey, model, instructions, input, timeoutMs, abortSignal, extraHeaders, requestDefaults });
+    yield* openAiResponsesStreamTextDeltas({ baseUrl, apiKey, model, instructions, input, timeoutMs, abortSignal, extraHeaders, requestDefaults, azure });
     return;
   }
-  if (t === "gemini_ai_studio") {
+  if (d === "gemini_ai_studio") {
     const { systemInstruction, contents } = asGeminiContents(system, messages);
-    yield* geminiStreamTextDeltas({ baseUrl, apiKey, model, systemInstruction, contents, timeoutMs, abortSignal, extraHeaders, requestDefaults });
+    yield* geminiStreamTextDeltas({ baseUrl, apiKey, model, systemInstruction, contents, timeoutMs, abortSignal, extraHeaders, requestDefaults, vertex });
+    return;
+  }
+  if (d === "ollama") {
+    yield* ollamaStreamTextDeltas({ baseUrl, apiKey, model, messages: asOpenAiMessages(system, messages), timeoutMs, abortSignal, extraHeaders, requestDefaults });
+    return;
+  }
+  if (d === "bedrock") {
+    const { system: sys, messages: msgs } = asAnthropicMessages(system, messages);
+    yield* bedrockStreamTextDeltas({ baseUrl, apiKey, model, system: sys, messages: msgs, timeoutMs, abortSignal, extraHeaders, requestDefaults });
     return;
   }
   throw new Error(`未知 provider.type: ${t}（支持：${formatKnownProviderTypes()}）`);
@@ -141,5 +212,6 @@ module.exports = {
   asGeminiContents,
   asOpenAiResponsesInput,
   completeTextByProviderType,
+  completeStructuredByProviderType,
   streamTextDeltasByProviderType
 };
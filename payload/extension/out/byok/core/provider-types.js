@@ -4,7 +4,11 @@ const KNOWN_PROVIDER_TYPES = Object.freeze([
   "openai_compatible",
   "openai_responses",
   "anthropic",
-  "gemini_ai_studio"
+  "gemini_ai_studio",
+  "ollama",
+  "bedrock",
+  "gemini_vertex",
+  "azure_openai"
 ]);
 
 function formatKnownProviderTypes() {
@@ -51,6 +51,24 @@ function pickProvider(cfg, providerId) {
   return p || null;
 }
 
+function resolveRuleFallbacks(cfg, rule, primary) {
+  const list = Array.isArray(rule?.fallbacks) ? rule.fallbacks : [];
+  const out = [];
+  const seen = new Set([`${normalizeString(primary?.provider?.id)}\u0000${normalizeString(primary?.model)}`]);
+  for (const f of list) {
+    const providerId = normalizeString(f?.providerId);
+    if (!providerId) continue;
+    const provider = pickProvider(cfg, providerId);
+    if (!provider) continue;
+    const model = normalizeString(f?.model) || normalizeString(provider.defaultModel);
+    const key = `${providerId}\u0000${model}`;
+    if (!model || seen.has(key)) continue;
+    seen.add(key);
+    out.push({ provider, model });
+  }
+  return out;
+}
+
 function decideRoute({ cfg, endpoint, body, runtimeEnabled }) {
   const ep = normalizeEndpoint(endpoint);
   if (!ep) return { mode: "official", endpoint: ep, reason: "empty_endpoint" };
@@ -72,7 +90,8 @@ function decideRoute({ cfg, endpoint, body, runtimeEnabled }) {
   const provider = pickProvider(cfg, providerId);
   const parsedModel = parsed && normalizeString(parsed.providerId) === normalizeString(provider?.id) ? parsed.modelId : "";
   const model = normalizeString(parsedModel) || normalizeString(rule?.model) || normalizeString(provider?.defaultModel) || "";
-  return { mode: "byok", endpoint: ep, reason: parsed && mode !== "byok" ? "model_override" : "byok", provider, model, requestedModel };
+  const fallbacks = resolveRuleFallbacks(cfg, rule, { provider, model });
+  return { mode: "byok", endpoint: ep, reason: parsed && mode !== "byok" ? "model_override" : "byok", provider, model, requestedModel, fallbacks };
 }
 
 module.exports = { decideRoute };
@@ -4,6 +4,8 @@ const { normalizeString } = require("../../infra/util");
 const { buildToolMetaByName } = require("../augment-chat");
 const { completeTextByProviderType, streamTextDeltasByProviderType } = require("../provider-text");
 const { streamAugmentChatChunksByProviderType, convertToolDefinitionsByProviderType } = require("../provider-augment-chat");
+const { isAzureResponsesApi } = require("../../providers/azure/request");
+const { resolveProviderApiKey } = require("../provider-api-key");
 const { collectChatStream } = require("./stream");
 
 function validateOpenAiStrictJsonSchema(schema, issues, path, depth) {
@@ -69,7 +71,7 @@ function pickProviderModel(provider, fetchedModels) {
 async function completeTextByProvider({ provider, model, system, messages, timeoutMs, abortSignal }) {
   const type = normalizeString(provider?.type);
   const baseUrl = normalizeString(provider?.baseUrl);
-  const apiKey = normalizeString(provider?.apiKey);
+  const apiKey = await resolveProviderApiKey(provider);
   const extraHeaders = provider?.headers && typeof provider.headers === "object" && !Array.isArray(provider.headers) ? provider.headers : {};
   const requestDefaults = provider?.requestDefaults && typeof provider.requestDefaults === "object" && !Array.isArray(provider.requestDefaults) ? provider.requestDefaults : {};
 
@@ -79,7 +81,7 @@ async function completeTextByProvider({ provider, model, system, messages, timeo
 async function streamTextByProvider({ provider, model, system, messages, timeoutMs, abortSignal }) {
   const type = normalizeString(provider?.type);
   const baseUrl = normalizeString(provider?.baseUrl);
-  const apiKey = normalizeString(provider?.apiKey);
+  const apiKey = await resolveProviderApiKey(provider);
   const extraHeaders = provider?.headers && typeof provider.headers === "object" && !Array.isArray(provider.headers) ? provider.headers : {};
   const requestDefaults = provider?.requestDefaults && typeof provider.requestDefaults === "object" && !Array.isArray(provider.requestDefaults) ? provider.requestDefaults : {};
 
@@ -93,10 +95,11 @@ async function streamTextByProvider({ provider, model, system, messages, timeout
 
 const convertToolsByProviderType = convertToolDefinitionsByProviderType;
 
-function validateConvertedToolsForProvider(providerType, convertedTools) {
+function validateConvertedToolsForProvider(providerType, convertedTools, requestDefaults) {
   const t = normalizeString(providerType);
   const tools = Array.isArray(convertedTools) ? convertedTools : [];
-  if (t !== "openai_responses") return { ok: true, issues: [] };
+  const strict = t === "openai_responses" || (t === "azure_openai" && isAzureResponsesApi(requestDefaults));
+  if (!strict) return { ok: true, issues: [] };
 
   const issues = [];
   for (const tool of tools) {
@@ -115,7 +118,7 @@ function validateConvertedToolsForProvider(providerType, convertedTools) {
 async function chatStreamByProvider({ provider, model, req, timeoutMs, abortSignal }) {
   const type = normalizeString(provider?.type);
   const baseUrl = normalizeString(provider?.baseUrl);
-  const apiKey = normalizeString(provider?.apiKey);
+  const apiKey = await resolveProviderApiKey(provider);
   const extraHeaders = provider?.headers && typeof provider.headers === "object" && !Array.isArray(provider.headers) ? provider.headers : {};
   const requestDefaults = provider?.requestDefaults && typeof provider.requestDefaults === "object" && !Array.isArray(provider.requestDefaults) ? provider.requestDefaults : {};
   const toolMetaByName = buildToolMetaByName(req.tool_definitions);
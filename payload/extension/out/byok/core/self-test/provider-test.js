@@ -4,6 +4,7 @@ const { debug } = require("../../infra/log");
 const { nowMs } = require("../../infra/trace");
 const { normalizeString, randomId } = require("../../infra/util");
 const { fetchProviderModels } = require("../../providers/models");
+const { isApiKeyOptionalByProviderType } = require("../provider-augment-chat");
 const { buildMessagesForEndpoint } = require("../protocol");
 const { STOP_REASON_TOOL_USE_REQUESTED } = require("../augment-protocol");
 const { summarizeToolDefs } = require("./tool-defs");
@@ -50,7 +51,7 @@ async function selfTestProvider({ cfg, provider, timeoutMs, abortSignal, log, ca
     const baseUrl = normalizeString(provider?.baseUrl);
     const apiKey = normalizeString(provider?.apiKey);
     const headers = provider?.headers && typeof provider.headers === "object" && !Array.isArray(provider.headers) ? provider.headers : {};
-    const authOk = Boolean(apiKey) || hasAuthHeader(headers);
+    const authOk = Boolean(apiKey) || hasAuthHeader(headers) || isApiKeyOptionalByProviderType(type);
     if (!type || !baseUrl || !authOk) {
       record({
         name: "config",
@@ -186,8 +187,8 @@ async function selfTestProvider({ cfg, provider, timeoutMs, abortSignal, log, ca
     if (realToolDefs.length) {
       const sum = summarizeToolDefs(realToolDefs);
       const schemaRes = await withTimed(async () => {
-        const converted = convertToolsByProviderType(type, realToolDefs);
-        const v = validateConvertedToolsForProvider(type, converted);
+        const converted = convertToolsByProviderType(type, realToolDefs, model, provider?.requestDefaults);
+        const v = validateConvertedToolsForProvider(type, converted, provider?.requestDefaults);
         if (!v.ok) throw new Error(v.issues.slice(0, 8).join(" | "));
         return { convertedCount: Array.isArray(converted) ? converted.length : 0, firstNames: sum.names };
       });
@@ -10,7 +10,7 @@ const { summarizeCapturedToolsSchemas } = require("./tools-schema");
 const { hasAuthHeader, formatMs, withTimed } = require("./util");
 const { selfTestProvider } = require("./provider-test");
 const { selfTestHistorySummary } = require("./history-summary-test");
-const { convertToolDefinitionsByProviderType } = require("../provider-augment-chat");
+const { convertToolDefinitionsByProviderType, isApiKeyOptionalByProviderType } = require("../provider-augment-chat");
 const { validateConvertedToolsForProvider } = require("./provider-io");
 
 function selfTestOpenAiResponsesStrictSchema(log) {
@@ -208,7 +208,7 @@ async function runSelfTest({ cfg, timeoutMs, abortSignal, providerKeys, onEvent
 
   // historySummary：用第一个可用 provider 作为 fallback（真实逻辑也是：hs.providerId 不配时 fallback 到当前 provider）
   const firstOkProvider = providersToTest.find(
-    (p) => normalizeString(p?.type) && normalizeString(p?.baseUrl) && (normalizeString(p?.apiKey) || hasAuthHeader(p?.headers))
+    (p) => normalizeString(p?.type) && normalizeString(p?.baseUrl) && (normalizeString(p?.apiKey) || hasAuthHeader(p?.headers) || isApiKeyOptionalByProviderType(p?.type))
   );
   const fallbackProvider = firstOkProvider || providersToTest[0] || null;
   const fallbackModel = normalizeString(fallbackProvider?.defaultModel) || normalizeString(fallbackProvider?.models?.[0]) || "";
@@ -67,5 +67,35 @@ function bestInsertionIndex(haystack, { prefixHint, suffixHint, maxCandidates =
   return 0;
 }
 
-module.exports = { commonPrefixLen, commonSuffixLen, bestMatchIndex, bestInsertionIndex };
+function normalizeLineForMatch(line) {
+  return String(line).trim().replace(/\s+/g, " ");
+}
+
+// 容忍空白差异的整行匹配：needle 的每行（去首尾空白、合并连续空白）与 haystack 连续行相等；
+// 返回覆盖匹配整行的 UTF-16 范围 { start, end }（不含末行换行），优先 fromIndex 之后的首个匹配
+function fuzzyLineRange(haystack, needle, { fromIndex = 0 } = {}) {
+  const h = typeof haystack === "string" ? haystack : "";
+  const want = (typeof needle === "string" ? needle : "").split("\n").map(normalizeLineForMatch);
+  while (want.length && !want[0]) want.shift();
+  while (want.length && !want[want.length - 1]) want.pop();
+  if (!h || !want.length) return null;
+
+  const lines = h.split("\n");
+  const starts = [];
+  for (let i = 0, off = 0; i < lines.length; off += lines[i].length + 1, i++) starts.push(off);
+  const norm = lines.map(normalizeLineForMatch);
+  let first = null;
+  for (let i = 0; i + want.length <= lines.length; i++) {
+    let ok = true;
+    for (let j = 0; j < want.length && ok; j++) ok = norm[i + j] === want[j];
+    if (!ok) continue;
+    const last = i + want.length - 1;
+    const range = { start: starts[i], end: starts[last] + lines[last].length };
+    if (range.start >= fromIndex) return range;
+    if (!first) first = range;
+  }
+  return first;
+}
+
+module.exports = { commonPrefixLen, commonSuffixLen, bestMatchIndex, bestInsertionIndex, fuzzyLineRange };
 
@@ -64,7 +64,7 @@ function shouldRequestThinking(req) {
 function stripThinkingAndReasoningFromRequestDefaults(requestDefaults) {
   const raw = requestDefaults && typeof requestDefaults === "object" && !Array.isArray(requestDefaults) ? requestDefaults : {};
   const hasThinkingOrReasoning =
-    raw.thinking != null || raw.reasoning != null || raw.reasoning_effort != null || raw.reasoningEffort != null;
+    raw.thinking != null || raw.reasoning != null || raw.reasoning_effort != null || raw.reasoningEffort != null || raw.think != null;
   if (!hasThinkingOrReasoning) return raw;
 
   const out = { ...raw };
@@ -72,6 +72,8 @@ function stripThinkingAndReasoningFromRequestDefaults(requestDefaults) {
   if ("reasoning" in out) delete out.reasoning;
   if ("reasoning_effort" in out) delete out.reasoning_effort;
   if ("reasoningEffort" in out) delete out.reasoningEffort;
+  // Ollama 原生 API 的思考开关
+  if ("think" in out) delete out.think;
   return out;
 }
 
@@ -0,0 +1,76 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// OpenAI 的 BPE 词表（o200k_base / cl100k_base，源自 openai/tiktoken，MIT）；./bpe-ranks/*.json 为 js-tiktoken 的压缩格式：
+// { pat_str, special_tokens, bpe_ranks: "<首 token> <起始 rank> <base64 token>…" 每行一组连续 rank }
+const BPE_ENCODING_FILES = { o200k: "o200k-base.json", cl100k: "cl100k-base.json" };
+// 单个预分词片段超过该字节数时分段合并（超长 base64/空白串），避免 O(n²) 合并拖慢请求；正常文本不会触发
+const MAX_PIECE_BYTES = 1024;
+
+const encodings = new Map(); // family -> { pattern, ranks: Map<latin1 bytes, rank> }
+
+function hasBpeEncoding(family) {
+  return Object.prototype.hasOwnProperty.call(BPE_ENCODING_FILES, family);
+}
+
+// 首次用到时才解析（o200k 约 20 万条），之后常驻内存
+function loadBpeEncoding(family) {
+  const hit = encodings.get(family);
+  if (hit) return hit;
+  if (!hasBpeEncoding(family)) return null;
+  const raw = JSON.parse(fs.readFileSync(path.join(__dirname, "bpe-ranks", BPE_ENCODING_FILES[family]), "utf8"));
+  const ranks = new Map();
+  for (const line of String(raw.bpe_ranks || "").split("\n")) {
+    if (!line) continue;
+    const parts = line.split(" ");
+    const offset = Number.parseInt(parts[1], 10);
+    for (let i = 2; i < parts.length; i++) ranks.set(Buffer.from(parts[i], "base64").toString("latin1"), offset + i - 2);
+  }
+  const enc = { pattern: new RegExp(raw.pat_str, "gu"), ranks };
+  encodings.set(family, enc);
+  return enc;
+}
+
+// tiktoken 的 byte pair merge（只计数）：反复合并 rank 最小的相邻对，剩余的段数即 token 数
+function countPieceTokens(piece, ranks) {
+  if (ranks.has(piece)) return 1;
+  const n = piece.length;
+  if (n > MAX_PIECE_BYTES) {
+    let tokens = 0;
+    for (let i = 0; i < n; i += MAX_PIECE_BYTES) tokens += countPieceTokens(piece.slice(i, i + MAX_PIECE_BYTES), ranks);
+    return tokens;
+  }
+  // starts[i] 为第 i 段起点（末尾多一个 n）；pairRanks[i] 为第 i、i+1 段合并后的 rank（不可合并为 Infinity）
+  const starts = Array.from({ length: n + 1 }, (_, i) => i);
+  const rankAt = (i) => (i + 2 < starts.length ? ranks.get(piece.slice(starts[i], starts[i + 2])) ?? Infinity : Infinity);
+  const pairRanks = starts.map((_, i) => rankAt(i));
+  for (;;) {
+    let min = Infinity;
+    let at = -1;
+    for (let i = 0; i < pairRanks.length - 1; i++) {
+      if (pairRanks[i] < min) {
+        min = pairRanks[i];
+        at = i;
+      }
+    }
+    if (at < 0) break;
+    starts.splice(at + 1, 1);
+    pairRanks.splice(at + 1, 1);
+    pairRanks[at] = rankAt(at);
+    if (at > 0) pairRanks[at - 1] = rankAt(at - 1);
+  }
+  return starts.length - 1;
+}
+
+/** 按 OpenAI BPE 计算 token 数（等同 tiktoken encode_ordinary 的长度；特殊 token 文本按普通文本处理）。 */
+function countBpeTokens(text, family) {
+  const enc = loadBpeEncoding(family);
+  if (!enc) throw new Error(`未内置 BPE 词表: ${family}`);
+  let tokens = 0;
+  for (const m of String(text ?? "").matchAll(enc.pattern)) tokens += countPieceTokens(Buffer.from(m[0], "utf8").toString("latin1"), enc.ranks);
+  return tokens;
+}
+
+module.exports = { hasBpeEncoding, countBpeTokens };
@@ -0,0 +1,186 @@
+"use strict";
+
+const { debug } = require("../../infra/log");
+const { normalizeString, parseByokModelId } = require("../../infra/util");
+const { hasBpeEncoding, countBpeTokens } = require("./bpe");
+
+// 按模型族计 token：o200k / cl100k 用内置 BPE 词表精确计数；claude / gemini / generic 无公开词表，用按字符类别校准的估算器；
+// registerTokenizer(family, countTokens) 可为任一族接入外部分词器（优先于内置）。结果再乘以从上游 usage 学到的校正系数。
+const TOKENIZER_FAMILIES = ["o200k", "cl100k", "claude", "gemini", "generic"];
+
+// word=每个 token 平均覆盖的 ASCII 字母数；cjk=每个 CJK 字符的 token 数；other=每个 token 覆盖的其他非 ASCII 字符数；symbol=每个 ASCII 符号的 token 数
+const FAMILY_PROFILES = {
+  o200k: { word: 6, cjk: 0.85, other: 3, symbol: 0.8 },
+  cl100k: { word: 5.5, cjk: 1.35, other: 2.2, symbol: 0.9 },
+  claude: { word: 5, cjk: 1.25, other: 2.2, symbol: 1 },
+  gemini: { word: 6, cjk: 0.9, other: 3, symbol: 0.8 },
+  generic: { word: 5, cjk: 1.2, other: 2.4, symbol: 1 }
+};
+
+// 校正系数：EMA(actual / estimated)，按 providerId + model；仅内存
+const CORRECTION_ALPHA = 0.2;
+const CORRECTION_MIN = 0.5;
+const CORRECTION_MAX = 2.5;
+// 太短的请求里固定开销（role/格式 token）占比高，不参与学习
+const CORRECTION_MIN_SAMPLE_TOKENS = 256;
+
+const customTokenizers = new Map();
+const corrections = new Map();
+let bpeFailureLogged = false;
+
+function modelIdOf(model) {
+  const raw = normalizeString(model);
+  const parsed = parseByokModelId(raw);
+  return (parsed ? parsed.modelId : raw).toLowerCase();
+}
+
+function resolveTokenizerFamily(model) {
+  const m = modelIdOf(model);
+  if (/gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|(?:^|[/:])o[134](?:$|-)|gpt-oss/.test(m)) return "o200k";
+  if (/gpt-4|gpt-3\.5|text-embedding/.test(m)) return "cl100k";
+  if (m.includes("claude")) return "claude";
+  if (m.includes("gemini") || m.includes("gemma")) return "gemini";
+  return "generic";
+}
+
+function registerTokenizer(family, countTokens) {
+  if (!TOKENIZER_FAMILIES.includes(family)) throw new Error(`未知 tokenizer family: ${family}`);
+  if (typeof countTokens === "function") customTokenizers.set(family, countTokens);
+  else customTokenizers.delete(family);
+}
+
+function isCjk(c) {
+  return (c >= 0x3040 && c <= 0x30ff) || (c >= 0x3400 && c <= 0x9fff) || (c >= 0xac00 && c <= 0xd7af) || (c >= 0xf900 && c <= 0xfaff) || (c >= 0xff00 && c <= 0xffef);
+}
+
+function isSpace(c) {
+  return c === 0x20 || c === 0x09 || c === 0x0a || c === 0x0d;
+}
+
+function isAsciiLetter(c) {
+  return (c >= 0x41 && c <= 0x5a) || (c >= 0x61 && c <= 0x7a);
+}
+
+// 单次扫描按字符类别计数（大历史也只做 O(n) 的 charCode 比较）
+function estimateTokensByProfile(text, profile) {
+  let tokens = 0;
+  let other = 0;
+  const n = text.length;
+  for (let i = 0; i < n; ) {
+    const c = text.charCodeAt(i);
+    if (isAsciiLetter(c)) {
+      let j = i + 1;
+      while (j < n && isAsciiLetter(text.charCodeAt(j))) j++;
+      tokens += Math.max(1, Math.ceil((j - i) / profile.word));
+      i = j;
+    } else if (c >= 0x30 && c <= 0x39) {
+      let j = i + 1;
+      while (j < n && text.charCodeAt(j) >= 0x30 && text.charCodeAt(j) <= 0x39) j++;
+      tokens += Math.ceil((j - i) / 3);
+      i = j;
+    } else if (isSpace(c)) {
+      // 单个空格并入下一个词；换行/缩进按段计
+      let j = i + 1;
+      while (j < n && isSpace(text.charCodeAt(j))) j++;
+      if (j - i > 1 || c !== 0x20) tokens += Math.ceil((j - i) / 8);
+      i = j;
+    } else if (c < 0x80) {
+      tokens += profile.symbol;
+      i += 1;
+    } else if (isCjk(c)) {
+      tokens += profile.cjk;
+      i += 1;
+    } else {
+      other += 1;
+      i += 1;
+    }
+  }
+  return Math.ceil(tokens + other / profile.other);
+}
+
+/** 原始 token 数（未校正）：注册的分词器 > 内置 BPE > 字符类别估算。 */
+function countTokens(text, { model } = {}) {
+  const s = typeof text === "string" ? text : String(text ?? "");
+  if (!s) return 0;
+  const family = resolveTokenizerFamily(model);
+  const custom = customTokenizers.get(family);
+  if (custom) {
+    const n = Number(custom(s));
+    if (Number.isFinite(n) && n >= 0) return Math.ceil(n);
+  }
+  if (hasBpeEncoding(family)) {
+    try {
+      return countBpeTokens(s, family);
+    } catch (err) {
+      // 词表缺失/损坏时退回估算，不影响请求
+      if (!bpeFailureLogged) debug(`[tokenizer] ${family} BPE unavailable, falling back to estimate: ${err instanceof Error ? err.message : String(err)}`);
+      bpeFailureLogged = true;
+    }
+  }
+  return estimateTokensByProfile(s, FAMILY_PROFILES[family]);
+}
+
+function correctionKey(provider, model) {
+  return `${normalizeString(provider?.id)}\u0000${modelIdOf(model)}`;
+}
+
+function getTokenCorrectionFactor({ provider, model } = {}) {
+  return corrections.get(correctionKey(provider, model))?.factor || 1;
+}
+
+function applyTokenCorrection(rawTokens, { provider, model } = {}) {
+  const n = Number(rawTokens);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return Math.ceil(n * getTokenCorrectionFactor({ provider, model }));
+}
+
+function estimateTokens(text, { provider, model } = {}) {
+  return applyTokenCorrection(countTokens(text, { model }), { provider, model });
+}
+
+// 用上游实际 prompt tokens 校正：ratio 截断到 [0.5, 2.5] 防止单次异常值（例如大量图片）把系数带偏
+function learnTokenCorrection({ provider, model, estimatedTokens, actualTokens } = {}) {
+  const est = Number(estimatedTokens);
+  const act = Number(actualTokens);
+  if (!Number.isFinite(est) || !Number.isFinite(act) || est < CORRECTION_MIN_SAMPLE_TOKENS || act <= 0) return null;
+  const ratio = Math.min(CORRECTION_MAX, Math.max(CORRECTION_MIN, act / est));
+  const key = correctionKey(provider, model);
+  const prev = corrections.get(key);
+  const factor = prev ? prev.factor * (1 - CORRECTION_ALPHA) + ratio * CORRECTION_ALPHA : ratio;
+  corrections.set(key, { factor, samples: (prev?.samples || 0) + 1 });
+  return factor;
+}
+
+// 透传 chat chunks：首个 TOKEN_USAGE 的 prompt tokens（含 cache read/write）与请求估算值对比，学习校正系数
+async function* learnTokenCorrectionFromChatChunks(src, { provider, model, estimatedTokens, inputIncludesCacheReads } = {}) {
+  let learned = false;
+  for await (const chunk of src) {
+    const nodes = !learned && chunk && typeof chunk === "object" && Array.isArray(chunk.nodes) ? chunk.nodes : [];
+    for (const n of nodes) {
+      const u = n && typeof n === "object" ? n.token_usage : null;
+      if (!u || !(Number(u.input_tokens) > 0)) continue;
+      const cached = inputIncludesCacheReads === true ? 0 : (Number(u.cache_read_input_tokens) || 0) + (Number(u.cache_creation_input_tokens) || 0);
+      learnTokenCorrection({ provider, model, estimatedTokens, actualTokens: Number(u.input_tokens) + cached });
+      learned = true;
+      break;
+    }
+    yield chunk;
+  }
+}
+
+function resetTokenCorrections() {
+  corrections.clear();
+}
+
+module.exports = {
+  TOKENIZER_FAMILIES,
+  resolveTokenizerFamily,
+  registerTokenizer,
+  countTokens,
+  estimateTokens,
+  applyTokenCorrection,
+  getTokenCorrectionFactor,
+  learnTokenCorrection,
+  learnTokenCorrectionFromChatChunks,
+  resetTokenCorrections
+};
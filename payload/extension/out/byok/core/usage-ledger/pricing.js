@@ -0,0 +1,39 @@
+"use strict";
+
+const { normalizeString } = require("../../infra/util");
+const { normalizePriceFields } = require("../../config/normalize-provider");
+const { resolveModelCapabilities } = require("../model-capabilities");
+
+// provider.pricing：USD / 1M tokens；models[model] 按字段覆盖 provider 级价格。
+// 两者都未定价时回退到模型能力表的 pricing（modelCapabilities 覆盖或上游 models 列表元数据）。
+function resolveUsagePricing(provider, model) {
+  const pricing = provider && typeof provider === "object" ? provider.pricing : null;
+  const base = normalizePriceFields(pricing) || {};
+  const models = pricing && typeof pricing.models === "object" && !Array.isArray(pricing.models) ? pricing.models : {};
+  const m = normalizeString(model);
+  const override = (m && normalizePriceFields(models[m])) || {};
+  let merged = { ...base, ...override };
+  if (merged.input == null && merged.output == null) merged = normalizePriceFields(resolveModelCapabilities({ provider, model: m }).pricing) || {};
+  if (merged.input == null && merged.output == null) return null;
+  const input = merged.input ?? 0;
+  return {
+    input,
+    output: merged.output ?? 0,
+    // 未单独定价时按普通 input 计（偏保守）
+    cacheRead: merged.cacheRead ?? input,
+    cacheWrite: merged.cacheWrite ?? input
+  };
+}
+
+function computeUsageCostUsd(pricing, { inputTokens, outputTokens, cacheReadInputTokens, cacheCreationInputTokens } = {}) {
+  if (!pricing || typeof pricing !== "object") return null;
+  const n = (v) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : 0);
+  const cost =
+    n(inputTokens) * n(pricing.input) +
+    n(outputTokens) * n(pricing.output) +
+    n(cacheReadInputTokens) * n(pricing.cacheRead) +
+    n(cacheCreationInputTokens) * n(pricing.cacheWrite);
+  return cost / 1e6;
+}
+
+module.exports = { resolveUsagePricing, computeUsageCostUsd };
@@ -0,0 +1,66 @@
+"use strict";
+
+const CSV_COLUMNS = [
+  "day",
+  "providerId",
+  "model",
+  "endpoint",
+  "requests",
+  "inputTokens",
+  "outputTokens",
+  "cacheReadInputTokens",
+  "cacheCreationInputTokens",
+  "costUsd"
+];
+
+const SUM_FIELDS = ["requests", "inputTokens", "outputTokens", "cacheReadInputTokens", "cacheCreationInputTokens", "costUsd"];
+
+function emptyTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 0, costUsd: 0 };
+}
+
+function addInto(acc, e) {
+  for (const k of SUM_FIELDS) acc[k] += Number(e?.[k]) || 0;
+  return acc;
+}
+
+function groupBy(entries, keyOf) {
+  const m = new Map();
+  for (const e of entries) {
+    const k = keyOf(e);
+    if (!m.has(k)) m.set(k, emptyTotals());
+    addInto(m.get(k), e);
+  }
+  return m;
+}
+
+function summarizeUsageLedger(entries) {
+  const list = Array.isArray(entries) ? entries.filter((e) => e && typeof e === "object") : [];
+  const totals = list.reduce(addInto, emptyTotals());
+  const byDay = Array.from(groupBy(list, (e) => e.day).entries())
+    .map(([day, t]) => ({ day, ...t }))
+    .sort((a, b) => b.day.localeCompare(a.day));
+  const byProviderModel = Array.from(groupBy(list, (e) => `${e.providerId}\u0000${e.model}`).entries())
+    .map(([k, t]) => {
+      const [providerId, model] = k.split("\u0000");
+      return { providerId, model, ...t };
+    })
+    .sort((a, b) => b.costUsd - a.costUsd || b.requests - a.requests);
+  return { totals, byDay, byProviderModel };
+}
+
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, "\"\"")}"` : s;
+}
+
+function formatUsageLedgerCsv(entries) {
+  const list = Array.isArray(entries) ? entries : [];
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const e of list) {
+    lines.push(CSV_COLUMNS.map((k) => csvCell(k === "costUsd" ? (Number(e?.costUsd) || 0).toFixed(6) : e?.[k])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = { summarizeUsageLedger, formatUsageLedgerCsv };
@@ -0,0 +1,213 @@
+"use strict";
+
+const { debug } = require("../../infra/log");
+const { normalizeString } = require("../../infra/util");
+const { resolveUsagePricing, computeUsageCostUsd } = require("./pricing");
+
+const USAGE_LEDGER_KEY = "augment-byok.usageLedger.v1";
+const USAGE_LEDGER_MAX_DAYS = 400;
+// 每次请求都整体写回 globalState 代价太高：合并一段时间内的记录后再写
+const USAGE_LEDGER_PERSIST_DELAY_MS = 2000;
+const LEDGER = new Map();
+let ledgerLoaded = false;
+let ledgerStorage = null;
+let persistTimer = null;
+
+function usageDayKey(ms) {
+  const d = new Date(Number(ms) || Date.now());
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function entryKey({ day, providerId, model, endpoint }) {
+  return [day, providerId, model, endpoint].join("\u0000");
+}
+
+function toCount(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+}
+
+function normalizeEntry(raw) {
+  const r = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : null;
+  if (!r) return null;
+  const day = normalizeString(r.day);
+  const providerId = normalizeString(r.providerId);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || !providerId) return null;
+  const costUsd = Number(r.costUsd);
+  return {
+    day,
+    providerId,
+    model: normalizeString(r.model),
+    endpoint: normalizeString(r.endpoint),
+    requests: toCount(r.requests),
+    inputTokens: toCount(r.inputTokens),
+    outputTokens: toCount(r.outputTokens),
+    cacheReadInputTokens: toCount(r.cacheReadInputTokens),
+    cacheCreationInputTokens: toCount(r.cacheCreationInputTokens),
+    costUsd: Number.isFinite(costUsd) && costUsd > 0 ? costUsd : 0
+  };
+}
+
+function pruneLedger() {
+  const days = Array.from(new Set(Array.from(LEDGER.values()).map((e) => e.day))).sort();
+  if (days.length <= USAGE_LEDGER_MAX_DAYS) return 0;
+  const cutoff = days[days.length - USAGE_LEDGER_MAX_DAYS];
+  let removed = 0;
+  for (const [k, e] of LEDGER.entries()) {
+    if (e.day >= cutoff) continue;
+    LEDGER.delete(k);
+    removed += 1;
+  }
+  return removed;
+}
+
+function setUsageLedgerStorage(storage) {
+  cancelScheduledPersist();
+  ledgerStorage = storage && typeof storage === "object" ? storage : null;
+  LEDGER.clear();
+  ledgerLoaded = false;
+  return Boolean(ledgerStorage);
+}
+
+function maybeLoadUsageLedger() {
+  if (ledgerLoaded) return true;
+  const storage = ledgerStorage;
+  if (!storage || typeof storage.get !== "function") return false;
+  try {
+    const raw = storage.get(USAGE_LEDGER_KEY);
+    const list = raw && typeof raw === "object" && Array.isArray(raw.entries) ? raw.entries : [];
+    for (const it of list) {
+      const e = normalizeEntry(it);
+      if (e) LEDGER.set(entryKey(e), e);
+    }
+    ledgerLoaded = true;
+    pruneLedger();
+    debug(`usageLedger loaded: entries=${LEDGER.size}`);
+    return true;
+  } catch (err) {
+    debug(`usageLedger load failed (ignored): ${err instanceof Error ? err.message : String(err)}`);
+    return false;
+  }
+}
+
+function cancelScheduledPersist() {
+  if (persistTimer) clearTimeout(persistTimer);
+  persistTimer = null;
+}
+
+function schedulePersist() {
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    persistUsageLedger().catch(() => void 0);
+  }, USAGE_LEDGER_PERSIST_DELAY_MS);
+  if (typeof persistTimer.unref === "function") persistTimer.unref();
+}
+
+async function persistUsageLedger() {
+  cancelScheduledPersist();
+  const storage = ledgerStorage;
+  if (!storage || typeof storage.update !== "function") return false;
+  pruneLedger();
+  try {
+    await storage.update(USAGE_LEDGER_KEY, { version: 1, entries: Array.from(LEDGER.values()) });
+    return true;
+  } catch (err) {
+    debug(`usageLedger persist failed (ignored): ${err instanceof Error ? err.message : String(err)}`);
+    return false;
+  }
+}
+
+// usage 为 TOKEN_USAGE 节点的 token_usage；inputIncludesCacheReads=true 时 input_tokens 已含 cache_read（需扣除后再计价）。
+async function recordUsage({ provider, model, endpoint, usage, inputIncludesCacheReads, now } = {}) {
+  maybeLoadUsageLedger();
+  const providerId = normalizeString(provider?.id);
+  const u = usage && typeof usage === "object" ? usage : null;
+  if (!providerId || !u) return null;
+
+  const cacheRead = toCount(u.cache_read_input_tokens);
+  const cacheCreation = toCount(u.cache_creation_input_tokens);
+  const rawInput = toCount(u.input_tokens);
+  const tokens = {
+    inputTokens: inputIncludesCacheReads === true ? Math.max(0, rawInput - cacheRead) : rawInput,
+    outputTokens: toCount(u.output_tokens),
+    cacheReadInputTokens: cacheRead,
+    cacheCreationInputTokens: cacheCreation
+  };
+  const costUsd = computeUsageCostUsd(resolveUsagePricing(provider, model), tokens) || 0;
+
+  const key = { day: usageDayKey(now), providerId, model: normalizeString(model), endpoint: normalizeString(endpoint) };
+  const prev = LEDGER.get(entryKey(key));
+  const next = prev ? { ...prev } : { ...key, requests: 0, inputTokens: 0, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 0, costUsd: 0 };
+  next.requests += 1;
+  next.inputTokens += tokens.inputTokens;
+  next.outputTokens += tokens.outputTokens;
+  next.cacheReadInputTokens += tokens.cacheReadInputTokens;
+  next.cacheCreationInputTokens += tokens.cacheCreationInputTokens;
+  next.costUsd += costUsd;
+  LEDGER.set(entryKey(key), next);
+  schedulePersist();
+  return { ...next };
+}
+
+// 透传 chat chunks，并把其中的 TOKEN_USAGE 节点记入账本（记录失败不影响输出）。
+async function* recordUsageFromChatChunks(src, { provider, model, endpoint, inputIncludesCacheReads } = {}) {
+  for await (const chunk of src) {
+    const nodes = chunk && typeof chunk === "object" && Array.isArray(chunk.nodes) ? chunk.nodes : [];
+    for (const n of nodes) {
+      if (!n || typeof n !== "object" || !n.token_usage) continue;
+      recordUsage({ provider, model, endpoint, usage: n.token_usage, inputIncludesCacheReads }).catch(() => void 0);
+    }
+    yield chunk;
+  }
+}
+
+// period=daily 按当天、monthly 按当月累计；providerId 为空表示全部 provider。
+function sumUsageCostUsd({ providerId, period, now } = {}) {
+  maybeLoadUsageLedger();
+  const pid = normalizeString(providerId);
+  const today = usageDayKey(now);
+  const prefix = period === "monthly" ? today.slice(0, 8) : today;
+  let sum = 0;
+  for (const e of LEDGER.values()) {
+    if (pid && e.providerId !== pid) continue;
+    if (!e.day.startsWith(prefix)) continue;
+    sum += e.costUsd;
+  }
+  return sum;
+}
+
+function listUsageLedgerEntries() {
+  maybeLoadUsageLedger();
+  return Array.from(LEDGER.values())
+    .map((e) => ({ ...e }))
+    .sort((a, b) => b.day.localeCompare(a.day) || a.providerId.localeCompare(b.providerId) || a.model.localeCompare(b.model) || a.endpoint.localeCompare(b.endpoint));
+}
+
+// 立即写回尚未持久化的记录（扩展停用 / 测试）
+async function flushUsageLedger() {
+  if (!persistTimer) return false;
+  return await persistUsageLedger();
+}
+
+async function clearUsageLedger() {
+  maybeLoadUsageLedger();
+  const n = LEDGER.size;
+  if (!n) return 0;
+  LEDGER.clear();
+  await persistUsageLedger();
+  return n;
+}
+
+module.exports = {
+  USAGE_LEDGER_KEY,
+  usageDayKey,
+  setUsageLedgerStorage,
+  recordUsage,
+  recordUsageFromChatChunks,
+  flushUsageLedger,
+  sumUsageCostUsd,
+  listUsageLedgerEntries,
+  clearUsageLedger
+};
@@ -14,16 +14,23 @@ function truncateForLog(s, maxBytes) {
   return `${raw.slice(0, m)}…<truncated>`;
 }
 
-function redactText(v) {
+// 仅替换文本中的凭证片段（不截断）；日志用 redactText，capture 落盘用 redactSecrets。
+function redactSecretText(v) {
   if (typeof v !== "string") return v;
   let s = v;
   s = s.replace(/\bBearer\s+[A-Za-z0-9._-]{8,}\b/gi, "Bearer ***");
-  s = s.replace(/([?&](?:key|api_key|api-key|access_token|refresh_token)=)[^&\s]+/gi, "$1***");
+  s = s.replace(/([?&](?:key|api_key|api-key|access_token|refresh_token|assertion)=)[^&\s]+/gi, "$1***");
+  s = s.replace(/("(?:access_token|refresh_token|id_token)"\s*:\s*")[^"]+"/g, '$1***"');
   s = s.replace(/\bace_[A-Za-z0-9]{16,}\b/g, "ace_***");
   s = s.replace(/\bsk-ant-[A-Za-z0-9_-]{16,}\b/g, "sk-ant-***");
   s = s.replace(/\bsk-proj-[A-Za-z0-9_-]{16,}\b/g, "sk-proj-***");
   s = s.replace(/\bsk-[A-Za-z0-9_-]{16,}\b/g, "sk-***");
-  return truncateForLog(s, MAX_LOG_STRING_BYTES);
+  return s;
+}
+
+function redactText(v) {
+  if (typeof v !== "string") return v;
+  return truncateForLog(redactSecretText(v), MAX_LOG_STRING_BYTES);
 }
 
 function omitMeta(key, value) {
@@ -103,6 +110,18 @@ function redactAny(value, ctx) {
   return out;
 }
 
+// 与 redactAny 相同的 key/文本规则，但不省略大字段、不截断（用于 capture 落盘，需保留完整报文以便回放）
+function redactSecrets(value, seen = new WeakSet()) {
+  if (typeof value === "string") return redactSecretText(value);
+  if (value == null || typeof value !== "object") return value;
+  if (seen.has(value)) return "[omitted circular]";
+  seen.add(value);
+  if (Array.isArray(value)) return value.map((v) => redactSecrets(v, seen));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = shouldRedactKey(String(k || "").trim().toLowerCase()) && v !== "" ? "[redacted]" : redactSecrets(v, seen);
+  return out;
+}
+
 function sanitizeArgs(args) {
   return args.map((a) => {
     if (typeof a === "string") return redactText(a);
@@ -133,4 +152,4 @@ function error(...args) {
   console.error(PREFIX, ...sanitizeArgs(args));
 }
 
-module.exports = { debug, info, warn, error, redactText };
+module.exports = { debug, info, warn, error, redactText, redactSecretText, redactSecrets };
@@ -134,7 +134,25 @@ function extractCodeContext(body) {
   return { prefix, selectedText, suffix, combined: `${prefix}${selectedText}${suffix}` };
 }
 
+// diff 输出模式（/edit、/instruction-stream、/smart-paste-stream）：只输出补丁，由 core/edit-patch.js 应用到选区
+const DIFF_EDIT_OUTPUT_CONSTRAINTS =
+  "Output ONLY SEARCH/REPLACE blocks that transform the selected code (no markdown, no explanations):\n" +
+  "<<<<<<< SEARCH\n" +
+  "<exact lines copied from the selected code>\n" +
+  "=======\n" +
+  "<replacement lines>\n" +
+  ">>>>>>> REPLACE\n" +
+  "Rules:\n" +
+  "- SEARCH must match the selected code verbatim, including indentation; keep it short but unique.\n" +
+  "- Use several small blocks in file order instead of one large block; never repeat unchanged code.\n" +
+  "- To delete code, leave the replacement empty.";
+
+function pickEditOutputConstraints(outputMode, rewriteConstraints) {
+  return outputMode === "diff" ? DIFF_EDIT_OUTPUT_CONSTRAINTS : rewriteConstraints;
+}
+
 module.exports = {
+  pickEditOutputConstraints,
   truncate,
   fmtSection,
   fmtCodeSection,
@@ -1,9 +1,9 @@
 "use strict";
 
 const { normalizeString } = require("../infra/util");
-const { fmtSection, fmtCodeSection, extractDirectives, buildSystem, extractCodeContext } = require("./common");
+const { fmtSection, fmtCodeSection, extractDirectives, buildSystem, extractCodeContext, pickEditOutputConstraints } = require("./common");
 
-function buildEditPrompt(body, { extraSystem = "" } = {}) {
+function buildEditPrompt(body, { extraSystem = "", outputMode = "rewrite" } = {}) {
   const b = body && typeof body === "object" ? body : {};
   const directives = extractDirectives(b);
   const lang = normalizeString(b.lang);
@@ -15,8 +15,10 @@ function buildEditPrompt(body, { extraSystem = "" } = {}) {
     purpose: "edit",
     directives,
     extraSystem,
-    outputConstraints:
+    outputConstraints: pickEditOutputConstraints(
+      outputMode,
       "Apply the instruction to the selected code.\n- Output ONLY the replacement code for the selected range\n- No markdown, no explanations\n- Do NOT wrap in ``` code fences"
+    )
   });
 
   const parts = [];
@@ -1,9 +1,9 @@
 "use strict";
 
 const { normalizeString } = require("../infra/util");
-const { fmtSection, fmtCodeSection, historyToMessages, extractDirectives, buildSystem, extractCodeContext } = require("./common");
+const { fmtSection, fmtCodeSection, historyToMessages, extractDirectives, buildSystem, extractCodeContext, pickEditOutputConstraints } = require("./common");
 
-function buildInstructionStreamPrompt(body, { extraSystem = "" } = {}) {
+function buildInstructionStreamPrompt(body, { extraSystem = "", outputMode = "rewrite" } = {}) {
   const b = body && typeof body === "object" ? body : {};
   const directives = extractDirectives(b);
   const lang = normalizeString(b.lang);
@@ -15,8 +15,10 @@ function buildInstructionStreamPrompt(body, { extraSystem = "" } = {}) {
     purpose: "instruction-stream",
     directives,
     extraSystem,
-    outputConstraints:
+    outputConstraints: pickEditOutputConstraints(
+      outputMode,
       "Output ONLY the final replacement code for the selected range.\n- No markdown, no explanations\n- Do NOT wrap in ``` code fences\n- Stream plain code text only"
+    )
   });
 
   const history = historyToMessages(b.chat_history ?? b.chatHistory, { maxItems: 10 });
@@ -3,6 +3,7 @@
 const { normalizeString } = require("../infra/util");
 const { normalizeBlobsMap, coerceBlobText, pickBestBlobName, listBlobKeys } = require("../core/blob-utils");
 const { pickPath, pickLang, pickInstruction, pickBlobNameHint } = require("../core/next-edit/fields");
+const { pickMaxNextEditSuggestions } = require("../core/next-edit/suggestions");
 const { utf32ToUtf16Offset } = require("../core/unicode-utils");
 const { fmtSection, fmtCodeSection, fmtJsonSection, extractDirectives, buildSystem, extractCodeContext } = require("./common");
 
@@ -20,6 +21,14 @@ function headWithMarker(s, maxChars) {
   return `${text.slice(0, n)}\n…(truncated)`;
 }
 
+// recent_changes 涉及的文件优先作为附加上下文（模型可在这些文件里给出建议）
+function pickContextBlobKeys(keys, blobName, recentChanges) {
+  const changed = (Array.isArray(recentChanges) ? recentChanges : [])
+    .map((c) => normalizeString(c?.path ?? c?.blob_name ?? c?.blobName))
+    .filter((k) => k && keys.includes(k));
+  return [...new Set([...changed, ...keys])].filter((k) => k !== blobName).slice(0, 3);
+}
+
 function buildNextEditStreamPrompt(body, { extraSystem = "" } = {}) {
   const b = body && typeof body === "object" ? body : {};
   const directives = extractDirectives(b);
@@ -80,7 +89,18 @@ function buildNextEditStreamPrompt(body, { extraSystem = "" } = {}) {
     directives,
     extraSystem,
     outputConstraints:
-      "Propose the next minimal edit.\n- Output ONLY the replacement code for the selected range\n- No markdown, no explanations\n- Do NOT wrap in ``` code fences"
+      `Propose up to ${pickMaxNextEditSuggestions(b)} minimal edits, most important first; they may be in other provided files.\n` +
+      "Output ONLY edit blocks (no markdown, no explanations, no code fences):\n" +
+      "<<<<<<< EDIT path/to/file\n" +
+      "<exact original lines copied from the file>\n" +
+      "=======\n" +
+      "<replacement lines>\n" +
+      ">>>>>>> END\n" +
+      "Rules:\n" +
+      "- Omit the path after EDIT for edits in the current file; other files use the path shown in Additional Context Blob.\n" +
+      "- ORIGINAL must appear verbatim in that file; keep it short but unique.\n" +
+      "- For the current file, an empty ORIGINAL means: replace the selected range.\n" +
+      "- Never emit an edit whose replacement equals the original."
   });
 
   const parts = [];
@@ -105,7 +125,7 @@ function buildNextEditStreamPrompt(body, { extraSystem = "" } = {}) {
     const keys = listBlobKeys(blobs, { maxItems: 500 });
     if (keys.length) parts.push(fmtJsonSection("Blobs (keys)", keys.slice(0, 200), { maxChars: 4000 }));
 
-    const other = keys.filter((k) => k !== blobName).slice(0, 3);
+    const other = pickContextBlobKeys(keys, blobName, recentChanges);
     for (const k of other) {
       const txt = coerceBlobText(blobs[k]);
       if (!txt) continue;
@@ -1,9 +1,9 @@
 "use strict";
 
 const { normalizeString } = require("../infra/util");
-const { truncate, fmtSection, fmtCodeSection, historyToMessages, extractDirectives, buildSystem, extractCodeContext } = require("./common");
+const { truncate, fmtSection, fmtCodeSection, historyToMessages, extractDirectives, buildSystem, extractCodeContext, pickEditOutputConstraints } = require("./common");
 
-function buildSmartPasteStreamPrompt(body, { extraSystem = "" } = {}) {
+function buildSmartPasteStreamPrompt(body, { extraSystem = "", outputMode = "rewrite" } = {}) {
   const b = body && typeof body === "object" ? body : {};
   const directives = extractDirectives(b);
   const lang = normalizeString(b.lang);
@@ -19,8 +19,10 @@ function buildSmartPasteStreamPrompt(body, { extraSystem = "" } = {}) {
     purpose: "smart-paste-stream",
     directives,
     extraSystem,
-    outputConstraints:
+    outputConstraints: pickEditOutputConstraints(
+      outputMode,
       "Integrate the pasted code into the target context.\n- Output ONLY the final code to replace the selected range\n- No markdown, no explanations\n- Do NOT wrap in ``` code fences"
+    )
   });
 
   const history = historyToMessages(b.chat_history ?? b.chatHistory, { maxItems: 8 });
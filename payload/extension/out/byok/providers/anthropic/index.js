@@ -7,7 +7,8 @@ const { extractErrorMessageFromJson } = require("../request-util");
 const { buildToolUseChunks, buildTokenUsageChunk, buildFinalChatChunk } = require("../chat-chunks-util");
 const { buildMinimalRetryRequestDefaults, postAnthropicWithFallbacks } = require("./request");
 const { stripAnthropicToolBlocksFromMessages, stripAnthropicImageBlocksFromMessages } = require("../../core/anthropic-blocks");
-const { extractTextFromAnthropicJson, emitAnthropicJsonAsAugmentChunks } = require("./json-util");
+const { extractTextFromAnthropicJson, emitAnthropicJsonAsAugmentChunks, readAnthropicUsage } = require("./json-util");
+const { reportProviderCallUsage } = require("../../core/provider-call-scope");
 const {
   mapAnthropicStopReasonToAugment,
   rawResponseNode,
@@ -15,19 +16,20 @@ const {
   makeBackChatChunk
 } = require("../../core/augment-protocol");
 
-async function anthropicCompleteText({ baseUrl, apiKey, model, system, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults }) {
+async function anthropicCompleteText({ baseUrl, apiKey, model, system, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults, vertex }) {
   const minimalDefaults = buildMinimalRetryRequestDefaults(requestDefaults);
   const resp = await postAnthropicWithFallbacks({
     baseLabel: "Anthropic",
     timeoutMs,
     abortSignal,
     attempts: [
-      { labelSuffix: "", request: { baseUrl, apiKey, model, system, messages, tools: [], extraHeaders, requestDefaults, stream: false }, retryHint: "retry with minimal requestDefaults" },
-      { labelSuffix: ":minimal-defaults", request: { baseUrl, apiKey, model, system, messages, tools: [], extraHeaders, requestDefaults: minimalDefaults, stream: false } }
+      { labelSuffix: "", request: { baseUrl, apiKey, model, system, messages, tools: [], extraHeaders, requestDefaults, stream: false, vertex }, retryHint: "retry with minimal requestDefaults" },
+      { labelSuffix: ":minimal-defaults", request: { baseUrl, apiKey, model, system, messages, tools: [], extraHeaders, requestDefaults: minimalDefaults, stream: false, vertex } }
     ]
   });
 
   const json = await resp.json().catch(() => null);
+  reportProviderCallUsage(readAnthropicUsage(json?.usage));
   const out = extractTextFromAnthropicJson(json);
   if (out) return out;
 
@@ -41,21 +43,50 @@ async function anthropicCompleteText({ baseUrl, apiKey, model, system, messages,
   throw new Error(`Anthropic 响应缺少可解析文本（content_types=${types || "n/a"}）`.trim());
 }
 
-async function* anthropicStreamTextDeltas({ baseUrl, apiKey, model, system, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults }) {
+/**
+ * 结构化输出：强制调用单个工具（tool_choice={type:"tool"}），返回该工具 input 的 JSON 文本。
+ * 网关不支持强制 tool_choice 时退回 minimal defaults（tool_choice=auto），模型若直接输出文本则原样返回。
+ */
+async function anthropicCompleteToolInput({ baseUrl, apiKey, model, system, messages, tool, timeoutMs, abortSignal, extraHeaders, requestDefaults, vertex }) {
+  const name = normalizeString(tool?.name);
+  if (!name) throw new Error("Anthropic 结构化输出缺少 tool.name");
+  const tools = [tool];
+  const resp = await postAnthropicWithFallbacks({
+    baseLabel: "Anthropic(structured)",
+    timeoutMs,
+    abortSignal,
+    attempts: [
+      { labelSuffix: "", request: { baseUrl, apiKey, model, system, messages, tools, extraHeaders, requestDefaults, stream: false, toolChoice: { type: "tool", name }, vertex }, retryHint: "retry with minimal requestDefaults" },
+      { labelSuffix: ":minimal-defaults", request: { baseUrl, apiKey, model, system, messages, tools, extraHeaders, requestDefaults: buildMinimalRetryRequestDefaults(requestDefaults), stream: false, vertex } }
+    ]
+  });
+
+  const json = await resp.json().catch(() => null);
+  reportProviderCallUsage(readAnthropicUsage(json?.usage));
+  const blocks = Array.isArray(json?.content) ? json.content : [];
+  const use = blocks.find((b) => b && b.type === "tool_use" && normalizeString(b.name) === name);
+  if (use && use.input && typeof use.input === "object") return JSON.stringify(use.input);
+  const text = extractTextFromAnthropicJson(json);
+  if (text) return text;
+  throw new Error("Anthropic(structured) 响应缺少 tool_use / 文本");
+}
+
+async function* anthropicStreamTextDeltas({ baseUrl, apiKey, model, system, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults, vertex }) {
   const minimalDefaults = buildMinimalRetryRequestDefaults(requestDefaults);
   const resp = await postAnthropicWithFallbacks({
     baseLabel: "Anthropic(stream)",
     timeoutMs,
     abortSignal,
     attempts: [
-      { labelSuffix: "", request: { baseUrl, apiKey, model, system, messages, tools: [], extraHeaders, requestDefaults, stream: true }, retryHint: "retry with minimal requestDefaults" },
-      { labelSuffix: ":minimal-defaults", request: { baseUrl, apiKey, model, system, messages, tools: [], extraHeaders, requestDefaults: minimalDefaults, stream: true } }
+      { labelSuffix: "", request: { baseUrl, apiKey, model, system, messages, tools: [], extraHeaders, requestDefaults, stream: true, vertex }, retryHint: "retry with minimal requestDefaults" },
+      { labelSuffix: ":minimal-defaults", request: { baseUrl, apiKey, model, system, messages, tools: [], extraHeaders, requestDefaults: minimalDefaults, stream: true, vertex } }
     ]
   });
 
   const contentType = normalizeString(resp?.headers?.get?.("content-type")).toLowerCase();
   if (contentType.includes("json")) {
     const json = await resp.json().catch(() => null);
+    reportProviderCallUsage(readAnthropicUsage(json?.usage));
     const text = extractTextFromAnthropicJson(json);
     if (text) {
       yield text;
@@ -67,16 +98,24 @@ async function* anthropicStreamTextDeltas({ baseUrl, apiKey, model, system, mess
   await assertSseResponse(resp, { label: "Anthropic(stream)", expectedHint: "请确认 baseUrl 指向 Anthropic /messages SSE" });
   const sse = makeSseJsonIterator(resp);
   let emitted = 0;
-  for await (const { json, eventType } of sse.events) {
-    if (json && typeof json === "object" && (eventType === "error" || json.error)) {
-      const msg = normalizeString(extractErrorMessageFromJson(json)) || "upstream error";
-      throw new Error(`Anthropic(stream) upstream error: ${msg}`.trim());
-    }
-    if (eventType === "message_stop") break;
-    if (eventType === "content_block_delta" && json.delta && json.delta.type === "text_delta" && typeof json.delta.text === "string") {
-      const t = json.delta.text;
-      if (t) { emitted += 1; yield t; }
+  let usage = null;
+  try {
+    for await (const { json, eventType } of sse.events) {
+      if (json && typeof json === "object" && (eventType === "error" || json.error)) {
+        const msg = normalizeString(extractErrorMessageFromJson(json)) || "upstream error";
+        throw new Error(`Anthropic(stream) upstream error: ${msg}`.trim());
+      }
+      const u = (json?.message && typeof json.message === "object" ? json.message.usage : null) || json?.usage;
+      if (u && typeof u === "object") usage = readAnthropicUsage(u, usage);
+      if (eventType === "message_stop") break;
+      if (eventType === "content_block_delta" && json.delta && json.delta.type === "text_delta" && typeof json.delta.text === "string") {
+        const t = json.delta.text;
+        if (t) { emitted += 1; yield t; }
+      }
     }
+  } finally {
+    // 调用方提前停止读取时也记下已计费的部分
+    if (usage) reportProviderCallUsage(usage);
   }
   if (emitted === 0) {
     throw new Error(
@@ -85,7 +124,7 @@ async function* anthropicStreamTextDeltas({ baseUrl, apiKey, model, system, mess
   }
 }
 
-async function* anthropicChatStreamChunks({ baseUrl, apiKey, model, system, messages, tools, timeoutMs, abortSignal, extraHeaders, requestDefaults, toolMetaByName, supportToolUseStart, nodeIdStart }) {
+async function* anthropicChatStreamChunks({ baseUrl, apiKey, model, system, messages, tools, timeoutMs, abortSignal, extraHeaders, requestDefaults, toolMetaByName, supportToolUseStart, nodeIdStart, vertex }) {
   const minimalDefaults = buildMinimalRetryRequestDefaults(requestDefaults);
   const strippedMessages = stripAnthropicToolBlocksFromMessages(messages, { maxToolTextLen: 8000 });
   const strippedNoImageMessages = stripAnthropicImageBlocksFromMessages(strippedMessages);
@@ -96,17 +135,17 @@ async function* anthropicChatStreamChunks({ baseUrl, apiKey, model, system, mess
     attempts: [
       {
         labelSuffix: "",
-        request: { baseUrl, apiKey, model, system, messages, tools, extraHeaders, requestDefaults, stream: true, includeToolChoice: true },
+        request: { baseUrl, apiKey, model, system, messages, tools, extraHeaders, requestDefaults, stream: true, includeToolChoice: true, vertex },
         retryHint: "retry without tool_choice"
       },
       {
         labelSuffix: ":no-tool-choice",
-        request: { baseUrl, apiKey, model, system, messages, tools, extraHeaders, requestDefaults, stream: true, includeToolChoice: false },
+        request: { baseUrl, apiKey, model, system, messages, tools, extraHeaders, requestDefaults, stream: true, includeToolChoice: false, vertex },
         retryHint: "retry without tools + strip tool blocks"
       },
       {
         labelSuffix: ":no-tools",
-        request: { baseUrl, apiKey, model, system, messages: strippedNoImageMessages, tools: [], extraHeaders, requestDefaults: minimalDefaults, stream: true }
+        request: { baseUrl, apiKey, model, system, messages: strippedNoImageMessages, tools: [], extraHeaders, requestDefaults: minimalDefaults, stream: true, vertex }
       }
     ]
   });
@@ -265,4 +304,4 @@ async function* anthropicChatStreamChunks({ baseUrl, apiKey, model, system, mess
   yield final.chunk;
 }
 
-module.exports = { anthropicCompleteText, anthropicStreamTextDeltas, anthropicChatStreamChunks };
+module.exports = { anthropicCompleteText, anthropicCompleteToolInput, anthropicStreamTextDeltas, anthropicChatStreamChunks };
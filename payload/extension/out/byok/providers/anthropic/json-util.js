@@ -141,4 +141,17 @@ async function* emitAnthropicJsonAsAugmentChunks(json, { toolMetaByName, support
   yield final.chunk;
 }
 
-module.exports = { extractTextFromAnthropicJson, emitAnthropicJsonAsAugmentChunks };
+// message_start / message_delta / 非流式响应的 usage（字段缺失为 null；流式时后出现的覆盖先出现的）
+function readAnthropicUsage(usage, prev) {
+  const u = usage && typeof usage === "object" ? usage : {};
+  const p = prev && typeof prev === "object" ? prev : {};
+  const pickInt = (v, old) => normalizeUsageInt(v) ?? old ?? null;
+  return {
+    inputTokens: pickInt(u.input_tokens, p.inputTokens),
+    outputTokens: pickInt(u.output_tokens, p.outputTokens),
+    cacheReadInputTokens: pickInt(u.cache_read_input_tokens, p.cacheReadInputTokens),
+    cacheCreationInputTokens: pickInt(u.cache_creation_input_tokens, p.cacheCreationInputTokens)
+  };
+}
+
+module.exports = { extractTextFromAnthropicJson, emitAnthropicJsonAsAugmentChunks, readAnthropicUsage };
@@ -0,0 +1,95 @@
+"use strict";
+
+const { normalizeString } = require("../../infra/util");
+
+// BYOK 内部开关（发往上游前会被剥离）：requestDefaults.__byok_prompt_cache = true | "5m" | "1h"
+const PROMPT_CACHE_KEY = "__byok_prompt_cache";
+const CACHEABLE_BLOCK_TYPES = new Set(["text", "image", "document", "tool_use", "tool_result"]);
+// ttl=1h 需要该 beta；不带时上游拒绝（或忽略 ttl）
+const EXTENDED_CACHE_TTL_BETA = "extended-cache-ttl-2025-04-11";
+
+function resolveAnthropicPromptCacheControl(requestDefaults) {
+  const rd = requestDefaults && typeof requestDefaults === "object" && !Array.isArray(requestDefaults) ? requestDefaults : {};
+  const v = rd[PROMPT_CACHE_KEY];
+  if (v === true) return { type: "ephemeral" };
+  const s = normalizeString(typeof v === "string" ? v : "").toLowerCase();
+  if (s === "5m" || s === "1h") return { type: "ephemeral", ttl: s };
+  if (s === "true" || s === "ephemeral") return { type: "ephemeral" };
+  return null;
+}
+
+function withCacheControlOnLastBlock(blocks, cacheControl) {
+  const list = Array.isArray(blocks) ? blocks.slice() : [];
+  for (let i = list.length - 1; i >= 0; i--) {
+    const b = list[i];
+    if (!b || typeof b !== "object") continue;
+    if (!CACHEABLE_BLOCK_TYPES.has(normalizeString(b.type))) continue;
+    if (normalizeString(b.type) === "text" && !normalizeString(b.text)) continue;
+    list[i] = { ...b, cache_control: cacheControl };
+    return { blocks: list, applied: true };
+  }
+  return { blocks: list, applied: false };
+}
+
+function toContentBlocks(content) {
+  if (Array.isArray(content)) return content;
+  const s = typeof content === "string" ? content : "";
+  return s.trim() ? [{ type: "text", text: s }] : [];
+}
+
+// 断点（最多 3 个，Anthropic 上限为 4）：system 末块 / tools 末项 / 最后一个“稳定”历史轮次（当前轮之前的那条 message）。
+// 缓存按前缀匹配：tools → system → messages，因此下一轮请求可直接命中上一轮写入的前缀。
+function applyAnthropicPromptCaching(body, cacheControl) {
+  const b = body && typeof body === "object" ? body : null;
+  const cc = cacheControl && typeof cacheControl === "object" ? cacheControl : null;
+  const report = { system: false, tools: false, history: false };
+  if (!b || !cc) return report;
+
+  if (b.system != null) {
+    const r = withCacheControlOnLastBlock(toContentBlocks(b.system), cc);
+    if (r.applied) {
+      b.system = r.blocks;
+      report.system = true;
+    }
+  }
+
+  if (Array.isArray(b.tools) && b.tools.length) {
+    const tools = b.tools.slice();
+    const last = tools[tools.length - 1];
+    if (last && typeof last === "object") {
+      tools[tools.length - 1] = { ...last, cache_control: cc };
+      b.tools = tools;
+      report.tools = true;
+    }
+  }
+
+  const ms = Array.isArray(b.messages) ? b.messages : [];
+  for (let i = ms.length - 2; i >= 0; i--) {
+    const m = ms[i];
+    if (!m || typeof m !== "object") continue;
+    const r = withCacheControlOnLastBlock(toContentBlocks(m.content), cc);
+    if (!r.applied) continue;
+    const messages = ms.slice();
+    messages[i] = { ...m, content: r.blocks };
+    b.messages = messages;
+    report.history = true;
+    break;
+  }
+
+  return report;
+}
+
+// 断点使用 1h ttl 时追加 anthropic-beta（与 providers[].headers 里已有的 beta 合并，不区分 header 大小写）
+function withAnthropicPromptCacheBetaHeader(headers, cacheControl) {
+  const h = headers && typeof headers === "object" ? headers : {};
+  if (normalizeString(cacheControl?.ttl) !== "1h") return h;
+  const key = Object.keys(h).find((k) => normalizeString(k).toLowerCase() === "anthropic-beta") || "anthropic-beta";
+  const betas = normalizeString(h[key])
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (!betas.includes(EXTENDED_CACHE_TTL_BETA)) betas.push(EXTENDED_CACHE_TTL_BETA);
+  return { ...h, [key]: betas.join(",") };
+}
+
+module.exports = { PROMPT_CACHE_KEY, resolveAnthropicPromptCacheControl, applyAnthropicPromptCaching, withAnthropicPromptCacheBetaHeader };
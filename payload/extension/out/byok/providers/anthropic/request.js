@@ -6,9 +6,11 @@ const { truncateText } = require("../../infra/text");
 const { debug } = require("../../infra/log");
 const { withJsonContentType, anthropicAuthHeaders } = require("../headers");
 const { isInvalidRequestStatusForFallback } = require("../provider-util");
-const { fetchWithRetry, readHttpErrorDetail } = require("../request-util");
+const { fetchWithRetry, readHttpErrorDetail, parseRetryAfterMs } = require("../request-util");
 const { repairAnthropicToolUsePairs } = require("../../core/tool-pairing");
 const { MAX_TOKENS_ALIAS_KEYS_PREFER_MAX_TOKENS, pickPositiveIntFromRecord } = require("../request-defaults-util");
+const { resolveAnthropicPromptCacheControl, applyAnthropicPromptCaching, withAnthropicPromptCacheBetaHeader } = require("./prompt-cache");
+const { ANTHROPIC_VERTEX_VERSION } = require("../vertex/request");
 
 function pickMaxTokens(requestDefaults) {
   return pickPositiveIntFromRecord(requestDefaults, MAX_TOKENS_ALIAS_KEYS_PREFER_MAX_TOKENS) ?? 1024;
@@ -165,11 +167,14 @@ function buildAnthropicSystemBlocks(system) {
   return buildAnthropicTextBlocks(system);
 }
 
-function buildAnthropicRequest({ baseUrl, apiKey, model, system, messages, tools, extraHeaders, requestDefaults, stream, includeToolChoice, systemAsBlocks, messagesAsBlocks }) {
-  const url = joinBaseUrl(requireString(baseUrl, "Anthropic baseUrl"), "messages");
+// vertex：Anthropic-on-Vertex（rawPredict / streamRawPredict），URL 与 Bearer 鉴权来自 providers/vertex/request.js 的 resolveVertexTarget
+function buildAnthropicRequest({ baseUrl, apiKey, model, system, messages, tools, extraHeaders, requestDefaults, stream, includeToolChoice, toolChoice, systemAsBlocks, messagesAsBlocks, vertex }) {
+  const url = vertex
+    ? `${requireString(vertex.modelUrl, "Vertex modelUrl")}:${stream ? "streamRawPredict" : "rawPredict"}`
+    : joinBaseUrl(requireString(baseUrl, "Anthropic baseUrl"), "messages");
   const key = normalizeRawToken(apiKey);
   const extra = extraHeaders && typeof extraHeaders === "object" ? extraHeaders : {};
-  if (!key && Object.keys(extra).length === 0) throw new Error("Anthropic apiKey 未配置（且 headers 为空）");
+  if (!vertex && !key && Object.keys(extra).length === 0) throw new Error("Anthropic apiKey 未配置（且 headers 为空）");
   const m = requireString(model, "Anthropic model");
   const maxTokens = pickMaxTokens(requestDefaults);
   const rd = sanitizeAnthropicRequestDefaults(requestDefaults);
@@ -189,9 +194,19 @@ function buildAnthropicRequest({ baseUrl, apiKey, model, system, messages, tools
   const ts = dedupeAnthropicTools(tools);
   if (ts.length) {
     body.tools = ts;
-    if (includeToolChoice !== false) body.tool_choice = { type: "auto" };
+    // toolChoice：结构化输出强制调用指定工具（{ type: "tool", name }）
+    if (toolChoice && typeof toolChoice === "object") body.tool_choice = toolChoice;
+    else if (includeToolChoice !== false) body.tool_choice = { type: "auto" };
   }
-  const headers = withJsonContentType(anthropicAuthHeaders(key, extraHeaders));
+  const cacheControl = resolveAnthropicPromptCacheControl(requestDefaults);
+  applyAnthropicPromptCaching(body, cacheControl);
+  if (vertex) {
+    delete body.model;
+    body.anthropic_version = normalizeString(requestDefaults?.anthropic_version) || ANTHROPIC_VERTEX_VERSION;
+  }
+  const headers = withJsonContentType(
+    withAnthropicPromptCacheBetaHeader(vertex ? { ...extra, ...(vertex.authHeaders || {}) } : anthropicAuthHeaders(key, extraHeaders), cacheControl)
+  );
   if (stream) headers.accept = "text/event-stream";
   return { url, headers, body };
 }
@@ -241,7 +256,7 @@ async function postAnthropicWithFallbacks({ baseLabel, timeoutMs, abortSignal, a
       if (resp.ok) return { ok: true, resp };
 
       const text = await readHttpErrorDetail(resp, { maxChars: 500 });
-      errors.push({ status: resp.status, text, labelSuffix: `${labelSuffix}${normalizeString(labelSuffixExtra)}` });
+      errors.push({ status: resp.status, text, retryAfterMs: parseRetryAfterMs(resp), labelSuffix: `${labelSuffix}${normalizeString(labelSuffixExtra)}` });
       return { ok: false, resp, text };
     };
 
@@ -320,7 +335,10 @@ async function postAnthropicWithFallbacks({ baseLabel, timeoutMs, abortSignal, a
 
   const last = errors[errors.length - 1];
   const parts = errors.map((e, idx) => `${formatAttemptLabel(idx, e.labelSuffix)}: ${e.text}`);
-  throw new Error(`${baseLabel} ${last?.status ?? ""}: ${parts.join(" | ")}`.trim());
+  const err = new Error(`${baseLabel} ${last?.status ?? ""}: ${parts.join(" | ")}`.trim());
+  if (Number.isFinite(Number(last?.status))) err.status = Number(last.status);
+  if (last?.retryAfterMs != null) err.retryAfterMs = last.retryAfterMs;
+  throw err;
 }
 
 module.exports = { buildMinimalRetryRequestDefaults, postAnthropicWithFallbacks };
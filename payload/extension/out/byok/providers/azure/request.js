@@ -0,0 +1,85 @@
+"use strict";
+
+const { normalizeString, requireString, normalizeRawToken } = require("../../infra/util");
+
+// Azure OpenAI 的 api-version 为必填 query；chat/completions 用 GA 版本，/responses 目前只在 preview 版本提供
+const DEFAULT_AZURE_API_VERSION = "2024-10-21";
+const DEFAULT_AZURE_RESPONSES_API_VERSION = "2025-04-01-preview";
+const AZURE_DEPLOYMENTS_API_VERSION = "2022-12-01";
+
+const AZURE_API_CHAT = "chat";
+const AZURE_API_RESPONSES = "responses";
+
+function asRecord(v) {
+  return v && typeof v === "object" && !Array.isArray(v) ? v : {};
+}
+
+// 接受 `https://<resource>.openai.azure.com`，也容忍用户直接粘贴带 /openai/... 或 ?api-version 的 URL
+function normalizeAzureEndpoint(baseUrl) {
+  const b = requireString(baseUrl, "Azure OpenAI baseUrl").replace(/[?#].*$/, "").replace(/\/+$/, "");
+  return b.replace(/\/openai(?:\/.*)?$/i, "");
+}
+
+// requestDefaults.__byok_azure_api：chat（默认，/deployments/<d>/chat/completions）| responses（/openai/responses）
+function resolveAzureApi(requestDefaults) {
+  const v = normalizeString(asRecord(requestDefaults).__byok_azure_api).toLowerCase();
+  if (!v || v === AZURE_API_CHAT) return AZURE_API_CHAT;
+  if (v === AZURE_API_RESPONSES) return AZURE_API_RESPONSES;
+  throw new Error(`Azure OpenAI __byok_azure_api 无效: ${v}（支持：${AZURE_API_CHAT}, ${AZURE_API_RESPONSES}）`);
+}
+
+function isAzureResponsesApi(requestDefaults) {
+  return resolveAzureApi(requestDefaults) === AZURE_API_RESPONSES;
+}
+
+// model → deployment：requestDefaults.__byok_azure_deployments[model]；未映射时 deployment 名即 model
+function resolveAzureDeployment(model, requestDefaults) {
+  const m = requireString(model, "Azure OpenAI model");
+  const mapped = normalizeString(asRecord(asRecord(requestDefaults).__byok_azure_deployments)[m]);
+  return mapped || m;
+}
+
+function resolveAzureApiVersion(api, requestDefaults) {
+  const rd = asRecord(requestDefaults);
+  if (api === AZURE_API_RESPONSES) return normalizeString(rd.__byok_azure_responses_api_version) || DEFAULT_AZURE_RESPONSES_API_VERSION;
+  return normalizeString(rd.__byok_azure_api_version) || DEFAULT_AZURE_API_VERSION;
+}
+
+// 鉴权：headers 中已有 api-key/authorization（如 Entra ID token）时原样使用；否则 apiKey 走 `api-key` 头（`Bearer <token>` 形态走 authorization）
+function azureAuthHeaders(apiKey, extraHeaders) {
+  const keys = Object.keys(asRecord(extraHeaders)).map((k) => String(k || "").trim().toLowerCase());
+  if (keys.includes("api-key") || keys.includes("authorization")) return {};
+  const raw = normalizeString(apiKey);
+  if (!raw) throw new Error("Azure OpenAI apiKey 未配置（且 headers 中没有 api-key/authorization）");
+  if (/^bearer\s+/i.test(raw)) return { authorization: `Bearer ${normalizeRawToken(raw)}` };
+  return { "api-key": normalizeRawToken(raw) };
+}
+
+/**
+ * 解析 Azure OpenAI 目标：api（chat / responses）、deployment、带 api-version 的完整 URL 与鉴权头。
+ * 返回值作为 `azure` 传给 OpenAI Chat Completions / Responses 适配器，由其替换 URL 与鉴权、复用原有 body 构建与响应解析。
+ */
+function resolveAzureTarget({ baseUrl, apiKey, model, extraHeaders, requestDefaults }) {
+  const endpoint = normalizeAzureEndpoint(baseUrl);
+  const api = resolveAzureApi(requestDefaults);
+  const deployment = resolveAzureDeployment(model, requestDefaults);
+  const version = encodeURIComponent(resolveAzureApiVersion(api, requestDefaults));
+  const url =
+    api === AZURE_API_RESPONSES
+      ? `${endpoint}/openai/responses?api-version=${version}`
+      : `${endpoint}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${version}`;
+  return { api, deployment, url, authHeaders: azureAuthHeaders(apiKey, extraHeaders) };
+}
+
+module.exports = {
+  DEFAULT_AZURE_API_VERSION,
+  DEFAULT_AZURE_RESPONSES_API_VERSION,
+  AZURE_DEPLOYMENTS_API_VERSION,
+  normalizeAzureEndpoint,
+  resolveAzureApi,
+  isAzureResponsesApi,
+  resolveAzureDeployment,
+  resolveAzureApiVersion,
+  azureAuthHeaders,
+  resolveAzureTarget
+};
@@ -0,0 +1,125 @@
+"use strict";
+
+const { normalizeString, stripByokInternalKeys } = require("../../infra/util");
+const { debug } = require("../../infra/log");
+const { repairAnthropicToolUsePairs } = require("../../core/tool-pairing");
+const { MAX_TOKENS_ALIAS_KEYS, pickPositiveIntFromRecord } = require("../request-defaults-util");
+
+// Converse 顶层可透传的字段；其余 requestDefaults 只做映射（inferenceConfig / additionalModelRequestFields）或丢弃
+const CONVERSE_PASSTHROUGH_KEYS = ["guardrailConfig", "performanceConfig", "requestMetadata", "promptVariables", "additionalModelResponseFieldPaths"];
+const IMAGE_FORMATS = new Set(["png", "jpeg", "gif", "webp"]);
+
+function asRecord(v) {
+  return v && typeof v === "object" && !Array.isArray(v) ? v : null;
+}
+
+function normalizeStopSequences(v) {
+  const list = Array.isArray(v) ? v : typeof v === "string" ? [v] : [];
+  return list.map((s) => String(s ?? "")).filter((s) => s.trim()).slice(0, 4);
+}
+
+function normalizeBedrockRequestDefaults(requestDefaults) {
+  const rd = stripByokInternalKeys(asRecord(requestDefaults) || {});
+  const inferenceConfig = { ...(asRecord(rd.inferenceConfig) || {}) };
+  const additional = { ...(asRecord(rd.additionalModelRequestFields) || {}) };
+
+  const maxTokens = pickPositiveIntFromRecord(rd, MAX_TOKENS_ALIAS_KEYS);
+  if (maxTokens != null && inferenceConfig.maxTokens == null) inferenceConfig.maxTokens = maxTokens;
+  if (Number.isFinite(Number(rd.temperature)) && inferenceConfig.temperature == null) inferenceConfig.temperature = Number(rd.temperature);
+  const topP = rd.top_p ?? rd.topP;
+  if (Number.isFinite(Number(topP)) && inferenceConfig.topP == null) inferenceConfig.topP = Number(topP);
+  const stop = normalizeStopSequences(rd.stop_sequences ?? rd.stopSequences ?? rd.stop);
+  if (stop.length && inferenceConfig.stopSequences == null) inferenceConfig.stopSequences = stop;
+
+  // 模型特有参数（Claude 的 thinking / top_k）走 additionalModelRequestFields
+  if (rd.thinking != null && additional.thinking == null) additional.thinking = rd.thinking;
+  const topK = rd.top_k ?? rd.topK;
+  if (Number.isFinite(Number(topK)) && additional.top_k == null) additional.top_k = Number(topK);
+
+  const out = {};
+  if (Object.keys(inferenceConfig).length) out.inferenceConfig = inferenceConfig;
+  if (Object.keys(additional).length) out.additionalModelRequestFields = additional;
+  for (const k of CONVERSE_PASSTHROUGH_KEYS) if (rd[k] != null) out[k] = rd[k];
+  return out;
+}
+
+function toBedrockImageBlock(source) {
+  const src = asRecord(source);
+  const data = normalizeString(src?.data);
+  if (!data) return null;
+  const fmt = normalizeString(src?.media_type).toLowerCase().replace(/^image\//, "").replace("jpg", "jpeg");
+  return { image: { format: IMAGE_FORMATS.has(fmt) ? fmt : "png", source: { bytes: data } } };
+}
+
+function toolResultText(content) {
+  if (typeof content === "string") return content;
+  return (Array.isArray(content) ? content : [])
+    .map((b) => (b && b.type === "text" ? String(b.text || "") : b && b.type === "image" ? "[image omitted]" : ""))
+    .filter(Boolean)
+    .join("\n");
+}
+
+function toBedrockToolResultContent(content, { withImages } = {}) {
+  if (typeof content === "string") return [{ text: content.trim() ? content : "(empty)" }];
+  const out = [];
+  for (const b of Array.isArray(content) ? content : []) {
+    if (b?.type === "text" && String(b.text || "").trim()) out.push({ text: String(b.text) });
+    else if (b?.type === "image") {
+      const img = withImages ? toBedrockImageBlock(b.source) : null;
+      out.push(img || { text: "[image omitted]" });
+    }
+  }
+  return out.length ? out : [{ text: "(empty)" }];
+}
+
+// Anthropic blocks → Converse ContentBlock；无 toolConfig 时 Converse 拒绝 toolUse/toolResult，故压平为文本。
+function toBedrockContentBlocks(content, { withTools, withImages }) {
+  if (typeof content === "string") return content.trim() ? [{ text: content }] : [];
+  const out = [];
+  for (const b of Array.isArray(content) ? content : []) {
+    if (!b || typeof b !== "object") continue;
+    if (b.type === "text") {
+      if (String(b.text || "").trim()) out.push({ text: String(b.text) });
+    } else if (b.type === "image") {
+      const img = withImages ? toBedrockImageBlock(b.source) : null;
+      out.push(img || { text: "[image omitted]" });
+    } else if (b.type === "tool_use") {
+      const input = asRecord(b.input) || {};
+      if (withTools) out.push({ toolUse: { toolUseId: normalizeString(b.id), name: normalizeString(b.name), input } });
+      else out.push({ text: `[tool_use ${normalizeString(b.name)}] ${JSON.stringify(input)}` });
+    } else if (b.type === "tool_result") {
+      const id = normalizeString(b.tool_use_id);
+      if (withTools) out.push({ toolResult: { toolUseId: id, content: toBedrockToolResultContent(b.content, { withImages }), status: b.is_error ? "error" : "success" } });
+      else out.push({ text: `[tool_result ${id}]\n${toolResultText(b.content)}`.trim() });
+    }
+  }
+  return out;
+}
+
+function toBedrockMessages(anthropicMessages, { withTools = true, withImages = true } = {}) {
+  const input = (Array.isArray(anthropicMessages) ? anthropicMessages : []).filter((m) => m && (m.role === "user" || m.role === "assistant"));
+  const repaired = repairAnthropicToolUsePairs(input);
+  const report = repaired?.report || {};
+  if (report.injected_missing_tool_results || report.converted_orphan_tool_results) {
+    debug(`bedrock tool pairing repaired: injected_missing=${Number(report.injected_missing_tool_results) || 0} converted_orphan=${Number(report.converted_orphan_tool_results) || 0}`);
+  }
+
+  // Converse 要求 user/assistant 严格交替且首条为 user：相邻同角色合并
+  const out = [];
+  for (const m of Array.isArray(repaired?.messages) ? repaired.messages : input) {
+    const content = toBedrockContentBlocks(m.content, { withTools, withImages });
+    if (!content.length) continue;
+    const last = out[out.length - 1];
+    if (last && last.role === m.role) last.content.push(...content);
+    else out.push({ role: m.role, content });
+  }
+  if (out.length && out[0].role !== "user") out.unshift({ role: "user", content: [{ text: "-" }] });
+  return out;
+}
+
+function toBedrockSystem(system) {
+  const s = normalizeString(system);
+  return s ? [{ text: s }] : [];
+}
+
+module.exports = { normalizeBedrockRequestDefaults, toBedrockMessages, toBedrockSystem };
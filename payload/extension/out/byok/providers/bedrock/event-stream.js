@@ -0,0 +1,165 @@
+"use strict";
+
+// application/vnd.amazon.eventstream 二进制分帧：
+// [total_len u32][headers_len u32][prelude_crc u32][headers][payload][message_crc u32]（大端；CRC32 为 IEEE）
+const PRELUDE_LEN = 12;
+const MIN_MESSAGE_LEN = 16;
+
+let crcTable = null;
+function crc32(bytes, start, end) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = start || 0; i < (end ?? bytes.length); i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function decodeHeaders(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const out = {};
+  let i = 0;
+  while (i < bytes.length) {
+    const nameLen = bytes[i];
+    const name = decoder.decode(bytes.subarray(i + 1, i + 1 + nameLen));
+    i += 1 + nameLen;
+    const type = bytes[i];
+    i += 1;
+    let value;
+    let size = 0;
+    if (type === 0 || type === 1) value = type === 0;
+    else if (type === 2) [value, size] = [view.getInt8(i), 1];
+    else if (type === 3) [value, size] = [view.getInt16(i), 2];
+    else if (type === 4) [value, size] = [view.getInt32(i), 4];
+    else if (type === 5 || type === 8) [value, size] = [Number(view.getBigInt64(i)), 8];
+    else if (type === 6 || type === 7) {
+      const len = view.getUint16(i);
+      const raw = bytes.subarray(i + 2, i + 2 + len);
+      [value, size] = [type === 7 ? decoder.decode(raw) : raw, 2 + len];
+    } else if (type === 9) [value, size] = [bytes.subarray(i, i + 16), 16];
+    else throw new Error(`eventstream: 未知 header 类型 ${type}`);
+    i += size;
+    out[name] = value;
+  }
+  return out;
+}
+
+function decodeEventStreamMessage(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const total = view.getUint32(0);
+  const headersLen = view.getUint32(4);
+  if (view.getUint32(8) !== crc32(bytes, 0, 8)) throw new Error("eventstream: prelude CRC 校验失败");
+  if (view.getUint32(total - 4) !== crc32(bytes, 0, total - 4)) throw new Error("eventstream: message CRC 校验失败");
+  const headers = decodeHeaders(bytes.subarray(PRELUDE_LEN, PRELUDE_LEN + headersLen));
+  const payload = bytes.subarray(PRELUDE_LEN + headersLen, total - 4);
+  return { headers, payload };
+}
+
+// 未凑满一帧的 chunk 先攒在列表里，只在帧完整时拼接一次（避免每个 chunk 都重新分配整段缓冲）
+function createChunkQueue() {
+  const chunks = [];
+  let length = 0;
+  return {
+    get length() {
+      return length;
+    },
+    push(chunk) {
+      chunks.push(chunk);
+      length += chunk.length;
+    },
+    // 帧头 total_len（大端 u32），可能跨 chunk
+    peekUint32() {
+      let v = 0;
+      let n = 0;
+      for (const c of chunks) {
+        for (let i = 0; i < c.length && n < 4; i++, n++) v = v * 256 + c[i];
+        if (n === 4) break;
+      }
+      return v;
+    },
+    take(n) {
+      length -= n;
+      const head = chunks[0];
+      if (head.length >= n) {
+        if (head.length === n) chunks.shift();
+        else chunks[0] = head.subarray(n);
+        return head.subarray(0, n);
+      }
+      const out = new Uint8Array(n);
+      for (let off = 0; off < n; ) {
+        const c = chunks[0];
+        const k = Math.min(c.length, n - off);
+        out.set(c.subarray(0, k), off);
+        off += k;
+        if (k === c.length) chunks.shift();
+        else chunks[0] = c.subarray(k);
+      }
+      return out;
+    }
+  };
+}
+
+// 输入为 resp.body（ReadableStream<Uint8Array>），按帧边界重组后逐个输出 { headers, payload }。
+// 调用方提前 break / 出错时也要 cancel 底层 body，否则连接与限流并发槽不会释放。
+async function* readEventStreamMessages(stream) {
+  const reader = stream.getReader();
+  const queue = createChunkQueue();
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      if (!value || !value.length) continue;
+      queue.push(value);
+      while (queue.length >= PRELUDE_LEN) {
+        const total = queue.peekUint32();
+        if (total < MIN_MESSAGE_LEN) throw new Error(`eventstream: 非法帧长度 ${total}`);
+        if (queue.length < total) break;
+        yield decodeEventStreamMessage(queue.take(total));
+      }
+    }
+    if (queue.length) throw new Error(`eventstream: 流在帧中途结束（剩余 ${queue.length} bytes）`);
+  } finally {
+    try { await reader.cancel(); } catch {}
+    try { reader.releaseLock(); } catch {}
+  }
+}
+
+function encodeEventStreamMessage(headers, payload) {
+  const enc = new TextEncoder();
+  const headerParts = [];
+  for (const [name, value] of Object.entries(headers || {})) {
+    const n = enc.encode(name);
+    const v = enc.encode(String(value));
+    const h = new Uint8Array(1 + n.length + 1 + 2 + v.length);
+    h[0] = n.length;
+    h.set(n, 1);
+    h[1 + n.length] = 7;
+    new DataView(h.buffer).setUint16(2 + n.length, v.length);
+    h.set(v, 4 + n.length);
+    headerParts.push(h);
+  }
+  const headersLen = headerParts.reduce((s, h) => s + h.length, 0);
+  const body = typeof payload === "string" ? enc.encode(payload) : payload || new Uint8Array(0);
+  const total = PRELUDE_LEN + headersLen + body.length + 4;
+  const out = new Uint8Array(total);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, total);
+  view.setUint32(4, headersLen);
+  view.setUint32(8, crc32(out, 0, 8));
+  let i = PRELUDE_LEN;
+  for (const h of headerParts) {
+    out.set(h, i);
+    i += h.length;
+  }
+  out.set(body, i);
+  view.setUint32(total - 4, crc32(out, 0, total - 4));
+  return out;
+}
+
+module.exports = { crc32, decodeEventStreamMessage, readEventStreamMessages, encodeEventStreamMessage };
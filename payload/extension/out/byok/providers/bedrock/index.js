@@ -0,0 +1,143 @@
+"use strict";
+
+const { normalizeString } = require("../../infra/util");
+const { normalizeUsageInt, makeToolMetaGetter } = require("../provider-util");
+const { buildToolUseChunks, buildTokenUsageChunk, buildFinalChatChunk } = require("../chat-chunks-util");
+const {
+  STOP_REASON_SAFETY,
+  mapAnthropicStopReasonToAugment,
+  rawResponseNode,
+  thinkingNode,
+  makeBackChatChunk
+} = require("../../core/augment-protocol");
+const { readEventStreamMessages } = require("./event-stream");
+const { fetchBedrockWithFallbacks } = require("./request");
+const { reportProviderCallUsage } = require("../../core/provider-call-scope");
+
+function mapBedrockStopReasonToAugment(reason) {
+  const r = normalizeString(reason).toLowerCase();
+  if (r === "guardrail_intervened" || r === "content_filtered") return STOP_REASON_SAFETY;
+  return mapAnthropicStopReasonToAugment(r);
+}
+
+function readBedrockUsage(usage) {
+  const u = usage && typeof usage === "object" ? usage : {};
+  return {
+    inputTokens: normalizeUsageInt(u.inputTokens),
+    outputTokens: normalizeUsageInt(u.outputTokens),
+    cacheReadInputTokens: normalizeUsageInt(u.cacheReadInputTokens),
+    cacheCreationInputTokens: normalizeUsageInt(u.cacheWriteInputTokens)
+  };
+}
+
+// ConverseStream：每帧 headers[":message-type"] 为 event / exception；payload 为 JSON
+async function* readBedrockStreamEvents(resp, label) {
+  if (!resp || !resp.body) return;
+  const decoder = new TextDecoder();
+  for await (const { headers, payload } of readEventStreamMessages(resp.body)) {
+    const messageType = normalizeString(headers[":message-type"]);
+    let json = null;
+    try {
+      json = JSON.parse(decoder.decode(payload) || "{}");
+    } catch {}
+    if (messageType === "exception" || messageType === "error") {
+      const kind = normalizeString(headers[":exception-type"] || headers[":error-code"]) || "exception";
+      const msg = normalizeString(json?.message || json?.Message || headers[":error-message"]) || "upstream error";
+      throw new Error(`${label} upstream error: ${kind}: ${msg}`);
+    }
+    yield { type: normalizeString(headers[":event-type"]), json: json && typeof json === "object" ? json : {} };
+  }
+}
+
+async function bedrockCompleteText({ baseUrl, apiKey, model, system, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults }) {
+  const resp = await fetchBedrockWithFallbacks({ baseUrl, apiKey, model, system, messages, tools: [], extraHeaders, requestDefaults, stream: false, timeoutMs, abortSignal, label: "Bedrock" });
+  const json = await resp.json().catch(() => null);
+  reportProviderCallUsage(readBedrockUsage(json?.usage));
+  const blocks = Array.isArray(json?.output?.message?.content) ? json.output.message.content : [];
+  const text = blocks.map((b) => (typeof b?.text === "string" ? b.text : "")).join("");
+  if (!text) throw new Error("Bedrock 响应缺少 output.message.content[].text");
+  return text;
+}
+
+async function* bedrockStreamTextDeltas({ baseUrl, apiKey, model, system, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults }) {
+  const label = "Bedrock(stream)";
+  const resp = await fetchBedrockWithFallbacks({ baseUrl, apiKey, model, system, messages, tools: [], extraHeaders, requestDefaults, stream: true, timeoutMs, abortSignal, label });
+  let emitted = 0;
+  for await (const { type, json } of readBedrockStreamEvents(resp, label)) {
+    if (type === "metadata") reportProviderCallUsage(readBedrockUsage(json.usage));
+    const text = type === "contentBlockDelta" && typeof json.delta?.text === "string" ? json.delta.text : "";
+    if (!text) continue;
+    emitted += 1;
+    yield text;
+  }
+  if (emitted === 0) throw new Error(`${label} 未解析到任何 eventstream 文本；请检查 baseUrl 是否指向 bedrock-runtime 且 model 支持 ConverseStream`);
+}
+
+async function* bedrockChatStreamChunks({ baseUrl, apiKey, model, system, messages, tools, timeoutMs, abortSignal, extraHeaders, requestDefaults, toolMetaByName, supportToolUseStart, nodeIdStart }) {
+  const label = "Bedrock(chat-stream)";
+  const getToolMeta = makeToolMetaGetter(toolMetaByName);
+  const resp = await fetchBedrockWithFallbacks({ baseUrl, apiKey, model, system, messages, tools, extraHeaders, requestDefaults, stream: true, timeoutMs, abortSignal, label });
+
+  let nodeId = Number(nodeIdStart);
+  if (!Number.isFinite(nodeId) || nodeId < 0) nodeId = 0;
+  let thinkingBuf = "";
+  let stopReason = null;
+  let stopReasonSeen = false;
+  let usage = null;
+  let emittedChunks = 0;
+  let sawToolUse = false;
+  const toolBlocks = new Map(); // contentBlockIndex -> { id, name, input }
+
+  for await (const { type, json } of readBedrockStreamEvents(resp, label)) {
+    if (type === "contentBlockStart") {
+      const tu = json.start?.toolUse;
+      if (tu && typeof tu === "object") toolBlocks.set(Number(json.contentBlockIndex) || 0, { id: normalizeString(tu.toolUseId), name: normalizeString(tu.name), input: "" });
+    } else if (type === "contentBlockDelta") {
+      const d = json.delta && typeof json.delta === "object" ? json.delta : {};
+      if (typeof d.text === "string" && d.text) {
+        nodeId += 1;
+        emittedChunks += 1;
+        yield makeBackChatChunk({ text: d.text, nodes: [rawResponseNode({ id: nodeId, content: d.text })] });
+      }
+      if (typeof d.reasoningContent?.text === "string") thinkingBuf += d.reasoningContent.text;
+      const rec = d.toolUse ? toolBlocks.get(Number(json.contentBlockIndex) || 0) : null;
+      if (rec && typeof d.toolUse.input === "string") rec.input += d.toolUse.input;
+    } else if (type === "contentBlockStop") {
+      const idx = Number(json.contentBlockIndex) || 0;
+      const rec = toolBlocks.get(idx);
+      if (!rec) continue;
+      toolBlocks.delete(idx);
+      if (thinkingBuf.trim()) {
+        nodeId += 1;
+        yield makeBackChatChunk({ text: "", nodes: [thinkingNode({ id: nodeId, summary: thinkingBuf.trim() })] });
+        thinkingBuf = "";
+      }
+      const built = buildToolUseChunks({ nodeId, toolUseId: rec.id, toolName: rec.name, inputJson: normalizeString(rec.input) || "{}", meta: getToolMeta(rec.name), supportToolUseStart });
+      nodeId = built.nodeId;
+      if (built.chunks.length) sawToolUse = true;
+      for (const c of built.chunks) yield c;
+    } else if (type === "messageStop") {
+      stopReasonSeen = true;
+      stopReason = mapBedrockStopReasonToAugment(json.stopReason);
+    } else if (type === "metadata") {
+      usage = readBedrockUsage(json.usage);
+    }
+  }
+
+  if (thinkingBuf.trim()) {
+    nodeId += 1;
+    yield makeBackChatChunk({ text: "", nodes: [thinkingNode({ id: nodeId, summary: thinkingBuf.trim() })] });
+  }
+  if (emittedChunks === 0 && !sawToolUse && !usage && !stopReasonSeen) {
+    throw new Error(`${label} 未解析到任何 eventstream 内容；请检查 baseUrl 是否指向 bedrock-runtime 且 model 支持 ConverseStream`);
+  }
+
+  const usageBuilt = buildTokenUsageChunk({ nodeId, ...(usage || {}) });
+  nodeId = usageBuilt.nodeId;
+  if (usageBuilt.chunk) yield usageBuilt.chunk;
+
+  const final = buildFinalChatChunk({ nodeId, stopReasonSeen, stopReason, sawToolUse, endedCleanly: stopReasonSeen });
+  yield final.chunk;
+}
+
+module.exports = { bedrockCompleteText, bedrockStreamTextDeltas, bedrockChatStreamChunks };
@@ -0,0 +1,111 @@
+"use strict";
+
+const { normalizeString, requireString, normalizeRawToken } = require("../../infra/util");
+const { debug } = require("../../infra/log");
+const { withJsonContentType } = require("../headers");
+const { isInvalidRequestStatusForFallback } = require("../provider-util");
+const { fetchOkWithRetry } = require("../request-util");
+const { signAwsRequest } = require("./sigv4");
+const { normalizeBedrockRequestDefaults, toBedrockMessages, toBedrockSystem } = require("./converse");
+
+const REGION_RE = /(?:^|\.)bedrock(?:-runtime)?(?:-fips)?\.([a-z]{2}(?:-[a-z]+)+-\d+)\./i;
+
+// apiKey 两种形态：`<AccessKeyId>:<SecretAccessKey>[:<SessionToken>]`（SigV4）或 Bedrock API key（Bearer）
+function parseBedrockCredentials(apiKey) {
+  const key = normalizeRawToken(apiKey);
+  if (!key) return null;
+  const parts = key.split(":").map((s) => s.trim());
+  if (parts.length >= 2 && parts[0] && parts[1]) return { accessKeyId: parts[0], secretAccessKey: parts[1], sessionToken: parts.slice(2).join(":") };
+  return { bearerToken: key };
+}
+
+// region：requestDefaults.__byok_aws_region > baseUrl 主机名（bedrock-runtime.<region>.amazonaws.com / VPC endpoint）
+function resolveBedrockRegion(baseUrl, requestDefaults) {
+  const explicit = normalizeString(requestDefaults?.__byok_aws_region);
+  if (explicit) return explicit;
+  let host = "";
+  try {
+    host = new URL(normalizeString(baseUrl)).host;
+  } catch {}
+  const m = host.match(REGION_RE);
+  return m ? m[1].toLowerCase() : "";
+}
+
+function resolveBedrockRuntimeRoot(baseUrl, region) {
+  const b = normalizeString(baseUrl).replace(/\/+$/, "");
+  if (b) return b;
+  if (!region) throw new Error("Bedrock baseUrl 未配置（且无法确定 region）");
+  return `https://bedrock-runtime.${region}.amazonaws.com`;
+}
+
+/**
+ * 为 Bedrock 请求生成 headers：SigV4（access key/secret）或 Bearer（Bedrock API key）；
+ * 两者都没有时，允许用户在 headers 中自行提供 authorization（例如前置网关）。
+ */
+function bedrockAuthHeaders({ method, url, body, apiKey, extraHeaders, region, service }) {
+  const extra = extraHeaders && typeof extraHeaders === "object" ? extraHeaders : {};
+  const headers = withJsonContentType({ ...extra });
+  const hasAuthHeader = Object.keys(headers).some((k) => String(k || "").trim().toLowerCase() === "authorization");
+  const creds = parseBedrockCredentials(apiKey);
+  if (hasAuthHeader || !creds) {
+    if (!hasAuthHeader) throw new Error("Bedrock 未配置凭证（apiKey 需为 AccessKeyId:SecretAccessKey[:SessionToken] 或 Bedrock API key）");
+    return headers;
+  }
+  if (creds.bearerToken) return { ...headers, authorization: `Bearer ${creds.bearerToken}` };
+  if (!region) throw new Error("Bedrock SigV4 需要 region（baseUrl 形如 https://bedrock-runtime.<region>.amazonaws.com，或配置 requestDefaults.__byok_aws_region）");
+  return { ...headers, ...signAwsRequest({ method, url, headers, body, region, service: service || "bedrock", credentials: creds }) };
+}
+
+function buildBedrockConverseRequest({ baseUrl, apiKey, model, system, messages, tools, extraHeaders, requestDefaults, stream, withImages }) {
+  const m = requireString(model, "Bedrock model");
+  const region = resolveBedrockRegion(baseUrl, requestDefaults);
+  const root = resolveBedrockRuntimeRoot(baseUrl, region);
+  const url = `${root}/model/${encodeURIComponent(m)}/${stream ? "converse-stream" : "converse"}`;
+
+  const toolSpecs = Array.isArray(tools) ? tools.filter((t) => t && t.toolSpec) : [];
+  const ms = toBedrockMessages(messages, { withTools: toolSpecs.length > 0, withImages: withImages !== false });
+  if (!ms.length) throw new Error("Bedrock messages 为空");
+  const body = { ...normalizeBedrockRequestDefaults(requestDefaults), messages: ms };
+  const sys = toBedrockSystem(system);
+  if (sys.length) body.system = sys;
+  if (toolSpecs.length) body.toolConfig = { tools: toolSpecs };
+
+  const bodyText = JSON.stringify(body);
+  const headers = bedrockAuthHeaders({ method: "POST", url, body: bodyText, apiKey, extraHeaders, region });
+  if (stream) headers.accept = "application/vnd.amazon.eventstream";
+  return { url, headers, body, bodyText };
+}
+
+async function fetchBedrockWithFallbacks({ baseUrl, apiKey, model, system, messages, tools, extraHeaders, requestDefaults, stream, timeoutMs, abortSignal, label } = {}) {
+  const hasTools = Array.isArray(tools) && tools.length > 0;
+  const hasImages = (Array.isArray(messages) ? messages : []).some(
+    (m) => Array.isArray(m?.content) && m.content.some((b) => b?.type === "image" || (b?.type === "tool_result" && Array.isArray(b.content) && b.content.some((x) => x?.type === "image")))
+  );
+  // region 等 __byok 内部键需跨兜底保留
+  const internalOnly = Object.fromEntries(Object.entries(requestDefaults && typeof requestDefaults === "object" ? requestDefaults : {}).filter(([k]) => k.startsWith("__byok")));
+
+  const attempts = [
+    { labelSuffix: "", tools, requestDefaults, withImages: true },
+    { labelSuffix: ":no-defaults", tools, requestDefaults: internalOnly, withImages: true }
+  ];
+  if (hasImages) attempts.push({ labelSuffix: ":no-images", tools, requestDefaults: internalOnly, withImages: false });
+  if (hasTools) attempts.push({ labelSuffix: ":no-tools", tools: [], requestDefaults: internalOnly, withImages: false });
+
+  let lastErr = null;
+  for (let i = 0; i < attempts.length; i++) {
+    const a = attempts[i];
+    const lab = `${normalizeString(label) || "Bedrock"}${a.labelSuffix || ""}`;
+    const { url, headers, bodyText } = buildBedrockConverseRequest({ baseUrl, apiKey, model, system, messages, tools: a.tools, extraHeaders, requestDefaults: a.requestDefaults, stream, withImages: a.withImages });
+    try {
+      return await fetchOkWithRetry(url, { method: "POST", headers, body: bodyText }, { timeoutMs, abortSignal, label: lab });
+    } catch (err) {
+      lastErr = err;
+      const status = err && typeof err === "object" ? Number(err.status) : NaN;
+      if (!isInvalidRequestStatusForFallback(err?.status) || i + 1 >= attempts.length) throw err;
+      debug(`${lab} fallback: retry (status=${Number.isFinite(status) ? status : "unknown"})`);
+    }
+  }
+  throw lastErr || new Error("Bedrock request failed");
+}
+
+module.exports = { parseBedrockCredentials, resolveBedrockRegion, bedrockAuthHeaders, buildBedrockConverseRequest, fetchBedrockWithFallbacks };
@@ -0,0 +1,87 @@
+"use strict";
+
+const crypto = require("crypto");
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data ?? "", "utf8").digest("hex");
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data, "utf8").digest();
+}
+
+function encodeRfc3986(s) {
+  return encodeURIComponent(s).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function formatAmzDate(now) {
+  const d = new Date(Number.isFinite(Number(now)) ? Number(now) : Date.now());
+  return d.toISOString().replace(/[:-]|\.\d{3}/g, "");
+}
+
+// 非 S3 服务：path 的每一段需要再编码一次（URL 中已是一次编码，例如 modelId 里的 ":" → "%3A" → "%253A"）
+function canonicalUri(pathname) {
+  const p = String(pathname || "/");
+  return p
+    .split("/")
+    .map((seg) => encodeRfc3986(seg))
+    .join("/");
+}
+
+function canonicalQuery(searchParams) {
+  const pairs = [];
+  for (const [k, v] of searchParams) pairs.push([encodeRfc3986(k), encodeRfc3986(v)]);
+  pairs.sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0) : a[0] < b[0] ? -1 : 1));
+  return pairs.map(([k, v]) => `${k}=${v}`).join("&");
+}
+
+/**
+ * AWS Signature Version 4（header 签名）。
+ * 返回需要合并进请求的 headers：authorization / x-amz-date / x-amz-security-token。
+ * 只签 host、x-amz-*、content-type；其余自定义 headers 不参与签名（AWS 允许未签名 headers）。
+ */
+function signAwsRequest({ method, url, headers, body, region, service, credentials, now } = {}) {
+  const accessKeyId = String(credentials?.accessKeyId || "").trim();
+  const secretAccessKey = String(credentials?.secretAccessKey || "").trim();
+  const sessionToken = String(credentials?.sessionToken || "").trim();
+  if (!accessKeyId || !secretAccessKey) throw new Error("SigV4 缺少 accessKeyId/secretAccessKey");
+  if (!region || !service) throw new Error("SigV4 缺少 region/service");
+
+  const u = new URL(url);
+  const amzDate = formatAmzDate(now);
+  const dateStamp = amzDate.slice(0, 8);
+
+  const toSign = { host: u.host, "x-amz-date": amzDate };
+  if (sessionToken) toSign["x-amz-security-token"] = sessionToken;
+  for (const [k, v] of Object.entries(headers && typeof headers === "object" ? headers : {})) {
+    const key = String(k || "").trim().toLowerCase();
+    if (key === "content-type" || (key.startsWith("x-amz-") && !(key in toSign))) toSign[key] = String(v ?? "");
+  }
+  const names = Object.keys(toSign).sort();
+  const canonicalHeaders = names.map((k) => `${k}:${String(toSign[k]).trim().replace(/\s+/g, " ")}\n`).join("");
+  const signedHeaders = names.join(";");
+
+  const canonicalRequest = [
+    String(method || "GET").toUpperCase(),
+    canonicalUri(u.pathname),
+    canonicalQuery(u.searchParams),
+    canonicalHeaders,
+    signedHeaders,
+    sha256Hex(typeof body === "string" ? body : "")
+  ].join("\n");
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+  const kDate = hmac(`AWS4${secretAccessKey}`, dateStamp);
+  const kSigning = hmac(hmac(hmac(kDate, region), service), "aws4_request");
+  const signature = crypto.createHmac("sha256", kSigning).update(stringToSign, "utf8").digest("hex");
+
+  const out = {
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    "x-amz-date": amzDate
+  };
+  if (sessionToken) out["x-amz-security-token"] = sessionToken;
+  return out;
+}
+
+module.exports = { signAwsRequest };
@@ -0,0 +1,97 @@
+"use strict";
+
+const { joinBaseUrl } = require("../http");
+const { normalizeString } = require("../../infra/util");
+const { withJsonContentType, openAiAuthHeaders } = require("../headers");
+const { fetchOkWithRetry, extractErrorMessageFromJson } = require("../request-util");
+const { normalizeUsageInt } = require("../provider-util");
+const { ollamaUrl } = require("../ollama/request");
+const { reportProviderCallUsage } = require("../../core/provider-call-scope");
+const { resolveFimTemplate, renderFimPrompt, buildFimStopSequences, trimFimSuffixOverlap } = require("./templates");
+
+const DEFAULT_FIM_MAX_TOKENS = 128;
+// 行内补全的低延迟预算：超过即放弃（fim.timeoutMs 可调，且不超过请求本身的 timeoutMs）
+const DEFAULT_FIM_TIMEOUT_MS = 5000;
+// OpenAI 旧版 /completions 的 stop 最多 4 个（DeepSeek/Codestral 更宽松，统一按 4 截断）
+const MAX_HTTP_STOP_SEQUENCES = 4;
+
+// provider.fim.style → 原生 FIM 端点（fim.path 可覆盖）：
+// - openai_completions：{baseUrl}/completions（prompt + suffix）
+// - deepseek：{root}/beta/completions（baseUrl 末尾的 /v1 会被去掉）
+// - codestral：{baseUrl}/fim/completions
+// - ollama_raw：{root}/api/generate（raw=true + 模型专用 FIM token 模板）
+function fimEndpointUrl(style, baseUrl, path) {
+  const p = normalizeString(path);
+  if (style === "ollama_raw") return ollamaUrl(baseUrl, p || "/api/generate");
+  const base = style === "deepseek" && !p ? normalizeString(baseUrl).replace(/\/+$/, "").replace(/\/(?:v1|beta)$/i, "") : baseUrl;
+  const dflt = style === "deepseek" ? "beta/completions" : style === "codestral" ? "fim/completions" : "completions";
+  const url = joinBaseUrl(base, p || dflt);
+  if (!url) throw new Error("FIM URL 构造失败（请检查 baseUrl / fim.path）");
+  return url;
+}
+
+// 补全文本不能 trim：光标处的缩进 / 换行是补全的一部分
+function extractFimText(json, style) {
+  if (style === "ollama_raw") return typeof json?.response === "string" ? json.response : "";
+  const c0 = Array.isArray(json?.choices) ? json.choices[0] : null;
+  if (typeof c0?.text === "string") return c0.text;
+  return typeof c0?.message?.content === "string" ? c0.message.content : "";
+}
+
+// /completions 类返回 OpenAI usage；ollama_raw 返回 prompt_eval_count / eval_count
+function reportFimUsage(json, style) {
+  const n = normalizeUsageInt;
+  if (style === "ollama_raw") return reportProviderCallUsage({ inputTokens: n(json.prompt_eval_count), outputTokens: n(json.eval_count) });
+  const u = json.usage && typeof json.usage === "object" ? json.usage : {};
+  reportProviderCallUsage({ inputTokens: n(u.prompt_tokens), outputTokens: n(u.completion_tokens), cacheReadInputTokens: n(u.prompt_tokens_details?.cached_tokens ?? u.prompt_cache_hit_tokens) });
+}
+
+function buildFimRequestBody({ style, model, prefix, suffix, maxTokens, stop, template }) {
+  if (style === "ollama_raw") {
+    const options = { num_predict: maxTokens, temperature: 0 };
+    if (stop.length) options.stop = stop;
+    return { model, prompt: renderFimPrompt(template, { prefix, suffix }), raw: true, stream: false, options };
+  }
+  const body = { model, prompt: prefix, suffix, max_tokens: maxTokens, temperature: 0, stream: false };
+  if (stop.length) body.stop = stop;
+  return body;
+}
+
+/**
+ * 原生 FIM 补全（provider.fim）：prefix/suffix 直接交给代码模型，不走 chat prompt。
+ * 返回补全文本（可为空字符串：模型认为光标处无需补全）。
+ */
+async function fimCompleteText({ fim, baseUrl, apiKey, model, prefix, suffix, timeoutMs, abortSignal, extraHeaders }) {
+  const f = fim && typeof fim === "object" ? fim : {};
+  const style = normalizeString(f.style);
+  const m = normalizeString(f.model) || normalizeString(model);
+  const base = normalizeString(f.baseUrl) || baseUrl;
+  const pre = typeof prefix === "string" ? prefix : "";
+  const suf = typeof suffix === "string" ? suffix : "";
+  const maxTokens = Number.isFinite(Number(f.maxTokens)) && Number(f.maxTokens) > 0 ? Math.floor(Number(f.maxTokens)) : DEFAULT_FIM_MAX_TOKENS;
+  const tpl = style === "ollama_raw" ? resolveFimTemplate(f.template, m) : { template: "", stop: [] };
+  const stop = buildFimStopSequences({
+    suffix: suf,
+    stop: f.stop,
+    templateStop: tpl.stop,
+    max: style === "ollama_raw" ? 0 : MAX_HTTP_STOP_SEQUENCES
+  });
+
+  const budgetMs = Number.isFinite(Number(f.timeoutMs)) && Number(f.timeoutMs) > 0 ? Number(f.timeoutMs) : DEFAULT_FIM_TIMEOUT_MS;
+  const t = Number(timeoutMs);
+  const fimTimeoutMs = Number.isFinite(t) && t > 0 ? Math.min(t, budgetMs) : budgetMs;
+
+  const label = `FIM(${style || "unknown"})`;
+  const url = fimEndpointUrl(style, base, f.path);
+  const headers = withJsonContentType(openAiAuthHeaders(apiKey, extraHeaders));
+  const body = buildFimRequestBody({ style, model: m, prefix: pre, suffix: suf, maxTokens, stop, template: tpl.template });
+  // 补全对延迟敏感：不重试，超时后由调用方 failover / 放弃本次补全
+  const resp = await fetchOkWithRetry(url, { method: "POST", headers, body: JSON.stringify(body) }, { timeoutMs: fimTimeoutMs, abortSignal, label, maxAttempts: 1 });
+  const json = await resp.json().catch(() => null);
+  if (json && typeof json === "object" && json.error) throw new Error(`${label} upstream error: ${normalizeString(extractErrorMessageFromJson(json)) || "unknown"}`);
+  if (!json || typeof json !== "object") throw new Error(`${label} 响应不是 JSON`);
+  reportFimUsage(json, style);
+  return trimFimSuffixOverlap(extractFimText(json, style), suf);
+}
+
+module.exports = { fimCompleteText };
@@ -0,0 +1,81 @@
+"use strict";
+
+const { normalizeString } = require("../../infra/util");
+
+// Ollama raw 模式的 FIM 模板：{prefix}/{suffix} 占位；stop 为模型的结束 / 填充 token
+const FIM_TEMPLATE_PRESETS = Object.freeze({
+  starcoder: { template: "<fim_prefix>{prefix}<fim_suffix>{suffix}<fim_middle>", stop: ["<|endoftext|>", "<file_sep>", "<fim_prefix>"] },
+  qwen: { template: "<|fim_prefix|>{prefix}<|fim_suffix|>{suffix}<|fim_middle|>", stop: ["<|endoftext|>", "<|fim_pad|>", "<|file_sep|>", "<|im_end|>"] },
+  codellama: { template: "<PRE> {prefix} <SUF>{suffix} <MID>", stop: ["<EOT>", "<PRE>", "<SUF>"] },
+  deepseek: { template: "<｜fim▁begin｜>{prefix}<｜fim▁hole｜>{suffix}<｜fim▁end｜>", stop: ["<｜end▁of▁sentence｜>", "<｜fim▁begin｜>"] },
+  codegemma: { template: "<|fim_prefix|>{prefix}<|fim_suffix|>{suffix}<|fim_middle|>", stop: ["<|file_separator|>", "<|fim_prefix|>", "<end_of_turn>"] }
+});
+
+// 未配置 template 时按模型名猜预设
+function guessFimTemplatePreset(model) {
+  const m = normalizeString(model).toLowerCase();
+  if (m.includes("qwen")) return "qwen";
+  if (m.includes("codellama") || m.includes("code-llama")) return "codellama";
+  if (m.includes("deepseek")) return "deepseek";
+  if (m.includes("codegemma")) return "codegemma";
+  return "starcoder";
+}
+
+/** 解析 fim.template：预设名 / 自定义模板（需含 {prefix} 与 {suffix}）；返回 { template, stop }。 */
+function resolveFimTemplate(template, model) {
+  const t = normalizeString(template);
+  if (t && FIM_TEMPLATE_PRESETS[t]) return FIM_TEMPLATE_PRESETS[t];
+  if (t.includes("{prefix}") && t.includes("{suffix}")) return { template: t, stop: [] };
+  return FIM_TEMPLATE_PRESETS[guessFimTemplatePreset(model)];
+}
+
+function renderFimPrompt(template, { prefix, suffix }) {
+  // 用函数替换：避免代码里的 `$&` 等被当成替换模式
+  return String(template)
+    .replace("{prefix}", () => prefix)
+    .replace("{suffix}", () => suffix);
+}
+
+// 光标后同一行还有代码：只补全当前行（遇到换行即停）
+function isMidLineCursor(suffix) {
+  const s = typeof suffix === "string" ? suffix : "";
+  const nl = s.indexOf("\n");
+  return Boolean((nl >= 0 ? s.slice(0, nl) : s).trim());
+}
+
+function buildFimStopSequences({ suffix, stop, templateStop, max } = {}) {
+  const out = [];
+  const add = (s) => {
+    if (typeof s === "string" && s && !out.includes(s)) out.push(s);
+  };
+  if (isMidLineCursor(suffix)) add("\n");
+  for (const s of Array.isArray(stop) ? stop : []) add(s);
+  for (const s of Array.isArray(templateStop) ? templateStop : []) add(s);
+  return Number.isFinite(Number(max)) && Number(max) > 0 ? out.slice(0, Number(max)) : out;
+}
+
+// 模型常把光标后的原文再写一遍：去掉补全末尾与 suffix 首个非空行重复的部分
+// 仅由括号/标点构成的行（如 `}`）容易误伤嵌套块，要求整行相同且缩进一致才裁剪
+function trimFimSuffixOverlap(text, suffix) {
+  const t = typeof text === "string" ? text : "";
+  const s = typeof suffix === "string" ? suffix : "";
+  const line = s.split("\n").find((l) => l.trim()) || "";
+  const needle = line.trim();
+  const end = t.trimEnd();
+  if (!needle || !end.endsWith(needle)) return t;
+  if (!/[\p{L}\p{N}_]/u.test(needle)) {
+    const lastLine = end.slice(end.lastIndexOf("\n") + 1);
+    const indentOf = (l) => l.match(/^[ \t]*/)[0];
+    if (lastLine.trim() !== needle || indentOf(lastLine) !== indentOf(line)) return t;
+  }
+  return end.slice(0, -needle.length).replace(/[ \t]+$/, "");
+}
+
+module.exports = {
+  FIM_TEMPLATE_PRESETS,
+  resolveFimTemplate,
+  renderFimPrompt,
+  isMidLineCursor,
+  buildFimStopSequences,
+  trimFimSuffixOverlap
+};
@@ -13,11 +13,12 @@ const {
   normalizeFunctionCallArgsToJsonString,
   extractTextFromGeminiJson,
   extractGeminiUsageTokens,
+  reportGeminiUsage,
   extractGeminiStopReasonFromCandidate,
   emitGeminiChatJsonAsAugmentChunks
 } = require("./json-util");
 
-async function geminiCompleteText({ baseUrl, apiKey, model, systemInstruction, contents, timeoutMs, abortSignal, extraHeaders, requestDefaults }) {
+async function geminiCompleteText({ baseUrl, apiKey, model, systemInstruction, contents, timeoutMs, abortSignal, extraHeaders, requestDefaults, vertex }) {
   const resp = await fetchGeminiWithFallbacks({
     baseUrl,
     apiKey,
@@ -28,17 +29,19 @@ async function geminiCompleteText({ baseUrl, apiKey, model, systemInstruction, c
     extraHeaders,
     requestDefaults,
     stream: false,
+    vertex,
     timeoutMs,
     abortSignal,
     label: "Gemini"
   });
   const json = await resp.json().catch(() => null);
+  reportGeminiUsage(json);
   const text = extractTextFromGeminiJson(json);
   if (!text) throw new Error("Gemini 响应缺少 candidates[0].content.parts[].text");
   return text;
 }
 
-async function* geminiStreamTextDeltas({ baseUrl, apiKey, model, systemInstruction, contents, timeoutMs, abortSignal, extraHeaders, requestDefaults }) {
+async function* geminiStreamTextDeltas({ baseUrl, apiKey, model, systemInstruction, contents, timeoutMs, abortSignal, extraHeaders, requestDefaults, vertex }) {
   const resp = await fetchGeminiWithFallbacks({
     baseUrl,
     apiKey,
@@ -49,6 +52,7 @@ async function* geminiStreamTextDeltas({ baseUrl, apiKey, model, systemInstructi
     extraHeaders,
     requestDefaults,
     stream: true,
+    vertex,
     timeoutMs,
     abortSignal,
     label: "Gemini(stream)"
@@ -60,6 +64,7 @@ async function* geminiStreamTextDeltas({ baseUrl, apiKey, model, systemInstructi
       const msg = normalizeString(extractErrorMessageFromJson(json)) || "upstream error";
       throw new Error(`Gemini(stream) upstream error: ${msg}`.trim());
     }
+    reportGeminiUsage(json);
     const text = extractTextFromGeminiJson(json);
     if (text) {
       yield text;
@@ -72,21 +77,28 @@ async function* geminiStreamTextDeltas({ baseUrl, apiKey, model, systemInstructi
   const sse = makeSseJsonIterator(resp, { doneData: "[DONE]" });
   let emitted = 0;
   let fullText = "";
+  // usageMetadata 为累计值：只上报最后一次
+  let lastUsageJson = null;
+
+  try {
+    for await (const { json } of sse.events) {
+      if (json && typeof json === "object" && json.error) {
+        const msg = normalizeString(extractErrorMessageFromJson(json)) || "upstream error";
+        throw new Error(`Gemini(stream) upstream error: ${msg}`.trim());
+      }
+      if (json && typeof json === "object" && (json.usageMetadata || json.usage_metadata)) lastUsageJson = json;
+      const chunk = extractTextFromGeminiJson(json);
+      if (!chunk) continue;
 
-  for await (const { json } of sse.events) {
-    if (json && typeof json === "object" && json.error) {
-      const msg = normalizeString(extractErrorMessageFromJson(json)) || "upstream error";
-      throw new Error(`Gemini(stream) upstream error: ${msg}`.trim());
-    }
-    const chunk = extractTextFromGeminiJson(json);
-    if (!chunk) continue;
-
-    const diff = deriveCumulativeTextDelta(fullText, chunk);
-    fullText = diff.fullText;
-    if (diff.delta) {
-      emitted += 1;
-      yield diff.delta;
+      const diff = deriveCumulativeTextDelta(fullText, chunk);
+      fullText = diff.fullText;
+      if (diff.delta) {
+        emitted += 1;
+        yield diff.delta;
+      }
     }
+  } finally {
+    if (lastUsageJson) reportGeminiUsage(lastUsageJson);
   }
 
   if (emitted === 0) {
@@ -96,7 +108,7 @@ async function* geminiStreamTextDeltas({ baseUrl, apiKey, model, systemInstructi
   }
 }
 
-async function* geminiChatStreamChunks({ baseUrl, apiKey, model, systemInstruction, contents, tools, timeoutMs, abortSignal, extraHeaders, requestDefaults, toolMetaByName, supportToolUseStart, nodeIdStart }) {
+async function* geminiChatStreamChunks({ baseUrl, apiKey, model, systemInstruction, contents, tools, timeoutMs, abortSignal, extraHeaders, requestDefaults, toolMetaByName, supportToolUseStart, nodeIdStart, vertex }) {
   const getToolMeta = makeToolMetaGetter(toolMetaByName);
 
   const resp = await fetchGeminiWithFallbacks({
@@ -109,6 +121,7 @@ async function* geminiChatStreamChunks({ baseUrl, apiKey, model, systemInstructi
     extraHeaders,
     requestDefaults,
     stream: true,
+    vertex,
     timeoutMs,
     abortSignal,
     label: "Gemini(chat-stream)"
@@ -13,6 +13,7 @@ const {
   makeBackChatChunk
 } = require("../../core/augment-protocol");
 const { buildToolUseChunks, buildTokenUsageChunk, buildFinalChatChunk } = require("../chat-chunks-util");
+const { reportProviderCallUsage } = require("../../core/provider-call-scope");
 
 function mapGeminiFinishReasonToAugment(reason) {
   const r = normalizeString(reason).trim().toUpperCase();
@@ -167,11 +168,17 @@ async function* emitGeminiChatJsonAsAugmentChunks(json, { toolMetaByName, suppor
   yield final.chunk;
 }
 
+function reportGeminiUsage(obj) {
+  const u = extractGeminiUsageTokens(obj);
+  reportProviderCallUsage({ inputTokens: u.usagePromptTokens, outputTokens: u.usageCompletionTokens, cacheReadInputTokens: u.usageCacheReadInputTokens });
+}
+
 module.exports = {
   sanitizeToolHint,
   normalizeFunctionCallArgsToJsonString,
   extractTextFromGeminiJson,
   extractGeminiUsageTokens,
+  reportGeminiUsage,
   extractGeminiStopReasonFromCandidate,
   emitGeminiChatJsonAsAugmentChunks
 };
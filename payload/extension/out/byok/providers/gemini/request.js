@@ -37,20 +37,47 @@ function normalizeGeminiRequestDefaults(requestDefaults) {
   return out;
 }
 
-function buildGeminiRequest({ baseUrl, apiKey, model, systemInstruction, contents, tools, extraHeaders, requestDefaults, stream }) {
+// responseSchema 是 OpenAPI 子集：类型名大写，不支持 additionalProperties
+function toGeminiResponseSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiResponseSchema);
+  if (!schema || typeof schema !== "object") return schema;
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    if (k === "additionalProperties") continue;
+    if (k === "type" && typeof v === "string") out.type = v.toUpperCase();
+    else if (k === "properties" && v && typeof v === "object") out.properties = Object.fromEntries(Object.entries(v).map(([pk, pv]) => [pk, toGeminiResponseSchema(pv)]));
+    else out[k] = k === "items" ? toGeminiResponseSchema(v) : v;
+  }
+  return out;
+}
+
+// vertex：由 providers/vertex/request.js 的 resolveVertexTarget 解析（modelUrl + Bearer 鉴权）；此时不走 `?key=`
+function buildGeminiUrl({ baseUrl, apiKey, model, extraHeaders, stream, vertex }) {
+  const method = stream ? "streamGenerateContent" : "generateContent";
+  if (vertex) {
+    const u = new URL(`${requireString(vertex.modelUrl, "Vertex modelUrl")}:${method}`);
+    if (stream) u.searchParams.set("alt", "sse");
+    return u;
+  }
+
   const b = requireString(baseUrl, "Gemini baseUrl");
   const key = normalizeRawToken(apiKey);
   const extra = extraHeaders && typeof extraHeaders === "object" ? extraHeaders : {};
   if (!key && Object.keys(extra).length === 0) throw new Error("Gemini apiKey 未配置（且 headers 为空）");
 
   const m = normalizeGeminiModel(model);
-  const endpoint = stream ? `${m}:streamGenerateContent` : `${m}:generateContent`;
+  const endpoint = `${m}:${method}`;
   const url0 = joinBaseUrl(b, b.includes("/v1beta") ? endpoint : `v1beta/${endpoint}`);
   if (!url0) throw new Error("Gemini URL 构造失败（请检查 baseUrl/model）");
 
   const u = new URL(url0);
   if (key) u.searchParams.set("key", key);
   if (stream) u.searchParams.set("alt", "sse");
+  return u;
+}
+
+function buildGeminiRequest({ baseUrl, apiKey, model, systemInstruction, contents, tools, extraHeaders, requestDefaults, stream, vertex }) {
+  const u = buildGeminiUrl({ baseUrl, apiKey, model, extraHeaders, stream, vertex });
 
   const rd = normalizeGeminiRequestDefaults(requestDefaults);
   const body = { ...rd, contents: Array.isArray(contents) ? contents : [] };
@@ -61,7 +88,7 @@ function buildGeminiRequest({ baseUrl, apiKey, model, systemInstruction, content
     if (!body.toolConfig) body.toolConfig = { functionCallingConfig: { mode: "AUTO" } };
   }
 
-  const headers = withJsonContentType(extraHeaders);
+  const headers = withJsonContentType({ ...(extraHeaders && typeof extraHeaders === "object" ? extraHeaders : {}), ...(vertex?.authHeaders || {}) });
   if (stream) headers.accept = "text/event-stream";
   return { url: u.toString(), headers, body };
 }
@@ -112,6 +139,7 @@ async function fetchGeminiWithFallbacks({
   extraHeaders,
   requestDefaults,
   stream,
+  vertex,
   timeoutMs,
   abortSignal,
   label
@@ -141,7 +169,8 @@ async function fetchGeminiWithFallbacks({
       tools: a.tools,
       extraHeaders,
       requestDefaults: a.requestDefaults,
-      stream: Boolean(stream)
+      stream: Boolean(stream),
+      vertex
     });
     const lab = `${normalizeString(label) || "Gemini"}${a.labelSuffix || ""}`;
 
@@ -160,4 +189,4 @@ async function fetchGeminiWithFallbacks({
   throw lastErr || new Error("Gemini request failed");
 }
 
-module.exports = { normalizeGeminiRequestDefaults, fetchGeminiWithFallbacks };
+module.exports = { normalizeGeminiRequestDefaults, toGeminiResponseSchema, fetchGeminiWithFallbacks };
@@ -1,6 +1,7 @@
 "use strict";
 
 const { normalizeString } = require("../infra/util");
+const { fetchWithCapture } = require("../core/capture/session");
 
 function createAbortError(message) {
   const DomExceptionCtor = globalThis.DOMException;
@@ -61,12 +62,14 @@ async function safeFetch(url, init, { timeoutMs, abortSignal, label } = {}) {
   if (typeof fetch !== "function") throw new Error("global fetch 不可用（需要 Node >= 18）");
   const { signal, cleanup, timedOut } = buildAbortSignal(timeoutMs, abortSignal);
   try {
-    return await fetch(url, { ...(init || {}), signal });
+    return await fetchWithCapture(url, init, () => fetch(url, { ...(init || {}), signal }));
   } catch (err) {
     if (err && typeof err === "object" && err.name === "AbortError") throw err;
     if (timedOut()) throw createAbortError(`Timeout while fetching ${label || url}`);
     const msg = err instanceof Error ? err.message : String(err);
-    throw new Error(`${label || "fetch"} failed: ${msg}`);
+    const e = new Error(`${label || "fetch"} failed: ${msg}`);
+    e.name = "UpstreamFetchError";
+    throw e;
   } finally {
     cleanup();
   }
@@ -7,6 +7,12 @@ const { joinBaseUrl } = require("./http");
 const { openAiAuthHeaders, anthropicAuthHeaders } = require("./headers");
 const { fetchWithRetry, makeUpstreamHttpError } = require("./request-util");
 const { formatKnownProviderTypes } = require("../core/provider-types");
+const { resolveProviderApiKey } = require("../core/provider-api-key");
+const { rememberModelCapabilities } = require("../core/model-capabilities");
+const { ollamaUrl } = require("./ollama/request");
+const { resolveBedrockRegion, bedrockAuthHeaders } = require("./bedrock/request");
+const { resolveVertexAuth, resolveVertexLocationRoot } = require("./vertex/request");
+const { AZURE_DEPLOYMENTS_API_VERSION, normalizeAzureEndpoint, azureAuthHeaders } = require("./azure/request");
 
 function baseUrlForLog(baseUrl) {
   const b = normalizeString(baseUrl);
@@ -20,11 +26,13 @@ function baseUrlForLog(baseUrl) {
   }
 }
 
+function pickId(m) {
+  return normalizeString(m?.id) || normalizeString(m?.name) || normalizeString(m?.model);
+}
+
 function parseModelIds(json) {
   if (!json || typeof json !== "object") return [];
 
-  const pickId = (m) => normalizeString(m?.id) || normalizeString(m?.name) || normalizeString(m?.model);
-
   const data = Array.isArray(json.data) ? json.data : null;
   if (data) return normalizeStringList(data.map(pickId), { maxItems: 5000 });
 
@@ -37,7 +45,44 @@ function parseModelIds(json) {
   return [];
 }
 
-async function fetchModelsWithFallback({ urls, headers, timeoutMs, abortSignal, label }) {
+function firstPositive(...values) {
+  for (const v of values) {
+    const n = Number(v);
+    if (v != null && Number.isFinite(n) && n > 0) return n;
+  }
+  return undefined;
+}
+
+// models 列表条目里的能力元数据：字段名因上游而异（OpenRouter / Gemini / Mistral / Anthropic 等），尽力识别
+function pickModelListCapabilities(m) {
+  const top = m.top_provider && typeof m.top_provider === "object" ? m.top_provider : {};
+  const modalities = m.architecture?.input_modalities ?? m.input_modalities;
+  const params = Array.isArray(m.supported_parameters) ? m.supported_parameters : null;
+  const caps = {
+    contextWindowTokens: firstPositive(m.context_length, m.context_window, m.inputTokenLimit, m.max_input_tokens, m.max_context_length, top.context_length),
+    maxOutputTokens: firstPositive(top.max_completion_tokens, m.outputTokenLimit, m.max_output_tokens, m.max_completion_tokens)
+  };
+  if (Array.isArray(modalities)) caps.vision = modalities.includes("image");
+  else if (typeof m.capabilities?.vision === "boolean") caps.vision = m.capabilities.vision;
+  if (params) caps.tools = params.includes("tools");
+  else if (typeof m.capabilities?.function_calling === "boolean") caps.tools = m.capabilities.function_calling;
+  if (m.thinking === true) caps.reasoning = "budget";
+  // OpenRouter：pricing.prompt/completion 为 USD/token（字符串），换算为 USD / 1M tokens
+  const perToken = (v) => (v != null && v !== "" && Number.isFinite(Number(v)) ? Math.round(Number(v) * 1e12) / 1e6 : undefined);
+  if (m.pricing && typeof m.pricing === "object" && m.pricing.prompt != null) {
+    caps.pricing = { input: perToken(m.pricing.prompt), output: perToken(m.pricing.completion), cacheRead: perToken(m.pricing.input_cache_read), cacheWrite: perToken(m.pricing.input_cache_write) };
+  }
+  return caps;
+}
+
+function rememberModelListCapabilities(json, providerId) {
+  const list = Array.isArray(json?.data) ? json.data : Array.isArray(json?.models) ? json.models : [];
+  for (const m of list) {
+    if (m && typeof m === "object" && pickId(m)) rememberModelCapabilities({ providerId, model: pickId(m) }, pickModelListCapabilities(m));
+  }
+}
+
+async function fetchModelsWithFallback({ urls, headers, timeoutMs, abortSignal, label, providerId }) {
   const tried = [];
   for (const url of normalizeStringList(urls, { maxItems: 50 })) {
     tried.push(url);
@@ -48,13 +93,16 @@ async function fetchModelsWithFallback({ urls, headers, timeoutMs, abortSignal,
     }
     const json = await resp.json().catch(() => null);
     const models = parseModelIds(json);
-    if (models.length) return models;
+    if (models.length) {
+      rememberModelListCapabilities(json, providerId);
+      return models;
+    }
     throw new Error(`${label} 响应未包含可解析的 models 列表`);
   }
   throw new Error(`${label} 失败（404 或无可用结果），tried=${tried.length}`);
 }
 
-async function fetchOpenAiCompatibleModels({ baseUrl, apiKey, extraHeaders, timeoutMs, abortSignal }) {
+async function fetchOpenAiCompatibleModels({ baseUrl, apiKey, extraHeaders, timeoutMs, abortSignal, providerId }) {
   const b = requireString(baseUrl, "OpenAI baseUrl");
   const key = normalizeRawToken(apiKey);
   const extra = extraHeaders && typeof extraHeaders === "object" ? extraHeaders : {};
@@ -67,11 +115,12 @@ async function fetchOpenAiCompatibleModels({ baseUrl, apiKey, extraHeaders, time
     headers: openAiAuthHeaders(key, extraHeaders),
     timeoutMs,
     abortSignal,
-    label: "OpenAI(models)"
+    label: "OpenAI(models)",
+    providerId
   });
 }
 
-async function fetchAnthropicModels({ baseUrl, apiKey, extraHeaders, timeoutMs, abortSignal }) {
+async function fetchAnthropicModels({ baseUrl, apiKey, extraHeaders, timeoutMs, abortSignal, providerId }) {
   const b = requireString(baseUrl, "Anthropic baseUrl");
   const key = normalizeRawToken(apiKey);
   const extra = extraHeaders && typeof extraHeaders === "object" ? extraHeaders : {};
@@ -84,11 +133,12 @@ async function fetchAnthropicModels({ baseUrl, apiKey, extraHeaders, timeoutMs,
     headers: anthropicAuthHeaders(key, extraHeaders, { forceBearer: true }),
     timeoutMs,
     abortSignal,
-    label: "Anthropic(models)"
+    label: "Anthropic(models)",
+    providerId
   });
 }
 
-async function fetchGeminiAiStudioModels({ baseUrl, apiKey, extraHeaders, timeoutMs, abortSignal }) {
+async function fetchGeminiAiStudioModels({ baseUrl, apiKey, extraHeaders, timeoutMs, abortSignal, providerId }) {
   const b = requireString(baseUrl, "Gemini baseUrl");
   const key = normalizeRawToken(apiKey);
   const extra = extraHeaders && typeof extraHeaders === "object" ? extraHeaders : {};
@@ -114,26 +164,102 @@ async function fetchGeminiAiStudioModels({ baseUrl, apiKey, extraHeaders, timeou
     headers: extraHeaders && typeof extraHeaders === "object" ? extraHeaders : {},
     timeoutMs,
     abortSignal,
-    label: "Gemini(models)"
+    label: "Gemini(models)",
+    providerId
   });
 }
 
+// Ollama 原生：GET /api/tags 列出本地已拉取的模型（{ models: [{ name }] }）；本地默认无鉴权。
+async function fetchOllamaModels({ baseUrl, apiKey, extraHeaders, timeoutMs, abortSignal, providerId }) {
+  return await fetchModelsWithFallback({
+    urls: [ollamaUrl(baseUrl, "api/tags")],
+    headers: openAiAuthHeaders(normalizeRawToken(apiKey), extraHeaders),
+    timeoutMs,
+    abortSignal,
+    label: "Ollama(models)",
+    providerId
+  });
+}
+
+// Bedrock 控制面（bedrock.<region>.amazonaws.com）：foundation-models + inference-profiles（跨区推理 ID，如 us.anthropic.*）。
+// 每个 URL 需单独 SigV4 签名；inference-profiles 失败不影响 foundation-models 结果。
+async function fetchBedrockModels({ baseUrl, apiKey, extraHeaders, requestDefaults, timeoutMs, abortSignal }) {
+  const region = resolveBedrockRegion(baseUrl, requestDefaults);
+  if (!region) throw new Error("Bedrock(models) 无法确定 region（baseUrl 形如 https://bedrock-runtime.<region>.amazonaws.com，或配置 requestDefaults.__byok_aws_region）");
+  const root = `https://bedrock.${region}.amazonaws.com`;
+  const getJson = async (url, label) => {
+    const headers = bedrockAuthHeaders({ method: "GET", url, body: "", apiKey, extraHeaders, region });
+    const resp = await fetchWithRetry(url, { method: "GET", headers }, { timeoutMs, abortSignal, label });
+    if (!resp.ok) throw await makeUpstreamHttpError(resp, { label, maxChars: 300 });
+    return await resp.json().catch(() => null);
+  };
+
+  const foundation = await getJson(`${root}/foundation-models?byOutputModality=TEXT`, "Bedrock(models)");
+  const ids = (Array.isArray(foundation?.modelSummaries) ? foundation.modelSummaries : []).map((m) => normalizeString(m?.modelId));
+  try {
+    const profiles = await getJson(`${root}/inference-profiles?maxResults=1000`, "Bedrock(inference-profiles)");
+    for (const p of Array.isArray(profiles?.inferenceProfileSummaries) ? profiles.inferenceProfileSummaries : []) ids.push(normalizeString(p?.inferenceProfileId));
+  } catch (err) {
+    debug(`Bedrock(inference-profiles) ignored: ${err instanceof Error ? err.message : String(err)}`);
+  }
+  const models = normalizeStringList(ids, { maxItems: 5000 });
+  if (!models.length) throw new Error("Bedrock(models) 响应未包含可解析的 modelSummaries");
+  return models;
+}
+
+// Vertex Model Garden：GET {origin}/v1beta1/publishers/<p>/models（publisherModels[].name = publishers/<p>/models/<id>）；
+// google 必需，anthropic 为尽力而为（未开通时 403/404 忽略）。
+async function fetchVertexModels({ baseUrl, apiKey, extraHeaders, requestDefaults, timeoutMs, abortSignal }) {
+  const { projectId, authHeaders } = await resolveVertexAuth({ apiKey, extraHeaders, timeoutMs, abortSignal });
+  const origin = new URL(resolveVertexLocationRoot({ baseUrl, requestDefaults, projectId })).origin;
+  const headers = { ...extraHeaders, ...authHeaders };
+  const listPublisher = async (publisher) => {
+    const label = `Vertex(models:${publisher})`;
+    const resp = await fetchWithRetry(`${origin}/v1beta1/publishers/${publisher}/models?pageSize=500`, { method: "GET", headers }, { timeoutMs, abortSignal, label });
+    if (!resp.ok) throw await makeUpstreamHttpError(resp, { label, maxChars: 300 });
+    const json = await resp.json().catch(() => null);
+    return (Array.isArray(json?.publisherModels) ? json.publisherModels : []).map((m) => normalizeString(m?.name).replace(/^.*\/models\//, ""));
+  };
+
+  const ids = await listPublisher("google");
+  try {
+    ids.push(...(await listPublisher("anthropic")));
+  } catch (err) {
+    debug(`Vertex(models:anthropic) ignored: ${err instanceof Error ? err.message : String(err)}`);
+  }
+  const models = normalizeStringList(ids, { maxItems: 5000 });
+  if (!models.length) throw new Error("Vertex(models) 响应未包含可解析的 publisherModels");
+  return models;
+}
+
+// Azure OpenAI：模型以 deployment 暴露；GET {endpoint}/openai/deployments（data[].id = deployment 名，即 provider.models 中使用的名字）
+async function fetchAzureOpenAiModels({ baseUrl, apiKey, extraHeaders, timeoutMs, abortSignal, providerId }) {
+  const url = `${normalizeAzureEndpoint(baseUrl)}/openai/deployments?api-version=${AZURE_DEPLOYMENTS_API_VERSION}`;
+  const headers = { ...extraHeaders, ...azureAuthHeaders(apiKey, extraHeaders) };
+  return await fetchModelsWithFallback({ urls: [url], headers, timeoutMs, abortSignal, label: "AzureOpenAI(deployments)", providerId });
+}
+
 async function fetchProviderModels({ provider, timeoutMs, abortSignal }) {
   if (!provider || typeof provider !== "object") throw new Error("provider 无效");
   const type = normalizeString(provider.type);
   const baseUrl = normalizeString(provider.baseUrl);
-  const apiKey = normalizeString(provider.apiKey);
   const extraHeaders = provider.headers && typeof provider.headers === "object" ? provider.headers : {};
+  const requestDefaults = provider.requestDefaults && typeof provider.requestDefaults === "object" ? provider.requestDefaults : {};
   const providerId = normalizeString(provider.id);
   const label = `models type=${type || "?"}${providerId ? ` id=${providerId}` : ""}`;
 
   const t = Number.isFinite(Number(timeoutMs)) && Number(timeoutMs) > 0 ? Number(timeoutMs) : 15000;
   const t0 = nowMs();
   try {
+    const apiKey = await resolveProviderApiKey(provider);
     let models = [];
-    if (type === "openai_compatible" || type === "openai_responses") models = await fetchOpenAiCompatibleModels({ baseUrl, apiKey, extraHeaders, timeoutMs: t, abortSignal });
-    else if (type === "anthropic") models = await fetchAnthropicModels({ baseUrl, apiKey, extraHeaders, timeoutMs: t, abortSignal });
-    else if (type === "gemini_ai_studio") models = await fetchGeminiAiStudioModels({ baseUrl, apiKey, extraHeaders, timeoutMs: t, abortSignal });
+    if (type === "openai_compatible" || type === "openai_responses") models = await fetchOpenAiCompatibleModels({ baseUrl, apiKey, extraHeaders, timeoutMs: t, abortSignal, providerId });
+    else if (type === "anthropic") models = await fetchAnthropicModels({ baseUrl, apiKey, extraHeaders, timeoutMs: t, abortSignal, providerId });
+    else if (type === "gemini_ai_studio") models = await fetchGeminiAiStudioModels({ baseUrl, apiKey, extraHeaders, timeoutMs: t, abortSignal, providerId });
+    else if (type === "ollama") models = await fetchOllamaModels({ baseUrl, apiKey, extraHeaders, timeoutMs: t, abortSignal, providerId });
+    else if (type === "gemini_vertex") models = await fetchVertexModels({ baseUrl, apiKey, extraHeaders, requestDefaults, timeoutMs: t, abortSignal });
+    else if (type === "azure_openai") models = await fetchAzureOpenAiModels({ baseUrl, apiKey, extraHeaders, timeoutMs: t, abortSignal, providerId });
+    else if (type === "bedrock") models = await fetchBedrockModels({ baseUrl, apiKey, extraHeaders, requestDefaults, timeoutMs: t, abortSignal });
     else throw new Error(`未知 provider.type: ${type}（支持：${formatKnownProviderTypes()}）`);
 
     debug(`[${label}] ok (${formatMs(nowMs() - t0)}) baseUrl=${baseUrlForLog(baseUrl)} models=${models.length}`);
@@ -145,4 +271,4 @@ async function fetchProviderModels({ provider, timeoutMs, abortSignal }) {
   }
 }
 
-module.exports = { fetchProviderModels };
+module.exports = { fetchProviderModels, pickModelListCapabilities };
@@ -0,0 +1,189 @@
+"use strict";
+
+const { readLines } = require("../sse");
+const { normalizeString, randomId } = require("../../infra/util");
+const { normalizeUsageInt, makeToolMetaGetter } = require("../provider-util");
+const { extractErrorMessageFromJson } = require("../request-util");
+const { buildToolUseChunks, buildTokenUsageChunk, buildFinalChatChunk } = require("../chat-chunks-util");
+const { mapOpenAiFinishReasonToAugment, rawResponseNode, thinkingNode, makeBackChatChunk } = require("../../core/augment-protocol");
+const { fetchOllamaChatWithFallbacks } = require("./request");
+const { reportProviderCallUsage } = require("../../core/provider-call-scope");
+
+function throwIfOllamaError(json, label) {
+  if (!json || typeof json !== "object" || !json.error) return;
+  const msg = normalizeString(extractErrorMessageFromJson(json)) || "upstream error";
+  throw new Error(`${label} upstream error: ${msg}`.trim());
+}
+
+// 非流式响应 / 流式最后一行（done=true）带 prompt_eval_count / eval_count
+function reportOllamaUsage(json) {
+  if (!json || typeof json !== "object") return;
+  reportProviderCallUsage({ inputTokens: normalizeUsageInt(json.prompt_eval_count), outputTokens: normalizeUsageInt(json.eval_count) });
+}
+
+// Ollama 流式输出为 NDJSON：每行一个完整 JSON，最后一行 done=true 携带 done_reason / 计数。
+async function* readOllamaNdjson(resp, label) {
+  const stats = { lines: 0, parsed: 0, doneSeen: false };
+  if (!resp || !resp.body) return stats;
+  for await (const line of readLines(resp.body)) {
+    const s = line.trim();
+    if (!s) continue;
+    stats.lines += 1;
+    let json;
+    try {
+      json = JSON.parse(s);
+    } catch {
+      continue;
+    }
+    stats.parsed += 1;
+    throwIfOllamaError(json, label);
+    if (json && json.done === true) stats.doneSeen = true;
+    yield { json, stats };
+  }
+  return stats;
+}
+
+async function ollamaCompleteText({ baseUrl, apiKey, model, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults }) {
+  const resp = await fetchOllamaChatWithFallbacks({
+    baseUrl,
+    apiKey,
+    model,
+    messages,
+    tools: [],
+    extraHeaders,
+    requestDefaults,
+    stream: false,
+    timeoutMs,
+    abortSignal,
+    label: "Ollama"
+  });
+  const json = await resp.json().catch(() => null);
+  throwIfOllamaError(json, "Ollama");
+  reportOllamaUsage(json);
+  const text = typeof json?.message?.content === "string" ? json.message.content : "";
+  if (!text) throw new Error("Ollama 响应缺少 message.content");
+  return text;
+}
+
+async function* ollamaStreamTextDeltas({ baseUrl, apiKey, model, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults }) {
+  const label = "Ollama(stream)";
+  const resp = await fetchOllamaChatWithFallbacks({
+    baseUrl,
+    apiKey,
+    model,
+    messages,
+    tools: [],
+    extraHeaders,
+    requestDefaults,
+    stream: true,
+    timeoutMs,
+    abortSignal,
+    label
+  });
+  let emitted = 0;
+  let lastStats = null;
+  for await (const { json, stats } of readOllamaNdjson(resp, label)) {
+    lastStats = stats;
+    if (json && json.done === true) reportOllamaUsage(json);
+    const text = typeof json?.message?.content === "string" ? json.message.content : "";
+    if (!text) continue;
+    emitted += 1;
+    yield text;
+  }
+  if (emitted === 0) {
+    throw new Error(`${label} 未解析到任何 NDJSON 内容（lines=${lastStats?.lines || 0}）；请检查 baseUrl 是否指向 Ollama /api/chat`);
+  }
+}
+
+async function* ollamaChatStreamChunks({ baseUrl, apiKey, model, messages, tools, timeoutMs, abortSignal, extraHeaders, requestDefaults, toolMetaByName, supportToolUseStart, nodeIdStart }) {
+  const label = "Ollama(chat-stream)";
+  const getToolMeta = makeToolMetaGetter(toolMetaByName);
+  const resp = await fetchOllamaChatWithFallbacks({
+    baseUrl,
+    apiKey,
+    model,
+    messages,
+    tools,
+    extraHeaders,
+    requestDefaults,
+    stream: true,
+    timeoutMs,
+    abortSignal,
+    label
+  });
+
+  let nodeId = Number(nodeIdStart);
+  if (!Number.isFinite(nodeId) || nodeId < 0) nodeId = 0;
+  let thinkingBuf = "";
+  let stopReason = null;
+  let stopReasonSeen = false;
+  let usagePromptTokens = null;
+  let usageCompletionTokens = null;
+  let emittedChunks = 0;
+  let doneSeen = false;
+  let lines = 0;
+  const toolCalls = [];
+
+  for await (const { json, stats } of readOllamaNdjson(resp, label)) {
+    lines = stats.lines;
+    const msg = json?.message && typeof json.message === "object" ? json.message : null;
+    const text = typeof msg?.content === "string" ? msg.content : "";
+    if (text) {
+      nodeId += 1;
+      emittedChunks += 1;
+      yield makeBackChatChunk({ text, nodes: [rawResponseNode({ id: nodeId, content: text })] });
+    }
+    if (typeof msg?.thinking === "string" && msg.thinking) thinkingBuf += msg.thinking;
+
+    // Ollama 的 tool_calls 一次性给出完整 arguments（对象），且通常没有 id
+    for (const tc of Array.isArray(msg?.tool_calls) ? msg.tool_calls : []) {
+      const fn = tc?.function && typeof tc.function === "object" ? tc.function : null;
+      const name = normalizeString(fn?.name);
+      if (!name) continue;
+      const args = fn.arguments;
+      const inputJson = typeof args === "string" ? normalizeString(args) || "{}" : JSON.stringify(args && typeof args === "object" ? args : {});
+      toolCalls.push({ id: normalizeString(tc?.id) || `call_${randomId()}`, name, inputJson });
+    }
+
+    if (json?.done === true) {
+      doneSeen = true;
+      const pt = normalizeUsageInt(json.prompt_eval_count);
+      const ct = normalizeUsageInt(json.eval_count);
+      if (pt != null) usagePromptTokens = pt;
+      if (ct != null) usageCompletionTokens = ct;
+      const reason = normalizeString(json.done_reason);
+      if (reason) {
+        stopReasonSeen = true;
+        stopReason = mapOpenAiFinishReasonToAugment(reason);
+      }
+    }
+  }
+
+  const thinkingSummary = normalizeString(thinkingBuf);
+  const hasUsage = usagePromptTokens != null || usageCompletionTokens != null;
+  if (emittedChunks === 0 && !hasUsage && !toolCalls.length && !thinkingSummary) {
+    throw new Error(`${label} 未解析到任何 NDJSON 内容（lines=${lines}）；请检查 baseUrl 是否指向 Ollama /api/chat`);
+  }
+
+  if (thinkingSummary) {
+    nodeId += 1;
+    yield makeBackChatChunk({ text: "", nodes: [thinkingNode({ id: nodeId, summary: thinkingSummary })] });
+  }
+
+  let sawToolUse = false;
+  for (const tc of toolCalls) {
+    const built = buildToolUseChunks({ nodeId, toolUseId: tc.id, toolName: tc.name, inputJson: tc.inputJson, meta: getToolMeta(tc.name), supportToolUseStart });
+    nodeId = built.nodeId;
+    if (built.chunks.length) sawToolUse = true;
+    for (const c of built.chunks) yield c;
+  }
+
+  const usageBuilt = buildTokenUsageChunk({ nodeId, inputTokens: usagePromptTokens, outputTokens: usageCompletionTokens });
+  nodeId = usageBuilt.nodeId;
+  if (usageBuilt.chunk) yield usageBuilt.chunk;
+
+  const final = buildFinalChatChunk({ nodeId, stopReasonSeen, stopReason, sawToolUse, endedCleanly: doneSeen });
+  yield final.chunk;
+}
+
+module.exports = { ollamaCompleteText, ollamaStreamTextDeltas, ollamaChatStreamChunks };
@@ -0,0 +1,85 @@
+"use strict";
+
+const { normalizeString } = require("../../infra/util");
+const { debug } = require("../../infra/log");
+const { fetchOkWithRetry } = require("../request-util");
+const { rememberModelCapabilities } = require("../../core/model-capabilities");
+const { normalizeOllamaBaseUrl, ollamaUrl, ollamaHeaders, readConfiguredNumCtx } = require("./request");
+
+const SHOW_TIMEOUT_MS = 5000;
+const FAILURE_TTL_MS = 60 * 1000;
+// 未设置 num_ctx 时 Ollama 按运行时默认值加载模型（不会用满训练长度）
+const OLLAMA_DEFAULT_NUM_CTX = 4096;
+const showCache = new Map(); // `${root}|${model}` -> { info } | { failedAt }
+
+function positiveInt(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : null;
+}
+
+// /api/show 的 parameters 是 Modelfile 文本（每行 "key value"）
+function parseModelfileNumCtx(parameters) {
+  const m = normalizeString(parameters).match(/^\s*num_ctx\s+(\d+)\s*$/m);
+  return m ? positiveInt(m[1]) : null;
+}
+
+function readModelInfoContextLength(modelInfo) {
+  const mi = modelInfo && typeof modelInfo === "object" ? modelInfo : {};
+  const arch = normalizeString(mi["general.architecture"]);
+  if (arch && positiveInt(mi[`${arch}.context_length`])) return positiveInt(mi[`${arch}.context_length`]);
+  for (const [k, v] of Object.entries(mi)) {
+    if (k.endsWith(".context_length") && positiveInt(v)) return positiveInt(v);
+  }
+  return null;
+}
+
+async function fetchOllamaModelInfo({ baseUrl, apiKey, model, extraHeaders, timeoutMs, abortSignal }) {
+  const m = normalizeString(model);
+  if (!m) return null;
+  const key = `${normalizeOllamaBaseUrl(baseUrl)}|${m}`;
+  const cached = showCache.get(key);
+  if (cached?.info) return cached.info;
+  if (cached?.failedAt && Date.now() - cached.failedAt < FAILURE_TTL_MS) return null;
+
+  try {
+    const resp = await fetchOkWithRetry(
+      ollamaUrl(baseUrl, "api/show"),
+      { method: "POST", headers: ollamaHeaders(apiKey, extraHeaders), body: JSON.stringify({ model: m }) },
+      { timeoutMs: positiveInt(timeoutMs) ? Math.min(positiveInt(timeoutMs), SHOW_TIMEOUT_MS) : SHOW_TIMEOUT_MS, abortSignal, label: "Ollama(show)" }
+    );
+    const json = await resp.json();
+    const info = {
+      modelfileNumCtx: parseModelfileNumCtx(json?.parameters),
+      trainedContextLength: readModelInfoContextLength(json?.model_info)
+    };
+    showCache.set(key, { info });
+    return info;
+  } catch (err) {
+    showCache.set(key, { failedAt: Date.now() });
+    debug(`[ollama] /api/show failed (ignored): ${err instanceof Error ? err.message : String(err)}`);
+    return null;
+  }
+}
+
+// Ollama 的实际窗口由 num_ctx 决定：requestDefaults.options.num_ctx > Modelfile num_ctx > 运行时默认值（不超过训练长度 model_info.*.context_length）
+async function resolveOllamaContextWindowTokens({ providerId, baseUrl, apiKey, model, extraHeaders, requestDefaults, timeoutMs, abortSignal }) {
+  const configured = readConfiguredNumCtx(requestDefaults);
+  const info = configured ? null : await fetchOllamaModelInfo({ baseUrl, apiKey, model, extraHeaders, timeoutMs, abortSignal });
+  const runtimeDefault = info ? Math.min(OLLAMA_DEFAULT_NUM_CTX, info.trainedContextLength || OLLAMA_DEFAULT_NUM_CTX) : null;
+  const tokens = configured || info?.modelfileNumCtx || runtimeDefault;
+  if (tokens) rememberModelCapabilities({ providerId, model }, { contextWindowTokens: tokens });
+  return tokens;
+}
+
+function clearOllamaModelInfoCache() {
+  showCache.clear();
+}
+
+module.exports = {
+  OLLAMA_DEFAULT_NUM_CTX,
+  parseModelfileNumCtx,
+  readModelInfoContextLength,
+  fetchOllamaModelInfo,
+  resolveOllamaContextWindowTokens,
+  clearOllamaModelInfoCache
+};
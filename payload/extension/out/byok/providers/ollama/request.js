@@ -0,0 +1,173 @@
+"use strict";
+
+const { joinBaseUrl } = require("../http");
+const { normalizeString, requireString, stripByokInternalKeys } = require("../../infra/util");
+const { debug } = require("../../infra/log");
+const { withJsonContentType, openAiAuthHeaders } = require("../headers");
+const { isInvalidRequestStatusForFallback } = require("../provider-util");
+const { fetchOkWithRetry } = require("../request-util");
+const { MAX_TOKENS_ALIAS_KEYS, pickPositiveIntFromRecord, deleteKeysFromRecord } = require("../request-defaults-util");
+
+// /api/chat 顶层字段；其余标量字段一律归入 options（num_ctx/temperature/top_p/seed/stop…）
+const OLLAMA_TOP_LEVEL_KEYS = new Set(["format", "keep_alive", "think", "options"]);
+const OLLAMA_CAMEL_ALIASES = { keepAlive: "keep_alive", numCtx: "num_ctx", numPredict: "num_predict", topP: "top_p", topK: "top_k", minP: "min_p" };
+// OpenAI 专用字段（从 openai_compatible 迁移时常见），原生 API 不认识
+const OPENAI_ONLY_KEYS = ["stream_options", "parallel_tool_calls", "tool_choice", "response_format", "n", "logprobs", "top_logprobs", "user", "thinking", "reasoning", "reasoning_effort", "reasoningEffort"];
+
+// 兼容：用户常把 OpenAI 兼容地址（.../v1）直接填过来；原生 API 挂在根路径 /api/*。
+function normalizeOllamaBaseUrl(baseUrl) {
+  const b = requireString(baseUrl, "Ollama baseUrl").replace(/\/+$/, "");
+  return b.replace(/\/(?:v1|api)$/i, "");
+}
+
+function ollamaUrl(baseUrl, pathname) {
+  const url = joinBaseUrl(normalizeOllamaBaseUrl(baseUrl), pathname);
+  if (!url) throw new Error("Ollama URL 构造失败（请检查 baseUrl）");
+  return url;
+}
+
+function ollamaHeaders(apiKey, extraHeaders) {
+  return withJsonContentType(openAiAuthHeaders(apiKey, extraHeaders));
+}
+
+function normalizeOllamaRequestDefaults(requestDefaults) {
+  const raw = requestDefaults && typeof requestDefaults === "object" && !Array.isArray(requestDefaults) ? requestDefaults : {};
+  const rd = { ...stripByokInternalKeys(raw) };
+  const options = rd.options && typeof rd.options === "object" && !Array.isArray(rd.options) ? { ...rd.options } : {};
+  const maxOutput = pickPositiveIntFromRecord(rd, MAX_TOKENS_ALIAS_KEYS);
+  deleteKeysFromRecord(rd, MAX_TOKENS_ALIAS_KEYS);
+  deleteKeysFromRecord(rd, OPENAI_ONLY_KEYS);
+
+  const out = {};
+  for (const [k0, v] of Object.entries(rd)) {
+    const k = OLLAMA_CAMEL_ALIASES[k0] || k0;
+    if (k === "options") continue;
+    if (OLLAMA_TOP_LEVEL_KEYS.has(k)) out[k] = v;
+    else if (!(k in options)) options[k] = v;
+  }
+  if (maxOutput != null && options.num_predict == null) options.num_predict = maxOutput;
+  if (Object.keys(options).length) out.options = options;
+  return out;
+}
+
+function readConfiguredNumCtx(requestDefaults) {
+  const rd = normalizeOllamaRequestDefaults(requestDefaults);
+  const n = Number(rd.options?.num_ctx);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : null;
+}
+
+function parseToolArguments(raw) {
+  if (raw && typeof raw === "object" && !Array.isArray(raw)) return raw;
+  try {
+    const v = JSON.parse(normalizeString(raw) || "{}");
+    return v && typeof v === "object" && !Array.isArray(v) ? v : {};
+  } catch {
+    return {};
+  }
+}
+
+function splitOpenAiContent(content) {
+  if (typeof content === "string") return { text: content, images: [] };
+  const parts = Array.isArray(content) ? content : [];
+  const texts = [];
+  const images = [];
+  for (const p of parts) {
+    if (!p || typeof p !== "object") continue;
+    if (p.type === "text" && typeof p.text === "string") texts.push(p.text);
+    const url = p.type === "image_url" ? normalizeString(p.image_url?.url) : "";
+    const m = url.match(/^data:[^;,]+;base64,(.+)$/);
+    if (m) images.push(m[1]);
+  }
+  return { text: texts.join("\n\n"), images };
+}
+
+// OpenAI Chat Completions messages → Ollama /api/chat messages（images 为裸 base64；tool_calls.arguments 为对象；tool 结果带 tool_name）
+function toOllamaMessages(openAiMessages) {
+  const list = Array.isArray(openAiMessages) ? openAiMessages : [];
+  const toolNameById = new Map();
+  const out = [];
+  for (const m of list) {
+    if (!m || typeof m !== "object") continue;
+    const role = normalizeString(m.role);
+    const { text, images } = splitOpenAiContent(m.content);
+    if (role === "tool") {
+      const id = normalizeString(m.tool_call_id);
+      out.push({ role: "tool", content: text, ...(toolNameById.has(id) ? { tool_name: toolNameById.get(id) } : {}) });
+      continue;
+    }
+    const msg = { role: role === "developer" ? "system" : role, content: text };
+    if (images.length) msg.images = images;
+    const calls = Array.isArray(m.tool_calls) ? m.tool_calls : [];
+    if (calls.length) {
+      msg.tool_calls = calls.map((tc) => {
+        const name = normalizeString(tc?.function?.name);
+        if (normalizeString(tc?.id)) toolNameById.set(normalizeString(tc.id), name);
+        return { function: { name, arguments: parseToolArguments(tc?.function?.arguments) } };
+      });
+    }
+    out.push(msg);
+  }
+  return out;
+}
+
+function stripOllamaImages(messages) {
+  let changed = false;
+  const out = (Array.isArray(messages) ? messages : []).map((m) => {
+    if (!m || !Array.isArray(m.images) || !m.images.length) return m;
+    changed = true;
+    const { images, ...rest } = m;
+    return { ...rest, content: `${rest.content || ""}\n\n[image omitted]`.trim() };
+  });
+  return { messages: changed ? out : messages, changed };
+}
+
+function buildOllamaChatRequest({ baseUrl, apiKey, model, messages, tools, extraHeaders, requestDefaults, stream }) {
+  const body = {
+    ...normalizeOllamaRequestDefaults(requestDefaults),
+    model: requireString(model, "Ollama model"),
+    messages: Array.isArray(messages) ? messages : [],
+    stream: Boolean(stream)
+  };
+  if (Array.isArray(tools) && tools.length) body.tools = tools;
+  return { url: ollamaUrl(baseUrl, "api/chat"), headers: ollamaHeaders(apiKey, extraHeaders), body };
+}
+
+async function fetchOllamaChatWithFallbacks({ baseUrl, apiKey, model, messages, tools, extraHeaders, requestDefaults, stream, timeoutMs, abortSignal, label } = {}) {
+  const ollamaMessages = toOllamaMessages(messages);
+  const hasTools = Array.isArray(tools) && tools.length > 0;
+  const noImages = stripOllamaImages(ollamaMessages);
+
+  // 兜底链：不支持 tools 的模型（"does not support tools"）/ 非视觉模型 会返回 400
+  const attempts = [
+    { labelSuffix: "", tools, requestDefaults, messages: ollamaMessages },
+    { labelSuffix: ":no-defaults", tools, requestDefaults: {}, messages: ollamaMessages }
+  ];
+  if (noImages.changed) attempts.push({ labelSuffix: ":no-images", tools, requestDefaults: {}, messages: noImages.messages });
+  if (hasTools) attempts.push({ labelSuffix: ":no-tools", tools: [], requestDefaults: {}, messages: noImages.messages });
+
+  let lastErr = null;
+  for (let i = 0; i < attempts.length; i++) {
+    const a = attempts[i];
+    const { url, headers, body } = buildOllamaChatRequest({ baseUrl, apiKey, model, messages: a.messages, tools: a.tools, extraHeaders, requestDefaults: a.requestDefaults, stream });
+    const lab = `${normalizeString(label) || "Ollama"}${a.labelSuffix || ""}`;
+    try {
+      return await fetchOkWithRetry(url, { method: "POST", headers, body: JSON.stringify(body) }, { timeoutMs, abortSignal, label: lab });
+    } catch (err) {
+      lastErr = err;
+      const status = err && typeof err === "object" ? Number(err.status) : NaN;
+      if (!isInvalidRequestStatusForFallback(err?.status) || i + 1 >= attempts.length) throw err;
+      debug(`${lab} fallback: retry (status=${Number.isFinite(status) ? status : "unknown"})`);
+    }
+  }
+  throw lastErr || new Error("Ollama request failed");
+}
+
+module.exports = {
+  normalizeOllamaBaseUrl,
+  ollamaUrl,
+  ollamaHeaders,
+  normalizeOllamaRequestDefaults,
+  readConfiguredNumCtx,
+  toOllamaMessages,
+  fetchOllamaChatWithFallbacks
+};
@@ -29,7 +29,8 @@ async function* openAiResponsesChatStreamChunks({
   toolMetaByName,
   supportToolUseStart,
   supportParallelToolUse,
-  nodeIdStart
+  nodeIdStart,
+  azure
 }) {
   const getToolMeta = makeToolMetaGetter(toolMetaByName);
 
@@ -48,6 +49,7 @@ async function* openAiResponsesChatStreamChunks({
     stream: true,
     timeoutMs,
     abortSignal,
+    azure,
     label: "OpenAI(responses-chat-stream)"
   });
   const contentType = normalizeString(resp?.headers?.get?.("content-type")).toLowerCase();
@@ -18,6 +18,7 @@ async function fetchOpenAiResponsesWithFallbacks({
   stream,
   timeoutMs,
   abortSignal,
+  azure,
   label
 }) {
   const baseLabel = normalizeString(label) || "OpenAI(responses)";
@@ -38,7 +39,8 @@ async function fetchOpenAiResponsesWithFallbacks({
       tools,
       extraHeaders,
       requestDefaults: a.requestDefaults,
-      stream: Boolean(stream)
+      stream: Boolean(stream),
+      azure
     });
     const lab = `${baseLabel}${a.labelSuffix || ""}`;
 
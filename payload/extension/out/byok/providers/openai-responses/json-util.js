@@ -4,6 +4,7 @@ const { normalizeString } = require("../../infra/util");
 const { normalizeUsageInt, makeToolMetaGetter } = require("../provider-util");
 const { extractErrorMessageFromJson } = require("../request-util");
 const { buildToolUseChunks, buildTokenUsageChunk, buildFinalChatChunk } = require("../chat-chunks-util");
+const { reportProviderCallUsage } = require("../../core/provider-call-scope");
 const {
   STOP_REASON_UNSPECIFIED,
   STOP_REASON_MAX_TOKENS,
@@ -158,7 +159,19 @@ async function* emitOpenAiResponsesJsonAsAugmentChunks(json, { toolMetaByName, s
   yield final.chunk;
 }
 
+// Responses usage：input_tokens 已含 cached_tokens
+function reportResponsesUsage(obj) {
+  const usage = obj && typeof obj === "object" && obj.usage && typeof obj.usage === "object" ? obj.usage : null;
+  if (!usage) return;
+  reportProviderCallUsage({
+    inputTokens: normalizeUsageInt(usage.input_tokens),
+    outputTokens: normalizeUsageInt(usage.output_tokens),
+    cacheReadInputTokens: normalizeUsageInt(usage?.input_tokens_details?.cached_tokens)
+  });
+}
+
 module.exports = {
+  reportResponsesUsage,
   extractToolCallsFromResponseOutput,
   extractReasoningSummaryFromResponseOutput,
   extractStopReasonFromResponsesObject,
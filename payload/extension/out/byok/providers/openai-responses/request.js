@@ -40,13 +40,14 @@ function buildMinimalRetryRequestDefaults(requestDefaults) {
   return out;
 }
 
-function buildOpenAiResponsesRequest({ baseUrl, apiKey, model, instructions, input, tools, extraHeaders, requestDefaults, stream }) {
-  const url = joinBaseUrl(requireString(baseUrl, "OpenAI baseUrl"), "responses");
-  const key = normalizeRawToken(apiKey);
+// azure：providers/azure/request.js 的 resolveAzureTarget 解析出的 { url, authHeaders, deployment }；Azure /responses 的 body.model 填 deployment 名
+function buildOpenAiResponsesRequest({ baseUrl, apiKey, model, instructions, input, tools, extraHeaders, requestDefaults, stream, azure }) {
   const extra = extraHeaders && typeof extraHeaders === "object" ? extraHeaders : {};
-  if (!key && Object.keys(extra).length === 0) throw new Error("OpenAI apiKey 未配置（且 headers 为空）");
+  const url = azure ? requireString(azure.url, "Azure OpenAI url") : joinBaseUrl(requireString(baseUrl, "OpenAI baseUrl"), "responses");
+  const key = normalizeRawToken(apiKey);
+  if (!azure && !key && Object.keys(extra).length === 0) throw new Error("OpenAI apiKey 未配置（且 headers 为空）");
 
-  const m = requireString(model, "OpenAI model");
+  const m = normalizeString(azure?.deployment) || requireString(model, "OpenAI model");
   const rd = normalizeOpenAiResponsesRequestDefaults(requestDefaults);
   const body = { ...rd, model: m, input, stream: Boolean(stream) };
   const ins = normalizeString(instructions);
@@ -56,7 +57,7 @@ function buildOpenAiResponsesRequest({ baseUrl, apiKey, model, instructions, inp
     if (body.tool_choice == null) body.tool_choice = "auto";
   }
 
-  const headers = withJsonContentType(openAiAuthHeaders(key, extraHeaders));
+  const headers = withJsonContentType(azure ? { ...extra, ...(azure.authHeaders || {}) } : openAiAuthHeaders(key, extraHeaders));
   if (stream) headers.accept = "text/event-stream";
   return { url, headers, body };
 }
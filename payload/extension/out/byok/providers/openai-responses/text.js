@@ -5,10 +5,10 @@ const { normalizeString } = require("../../infra/util");
 const { assertSseResponse } = require("../provider-util");
 const { extractErrorMessageFromJson } = require("../request-util");
 const { createOutputTextTracker } = require("./output-text-tracker");
-const { extractTextFromResponsesJson } = require("./json-util");
+const { extractTextFromResponsesJson, reportResponsesUsage } = require("./json-util");
 const { fetchOpenAiResponsesWithFallbacks } = require("./fetch");
 
-async function openAiResponsesCompleteText({ baseUrl, apiKey, model, instructions, input, timeoutMs, abortSignal, extraHeaders, requestDefaults }) {
+async function openAiResponsesCompleteText({ baseUrl, apiKey, model, instructions, input, timeoutMs, abortSignal, extraHeaders, requestDefaults, azure }) {
   const resp = await fetchOpenAiResponsesWithFallbacks({
     baseUrl,
     apiKey,
@@ -21,10 +21,12 @@ async function openAiResponsesCompleteText({ baseUrl, apiKey, model, instruction
     stream: false,
     timeoutMs,
     abortSignal,
+    azure,
     label: "OpenAI(responses)"
   });
 
   const json = await resp.json().catch(() => null);
+  reportResponsesUsage(json);
   const output = Array.isArray(json?.output) ? json.output : [];
   const direct = extractTextFromResponsesJson(json);
   if (direct) return direct;
@@ -36,7 +38,7 @@ async function openAiResponsesCompleteText({ baseUrl, apiKey, model, instruction
   // 这里做一次“流式兜底”以提升 openai_responses provider 的鲁棒性。
   try {
     let out = "";
-    for await (const d of openAiResponsesStreamTextDeltas({ baseUrl, apiKey, model, instructions, input, timeoutMs, abortSignal, extraHeaders, requestDefaults })) {
+    for await (const d of openAiResponsesStreamTextDeltas({ baseUrl, apiKey, model, instructions, input, timeoutMs, abortSignal, extraHeaders, requestDefaults, azure })) {
       if (typeof d === "string") out += d;
     }
     const s = normalizeString(out);
@@ -54,7 +56,7 @@ async function openAiResponsesCompleteText({ baseUrl, apiKey, model, instruction
   throw new Error(`OpenAI(responses) 响应缺少可解析文本（output_types=${types || "n/a"}）`.trim());
 }
 
-async function* openAiResponsesStreamTextDeltas({ baseUrl, apiKey, model, instructions, input, timeoutMs, abortSignal, extraHeaders, requestDefaults }) {
+async function* openAiResponsesStreamTextDeltas({ baseUrl, apiKey, model, instructions, input, timeoutMs, abortSignal, extraHeaders, requestDefaults, azure }) {
   const resp = await fetchOpenAiResponsesWithFallbacks({
     baseUrl,
     apiKey,
@@ -67,11 +69,13 @@ async function* openAiResponsesStreamTextDeltas({ baseUrl, apiKey, model, instru
     stream: true,
     timeoutMs,
     abortSignal,
+    azure,
     label: "OpenAI(responses-stream)"
   });
   const contentType = normalizeString(resp?.headers?.get?.("content-type")).toLowerCase();
   if (contentType.includes("json")) {
     const json = await resp.json().catch(() => null);
+    reportResponsesUsage(json);
     const text = extractTextFromResponsesJson(json);
     if (text) {
       yield text;
@@ -100,6 +104,7 @@ async function* openAiResponsesStreamTextDeltas({ baseUrl, apiKey, model, instru
         yield rest;
       }
     } else if (eventType === "response.completed" && json?.response && typeof json.response === "object") {
+      reportResponsesUsage(json.response);
       // 兼容：部分网关不发 done，只在 completed 里给 output_text。
       const full = typeof json.response.output_text === "string" ? json.response.output_text : "";
       const rest = textTracker.applyFinalText(0, full).rest;
@@ -5,6 +5,7 @@ const { normalizeUsageInt, makeToolMetaGetter } = require("../provider-util");
 const { extractErrorMessageFromJson } = require("../request-util");
 const { rawResponseNode, thinkingNode, makeBackChatChunk, mapOpenAiFinishReasonToAugment } = require("../../core/augment-protocol");
 const { buildToolUseChunks, buildTokenUsageChunk, buildFinalChatChunk } = require("../chat-chunks-util");
+const { reportProviderCallUsage } = require("../../core/provider-call-scope");
 
 function extractTextFromChatCompletionJson(json) {
   const obj = json && typeof json === "object" ? json : null;
@@ -132,4 +133,15 @@ async function* emitChatCompletionJsonAsAugmentChunks(json, { toolMetaByName, su
   yield final.chunk;
 }
 
-module.exports = { extractTextFromChatCompletionJson, emitChatCompletionJsonAsAugmentChunks };
+// 文本补全 / 结构化输出 / 文本流：usage 交给 provider 调用上下文记账（chat-stream 走 TOKEN_USAGE 节点）
+function reportChatCompletionJsonUsage(json) {
+  const u = extractUsageFromChatCompletionJson(json);
+  reportProviderCallUsage({
+    inputTokens: u.usagePromptTokens,
+    outputTokens: u.usageCompletionTokens,
+    cacheReadInputTokens: u.usageCacheReadInputTokens,
+    cacheCreationInputTokens: u.usageCacheCreationInputTokens
+  });
+}
+
+module.exports = { extractTextFromChatCompletionJson, emitChatCompletionJsonAsAugmentChunks, reportChatCompletionJsonUsage };
@@ -58,11 +58,18 @@ function sanitizeRequestDefaults(requestDefaults, { allowStreamOptions } = {}) {
   return out;
 }
 
-function buildOpenAiRequest({ baseUrl, apiKey, model, messages, tools, extraHeaders, requestDefaults, stream, includeUsage, includeToolChoice }) {
+// azure：providers/azure/request.js 的 resolveAzureTarget 解析出的 { url, authHeaders }（deployment URL + api-version，api-key 鉴权）
+function resolveChatCompletionsEndpoint({ baseUrl, apiKey, extraHeaders, azure }) {
+  const extra = extraHeaders && typeof extraHeaders === "object" ? extraHeaders : {};
+  if (azure) return { url: requireString(azure.url, "Azure OpenAI url"), headers: withJsonContentType({ ...extra, ...(azure.authHeaders || {}) }) };
   const url = joinBaseUrl(requireString(baseUrl, "OpenAI baseUrl"), "chat/completions");
   const key = normalizeRawToken(apiKey);
-  const extra = extraHeaders && typeof extraHeaders === "object" ? extraHeaders : {};
   if (!key && Object.keys(extra).length === 0) throw new Error("OpenAI apiKey 未配置（且 headers 为空）");
+  return { url, headers: withJsonContentType(openAiAuthHeaders(key, extraHeaders)) };
+}
+
+function buildOpenAiRequest({ baseUrl, apiKey, model, messages, tools, extraHeaders, requestDefaults, stream, includeUsage, includeToolChoice, azure }) {
+  const { url, headers } = resolveChatCompletionsEndpoint({ baseUrl, apiKey, extraHeaders, azure });
   const m = requireString(model, "OpenAI model");
   if (!Array.isArray(messages) || !messages.length) throw new Error("OpenAI messages 为空");
 
@@ -74,16 +81,12 @@ function buildOpenAiRequest({ baseUrl, apiKey, model, messages, tools, extraHead
     if (includeToolChoice !== false) body.tool_choice = "auto";
   }
 
-  const headers = withJsonContentType(openAiAuthHeaders(key, extraHeaders));
   if (stream) headers.accept = "text/event-stream";
   return { url, headers, body };
 }
 
-function buildOpenAiFunctionsRequest({ baseUrl, apiKey, model, messages, functions, extraHeaders, requestDefaults, stream }) {
-  const url = joinBaseUrl(requireString(baseUrl, "OpenAI baseUrl"), "chat/completions");
-  const key = normalizeRawToken(apiKey);
-  const extra = extraHeaders && typeof extraHeaders === "object" ? extraHeaders : {};
-  if (!key && Object.keys(extra).length === 0) throw new Error("OpenAI apiKey 未配置（且 headers 为空）");
+function buildOpenAiFunctionsRequest({ baseUrl, apiKey, model, messages, functions, extraHeaders, requestDefaults, stream, azure }) {
+  const { url, headers } = resolveChatCompletionsEndpoint({ baseUrl, apiKey, extraHeaders, azure });
   const m = requireString(model, "OpenAI model");
   if (!Array.isArray(messages) || !messages.length) throw new Error("OpenAI messages 为空");
 
@@ -95,7 +98,6 @@ function buildOpenAiFunctionsRequest({ baseUrl, apiKey, model, messages, functio
     body.function_call = "auto";
   }
 
-  const headers = withJsonContentType(openAiAuthHeaders(key, extraHeaders));
   if (stream) headers.accept = "text/event-stream";
   return { url, headers, body };
 }
@@ -208,7 +210,7 @@ function convertMessagesToFunctionCalling(messages) {
   return out;
 }
 
-async function fetchOpenAiChatStreamResponse({ baseUrl, apiKey, model, messages, tools, timeoutMs, abortSignal, extraHeaders, requestDefaults, includeUsage, includeToolChoice }) {
+async function fetchOpenAiChatStreamResponse({ baseUrl, apiKey, model, messages, tools, timeoutMs, abortSignal, extraHeaders, requestDefaults, includeUsage, includeToolChoice, azure }) {
   const { url, headers, body } = buildOpenAiRequest({
     baseUrl,
     apiKey,
@@ -219,12 +221,13 @@ async function fetchOpenAiChatStreamResponse({ baseUrl, apiKey, model, messages,
     requestDefaults,
     stream: true,
     includeUsage,
-    includeToolChoice
+    includeToolChoice,
+    azure
   });
   return await fetchOkWithRetry(url, { method: "POST", headers, body: JSON.stringify(body) }, { timeoutMs, abortSignal, label: "OpenAI(chat-stream)" });
 }
 
-async function fetchOpenAiChatStreamResponseWithFunctions({ baseUrl, apiKey, model, messages, functions, timeoutMs, abortSignal, extraHeaders, requestDefaults }) {
+async function fetchOpenAiChatStreamResponseWithFunctions({ baseUrl, apiKey, model, messages, functions, timeoutMs, abortSignal, extraHeaders, requestDefaults, azure }) {
   const { url, headers, body } = buildOpenAiFunctionsRequest({
     baseUrl,
     apiKey,
@@ -233,7 +236,8 @@ async function fetchOpenAiChatStreamResponseWithFunctions({ baseUrl, apiKey, mod
     functions,
     extraHeaders,
     requestDefaults,
-    stream: true
+    stream: true,
+    azure
   });
   return await fetchOkWithRetry(url, { method: "POST", headers, body: JSON.stringify(body) }, { timeoutMs, abortSignal, label: "OpenAI(chat-stream)" });
 }
@@ -251,12 +255,13 @@ async function fetchOpenAiChatCompletionResponseWithFallbackDefaults({
   stream,
   includeUsage,
   includeToolChoice,
+  azure,
   label
 } = {}) {
   const baseLabel = normalizeString(label) || "OpenAI";
   const minimalDefaults = buildMinimalRetryRequestDefaults(requestDefaults);
 
-  const fetchOnce = async (rd, labelSuffix) => {
+  const fetchOnce = async (rd, labelSuffix, withUsage) => {
     const { url, headers, body } = buildOpenAiRequest({
       baseUrl,
       apiKey,
@@ -266,23 +271,25 @@ async function fetchOpenAiChatCompletionResponseWithFallbackDefaults({
       extraHeaders,
       requestDefaults: rd,
       stream: Boolean(stream),
-      includeUsage: includeUsage === true,
-      includeToolChoice
+      includeUsage: withUsage,
+      includeToolChoice,
+      azure
     });
     const lab = normalizeString(labelSuffix) ? `${baseLabel}${labelSuffix}` : baseLabel;
     return await fetchOkWithRetry(url, { method: "POST", headers, body: JSON.stringify(body) }, { timeoutMs, abortSignal, label: lab });
   };
 
   try {
-    return await fetchOnce(requestDefaults, "");
+    return await fetchOnce(requestDefaults, "", includeUsage === true);
   } catch (err) {
     const canFallback = isInvalidRequestStatusForFallback(err?.status);
     if (!canFallback) throw err;
-    return await fetchOnce(minimalDefaults, ":minimal-defaults");
+    // minimal defaults 同时去掉 stream_options（部分兼容网关不认识 include_usage）
+    return await fetchOnce(minimalDefaults, ":minimal-defaults", false);
   }
 }
 
-async function postOpenAiChatStreamWithFallbacks({ baseUrl, apiKey, model, messages, tools, timeoutMs, abortSignal, extraHeaders, requestDefaults }) {
+async function postOpenAiChatStreamWithFallbacks({ baseUrl, apiKey, model, messages, tools, timeoutMs, abortSignal, extraHeaders, requestDefaults, azure }) {
   const minimalDefaults = buildMinimalRetryRequestDefaults(requestDefaults);
   const visionStripped = stripVisionFromMessages(messages);
 
@@ -321,7 +328,8 @@ async function postOpenAiChatStreamWithFallbacks({ baseUrl, apiKey, model, messa
           timeoutMs,
           abortSignal,
           extraHeaders,
-          requestDefaults: a.requestDefaults
+          requestDefaults: a.requestDefaults,
+          azure
         });
       }
       return await fetchOpenAiChatStreamResponse({
@@ -335,7 +343,8 @@ async function postOpenAiChatStreamWithFallbacks({ baseUrl, apiKey, model, messa
         extraHeaders,
         requestDefaults: a.requestDefaults,
         includeUsage: a.includeUsage,
-        includeToolChoice: a.includeToolChoice
+        includeToolChoice: a.includeToolChoice,
+        azure
       });
     } catch (err) {
       lastErr = err;
@@ -16,9 +16,9 @@ const {
   fetchOpenAiChatCompletionResponseWithFallbackDefaults,
   postOpenAiChatStreamWithFallbacks,
 } = require("./chat-completions-util");
-const { extractTextFromChatCompletionJson, emitChatCompletionJsonAsAugmentChunks } = require("./chat-completions-json-util");
+const { extractTextFromChatCompletionJson, emitChatCompletionJsonAsAugmentChunks, reportChatCompletionJsonUsage } = require("./chat-completions-json-util");
 
-async function openAiCompleteText({ baseUrl, apiKey, model, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults }) {
+async function openAiCompleteText({ baseUrl, apiKey, model, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults, azure }) {
   const resp = await fetchOpenAiChatCompletionResponseWithFallbackDefaults({
     baseUrl,
     apiKey,
@@ -32,15 +32,17 @@ async function openAiCompleteText({ baseUrl, apiKey, model, messages, timeoutMs,
     stream: false,
     includeUsage: false,
     includeToolChoice: false,
+    azure,
     label: "OpenAI"
   });
   const json = await resp.json().catch(() => null);
+  reportChatCompletionJsonUsage(json);
   const text = extractTextFromChatCompletionJson(json);
   if (text) return text;
   throw new Error("OpenAI 响应缺少可解析文本（choices[0].message.content / choices[0].text）");
 }
 
-async function* openAiStreamTextDeltas({ baseUrl, apiKey, model, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults }) {
+async function* openAiStreamTextDeltas({ baseUrl, apiKey, model, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults, azure }) {
   const resp = await fetchOpenAiChatCompletionResponseWithFallbackDefaults({
     baseUrl,
     apiKey,
@@ -52,14 +54,16 @@ async function* openAiStreamTextDeltas({ baseUrl, apiKey, model, messages, timeo
     extraHeaders,
     requestDefaults,
     stream: true,
-    includeUsage: false,
+    includeUsage: true,
     includeToolChoice: false,
+    azure,
     label: "OpenAI(stream)"
   });
 
   const contentType = normalizeString(resp?.headers?.get?.("content-type")).toLowerCase();
   if (contentType.includes("json")) {
     const json = await resp.json().catch(() => null);
+    reportChatCompletionJsonUsage(json);
     const text = extractTextFromChatCompletionJson(json);
     if (text) {
       yield text;
@@ -82,6 +86,7 @@ async function* openAiStreamTextDeltas({ baseUrl, apiKey, model, messages, timeo
       const msg = normalizeString(extractErrorMessageFromJson(json)) || "upstream error";
       throw new Error(`OpenAI(stream) upstream error: ${msg}`.trim());
     }
+    if (json && typeof json === "object" && json.usage) reportChatCompletionJsonUsage(json);
     const delta = json?.choices?.[0]?.delta;
     const text = typeof delta?.content === "string" ? delta.content : "";
     if (text) { emitted += 1; yield text; }
@@ -118,12 +123,13 @@ async function* openAiChatStreamChunks({
   toolMetaByName,
   supportToolUseStart,
   supportParallelToolUse,
-  nodeIdStart
+  nodeIdStart,
+  azure
 }) {
   const hasTools = Array.isArray(tools) && tools.length > 0;
   const rd = applyParallelToolCallsPolicy(requestDefaults, { hasTools, supportParallelToolUse });
 
-  const resp = await postOpenAiChatStreamWithFallbacks({ baseUrl, apiKey, model, messages, tools, timeoutMs, abortSignal, extraHeaders, requestDefaults: rd });
+  const resp = await postOpenAiChatStreamWithFallbacks({ baseUrl, apiKey, model, messages, tools, timeoutMs, abortSignal, extraHeaders, requestDefaults: rd, azure });
 
   const contentType = normalizeString(resp?.headers?.get?.("content-type")).toLowerCase();
   if (contentType.includes("json")) {
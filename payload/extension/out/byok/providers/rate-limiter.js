@@ -0,0 +1,217 @@
+"use strict";
+
+const { normalizeString } = require("../infra/util");
+const { createAbortError } = require("./http");
+
+// provider.limits：maxConcurrent / requestsPerMinute / tokensPerMinute（客户端侧，按 provider.id 共享）
+const LIMIT_KEYS = ["maxConcurrent", "requestsPerMinute", "tokensPerMinute"];
+const LIMIT_WINDOW_MS = 60 * 1000;
+
+// 排队优先级：交互请求优先于后台补全/next-edit；同优先级按到达顺序
+const PRIORITY_BACKGROUND = 0;
+const PRIORITY_NORMAL = 1;
+const PRIORITY_INTERACTIVE = 2;
+const ENDPOINT_PRIORITIES = {
+  "/chat-stream": PRIORITY_INTERACTIVE,
+  "/chat": PRIORITY_INTERACTIVE,
+  "/instruction-stream": PRIORITY_INTERACTIVE,
+  "/smart-paste-stream": PRIORITY_INTERACTIVE,
+  "/edit": PRIORITY_INTERACTIVE,
+  "/prompt-enhancer": PRIORITY_INTERACTIVE,
+  "/next-edit-stream": PRIORITY_BACKGROUND,
+  "/next_edit_loc": PRIORITY_BACKGROUND,
+  "/completion": PRIORITY_BACKGROUND,
+  "/chat-input-completion": PRIORITY_BACKGROUND,
+  "/generate-conversation-title": PRIORITY_BACKGROUND
+};
+
+// providerId → { active, queue, requests: [atMs], tokens: [{ atMs, n }], limits, timer }；仅内存
+const limiters = new Map();
+
+function resolveRequestPriority(endpoint) {
+  const p = ENDPOINT_PRIORITIES[normalizeString(endpoint)];
+  return Number.isInteger(p) ? p : PRIORITY_NORMAL;
+}
+
+function resolveProviderLimits(provider) {
+  const raw = provider && typeof provider.limits === "object" && provider.limits ? provider.limits : {};
+  const out = {};
+  for (const k of LIMIT_KEYS) {
+    const n = Number(raw[k]);
+    if (Number.isFinite(n) && n >= 1) out[k] = Math.floor(n);
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// 粗略估算（约 4 字符/token）：只用于 tokensPerMinute 的配额预占
+function estimateRequestTokens(init) {
+  const body = init && typeof init.body === "string" ? init.body : "";
+  return Math.ceil(body.length / 4);
+}
+
+function getLimiter(providerId) {
+  const pid = normalizeString(providerId);
+  let st = limiters.get(pid);
+  if (!st) limiters.set(pid, (st = { active: 0, queue: [], requests: [], tokens: [], limits: {}, timer: null }));
+  return st;
+}
+
+function pruneWindow(st, now) {
+  while (st.requests.length && st.requests[0] + LIMIT_WINDOW_MS <= now) st.requests.shift();
+  while (st.tokens.length && st.tokens[0].atMs + LIMIT_WINDOW_MS <= now) st.tokens.shift();
+}
+
+// 0=可立即放行；>0=等窗口滑出的毫秒数；Infinity=等并发槽释放（release 时重新调度）
+function computeWaitMs(st, tokens, now) {
+  const { maxConcurrent, requestsPerMinute, tokensPerMinute } = st.limits;
+  if (maxConcurrent && st.active >= maxConcurrent) return Infinity;
+  let wait = 0;
+  if (requestsPerMinute && st.requests.length >= requestsPerMinute) {
+    wait = Math.max(wait, st.requests[st.requests.length - requestsPerMinute] + LIMIT_WINDOW_MS - now);
+  }
+  if (tokensPerMinute && st.tokens.length) {
+    // 窗口为空时总是放行（单个请求超过 tokensPerMinute 也不至于永远排队）
+    let used = st.tokens.reduce((sum, t) => sum + t.n, 0);
+    for (let i = 0; i < st.tokens.length && used + tokens > tokensPerMinute; i++) {
+      used -= st.tokens[i].n;
+      if (used + tokens <= tokensPerMinute || i === st.tokens.length - 1) wait = Math.max(wait, st.tokens[i].atMs + LIMIT_WINDOW_MS - now);
+    }
+  }
+  return Math.max(0, wait);
+}
+
+const NOOP_RELEASE = () => {};
+
+function grant(st, tokens, now) {
+  st.active += 1;
+  st.requests.push(now);
+  if (tokens > 0) st.tokens.push({ atMs: now, n: tokens });
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    st.active = Math.max(0, st.active - 1);
+    pump(st);
+  };
+}
+
+// 只放行队首：严格按优先级 + 到达顺序，避免大请求被小请求持续插队
+function pump(st) {
+  if (st.timer) clearTimeout(st.timer);
+  st.timer = null;
+  while (st.queue.length) {
+    const now = Date.now();
+    pruneWindow(st, now);
+    const head = st.queue[0];
+    const wait = computeWaitMs(st, head.tokens, now);
+    if (wait === Infinity) return;
+    if (wait > 0) {
+      st.timer = setTimeout(() => pump(st), wait);
+      return;
+    }
+    st.queue.shift();
+    head.settle(null, grant(st, head.tokens, now));
+  }
+}
+
+function enqueue(st, entry) {
+  const idx = st.queue.findIndex((e) => e.priority < entry.priority);
+  if (idx < 0) st.queue.push(entry);
+  else st.queue.splice(idx, 0, entry);
+}
+
+/**
+ * 获取 provider 的请求配额：返回 release()（无 limits 时为空操作）。
+ * 排队期间 abortSignal 取消 / 超过 timeoutMs 会移出队列并抛 AbortError（超时文案含 "Timeout"）。
+ */
+async function acquireProviderSlot(provider, { priority, tokens, abortSignal, timeoutMs, label } = {}) {
+  const limits = resolveProviderLimits(provider);
+  if (!limits) return NOOP_RELEASE;
+  if (abortSignal && abortSignal.aborted) throw createAbortError("Aborted");
+
+  const st = getLimiter(provider.id);
+  st.limits = limits;
+  const n = Number.isFinite(Number(tokens)) && Number(tokens) > 0 ? Math.floor(Number(tokens)) : 0;
+  const now = Date.now();
+  pruneWindow(st, now);
+  if (!st.queue.length && computeWaitMs(st, n, now) === 0) return grant(st, n, now);
+
+  return await new Promise((resolve, reject) => {
+    const hasSignal = abortSignal && typeof abortSignal.addEventListener === "function";
+    const t = Number(timeoutMs);
+    let timer = null;
+    const entry = {
+      priority: Number.isInteger(priority) ? priority : PRIORITY_NORMAL,
+      tokens: n,
+      settle(err, release) {
+        if (timer) clearTimeout(timer);
+        if (hasSignal) {
+          try { abortSignal.removeEventListener("abort", onAbort); } catch {}
+        }
+        if (err) reject(err);
+        else resolve(release);
+      }
+    };
+    const drop = (err) => {
+      const i = st.queue.indexOf(entry);
+      if (i < 0) return;
+      st.queue.splice(i, 1);
+      entry.settle(err);
+      pump(st);
+    };
+    const onAbort = () => drop(createAbortError("Aborted"));
+    if (hasSignal) abortSignal.addEventListener("abort", onAbort, { once: true });
+    if (Number.isFinite(t) && t > 0) {
+      timer = setTimeout(() => drop(createAbortError(`Timeout after ${t}ms while queued for ${normalizeString(label) || provider.id} rate limit`)), t);
+    }
+    enqueue(st, entry);
+    pump(st);
+  });
+}
+
+// 流式响应：body 读完 / 出错 / 被取消时才归还并发槽（无 limits 时原样返回，不包装 body）
+function releaseOnBodyEnd(resp, release) {
+  if (release === NOOP_RELEASE) return resp;
+  if (!resp || !resp.body || typeof resp.body.getReader !== "function") {
+    release();
+    return resp;
+  }
+  const reader = resp.body.getReader();
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          release();
+          controller.close();
+        } else controller.enqueue(value);
+      } catch (err) {
+        release();
+        controller.error(err);
+      }
+    },
+    async cancel(reason) {
+      release();
+      await reader.cancel(reason).catch(() => {});
+    }
+  });
+  return new Response(body, { status: resp.status, statusText: resp.statusText, headers: resp.headers });
+}
+
+function resetProviderLimiters() {
+  for (const st of limiters.values()) if (st.timer) clearTimeout(st.timer);
+  limiters.clear();
+}
+
+module.exports = {
+  LIMIT_KEYS,
+  PRIORITY_BACKGROUND,
+  PRIORITY_NORMAL,
+  PRIORITY_INTERACTIVE,
+  resolveRequestPriority,
+  resolveProviderLimits,
+  estimateRequestTokens,
+  acquireProviderSlot,
+  releaseOnBodyEnd,
+  resetProviderLimiters
+};
@@ -3,6 +3,9 @@
 const { normalizeString } = require("../infra/util");
 const { debug } = require("../infra/log");
 const { createAbortError, safeFetch } = require("./http");
+const { hasAlternateLeasedKey } = require("../core/key-pool");
+const { currentProviderCallScope } = require("../core/provider-call-scope");
+const { acquireProviderSlot, estimateRequestTokens, releaseOnBodyEnd } = require("./rate-limiter");
 
 const DEFAULT_RETRYABLE_HTTP_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
 
@@ -139,6 +142,8 @@ async function makeUpstreamHttpError(resp, { label, maxChars } = {}) {
   const err = new Error(`${lab} ${resp?.status ?? ""}: ${detail}`.trim());
   err.name = "UpstreamHttpError";
   if (resp && typeof resp === "object" && Number.isFinite(Number(resp.status))) err.status = resp.status;
+  const retryAfterMs = parseRetryAfterMs(resp);
+  if (retryAfterMs != null) err.retryAfterMs = retryAfterMs;
   return err;
 }
 
@@ -147,23 +152,34 @@ async function fetchWithRetry(url, init, { timeoutMs, abortSignal, label, maxAtt
   const retryStatuses = retryableStatuses instanceof Set ? retryableStatuses : DEFAULT_RETRYABLE_HTTP_STATUSES;
   const lab = normalizeString(label) || "fetch";
 
+  // provider.limits：每次 HTTP 尝试先排队拿配额（排队时间计入 timeoutMs），响应 body 读完后归还并发槽
+  const scope = currentProviderCallScope();
+  const timeout = Number(timeoutMs);
+  const tokens = estimateRequestTokens(init);
+
   for (let attempt = 0; attempt < attempts; attempt++) {
     const attemptNo = attempt + 1;
+    const queuedAt = Date.now();
+    const release = await acquireProviderSlot(scope?.provider, { priority: scope?.priority, tokens, abortSignal, timeoutMs, label: lab });
+    const attemptTimeoutMs = Number.isFinite(timeout) && timeout > 0 ? Math.max(1, timeout - (Date.now() - queuedAt)) : timeoutMs;
     try {
-      const resp = await safeFetch(url, init, { timeoutMs, abortSignal, label: lab });
-      if (resp.ok) return resp;
+      const resp = await safeFetch(url, init, { timeoutMs: attemptTimeoutMs, abortSignal, label: lab });
+      if (resp.ok) return releaseOnBodyEnd(resp, release);
 
-      const canRetry = retryStatuses.has(resp.status) && attemptNo < attempts;
-      if (!canRetry) return resp;
+      // key 池里还有别的 key：429 直接返回，由 failover 执行器冷却当前 key 并换 key（不在同一个 key 上等 retry-after）
+      const canRetry = retryStatuses.has(resp.status) && attemptNo < attempts && !(resp.status === 429 && hasAlternateLeasedKey());
+      if (!canRetry) return releaseOnBodyEnd(resp, release);
 
       const retryAfter = parseRetryAfterMs(resp);
       const backoff = computeBackoffMs(attempt, { baseDelayMs, maxDelayMs });
       const waitMs = retryAfter != null ? Math.max(retryAfter, backoff) : backoff;
       debug(`${lab} HTTP ${resp.status}: retrying after ${waitMs}ms (attempt ${attemptNo}/${attempts})`);
       try { await resp.text(); } catch {}
+      release();
       await sleepMs(waitMs, abortSignal);
       continue;
     } catch (err) {
+      release();
       // 用户手动取消：不要重试
       if (isAbortError(err) && !isTimeoutAbortError(err)) throw err;
       const canRetry = attemptNo < attempts;
@@ -191,5 +207,7 @@ module.exports = {
   fetchOkWithRetry,
   extractErrorMessageFromJson,
   makeUpstreamHttpError,
-  readHttpErrorDetail
+  readHttpErrorDetail,
+  parseRetryAfterMs,
+  sleepMs
 };
@@ -1,22 +1,28 @@
 "use strict";
 
+// 消费方提前退出（break/return/throw）时也要 cancel body：否则上游连接与 provider 并发槽不会释放
 async function* readLines(stream) {
   const reader = stream.getReader();
   const decoder = new TextDecoder();
   let buf = "";
-  while (true) {
-    const { value, done } = await reader.read();
-    if (done) break;
-    buf += decoder.decode(value, { stream: true });
-    let idx;
-    while ((idx = buf.indexOf("\n")) >= 0) {
-      const line = buf.slice(0, idx);
-      buf = buf.slice(idx + 1);
-      yield line.endsWith("\r") ? line.slice(0, -1) : line;
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buf += decoder.decode(value, { stream: true });
+      let idx;
+      while ((idx = buf.indexOf("\n")) >= 0) {
+        const line = buf.slice(0, idx);
+        buf = buf.slice(idx + 1);
+        yield line.endsWith("\r") ? line.slice(0, -1) : line;
+      }
     }
+    buf += decoder.decode();
+    if (buf) yield buf;
+  } finally {
+    try { await reader.cancel(); } catch {}
+    try { reader.releaseLock(); } catch {}
   }
-  buf += decoder.decode();
-  if (buf) yield buf;
 }
 
 async function* parseSse(resp) {
@@ -38,5 +44,5 @@ async function* parseSse(resp) {
   if (dataLines.length) yield { event, data: dataLines.join("\n") };
 }
 
-module.exports = { parseSse };
+module.exports = { readLines, parseSse };
 
@@ -0,0 +1,103 @@
+"use strict";
+
+const crypto = require("crypto");
+const { normalizeString } = require("../../infra/util");
+const { debug } = require("../../infra/log");
+const { fetchOkWithRetry } = require("../request-util");
+
+const DEFAULT_TOKEN_URI = "https://oauth2.googleapis.com/token";
+const CLOUD_PLATFORM_SCOPE = "https://www.googleapis.com/auth/cloud-platform";
+const JWT_LIFETIME_SEC = 3600;
+// 距过期不足该时长即视为需要刷新（避免请求途中 token 失效）
+const REFRESH_SKEW_MS = 5 * 60 * 1000;
+
+const tokenCache = new Map(); // `${client_email}|${token_uri}` -> { accessToken, expiresAtMs }
+const inflight = new Map(); // 同一 service account 的并发请求只换一次 token
+
+function base64Url(input) {
+  return Buffer.from(input).toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+// apiKey 两种形态：service account JSON（含 client_email/private_key）或现成的 OAuth access token
+function parseVertexCredentials(apiKey) {
+  const raw = normalizeString(apiKey);
+  if (!raw) return null;
+  if (raw.startsWith("{")) {
+    let json;
+    try {
+      json = JSON.parse(raw);
+    } catch {
+      throw new Error("Vertex apiKey 看起来是 JSON 但解析失败（请粘贴完整的 service account JSON）");
+    }
+    const clientEmail = normalizeString(json?.client_email);
+    const privateKey = String(json?.private_key || "");
+    if (!clientEmail || !privateKey.includes("PRIVATE KEY")) throw new Error("Vertex service account JSON 缺少 client_email/private_key");
+    return {
+      serviceAccount: {
+        clientEmail,
+        privateKey,
+        privateKeyId: normalizeString(json.private_key_id),
+        projectId: normalizeString(json.project_id),
+        tokenUri: normalizeString(json.token_uri) || DEFAULT_TOKEN_URI
+      }
+    };
+  }
+  return { accessToken: raw.toLowerCase().startsWith("bearer ") ? raw.slice(7).trim() : raw };
+}
+
+function buildServiceAccountJwt(sa, nowMs) {
+  const iat = Math.floor((Number.isFinite(Number(nowMs)) ? Number(nowMs) : Date.now()) / 1000);
+  const header = { alg: "RS256", typ: "JWT", ...(sa.privateKeyId ? { kid: sa.privateKeyId } : {}) };
+  const claims = { iss: sa.clientEmail, scope: CLOUD_PLATFORM_SCOPE, aud: sa.tokenUri, iat, exp: iat + JWT_LIFETIME_SEC };
+  const unsigned = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(claims))}`;
+  const signature = crypto.createSign("RSA-SHA256").update(unsigned).sign(sa.privateKey);
+  return `${unsigned}.${base64Url(signature)}`;
+}
+
+async function exchangeServiceAccountToken(sa, { timeoutMs, abortSignal }) {
+  const body = new URLSearchParams({ grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer", assertion: buildServiceAccountJwt(sa) }).toString();
+  const resp = await fetchOkWithRetry(
+    sa.tokenUri,
+    { method: "POST", headers: { "content-type": "application/x-www-form-urlencoded" }, body },
+    { timeoutMs, abortSignal, label: "Vertex(oauth)" }
+  );
+  const json = await resp.json().catch(() => null);
+  const accessToken = normalizeString(json?.access_token);
+  if (!accessToken) throw new Error("Vertex(oauth) 响应缺少 access_token");
+  const expiresInSec = Number(json?.expires_in);
+  const ttlMs = (Number.isFinite(expiresInSec) && expiresInSec > 0 ? expiresInSec : JWT_LIFETIME_SEC) * 1000;
+  return { accessToken, expiresAtMs: Date.now() + ttlMs };
+}
+
+/**
+ * 返回可用于 `Authorization: Bearer` 的 access token。
+ * service account：JWT(RS256) → oauth2 token 交换，按账号缓存至过期前 5 分钟；直接给的 token 原样返回。
+ */
+async function getVertexAccessToken(credentials, { timeoutMs, abortSignal, forceRefresh } = {}) {
+  if (!credentials) throw new Error("Vertex 未配置凭证（apiKey 需为 service account JSON 或 OAuth access token）");
+  if (credentials.accessToken) return credentials.accessToken;
+  const sa = credentials.serviceAccount;
+  const key = `${sa.clientEmail}|${sa.tokenUri}`;
+
+  const cached = tokenCache.get(key);
+  if (!forceRefresh && cached && cached.expiresAtMs - Date.now() > REFRESH_SKEW_MS) return cached.accessToken;
+  if (inflight.has(key)) return (await inflight.get(key)).accessToken;
+
+  const p = exchangeServiceAccountToken(sa, { timeoutMs, abortSignal });
+  inflight.set(key, p);
+  try {
+    const next = await p;
+    tokenCache.set(key, next);
+    debug(`Vertex(oauth) token refreshed for ${sa.clientEmail} (expires in ${Math.round((next.expiresAtMs - Date.now()) / 1000)}s)`);
+    return next.accessToken;
+  } finally {
+    inflight.delete(key);
+  }
+}
+
+function clearVertexTokenCache() {
+  tokenCache.clear();
+  inflight.clear();
+}
+
+module.exports = { parseVertexCredentials, getVertexAccessToken, clearVertexTokenCache };
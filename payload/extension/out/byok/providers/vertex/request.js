@@ -0,0 +1,91 @@
+"use strict";
+
+const { normalizeString, requireString } = require("../../infra/util");
+const { parseVertexCredentials, getVertexAccessToken } = require("./auth");
+
+// Anthropic-on-Vertex 要求 body.anthropic_version（替代 anthropic-version header），且 body 不带 model
+const ANTHROPIC_VERTEX_VERSION = "vertex-2023-10-16";
+
+// publisher 不是 provider.type：google → Gemini 报文，anthropic → Anthropic Messages 报文
+const PUBLISHER_GOOGLE = "google";
+const PUBLISHER_ANTHROPIC = "anthropic";
+const SUPPORTED_PUBLISHERS = new Set([PUBLISHER_GOOGLE, PUBLISHER_ANTHROPIC]);
+const LOCATION_ROOT_RE = /^(.*\/projects\/[^/]+\/locations\/[^/]+)(?:\/.*)?$/;
+
+// model 形态：`gemini-2.5-pro` / `claude-sonnet-4@20250514` / `anthropic/<id>` / `publishers/<p>/models/<id>`
+function splitVertexModel(model) {
+  const m = requireString(model, "Vertex model");
+  const full = m.match(/(?:^|\/)publishers\/([^/]+)\/models\/([^/]+)$/);
+  if (full) return { publisher: full[1].toLowerCase(), modelId: full[2] };
+  const short = m.match(/^(google|anthropic)\/([^/]+)$/i);
+  if (short) return { publisher: short[1].toLowerCase(), modelId: short[2] };
+  return { publisher: /^claude/i.test(m) ? PUBLISHER_ANTHROPIC : PUBLISHER_GOOGLE, modelId: m };
+}
+
+function isVertexAnthropicModel(model) {
+  const m = normalizeString(model);
+  return Boolean(m) && splitVertexModel(m).publisher === PUBLISHER_ANTHROPIC;
+}
+
+// location：requestDefaults.__byok_vertex_location > baseUrl 中的 /locations/<l> > 主机名 `<l>-aiplatform.googleapis.com`（裸 aiplatform.googleapis.com 为 global）
+function resolveVertexLocation(baseUrl, requestDefaults) {
+  const explicit = normalizeString(requestDefaults?.__byok_vertex_location);
+  if (explicit) return explicit;
+  let u = null;
+  try {
+    u = new URL(normalizeString(baseUrl));
+  } catch {}
+  if (!u) return "";
+  const inPath = u.pathname.match(/\/locations\/([^/]+)/);
+  if (inPath) return inPath[1];
+  const host = u.hostname.toLowerCase();
+  const m = host.match(/^([a-z0-9-]+)-aiplatform\.googleapis\.com$/);
+  if (m) return m[1];
+  return host === "aiplatform.googleapis.com" ? "global" : "";
+}
+
+/**
+ * 解析到 `.../v1/projects/<p>/locations/<l>`：
+ * baseUrl 已含 projects/locations 时原样使用；否则用 __byok_vertex_project（或 service account 的 project_id）+ location 拼出。
+ */
+function resolveVertexLocationRoot({ baseUrl, requestDefaults, projectId }) {
+  const b = normalizeString(baseUrl).replace(/\/+$/, "");
+  const full = b.match(LOCATION_ROOT_RE);
+  if (full) return full[1];
+
+  const project = normalizeString(requestDefaults?.__byok_vertex_project) || normalizeString(projectId);
+  const location = resolveVertexLocation(b, requestDefaults);
+  if (!project) throw new Error("Vertex 无法确定 project（baseUrl 写到 /projects/<p>/locations/<l>，或配置 requestDefaults.__byok_vertex_project）");
+  if (!location) throw new Error("Vertex 无法确定 location（baseUrl 形如 https://<location>-aiplatform.googleapis.com，或配置 requestDefaults.__byok_vertex_location）");
+
+  const host = b ? b.replace(/\/v1(?:beta1)?$/, "") : location === "global" ? "https://aiplatform.googleapis.com" : `https://${location}-aiplatform.googleapis.com`;
+  const version = /\/v1beta1$/.test(b) ? "v1beta1" : "v1";
+  return `${host}/${version}/projects/${encodeURIComponent(project)}/locations/${encodeURIComponent(location)}`;
+}
+
+function hasAuthorizationHeader(extraHeaders) {
+  return Object.keys(extraHeaders && typeof extraHeaders === "object" ? extraHeaders : {}).some((k) => String(k || "").trim().toLowerCase() === "authorization");
+}
+
+// 鉴权：headers.authorization（用户自带）> apiKey（service account JSON 换 token / 直接 access token）
+async function resolveVertexAuth({ apiKey, extraHeaders, timeoutMs, abortSignal }) {
+  const creds = parseVertexCredentials(apiKey);
+  const userAuth = hasAuthorizationHeader(extraHeaders);
+  if (!creds && !userAuth) throw new Error("Vertex 未配置凭证（apiKey 需为 service account JSON 或 OAuth access token，或在 headers 中提供 authorization）");
+  const token = userAuth ? "" : await getVertexAccessToken(creds, { timeoutMs, abortSignal });
+  return { projectId: normalizeString(creds?.serviceAccount?.projectId), authHeaders: token ? { authorization: `Bearer ${token}` } : {} };
+}
+
+/**
+ * 发请求前解析 Vertex 目标：publisher（google / anthropic）、model 资源 URL 与 Bearer 鉴权头。
+ * 返回值作为 `vertex` 传给 Gemini / Anthropic 适配器，由其替换 URL 与鉴权、复用原有 body 构建与响应解析。
+ */
+async function resolveVertexTarget({ baseUrl, apiKey, model, extraHeaders, requestDefaults, timeoutMs, abortSignal }) {
+  const { publisher, modelId } = splitVertexModel(model);
+  if (!SUPPORTED_PUBLISHERS.has(publisher)) throw new Error(`Vertex publisher 暂不支持: ${publisher}（支持：google, anthropic）`);
+  const { projectId, authHeaders } = await resolveVertexAuth({ apiKey, extraHeaders, timeoutMs, abortSignal });
+  const root = resolveVertexLocationRoot({ baseUrl, requestDefaults, projectId });
+  return { publisher, modelUrl: `${root}/publishers/${publisher}/models/${modelId}`, authHeaders };
+}
+
+module.exports = { ANTHROPIC_VERTEX_VERSION, splitVertexModel, isVertexAnthropicModel, resolveVertexLocation, resolveVertexLocationRoot, resolveVertexAuth, resolveVertexTarget };
@@ -5,6 +5,8 @@ const { ensureConfigManager, state, setRuntimeEnabled, CONFIG_SYNC_KEYS, RUNTIME
 const { openConfigPanel } = require("../../ui/config-panel");
 const { exportConfigWithDialog, importConfigWithDialog, runIoWithUiErrorBoundary } = require("../../ui/config-io");
 const { clearHistorySummaryCacheAll, setHistorySummaryStorage } = require("../../core/augment-history-summary/auto");
+const { setUsageLedgerStorage, flushUsageLedger } = require("../../core/usage-ledger/store");
+const { setCaptureDefaultDir } = require("../../core/capture/store");
 
 function install({ vscode, getActivate, setActivate }) {
   if (state.installed) return;
@@ -29,6 +31,16 @@ function install({ vscode, getActivate, setActivate }) {
       setHistorySummaryStorage(ctx?.globalState);
     } catch {}
 
+    try {
+      setUsageLedgerStorage(ctx?.globalState);
+      // 账本延迟写回：停用时把未写入的记录刷到 globalState
+      if (Array.isArray(ctx?.subscriptions)) ctx.subscriptions.push({ dispose: () => void flushUsageLedger().catch(() => void 0) });
+    } catch {}
+
+    try {
+      setCaptureDefaultDir(ctx?.globalStorageUri?.fsPath);
+    } catch {}
+
     try {
       const saved = ctx?.globalState?.get?.(RUNTIME_ENABLED_KEY);
       if (typeof saved === "boolean") state.runtimeEnabled = saved;
@@ -39,7 +51,7 @@ function install({ vscode, getActivate, setActivate }) {
     } catch {}
 
     const cfgMgr = ensureConfigManager({ ctx });
-    const rr = cfgMgr.reloadNow("activate");
+    const rr = await cfgMgr.reloadWithSecretsNow("activate");
     if (!rr.ok && rr.reason === "missing") {
       try {
         await cfgMgr.resetNow("init_default");
@@ -81,7 +93,7 @@ function registerCommandsOnce(vscode, ctx, cfgMgr) {
   });
 
   register("augment-byok.reloadConfig", async () => {
-    const r = cfgMgr.reloadNow("command");
+    const r = await cfgMgr.reloadWithSecretsNow("command");
     try {
       await vscode.window.showInformationMessage(r.ok ? "BYOK config reloaded" : "BYOK config reload failed (kept last good)");
     } catch {}
@@ -101,7 +113,7 @@ function registerCommandsOnce(vscode, ctx, cfgMgr) {
     try {
       const n = await clearHistorySummaryCacheAll();
       info(`historySummary cache cleared: ${n}`);
-      try { await vscode.window.showInformationMessage(n ? `Cleared history summary cache (${n})` : "History summary cache already empty"); } catch {}
+      try { await vscode.window.showInformationMessage(n ? `Cleared history summary cache (${n}); pinned exchanges kept` : "History summary cache already empty"); } catch {}
     } catch (err) {
       const m = err instanceof Error ? err.message : String(err);
       warn("clearHistorySummaryCache failed:", m);
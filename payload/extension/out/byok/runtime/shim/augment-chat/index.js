@@ -4,7 +4,11 @@ const { debug, warn } = require("../../../infra/log");
 const { normalizeString } = require("../../../infra/util");
 const { captureAugmentToolDefinitions } = require("../../../config/state");
 const { resolveExtraSystemPrompt } = require("../../../config/prompts");
-const { maybeSummarizeAndCompactAugmentChatRequest, deleteHistorySummaryCache } = require("../../../core/augment-history-summary/auto");
+const {
+  maybeSummarizeAndCompactAugmentChatRequest,
+  scheduleHistorySummaryPresummarize,
+  deleteHistorySummaryCache
+} = require("../../../core/augment-history-summary/auto");
 const { normalizeAugmentChatRequest } = require("../../../core/augment-chat");
 const { shouldRequestThinking, stripThinkingAndReasoningFromRequestDefaults } = require("../../../core/thinking-control");
 const { maybeInjectOfficialCodebaseRetrieval } = require("../../official/codebase-retrieval");
@@ -14,9 +18,11 @@ const { maybeHydrateAssetNodesFromUpstream } = require("../../upstream/assets");
 const { maybeHydrateCheckpointNodesFromUpstream } = require("../../upstream/checkpoints");
 const { deriveWorkspaceFileChunksFromRequest } = require("../../workspace/file-chunks");
 const { providerLabel, providerRequestContext } = require("../common");
+const { prefetchContextWindowByProviderType } = require("../../../core/provider-augment-chat");
 const { MAX_TOKENS_ALIAS_KEYS, normalizePositiveInt, pickPositiveIntFromRecord } = require("../../../providers/request-defaults-util");
-const { inferContextWindowTokensFromModelName } = require("../../../core/token-budget/context-window");
-const { approxTokenCountFromByteLen, estimateRequestExtraSizeChars, estimateHistorySizeChars } = require("../../../core/augment-history-summary/auto/estimate");
+const { resolveModelCapabilities } = require("../../../core/model-capabilities");
+const { createTokenMeter, estimateRequestExtraSizeChars, estimateHistorySizeChars } = require("../../../core/augment-history-summary/auto/estimate");
+const { applyTokenCorrection } = require("../../../core/token-budget/tokenizer");
 
 function hasConfiguredMaxTokens(requestDefaults) {
   const rd = requestDefaults && typeof requestDefaults === "object" && !Array.isArray(requestDefaults) ? requestDefaults : {};
@@ -31,45 +37,50 @@ function hasConfiguredMaxTokens(requestDefaults) {
   return false;
 }
 
-function estimateAugmentChatRequestTokens(req) {
+// 原始 token 估算（未校正；按模型族分词器计）：请求级校正系数在推断输出上限时再乘
+function estimateAugmentChatRequestTokens(req, { model } = {}) {
   const r = req && typeof req === "object" && !Array.isArray(req) ? req : {};
   const history = Array.isArray(r.chat_history) ? r.chat_history : [];
+  const meter = createTokenMeter(model);
 
-  const msg = typeof r.message === "string" ? r.message : String(r.message ?? "");
-  const byokSystem = typeof r.byok_system_prompt === "string" ? r.byok_system_prompt : String(r.byok_system_prompt ?? "");
-  const agentMem = typeof r.agent_memories === "string" ? r.agent_memories : String(r.agent_memories ?? "");
-  const userGuide = typeof r.user_guidelines === "string" ? r.user_guidelines : String(r.user_guidelines ?? "");
-  const workspaceGuide = typeof r.workspace_guidelines === "string" ? r.workspace_guidelines : String(r.workspace_guidelines ?? "");
-
-  const extraChars = estimateRequestExtraSizeChars(r);
-  const historyChars = estimateHistorySizeChars(history);
-  const totalChars = msg.length + byokSystem.length + agentMem.length + userGuide.length + workspaceGuide.length + extraChars + historyChars;
-  return approxTokenCountFromByteLen(totalChars);
+  let total = 0;
+  for (const k of ["message", "byok_system_prompt", "agent_memories", "user_guidelines", "workspace_guidelines"]) {
+    const v = r[k];
+    total += meter.text(typeof v === "string" ? v : String(v ?? ""));
+  }
+  if (Array.isArray(r.tool_definitions) && r.tool_definitions.length) {
+    try {
+      total += meter.text(JSON.stringify(r.tool_definitions));
+    } catch {}
+  }
+  return total + estimateRequestExtraSizeChars(r, meter) + estimateHistorySizeChars(history, meter);
 }
 
-function inferAutoMaxOutputTokens({ model, req } = {}) {
+function inferAutoMaxOutputTokens({ provider, model, req, promptTokens } = {}) {
   const DEFAULT_FALLBACK = 8192;
-  const HARD_CAP = 65536;
   const SAFETY_MARGIN_TOKENS = 1024;
   const m = normalizeString(model);
   if (!m) return DEFAULT_FALLBACK;
 
-  const cw = inferContextWindowTokensFromModelName(m);
-  if (!Number.isFinite(Number(cw)) || Number(cw) <= 0) return DEFAULT_FALLBACK;
+  // 能力表里的 maxOutputTokens 优先作为上限（未知时 65536），避免超过模型输出上限被上游拒绝
+  const caps = resolveModelCapabilities({ provider, model: m });
+  const HARD_CAP = Math.min(65536, normalizePositiveInt(caps.maxOutputTokens) || 65536);
+  const cw = caps.contextWindowTokens;
+  if (!Number.isFinite(Number(cw)) || Number(cw) <= 0) return Math.min(DEFAULT_FALLBACK, HARD_CAP);
 
   const ctxWindow = Math.floor(Number(cw));
-  const promptTokens = estimateAugmentChatRequestTokens(req);
-  const remaining = ctxWindow - promptTokens - SAFETY_MARGIN_TOKENS;
+  const rawPromptTokens = normalizePositiveInt(promptTokens) ?? estimateAugmentChatRequestTokens(req, { model: m });
+  const remaining = ctxWindow - applyTokenCorrection(rawPromptTokens, { provider, model: m }) - SAFETY_MARGIN_TOKENS;
   if (!Number.isFinite(Number(remaining)) || Number(remaining) <= 0) return null;
 
   const out = Math.min(HARD_CAP, Math.floor(Number(remaining)));
   return out >= 256 ? out : 256;
 }
 
-function maybeInjectAutoMaxOutputTokensIntoRequestDefaults(requestDefaults, { model, req } = {}) {
+function maybeInjectAutoMaxOutputTokensIntoRequestDefaults(requestDefaults, { provider, model, req, promptTokens } = {}) {
   const rd = requestDefaults && typeof requestDefaults === "object" && !Array.isArray(requestDefaults) ? requestDefaults : {};
   if (hasConfiguredMaxTokens(rd)) return rd;
-  const inferred = normalizePositiveInt(inferAutoMaxOutputTokens({ model, req }));
+  const inferred = normalizePositiveInt(inferAutoMaxOutputTokens({ provider, model, req, promptTokens }));
   if (inferred == null) return rd;
   return { ...rd, max_output_tokens: inferred };
 }
@@ -177,6 +188,31 @@ async function prepareAugmentChatRequestForByok({ cfg, req, requestedModel, fall
   return meta;
 }
 
+function formatAugmentChatTraceLabel({ label, rid, provider, type, model }) {
+  return `[${label}] upstream${rid ? ` rid=${rid}` : ""} provider=${providerLabel(provider)} type=${type || "unknown"} model=${normalizeString(model) || "unknown"}`;
+}
+
+// failover：复用已准备好的 req（摘要/官方上下文注入只做一次），仅重算与 provider 相关的请求参数。
+// key 池轮换时 candidate.provider 是替换了 apiKey 的副本：按 id 判断是否同一 provider
+function isSameProvider(a, b) {
+  if (a === b) return true;
+  const id = normalizeString(a?.id);
+  return Boolean(id) && id === normalizeString(b?.id);
+}
+
+// 首个 candidate 复用 ctx，但 apiKey 每次重新解析（env:/cmd: 引用在 401 后会被刷新）
+async function resolveByokAugmentChatAttempt(ctx, { provider, model } = {}) {
+  if (!ctx || typeof ctx !== "object") throw new Error("BYOK chat context 无效");
+  if (isSameProvider(provider, ctx.provider) && normalizeString(model) === normalizeString(ctx.model)) return { ...ctx, apiKey: (await providerRequestContext(provider)).apiKey };
+
+  const { type, baseUrl, apiKey, extraHeaders, requestDefaults: rd0 } = await providerRequestContext(provider);
+  let requestDefaults = ctx.requestThinking === false ? stripThinkingAndReasoningFromRequestDefaults(rd0) : rd0;
+  const estimatedInputTokens = estimateAugmentChatRequestTokens(ctx.req, { model });
+  requestDefaults = maybeInjectAutoMaxOutputTokensIntoRequestDefaults(requestDefaults, { provider, model, req: ctx.req, promptTokens: estimatedInputTokens });
+  const traceLabel = formatAugmentChatTraceLabel({ label: ctx.kind, rid: ctx.rid, provider, type, model });
+  return { ...ctx, provider, model, type, baseUrl, apiKey, extraHeaders, requestDefaults, estimatedInputTokens, traceLabel };
+}
+
 function resolveSupportToolUseStart(req) {
   const r = req && typeof req === "object" ? req : {};
   const fdf = r.feature_detection_flags && typeof r.feature_detection_flags === "object" ? r.feature_detection_flags : {};
@@ -193,7 +229,7 @@ async function buildByokAugmentChatContext({ kind, endpoint, cfg, provider, mode
   const label = normalizeString(kind) === "chat-stream" ? "chat-stream" : "chat";
   const ep = normalizeString(endpoint) || (label === "chat-stream" ? "/chat-stream" : "/chat");
 
-  const prc = providerRequestContext(provider);
+  const prc = await providerRequestContext(provider);
   const { type, baseUrl, apiKey, extraHeaders } = prc;
   let requestDefaults = prc.requestDefaults;
   const req = normalizeAugmentChatRequest(body);
@@ -203,7 +239,8 @@ async function buildByokAugmentChatContext({ kind, endpoint, cfg, provider, mode
   const rid = normalizeString(requestId);
 
   // 非用户对话轮次（例如工具回填后的 continuation）不需要上游“thinking/reasoning”，避免多次思考导致开销/中断。
-  if (!shouldRequestThinking(req)) {
+  const requestThinking = shouldRequestThinking(req);
+  if (!requestThinking) {
     requestDefaults = stripThinkingAndReasoningFromRequestDefaults(requestDefaults);
   }
 
@@ -220,7 +257,7 @@ async function buildByokAugmentChatContext({ kind, endpoint, cfg, provider, mode
   const summary = summarizeAugmentChatRequest(req);
   logAugmentChatStart({ kind: label, requestId: rid, provider, providerType: type, model, requestedModel, conversationId, summary });
 
-  const traceLabel = `[${label}] upstream${rid ? ` rid=${rid}` : ""} provider=${providerLabel(provider)} type=${type || "unknown"} model=${normalizeString(model) || "unknown"}`;
+  const traceLabel = formatAugmentChatTraceLabel({ label, rid, provider, type, model });
 
   if (isAugmentChatRequestEmpty(summary)) {
     return {
@@ -228,6 +265,9 @@ async function buildByokAugmentChatContext({ kind, endpoint, cfg, provider, mode
       ep,
       rid,
       conversationId,
+      provider,
+      model,
+      requestThinking,
       type,
       baseUrl,
       apiKey,
@@ -242,6 +282,13 @@ async function buildByokAugmentChatContext({ kind, endpoint, cfg, provider, mode
     };
   }
 
+  // 部分 provider（Ollama）的上下文窗口需向上游查询；须在历史摘要与自动 max tokens 推断之前完成。
+  try {
+    await prefetchContextWindowByProviderType({ type, providerId: provider?.id, baseUrl, apiKey, model, extraHeaders, requestDefaults, timeoutMs, abortSignal });
+  } catch (err) {
+    debug(`[${label}] context window prefetch failed (ignored): ${err instanceof Error ? err.message : String(err)}`);
+  }
+
   const prep = await prepareAugmentChatRequestForByok({
     cfg,
     req,
@@ -258,9 +305,10 @@ async function buildByokAugmentChatContext({ kind, endpoint, cfg, provider, mode
   const workspaceFileChunks = prep && typeof prep === "object" && Array.isArray(prep.workspaceFileChunks) ? prep.workspaceFileChunks : [];
 
   // 自动推断输出上限：仅在用户未配置任何 max tokens 时注入，避免破坏用户意图。
-  // 与固定默认值不同，这里会尝试基于 model 的上下文窗口（从名称推断）与 prompt 体积动态计算。
+  // 与固定默认值不同，这里会基于模型能力表（core/model-capabilities）的上下文窗口/输出上限与 prompt 体积动态计算。
   const beforeDefaults = requestDefaults;
-  requestDefaults = maybeInjectAutoMaxOutputTokensIntoRequestDefaults(requestDefaults, { model, req });
+  const estimatedInputTokens = estimateAugmentChatRequestTokens(req, { model });
+  requestDefaults = maybeInjectAutoMaxOutputTokensIntoRequestDefaults(requestDefaults, { provider, model, req, promptTokens: estimatedInputTokens });
   if (requestDefaults !== beforeDefaults) {
     debug(
       `[${label}] injected auto max_output_tokens=${Number(requestDefaults.max_output_tokens) || 0} (provider=${providerLabel(provider)} type=${type || "unknown"} model=${normalizeString(model) || "unknown"})`
@@ -272,11 +320,15 @@ async function buildByokAugmentChatContext({ kind, endpoint, cfg, provider, mode
     ep,
     rid,
     conversationId,
+    provider,
+    model,
+    requestThinking,
     type,
     baseUrl,
     apiKey,
     extraHeaders,
     requestDefaults,
+    estimatedInputTokens,
     req,
     summary,
     checkpointNotFound,
@@ -286,8 +338,21 @@ async function buildByokAugmentChatContext({ kind, endpoint, cfg, provider, mode
   };
 }
 
+// 本轮完成后：用量接近摘要触发阈值时在后台预先生成摘要，下一轮直接命中缓存（historySummary.presummarize）
+function schedulePresummarizeAfterTurn(ctx, { cfg, requestedModel, responseText } = {}) {
+  if (!ctx || ctx.empty) return false;
+  try {
+    return scheduleHistorySummaryPresummarize({ cfg, req: ctx.req, responseText, requestedModel, fallbackProvider: ctx.provider, fallbackModel: ctx.model });
+  } catch (err) {
+    debug(`[${ctx.kind}] historySummary presummarize schedule failed (ignored): ${err instanceof Error ? err.message : String(err)}`);
+    return false;
+  }
+}
+
 module.exports = {
   resolveSupportToolUseStart,
   resolveSupportParallelToolUse,
-  buildByokAugmentChatContext
+  buildByokAugmentChatContext,
+  resolveByokAugmentChatAttempt,
+  schedulePresummarizeAfterTurn
 };
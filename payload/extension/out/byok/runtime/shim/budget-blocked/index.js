@@ -0,0 +1,75 @@
+"use strict";
+
+const { warn } = require("../../../infra/log");
+const { safeTransform } = require("../../../infra/util");
+const { state } = require("../../../config/state");
+const { formatBudgetBlockedMessage } = require("../../../core/budget-guard");
+const { makeBackChatResult, makeBackTextResult, makeBackCompletionResult, makeBackNextEditLocationResult } = require("../../../core/protocol");
+const { STOP_REASON_END_TURN, makeBackChatChunk } = require("../../../core/augment-protocol");
+const { buildInstructionReplacementMeta } = require("../next-edit");
+
+// 补全/next-edit 等后台端点触发频繁：同一端点的提示每分钟最多弹一次
+const NOTICE_THROTTLE_MS = 60_000;
+const lastNoticeAt = new Map();
+
+function notifyBudgetBlocked(ep, message) {
+  const now = Date.now();
+  if (now - (lastNoticeAt.get(ep) || 0) < NOTICE_THROTTLE_MS) return;
+  lastNoticeAt.set(ep, now);
+  warn("budget blocked", { endpoint: ep, message });
+  const window = state.vscode?.window;
+  if (!window || typeof window.showWarningMessage !== "function") return;
+  Promise.resolve()
+    .then(() => window.showWarningMessage(`${ep}: ${message}`))
+    .catch(() => {});
+}
+
+function resetBudgetBlockedNotices() {
+  lastNoticeAt.clear();
+}
+
+// 这些端点的结果会写回编辑器（或在后台触发），不能把提示文本当作结果：返回空结果并弹出节流提示
+const NOTICE_ENDPOINTS = new Set(["/edit", "/completion", "/chat-input-completion", "/next_edit_loc", "/instruction-stream", "/smart-paste-stream", "/next-edit-stream"]);
+
+// 非流式：对话类直接返回提示文本；next_edit_loc 同时放进 critical_errors
+const BUDGET_BLOCKED_RESULTS = {
+  "/chat": (text) => makeBackChatResult(text, { nodes: [] }),
+  "/edit": () => makeBackTextResult(""),
+  "/completion": () => makeBackCompletionResult(""),
+  "/chat-input-completion": () => makeBackCompletionResult(""),
+  "/next_edit_loc": (text) => ({ ...makeBackNextEditLocationResult([]), critical_errors: [text] })
+};
+
+// 流式：instruction/smart-paste 与出错时同形（只有 text，没有 replacement_text，不会写回代码）；next-edit 不产出建议
+const BUDGET_BLOCKED_STREAM_CHUNKS = {
+  "/chat-stream": async (text) => [makeBackChatChunk({ text, stop_reason: STOP_REASON_END_TURN })],
+  "/prompt-enhancer": async (text) => [makeBackChatResult(text, { nodes: [] })],
+  "/generate-conversation-title": async (text) => [makeBackChatResult(text, { nodes: [] })],
+  "/generate-commit-message-stream": async (text) => [makeBackChatResult(text, { nodes: [] })],
+  "/instruction-stream": async (text, body) => [{ text, ...(await buildInstructionReplacementMeta(body)) }],
+  "/smart-paste-stream": async (text, body) => [{ text, ...(await buildInstructionReplacementMeta(body)) }],
+  "/next-edit-stream": async () => []
+};
+
+function blockedMessage(route, ep) {
+  const text = formatBudgetBlockedMessage(route);
+  if (NOTICE_ENDPOINTS.has(ep)) notifyBudgetBlocked(ep, text);
+  return text;
+}
+
+function makeBudgetBlockedResult({ route, ep, transform }) {
+  const make = BUDGET_BLOCKED_RESULTS[ep];
+  if (!make) return undefined;
+  return safeTransform(transform, make(blockedMessage(route, ep)), ep);
+}
+
+function makeBudgetBlockedStream({ route, ep, body, transform }) {
+  const make = BUDGET_BLOCKED_STREAM_CHUNKS[ep];
+  if (!make) return undefined;
+  const text = blockedMessage(route, ep);
+  return (async function* () {
+    for (const raw of await make(text, body)) yield safeTransform(transform, raw, ep);
+  })();
+}
+
+module.exports = { makeBudgetBlockedResult, makeBudgetBlockedStream, resetBudgetBlockedNotices };
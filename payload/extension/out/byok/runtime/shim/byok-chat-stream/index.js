@@ -2,14 +2,40 @@
 
 const { buildToolMetaByName } = require("../../../core/augment-chat");
 const { STOP_REASON_END_TURN, makeBackChatChunk } = require("../../../core/augment-protocol");
-const { streamAugmentChatChunksByProviderType } = require("../../../core/provider-augment-chat");
+const { streamAugmentChatChunksByProviderType, usageInputIncludesCacheReadsByProviderType } = require("../../../core/provider-augment-chat");
+const { listRouteCandidates, streamWithProviderFailover } = require("../../../core/provider-failover");
+const { recordUsageFromChatChunks } = require("../../../core/usage-ledger/store");
+const { learnTokenCorrectionFromChatChunks } = require("../../../core/token-budget/tokenizer");
+const { beginCaptureAttempt, bindCaptureSession } = require("../../../core/capture/session");
+const { startCaptureSession, recordCapturedChunks } = require("../../../core/capture/store");
 const {
   buildByokAugmentChatContext,
+  resolveByokAugmentChatAttempt,
   resolveSupportToolUseStart,
-  resolveSupportParallelToolUse
+  resolveSupportParallelToolUse,
+  schedulePresummarizeAfterTurn
 } = require("../augment-chat");
 
-async function* byokChatStream({ cfg, provider, model, requestedModel, body, timeoutMs, abortSignal, upstreamCompletionURL, upstreamApiToken, requestId }) {
+// 透传 chunks 并累计回复文本；只在流正常结束时回调（被中断/出错不回调）
+async function* tapResponseText(src, onDone) {
+  let text = "";
+  for await (const chunk of src) {
+    if (chunk && typeof chunk.text === "string") text += chunk.text;
+    yield chunk;
+  }
+  onDone(text);
+}
+
+async function* byokChatStream(args) {
+  const capture = startCaptureSession(args?.cfg, { endpoint: "/chat-stream", requestId: args?.requestId });
+  if (!capture) {
+    yield* streamByokChat(args, null);
+    return;
+  }
+  yield* recordCapturedChunks(capture, streamByokChat(args, capture));
+}
+
+async function* streamByokChat({ cfg, provider, model, fallbacks, requestedModel, body, timeoutMs, abortSignal, upstreamCompletionURL, upstreamApiToken, requestId }, capture) {
   const ctx = await buildByokAugmentChatContext({
     kind: "chat-stream",
     endpoint: "/chat-stream",
@@ -32,22 +58,45 @@ async function* byokChatStream({ cfg, provider, model, requestedModel, body, tim
   const toolMetaByName = buildToolMetaByName(ctx.req.tool_definitions);
   const supportToolUseStart = resolveSupportToolUseStart(ctx.req);
   const supportParallelToolUse = resolveSupportParallelToolUse(ctx.req);
-  const src = streamAugmentChatChunksByProviderType({
-    type: ctx.type,
-    baseUrl: ctx.baseUrl,
-    apiKey: ctx.apiKey,
-    model,
-    req: ctx.req,
-    timeoutMs,
+  if (capture) {
+    capture.augmentRequest = ctx.req;
+    capture.options = { supportToolUseStart, supportParallelToolUse };
+  }
+  const failover = streamWithProviderFailover({
+    candidates: listRouteCandidates({ provider, model, fallbacks }),
+    label: `[chat-stream]${ctx.rid ? ` rid=${ctx.rid}` : ""}`,
+    endpoint: "/chat-stream",
     abortSignal,
-    extraHeaders: ctx.extraHeaders,
-    requestDefaults: ctx.requestDefaults,
-    toolMetaByName,
-    supportToolUseStart,
-    supportParallelToolUse,
-    traceLabel: ctx.traceLabel,
-    nodeIdStart: 0
+    run: async function* (c) {
+      const a = await resolveByokAugmentChatAttempt(ctx, c);
+      const chunks = streamAugmentChatChunksByProviderType({
+        type: a.type,
+        baseUrl: a.baseUrl,
+        apiKey: a.apiKey,
+        model: a.model,
+        req: a.req,
+        timeoutMs,
+        abortSignal,
+        extraHeaders: a.extraHeaders,
+        requestDefaults: a.requestDefaults,
+        toolMetaByName,
+        supportToolUseStart,
+        supportParallelToolUse,
+        traceLabel: a.traceLabel,
+        nodeIdStart: 0
+      });
+      if (capture) beginCaptureAttempt(capture, { providerId: c.provider?.id, type: a.type, baseUrl: a.baseUrl, model: a.model, requestDefaults: a.requestDefaults, apiKey: a.apiKey });
+      const inputIncludesCacheReads = usageInputIncludesCacheReadsByProviderType(a.type, a.model);
+      const learned = learnTokenCorrectionFromChatChunks(capture ? bindCaptureSession(capture, chunks) : chunks, {
+        provider: c.provider,
+        model: a.model,
+        estimatedTokens: a.estimatedInputTokens,
+        inputIncludesCacheReads
+      });
+      yield* recordUsageFromChatChunks(learned, { provider: c.provider, model: a.model, endpoint: "/chat-stream", inputIncludesCacheReads });
+    }
   });
+  const src = tapResponseText(failover, (text) => schedulePresummarizeAfterTurn(ctx, { cfg, requestedModel, responseText: text }));
 
   if (!ctx.checkpointNotFound && ctx.workspaceFileChunks.length === 0) {
     yield* src;
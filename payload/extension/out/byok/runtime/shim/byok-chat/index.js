@@ -3,11 +3,14 @@
 const { withTiming } = require("../../../infra/trace");
 const { makeBackChatResult } = require("../../../core/protocol");
 const { completeAugmentChatTextByProviderType } = require("../../../core/provider-augment-chat");
+const { listRouteCandidates, runWithProviderFailover } = require("../../../core/provider-failover");
 const {
-  buildByokAugmentChatContext
+  buildByokAugmentChatContext,
+  resolveByokAugmentChatAttempt,
+  schedulePresummarizeAfterTurn
 } = require("../augment-chat");
 
-async function byokChat({ cfg, provider, model, requestedModel, body, timeoutMs, abortSignal, upstreamCompletionURL, upstreamApiToken, requestId }) {
+async function byokChat({ cfg, provider, model, fallbacks, requestedModel, body, timeoutMs, abortSignal, upstreamCompletionURL, upstreamApiToken, requestId }) {
   const ctx = await buildByokAugmentChatContext({
     kind: "chat",
     endpoint: "/chat",
@@ -24,20 +27,30 @@ async function byokChat({ cfg, provider, model, requestedModel, body, timeoutMs,
   });
   if (ctx.empty) return makeBackChatResult("", { nodes: [] });
 
-  const text = await withTiming(ctx.traceLabel, async () =>
-    await completeAugmentChatTextByProviderType({
-      type: ctx.type,
-      baseUrl: ctx.baseUrl,
-      apiKey: ctx.apiKey,
-      model,
-      req: ctx.req,
-      timeoutMs,
-      abortSignal,
-      extraHeaders: ctx.extraHeaders,
-      requestDefaults: ctx.requestDefaults
-    })
-  );
+  const text = await runWithProviderFailover({
+    candidates: listRouteCandidates({ provider, model, fallbacks }),
+    label: `[chat]${ctx.rid ? ` rid=${ctx.rid}` : ""}`,
+    endpoint: "/chat",
+    abortSignal,
+    run: async (c) => {
+      const a = await resolveByokAugmentChatAttempt(ctx, c);
+      return await withTiming(a.traceLabel, async () =>
+        await completeAugmentChatTextByProviderType({
+          type: a.type,
+          baseUrl: a.baseUrl,
+          apiKey: a.apiKey,
+          model: a.model,
+          req: a.req,
+          timeoutMs,
+          abortSignal,
+          extraHeaders: a.extraHeaders,
+          requestDefaults: a.requestDefaults
+        })
+      );
+    }
+  });
 
+  schedulePresummarizeAfterTurn(ctx, { cfg, requestedModel, responseText: text });
   const out = makeBackChatResult(text, { nodes: [] });
   if (ctx.checkpointNotFound) out.checkpoint_not_found = true;
   if (ctx.workspaceFileChunks.length) out.workspace_file_chunks = ctx.workspaceFileChunks;
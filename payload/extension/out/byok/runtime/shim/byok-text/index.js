@@ -1,18 +1,62 @@
 "use strict";
 
-const { completeTextByProviderType, streamTextDeltasByProviderType } = require("../../../core/provider-text");
+const { completeTextByProviderType, completeStructuredByProviderType, streamTextDeltasByProviderType } = require("../../../core/provider-text");
+const { listRouteCandidates, runWithProviderFailover, streamWithProviderFailover } = require("../../../core/provider-failover");
+const { fimCompleteText } = require("../../../providers/fim");
 const { providerRequestContext } = require("../common");
 
-async function byokCompleteText({ provider, model, system, messages, timeoutMs, abortSignal }) {
-  const { type, baseUrl, apiKey, extraHeaders, requestDefaults } = providerRequestContext(provider);
+async function byokCompleteText({ provider, model, fallbacks, system, messages, timeoutMs, abortSignal, label, endpoint }) {
+  return await runWithProviderFailover({
+    candidates: listRouteCandidates({ provider, model, fallbacks }),
+    label,
+    endpoint,
+    abortSignal,
+    run: async (c) => {
+      const { type, baseUrl, apiKey, extraHeaders, requestDefaults } = await providerRequestContext(c.provider);
+      return await completeTextByProviderType({ type, baseUrl, apiKey, model: c.model, system, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults });
+    }
+  });
+}
 
-  return await completeTextByProviderType({ type, baseUrl, apiKey, model, system, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults });
+async function byokCompleteStructured({ provider, model, fallbacks, system, messages, schema, timeoutMs, abortSignal, label, endpoint }) {
+  return await runWithProviderFailover({
+    candidates: listRouteCandidates({ provider, model, fallbacks }),
+    label,
+    endpoint,
+    abortSignal,
+    run: async (c) => {
+      const { type, baseUrl, apiKey, extraHeaders, requestDefaults } = await providerRequestContext(c.provider);
+      return await completeStructuredByProviderType({ type, baseUrl, apiKey, model: c.model, system, messages, schema, timeoutMs, abortSignal, extraHeaders, requestDefaults });
+    }
+  });
 }
 
-async function* byokStreamText({ provider, model, system, messages, timeoutMs, abortSignal }) {
-  const { type, baseUrl, apiKey, extraHeaders, requestDefaults } = providerRequestContext(provider);
+async function* byokStreamText({ provider, model, fallbacks, system, messages, timeoutMs, abortSignal, label, endpoint }) {
+  yield* streamWithProviderFailover({
+    candidates: listRouteCandidates({ provider, model, fallbacks }),
+    label,
+    endpoint,
+    abortSignal,
+    run: async function* (c) {
+      const { type, baseUrl, apiKey, extraHeaders, requestDefaults } = await providerRequestContext(c.provider);
+      yield* streamTextDeltasByProviderType({ type, baseUrl, apiKey, model: c.model, system, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults });
+    }
+  });
+}
 
-  yield* streamTextDeltasByProviderType({ type, baseUrl, apiKey, model, system, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults });
+// /completion：候选 provider 声明了 fim 时直接发送 prefix/suffix（原生 FIM），否则按 chat prompt 补全
+async function byokCompleteCode({ provider, model, fallbacks, prefix, suffix, system, messages, timeoutMs, abortSignal, label, endpoint }) {
+  return await runWithProviderFailover({
+    candidates: listRouteCandidates({ provider, model, fallbacks }),
+    label,
+    endpoint,
+    abortSignal,
+    run: async (c) => {
+      const { type, baseUrl, apiKey, extraHeaders, requestDefaults } = await providerRequestContext(c.provider);
+      if (c.provider.fim) return await fimCompleteText({ fim: c.provider.fim, baseUrl, apiKey, model: c.model, prefix, suffix, timeoutMs, abortSignal, extraHeaders });
+      return await completeTextByProviderType({ type, baseUrl, apiKey, model: c.model, system, messages, timeoutMs, abortSignal, extraHeaders, requestDefaults });
+    }
+  });
 }
 
-module.exports = { byokCompleteText, byokStreamText };
+module.exports = { byokCompleteText, byokCompleteStructured, byokStreamText, byokCompleteCode };
@@ -1,17 +1,21 @@
 "use strict";
 
 const { warn } = require("../../../infra/log");
-const { withTiming, traceAsyncGenerator } = require("../../../infra/trace");
+const { traceAsyncGenerator } = require("../../../infra/trace");
 const { normalizeString, safeTransform, emptyAsyncGenerator } = require("../../../infra/util");
+const { createAbortError } = require("../../../providers/http");
 const { makeEndpointErrorText, guardObjectStream } = require("../../../core/stream-guard");
 const { buildMessagesForEndpoint, makeBackChatResult, makeBackNextEditGenerationChunk } = require("../../../core/protocol");
 const { pickPath, pickBlobNameHint } = require("../../../core/next-edit/fields");
 const { buildNextEditStreamRuntimeContext } = require("../../../core/next-edit/stream-utils");
+const { pickMaxNextEditSuggestions, collectNextEditFiles, streamNextEditSuggestions, buildPrimaryMatchHints } = require("../../../core/next-edit/suggestions");
 const { STOP_REASON_END_TURN, makeBackChatChunk } = require("../../../core/augment-protocol");
-const { byokCompleteText, byokStreamText } = require("../byok-text");
+const { byokStreamText } = require("../byok-text");
 const { byokChatStream } = require("../byok-chat-stream");
+const { maybeCompleteDiffEdit, splitIntoLineChunks } = require("../diff-edit");
 const { resolveByokRouteContext } = require("../route");
-const { maybeAugmentBodyWithWorkspaceBlob, buildInstructionReplacementMeta } = require("../next-edit");
+const { makeBudgetBlockedStream } = require("../budget-blocked");
+const { maybeAugmentBodyWithWorkspaceBlob, maybeAugmentBodyWithRecentChangeFiles, buildInstructionReplacementMeta } = require("../next-edit");
 const { providerLabel, formatRouteForLog } = require("../common");
 
 function guardWithMeta({ ep, src, transform, makeErrorChunk, requestId, route }) {
@@ -31,7 +35,20 @@ function makeByokTextDeltas({ cfg, route, ep, body, timeoutMs, abortSignal, requ
   const { system, messages } = buildMessagesForEndpoint(ep, body, cfg);
   const suffix = normalizeString(labelSuffix) || "delta";
   const label = `[callApiStream ${ep}] rid=${requestId} ${suffix} provider=${providerLabel(route.provider)} model=${normalizeString(route.model) || "unknown"}`;
-  return traceAsyncGenerator(label, byokStreamText({ provider: route.provider, model: route.model, system, messages, timeoutMs, abortSignal }));
+  return traceAsyncGenerator(
+    label,
+    byokStreamText({
+      provider: route.provider,
+      model: route.model,
+      fallbacks: route.fallbacks,
+      system,
+      messages,
+      timeoutMs,
+      abortSignal,
+      label: `[callApiStream ${ep}] rid=${requestId}`,
+      endpoint: ep
+    })
+  );
 }
 
 async function handleChatStream({ cfg, route, ep, body, transform, timeoutMs, abortSignal, upstreamApiToken, upstreamCompletionURL, requestId }) {
@@ -39,6 +56,7 @@ async function handleChatStream({ cfg, route, ep, body, transform, timeoutMs, ab
     cfg,
     provider: route.provider,
     model: route.model,
+    fallbacks: route.fallbacks,
     requestedModel: route.requestedModel,
     body,
     timeoutMs,
@@ -76,10 +94,13 @@ async function handleChatResultDeltaStream({ cfg, route, ep, body, transform, ti
 
 async function handleInstructionLikeStream({ cfg, route, ep, body, transform, timeoutMs, abortSignal, requestId }) {
   const meta = await buildInstructionReplacementMeta(body);
-  const deltas = makeByokTextDeltas({ cfg, route, ep, body, timeoutMs, abortSignal, requestId, labelSuffix: "delta" });
 
   const src = (async function* () {
     yield { text: "", ...meta };
+    // diff 模式：补丁应用成功后按行流出结果；失败则回退整段重写的逐 token 流
+    const patched = await maybeCompleteDiffEdit({ cfg, route, ep, body, timeoutMs, abortSignal, requestId });
+    const deltas =
+      patched != null ? splitIntoLineChunks(patched) : makeByokTextDeltas({ cfg, route, ep, body, timeoutMs, abortSignal, requestId, labelSuffix: "delta" });
     for await (const delta of deltas) {
       const t = typeof delta === "string" ? delta : String(delta ?? "");
       if (!t) continue;
@@ -97,33 +118,44 @@ async function handleInstructionLikeStream({ cfg, route, ep, body, transform, ti
   });
 }
 
+// 真流式：模型按 EDIT 块输出，每闭合一个块就产出一个 next_edit chunk（可跨文件，未变化的块不产出）
 async function handleNextEditStream({ cfg, route, ep, body, transform, timeoutMs, abortSignal, requestId }) {
   const b = body && typeof body === "object" ? body : {};
   const hasPrefix = typeof b.prefix === "string";
   const hasSuffix = typeof b.suffix === "string";
-  const bodyForContext =
+  const withPrimary =
     hasPrefix && hasSuffix
       ? b
       : await maybeAugmentBodyWithWorkspaceBlob(body, { pathHint: pickPath(body), blobKey: pickBlobNameHint(body) });
+  const bodyForContext = await maybeAugmentBodyWithRecentChangeFiles(withPrimary);
+
+  const { promptBody, path, blobName, blobText, selectionBegin, selectionEnd, existingCode } = buildNextEditStreamRuntimeContext(bodyForContext);
+  const primary = { path, blobName, blobText, selectionBegin, selectionEnd, existingCode, ...buildPrimaryMatchHints(blobText, selectionBegin, selectionEnd) };
+  // 产出 maxSuggestions 个建议后模型通常还在输出：主动中止上游请求，归还连接与 provider 并发槽
+  const upstream = new AbortController();
+  const forwardAbort = () => upstream.abort(abortSignal.reason);
+  if (abortSignal) {
+    if (abortSignal.aborted) forwardAbort();
+    else abortSignal.addEventListener("abort", forwardAbort, { once: true });
+  }
+  const deltas = makeByokTextDeltas({ cfg, route, ep, body: promptBody, timeoutMs, abortSignal: upstream.signal, requestId, labelSuffix: "stream" });
 
-  const { promptBody, path, blobName, selectionBegin, selectionEnd, existingCode } = buildNextEditStreamRuntimeContext(bodyForContext);
-  const { system, messages } = buildMessagesForEndpoint(ep, promptBody, cfg);
-  const label = `[callApiStream ${ep}] rid=${requestId} complete provider=${providerLabel(route.provider)} model=${normalizeString(route.model) || "unknown"}`;
-  const suggestedCode = await withTiming(label, async () =>
-    await byokCompleteText({ provider: route.provider, model: route.model, system, messages, timeoutMs, abortSignal })
-  );
-
-  const raw = makeBackNextEditGenerationChunk({
-    path: path || blobName,
-    blobName,
-    charStart: selectionBegin,
-    charEnd: selectionEnd,
-    existingCode,
-    suggestedCode
-  });
-  return (async function* () {
-    yield safeTransform(transform, raw, ep);
+  const src = (async function* () {
+    const suggestions = streamNextEditSuggestions(deltas, {
+      primary,
+      files: collectNextEditFiles(promptBody),
+      maxSuggestions: pickMaxNextEditSuggestions(promptBody)
+    });
+    try {
+      for await (const s of suggestions) yield makeBackNextEditGenerationChunk(s);
+    } finally {
+      if (abortSignal) abortSignal.removeEventListener("abort", forwardAbort);
+      upstream.abort(createAbortError("next-edit suggestions complete"));
+    }
   })();
+
+  // 出错时不写回任何代码：已产出的建议保留，流直接结束
+  return guardWithMeta({ ep, src, transform, requestId, route, makeErrorChunk: () => null });
 }
 
 const CALL_API_STREAM_HANDLERS = {
@@ -149,6 +181,7 @@ async function maybeHandleCallApiStream({ endpoint, body, transform, timeoutMs,
   if (!runtimeEnabled) return undefined;
   if (route.mode === "official") return undefined;
   if (route.mode === "disabled") return emptyAsyncGenerator();
+  if (route.mode === "blocked") return makeBudgetBlockedStream({ route, ep, body, transform });
   if (route.mode !== "byok") return undefined;
 
   try {
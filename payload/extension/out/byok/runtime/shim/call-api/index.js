@@ -8,6 +8,7 @@ const { fetchOfficialGetModels } = require("../../official/get-models");
 const { ensureModelRegistryFeatureFlags } = require("../../../core/model-registry");
 const {
   buildMessagesForEndpoint,
+  makeBackChatResult,
   makeBackTextResult,
   makeBackCompletionResult,
   makeBackNextEditLocationResult,
@@ -15,11 +16,19 @@ const {
   makeBackGetModelsResult,
   makeModelInfo
 } = require("../../../core/protocol");
-const { parseNextEditLocCandidatesFromText, mergeNextEditLocCandidates } = require("../../../core/next-edit/loc-utils");
+const {
+  NEXT_EDIT_LOC_OUTPUT_SCHEMA,
+  parseNextEditLocOutput,
+  buildNextEditLocRepairMessage,
+  mergeNextEditLocCandidates
+} = require("../../../core/next-edit/loc-utils");
 const { pickPath, pickNumResults } = require("../../../core/next-edit/fields");
-const { byokCompleteText } = require("../byok-text");
+const { byokCompleteText, byokCompleteStructured, byokCompleteCode } = require("../byok-text");
 const { byokChat } = require("../byok-chat");
+const { maybeCompleteDiffEdit } = require("../diff-edit");
+const { completeWithCache } = require("../completion");
 const { resolveByokRouteContext } = require("../route");
+const { makeBudgetBlockedResult } = require("../budget-blocked");
 const { maybeAugmentBodyWithWorkspaceBlob, pickNextEditLocationCandidates } = require("../next-edit");
 const { providerLabel } = require("../common");
 
@@ -46,7 +55,7 @@ async function handleGetModels({ cfg, ep, transform, abortSignal, timeoutMs, ups
       delete scrubbedFlags.model_info_registry;
       delete scrubbedFlags.modelInfoRegistry;
 
-      const flags = ensureModelRegistryFeatureFlags(scrubbedFlags, { byokModelIds: byokModels, defaultModel, agentChatModel: defaultModel });
+      const flags = ensureModelRegistryFeatureFlags(scrubbedFlags, { byokModelIds: byokModels, defaultModel, agentChatModel: defaultModel, cfg });
       const models = byokModels.map(makeModelInfo);
 
       return safeTransform(transform, { ...base, default_model: defaultModel, models, feature_flags: flags }, ep);
@@ -56,7 +65,7 @@ async function handleGetModels({ cfg, ep, transform, abortSignal, timeoutMs, ups
   } catch (err) {
     const msg = err instanceof Error ? err.message : String(err);
     warn("get-models fallback to local", { requestId, error: msg });
-    const local = makeBackGetModelsResult({ defaultModel, models: byokModels.map(makeModelInfo) });
+    const local = makeBackGetModelsResult({ defaultModel, models: byokModels.map(makeModelInfo), cfg });
     return safeTransform(transform, local, ep);
   }
 }
@@ -66,17 +75,65 @@ async function completeTextForEndpoint({ cfg, route, ep, body, timeoutMs, abortS
   const suffix = normalizeString(kind) || "complete";
   const label = `[callApi ${ep}] rid=${requestId} ${suffix} provider=${providerLabel(route.provider)} model=${normalizeString(route.model) || "unknown"}`;
   return await withTiming(label, async () =>
-    await byokCompleteText({ provider: route.provider, model: route.model, system, messages, timeoutMs, abortSignal })
+    await byokCompleteText({
+      provider: route.provider,
+      model: route.model,
+      fallbacks: route.fallbacks,
+      system,
+      messages,
+      timeoutMs,
+      abortSignal,
+      label: `[callApi ${ep}] rid=${requestId}`,
+      endpoint: ep
+    })
+  );
+}
+
+// 路由链上任一 provider 声明了 fim：/completion 走原生 FIM（没有 fim 的候选仍用 chat prompt）
+function routeHasFim(route) {
+  return Boolean(route.provider?.fim) || (Array.isArray(route.fallbacks) ? route.fallbacks : []).some((f) => f?.provider?.fim);
+}
+
+async function completeCodeWithFim({ cfg, route, ep, body, timeoutMs, abortSignal, requestId }) {
+  const b = body && typeof body === "object" ? body : {};
+  const { system, messages } = buildMessagesForEndpoint(ep, body, cfg);
+  const label = `[callApi ${ep}] rid=${requestId} fim provider=${providerLabel(route.provider)} model=${normalizeString(route.model) || "unknown"}`;
+  return await withTiming(label, async () =>
+    await byokCompleteCode({
+      provider: route.provider,
+      model: route.model,
+      fallbacks: route.fallbacks,
+      prefix: typeof b.prompt === "string" ? b.prompt : "",
+      suffix: typeof b.suffix === "string" ? b.suffix : "",
+      system,
+      messages,
+      timeoutMs,
+      abortSignal,
+      label: `[callApi ${ep}] rid=${requestId}`,
+      endpoint: ep
+    })
   );
 }
 
 async function handleCompletion({ cfg, route, ep, body, transform, timeoutMs, abortSignal, requestId }) {
-  const text = await completeTextForEndpoint({ cfg, route, ep, body, timeoutMs, abortSignal, requestId, kind: "complete" });
+  const useFim = ep === "/completion" && routeHasFim(route);
+  const text = await completeWithCache({
+    ep,
+    route,
+    body,
+    abortSignal,
+    requestId,
+    complete: async (signal) =>
+      useFim
+        ? await completeCodeWithFim({ cfg, route, ep, body, timeoutMs, abortSignal: signal, requestId })
+        : await completeTextForEndpoint({ cfg, route, ep, body, timeoutMs, abortSignal: signal, requestId, kind: "complete" })
+  });
   return safeTransform(transform, makeBackCompletionResult(text), ep);
 }
 
 async function handleEdit({ cfg, route, ep, body, transform, timeoutMs, abortSignal, requestId }) {
-  const text = await completeTextForEndpoint({ cfg, route, ep, body, timeoutMs, abortSignal, requestId, kind: "edit" });
+  const patched = await maybeCompleteDiffEdit({ cfg, route, ep, body, timeoutMs, abortSignal, requestId });
+  const text = patched != null ? patched : await completeTextForEndpoint({ cfg, route, ep, body, timeoutMs, abortSignal, requestId, kind: "edit" });
   return safeTransform(transform, makeBackTextResult(text), ep);
 }
 
@@ -85,6 +142,7 @@ async function handleChat({ cfg, route, ep, body, transform, timeoutMs, abortSig
     cfg,
     provider: route.provider,
     model: route.model,
+    fallbacks: route.fallbacks,
     requestedModel: route.requestedModel,
     body,
     timeoutMs,
@@ -96,6 +154,38 @@ async function handleChat({ cfg, route, ep, body, transform, timeoutMs, abortSig
   return safeTransform(transform, out, ep);
 }
 
+// 结构化输出 + schema 校验；解析/校验失败时带上错误做一次修复重试，仍失败则只用 baseline
+async function completeNextEditLocCandidates({ cfg, route, ep, body, timeoutMs, abortSignal, requestId, fallbackPath, max }) {
+  const { system, messages } = buildMessagesForEndpoint(ep, body, cfg);
+  const label = `[callApi ${ep}] rid=${requestId}`;
+  const complete = async (msgs, kind) =>
+    await withTiming(`${label} ${kind} provider=${providerLabel(route.provider)} model=${normalizeString(route.model) || "unknown"}`, async () =>
+      await byokCompleteStructured({
+        provider: route.provider,
+        model: route.model,
+        fallbacks: route.fallbacks,
+        system,
+        messages: msgs,
+        schema: NEXT_EDIT_LOC_OUTPUT_SCHEMA,
+        timeoutMs,
+        abortSignal,
+        label,
+        endpoint: ep
+      })
+    );
+  const opts = { fallbackPath, max, source: "byok:llm" };
+  const text = await complete(messages, "llm");
+  const first = parseNextEditLocOutput(text, opts);
+  if (first.ok) return first.candidates;
+
+  warn("next_edit_loc output failed validation, repairing", { requestId, error: first.error });
+  const repairMessages = [...messages, { role: "assistant", content: text }, { role: "user", content: buildNextEditLocRepairMessage(first.error) }];
+  const repaired = parseNextEditLocOutput(await complete(repairMessages, "llm:repair"), opts);
+  if (repaired.ok) return repaired.candidates;
+  warn("next_edit_loc repair failed, fallback to diagnostics", { requestId, error: repaired.error });
+  return [];
+}
+
 async function handleNextEditLoc({ cfg, route, ep, body, transform, timeoutMs, abortSignal, requestId }) {
   const b = body && typeof body === "object" ? body : {};
   const max = pickNumResults(b, { defaultValue: 1, max: 6 });
@@ -106,8 +196,7 @@ async function handleNextEditLoc({ cfg, route, ep, body, transform, timeoutMs, a
 
   try {
     const bodyForPrompt = await maybeAugmentBodyWithWorkspaceBlob(body, { pathHint: fallbackPath });
-    const text = await completeTextForEndpoint({ cfg, route, ep, body: bodyForPrompt, timeoutMs, abortSignal, requestId, kind: "llm" });
-    llmCandidates = parseNextEditLocCandidatesFromText(text, { fallbackPath, max, source: "byok:llm" });
+    llmCandidates = await completeNextEditLocCandidates({ cfg, route, ep, body: bodyForPrompt, timeoutMs, abortSignal, requestId, fallbackPath, max });
   } catch (err) {
     warn("next_edit_loc llm fallback to diagnostics", { requestId, error: err instanceof Error ? err.message : String(err) });
   }
@@ -145,6 +234,13 @@ async function maybeHandleCallApi({ endpoint, body, transform, timeoutMs, abortS
       return {};
     }
   }
+  if (route.mode === "blocked") {
+    try {
+      return makeBudgetBlockedResult({ route, ep, transform });
+    } catch {
+      return {};
+    }
+  }
   if (route.mode !== "byok") return undefined;
 
   try {
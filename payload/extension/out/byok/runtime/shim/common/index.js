@@ -1,18 +1,15 @@
 "use strict";
 
 const { DEFAULT_UPSTREAM_TIMEOUT_MS } = require("../../../infra/constants");
-const { normalizeString, normalizeRawToken } = require("../../../infra/util");
+const { normalizeString } = require("../../../infra/util");
+const { isApiKeyOptionalByProviderType } = require("../../../core/provider-augment-chat");
+const { resolveProviderApiKey } = require("../../../core/provider-api-key");
 
 function normalizeTimeoutMs(timeoutMs) {
   const t = Number(timeoutMs);
   return Number.isFinite(t) && t > 0 ? t : DEFAULT_UPSTREAM_TIMEOUT_MS;
 }
 
-function resolveProviderApiKey(provider, label) {
-  if (!provider || typeof provider !== "object") throw new Error(`${label} provider 无效`);
-  return normalizeRawToken(provider.apiKey);
-}
-
 function providerLabel(provider) {
   const id = normalizeString(provider?.id);
   const type = normalizeString(provider?.type);
@@ -38,20 +35,25 @@ function formatRouteForLog(route, opts) {
   if (providerId || providerType) parts.push(`provider=${providerId || providerType}`);
   if (model) parts.push(`model=${model}`);
   if (requestedModel) parts.push(`requestedModel=${requestedModel}`);
+  const fallbacks = Array.isArray(r.fallbacks) ? r.fallbacks : [];
+  if (fallbacks.length) {
+    parts.push(`fallbacks=${fallbacks.map((f) => `${normalizeString(f?.provider?.id) || "unknown"}/${normalizeString(f?.model) || "unknown"}`).join(",")}`);
+  }
   return parts.join(" ");
 }
 
-function providerRequestContext(provider) {
+// apiKey 的 env:/cmd: 引用在这里按需解析（带 TTL 缓存），解析结果只随本次请求传给适配器
+async function providerRequestContext(provider) {
   if (!provider || typeof provider !== "object") throw new Error("BYOK provider 未选择");
   const type = normalizeString(provider.type);
   const baseUrl = normalizeString(provider.baseUrl);
-  const apiKey = resolveProviderApiKey(provider, providerLabel(provider));
+  const apiKey = await resolveProviderApiKey(provider);
   const extraHeaders = provider.headers && typeof provider.headers === "object" ? provider.headers : {};
   const requestDefaultsRaw = provider.requestDefaults && typeof provider.requestDefaults === "object" ? provider.requestDefaults : {};
 
   const requestDefaults =
     requestDefaultsRaw && typeof requestDefaultsRaw === "object" && !Array.isArray(requestDefaultsRaw) ? requestDefaultsRaw : {};
-  if (!apiKey && Object.keys(extraHeaders).length === 0) throw new Error(`${providerLabel(provider)} 未配置 api_key（且 headers 为空）`);
+  if (!apiKey && Object.keys(extraHeaders).length === 0 && !isApiKeyOptionalByProviderType(type)) throw new Error(`${providerLabel(provider)} 未配置 api_key（且 headers 为空）`);
   return { type, baseUrl, apiKey, extraHeaders, requestDefaults };
 }
 
@@ -0,0 +1,100 @@
+"use strict";
+
+const { debug } = require("../../../infra/log");
+const { normalizeString } = require("../../../infra/util");
+const { createAbortError } = require("../../../providers/http");
+const { sleepMs } = require("../../../providers/request-util");
+const { lookupCompletion, storeCompletion, getCompletionCacheStats } = require("../../../core/completion-cache");
+
+// 带 sequence_id 的请求先等待这么久再调用 provider：期间被更新的请求取代则直接放弃（去抖）
+const COMPLETION_DEBOUNCE_MS = 60;
+
+// endpoint → 当前在途请求 { sequenceId, controller }；更大的 sequence_id 到达时取消旧请求
+const INFLIGHT = new Map();
+
+function pickSequenceId(body) {
+  const v = body && typeof body === "object" ? body.sequence_id ?? body.sequenceId : null;
+  return v != null && v !== "" && Number.isFinite(Number(v)) ? Number(v) : null;
+}
+
+function beginCompletionRequest(ep, sequenceId, abortSignal) {
+  const controller = new AbortController();
+  const forward = () => controller.abort(abortSignal.reason);
+  if (abortSignal) {
+    if (abortSignal.aborted) forward();
+    else abortSignal.addEventListener("abort", forward, { once: true });
+  }
+  const state = { sequenceId, controller, superseded: false };
+
+  if (sequenceId != null) {
+    const prev = INFLIGHT.get(ep);
+    if (prev && prev.sequenceId > sequenceId) state.superseded = true;
+    else {
+      if (prev) {
+        prev.superseded = true;
+        prev.controller.abort(createAbortError(`superseded by sequence_id=${sequenceId}`));
+      }
+      INFLIGHT.set(ep, state);
+    }
+  }
+
+  return {
+    signal: controller.signal,
+    isSuperseded: () => state.superseded,
+    done() {
+      if (abortSignal) abortSignal.removeEventListener("abort", forward);
+      if (INFLIGHT.get(ep) === state) INFLIGHT.delete(ep);
+    }
+  };
+}
+
+function logCompletion({ ep, requestId, outcome, startedAt }) {
+  const s = getCompletionCacheStats();
+  debug(
+    `[callApi ${ep}] rid=${requestId} completion ${outcome} latency=${Date.now() - startedAt}ms cache_hit_rate=${(s.hitRate * 100).toFixed(1)}% (${s.hits}/${s.lookups}, type_through=${s.typeThroughHits})`
+  );
+}
+
+/**
+ * 补全请求的缓存 / 取消 / 去抖：先查缓存（含 type-through），未命中再调用 complete(signal)。
+ * 被更新的 sequence_id 取代的请求返回空补全（不回落官方，客户端本来也会丢弃）。
+ */
+async function completeWithCache({ ep, route, body, abortSignal, requestId, complete }) {
+  const b = body && typeof body === "object" ? body : {};
+  const startedAt = Date.now();
+  const input = {
+    endpoint: ep,
+    path: normalizeString(b.path),
+    routeKey: `${normalizeString(route?.provider?.id)}/${normalizeString(route?.model)}`,
+    prefix: typeof b.prompt === "string" ? b.prompt : "",
+    suffix: typeof b.suffix === "string" ? b.suffix : ""
+  };
+
+  const hit = lookupCompletion(input);
+  if (hit) {
+    logCompletion({ ep, requestId, outcome: `cache_${hit.kind}`, startedAt });
+    return hit.text;
+  }
+
+  const sequenceId = pickSequenceId(b);
+  const req = beginCompletionRequest(ep, sequenceId, abortSignal);
+  try {
+    if (req.isSuperseded()) {
+      logCompletion({ ep, requestId, outcome: "stale", startedAt });
+      return "";
+    }
+    if (sequenceId != null) await sleepMs(COMPLETION_DEBOUNCE_MS, req.signal);
+    const text = await complete(req.signal);
+    storeCompletion(input, text);
+    logCompletion({ ep, requestId, outcome: "miss", startedAt });
+    return text;
+  } catch (err) {
+    if (!req.isSuperseded()) throw err;
+    logCompletion({ ep, requestId, outcome: "cancelled", startedAt });
+    return "";
+  } finally {
+    req.done();
+  }
+}
+
+module.exports = { completeWithCache };
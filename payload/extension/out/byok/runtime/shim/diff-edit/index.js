@@ -0,0 +1,64 @@
+"use strict";
+
+const { debug, warn } = require("../../../infra/log");
+const { withTiming } = require("../../../infra/trace");
+const { normalizeString } = require("../../../infra/util");
+const { resolveEditOutputMode } = require("../../../config/prompts");
+const { buildMessagesForEndpoint } = require("../../../core/protocol");
+const { applyEditPatch } = require("../../../core/edit-patch");
+const { byokCompleteText } = require("../byok-text");
+const { providerLabel } = require("../common");
+
+function pickSelectedCode(body) {
+  const b = body && typeof body === "object" ? body : {};
+  const v = b.selected_text ?? b.selectedText ?? b.selected_code ?? b.selectedCode;
+  return typeof v === "string" ? v : "";
+}
+
+/**
+ * diff 输出模式：模型只输出补丁，本地应用到 selected_code 得到完整替换文本。
+ * 未启用 / 选区为空 / 补丁无法应用时返回 null，由调用方走整段重写。
+ */
+async function maybeCompleteDiffEdit({ cfg, route, ep, body, timeoutMs, abortSignal, requestId }) {
+  if (resolveEditOutputMode(cfg, ep) !== "diff") return null;
+  const selected = pickSelectedCode(body);
+  if (!selected.trim()) return null;
+
+  const { system, messages } = buildMessagesForEndpoint(ep, body, cfg, { outputMode: "diff" });
+  const label = `[diff-edit ${ep}] rid=${requestId} provider=${providerLabel(route.provider)} model=${normalizeString(route.model) || "unknown"}`;
+  const patch = await withTiming(label, async () =>
+    await byokCompleteText({
+      provider: route.provider,
+      model: route.model,
+      fallbacks: route.fallbacks,
+      system,
+      messages,
+      timeoutMs,
+      abortSignal,
+      label: `[diff-edit ${ep}] rid=${requestId}`,
+      endpoint: ep
+    })
+  );
+
+  const res = applyEditPatch(selected, patch);
+  if (res.ok) {
+    debug(`${label} patch applied: selected=${selected.length} patch=${String(patch ?? "").length} result=${res.text.length}`);
+    return res.text;
+  }
+  warn("diff edit patch failed, fallback to full rewrite", { requestId, endpoint: ep, error: res.error });
+  return null;
+}
+
+// 已得到完整结果时按行切成多个 chunk，保持与逐 token 流式一致的消费方式
+function* splitIntoLineChunks(text) {
+  const s = typeof text === "string" ? text : "";
+  let i = 0;
+  while (i < s.length) {
+    const nl = s.indexOf("\n", i);
+    const end = nl < 0 ? s.length : nl + 1;
+    yield s.slice(i, end);
+    i = end;
+  }
+}
+
+module.exports = { maybeCompleteDiffEdit, splitIntoLineChunks };
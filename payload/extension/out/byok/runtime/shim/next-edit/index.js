@@ -93,6 +93,15 @@ async function maybeAugmentBodyWithWorkspaceBlob(body, { pathHint, blobKey } = {
   return { ...b, blobs: { ...(blobs || {}), [key]: txt } };
 }
 
+// next-edit 多文件建议：把 recent_changes 涉及但 blobs 里没有正文的文件从工作区补齐（最多 maxFiles 个）
+async function maybeAugmentBodyWithRecentChangeFiles(body, { maxFiles = 3 } = {}) {
+  let out = body && typeof body === "object" ? body : {};
+  const changes = out.recent_changes ?? out.recentChanges;
+  const paths = [...new Set((Array.isArray(changes) ? changes : []).map((c) => normalizeString(c?.path ?? c?.file_path ?? c?.filePath)).filter(Boolean))];
+  for (const p of paths.slice(0, Math.max(0, Number(maxFiles) || 0))) out = await maybeAugmentBodyWithWorkspaceBlob(out, { pathHint: p });
+  return out;
+}
+
 async function buildInstructionReplacementMeta(body) {
   const b = body && typeof body === "object" ? body : {};
   const selectedTextRaw = resolveTextField(b, ["selected_text", "selectedText"]);
@@ -190,4 +199,9 @@ function pickNextEditLocationCandidates(body) {
   return out;
 }
 
-module.exports = { maybeAugmentBodyWithWorkspaceBlob, buildInstructionReplacementMeta, pickNextEditLocationCandidates };
+module.exports = {
+  maybeAugmentBodyWithWorkspaceBlob,
+  maybeAugmentBodyWithRecentChangeFiles,
+  buildInstructionReplacementMeta,
+  pickNextEditLocationCandidates
+};
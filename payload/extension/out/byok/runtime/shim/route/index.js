@@ -1,9 +1,11 @@
 "use strict";
 
-const { debug } = require("../../../infra/log");
+const { debug, warn } = require("../../../infra/log");
 const { ensureConfigManager, state } = require("../../../config/state");
 const { decideRoute } = require("../../../core/router");
-const { deleteHistorySummaryCache } = require("../../../core/augment-history-summary/auto");
+const { applyBudgetGuard } = require("../../../core/budget-guard");
+const { sumUsageCostUsd } = require("../../../core/usage-ledger/store");
+const { deleteHistorySummaryConversation } = require("../../../core/augment-history-summary/auto");
 const { normalizeEndpoint, normalizeString, randomId } = require("../../../infra/util");
 const { normalizeTimeoutMs, formatRouteForLog } = require("../common");
 
@@ -37,7 +39,7 @@ async function maybeDeleteHistorySummaryCacheForEndpoint(ep, body) {
     normalizeString(b?.conversation_id ?? b?.conversationId ?? b?.conversationID) || extractConversationIdFromEndpoint(endpoint);
   if (!conversationId) return false;
   try {
-    const ok = await deleteHistorySummaryCache(conversationId);
+    const ok = await deleteHistorySummaryConversation(conversationId);
     if (ok) debug(`historySummary cache deleted: conv=${conversationId} endpoint=${endpoint}`);
     return ok;
   } catch (err) {
@@ -59,7 +61,9 @@ async function resolveByokRouteContext({ endpoint, body, timeoutMs, logPrefix })
 
   if (!state.runtimeEnabled) return { requestId, ep, timeoutMs: t, cfg, route: null, runtimeEnabled: false };
 
-  const route = decideRoute({ cfg, endpoint: ep, body, runtimeEnabled: state.runtimeEnabled });
+  const decided = decideRoute({ cfg, endpoint: ep, body, runtimeEnabled: state.runtimeEnabled });
+  const route = applyBudgetGuard({ cfg, route: decided, spend: ({ providerId, period }) => sumUsageCostUsd({ providerId, period }) });
+  if (route !== decided && route.budgetExceeded) warn(`[${String(logPrefix || "callApi")}] rid=${requestId} budget exceeded (${route.reason}): ${route.budgetExceeded}`);
   debug(`[${String(logPrefix || "callApi")}] ${formatRouteForLog(route, { requestId })}`);
   return { requestId, ep, timeoutMs: t, cfg, route, runtimeEnabled: true };
 }
@@ -3,9 +3,10 @@
 const { warn } = require("../infra/log");
 const { normalizeString } = require("../infra/util");
 const { normalizeConfig } = require("../config/config");
+const { AUTH_HEADER_KEYS } = require("../config/secrets");
+const { apiKeyCommandOf } = require("../core/provider-api-key");
 
 const REDACTED = "<redacted>";
-const AUTH_HEADER_KEYS = ["authorization", "x-api-key", "api-key", "x-goog-api-key"];
 
 function asObject(v) {
   return v && typeof v === "object" && !Array.isArray(v) ? v : {};
@@ -40,6 +41,7 @@ function redactConfigSecrets(cfg) {
   for (const p of providers) {
     if (!p || typeof p !== "object") continue;
     if (normalizeString(p.apiKey)) p.apiKey = REDACTED;
+    if (Array.isArray(p.apiKeys)) p.apiKeys = p.apiKeys.map(() => REDACTED);
     p.headers = redactHeaders(p.headers);
   }
 
@@ -75,6 +77,13 @@ function mergePreserveSecretsHeaders(currentHeaders, incomingHeaders) {
   return out;
 }
 
+// key 池按位置保留：导入项为空或 <redacted> 时沿用当前同位置的 key；导入文件未写 apiKeys 时整体保留
+function mergePreserveSecretsList(currentList, incomingList) {
+  const curr = Array.isArray(currentList) ? currentList : [];
+  if (!Array.isArray(incomingList)) return curr.slice();
+  return incomingList.map((v, i) => (normalizeString(curr[i]) && (!normalizeString(v) || isRedactedLike(v)) ? curr[i] : v)).filter((v) => normalizeString(v) && !isRedactedLike(v));
+}
+
 function mergeConfigPreservingSecrets(currentCfg, incomingCfg) {
   const current = normalizeConfig(currentCfg);
   const incoming = normalizeConfig(incomingCfg);
@@ -100,6 +109,8 @@ function mergeConfigPreservingSecrets(currentCfg, incomingCfg) {
     if (normalizeString(curr.apiKey) && (!normalizeString(p.apiKey) || isRedactedLike(p.apiKey))) {
       p.apiKey = curr.apiKey;
     }
+    p.apiKeys = mergePreserveSecretsList(curr.apiKeys, p.apiKeys);
+    if (!p.apiKeys.length) delete p.apiKeys;
     p.headers = mergePreserveSecretsHeaders(curr.headers, p.headers);
   }
   out.providers = nextProviders;
@@ -107,6 +118,38 @@ function mergeConfigPreservingSecrets(currentCfg, incomingCfg) {
   return out;
 }
 
+function collectApiKeyCommands(cfg) {
+  const out = [];
+  for (const p of Array.isArray(cfg?.providers) ? cfg.providers : []) {
+    const pid = normalizeString(p?.id);
+    for (const k of [p?.apiKey, ...(Array.isArray(p?.apiKeys) ? p.apiKeys : [])]) {
+      const command = apiKeyCommandOf(k);
+      if (command) out.push({ providerId: pid, command });
+    }
+  }
+  return out;
+}
+
+// 导入后新出现的 `cmd:` apiKey 命令（当前配置里已有的同一 provider + 命令视为已信任）
+function listImportedApiKeyCommands(currentCfg, nextCfg) {
+  const known = new Set(collectApiKeyCommands(currentCfg).map((c) => `${c.providerId}\u0000${c.command}`));
+  return collectApiKeyCommands(nextCfg).filter((c) => !known.has(`${c.providerId}\u0000${c.command}`));
+}
+
+// `cmd:` 引用会在本机执行 shell 命令：来自导入文件的新命令必须经用户明确确认才保存（未确认则整个导入取消）
+async function confirmImportedApiKeyCommands(vscode, commands) {
+  if (!commands.length) return true;
+  const trust = "信任并导入";
+  const lines = commands.slice(0, 10).map((c) => `- ${c.providerId || "?"}: ${c.command}`);
+  if (commands.length > lines.length) lines.push(`…（共 ${commands.length} 条）`);
+  const pick = await vscode.window.showWarningMessage(
+    "导入的配置包含 apiKey 命令引用（cmd:），保存后会在本机执行以下 shell 命令。只在信任该文件来源时继续。",
+    { modal: true, detail: lines.join("\n") },
+    trust
+  );
+  return pick === trust;
+}
+
 function safeStringifyJson(obj) {
   try {
     return JSON.stringify(obj, null, 2) + "\n";
@@ -167,6 +210,19 @@ async function exportConfigWithDialog({ vscode, cfg, defaultFileName } = {}) {
   return { ok: true, uri };
 }
 
+async function exportUsageCsvWithDialog({ vscode, csv, defaultFileName } = {}) {
+  if (!vscode) throw new Error("vscode not available");
+  const uri = await vscode.window.showSaveDialog({
+    filters: { CSV: ["csv"] },
+    saveLabel: "Export",
+    defaultUri: guessDefaultConfigUri(vscode, defaultFileName || "augment-byok.usage.csv") || undefined
+  });
+  if (!uri || !vscode.Uri) return { ok: false, reason: "canceled" };
+
+  await writeTextToUri(vscode, uri, String(csv ?? ""));
+  return { ok: true, uri };
+}
+
 async function importConfigWithDialog({ vscode, cfgMgr, requireConfirm, preserveSecretsByDefault } = {}) {
   if (!vscode) throw new Error("vscode not available");
   if (!cfgMgr || typeof cfgMgr.get !== "function" || typeof cfgMgr.saveNow !== "function") throw new Error("cfgMgr missing");
@@ -213,6 +269,11 @@ async function importConfigWithDialog({ vscode, cfgMgr, requireConfirm, preserve
   if (!mode) return { ok: false, reason: "canceled" };
 
   const toSave = mode.includes("Merge") ? mergeConfigPreservingSecrets(current, imported) : imported;
+  const commands = listImportedApiKeyCommands(current, toSave);
+  if (!(await confirmImportedApiKeyCommands(vscode, commands))) {
+    warn("config import canceled: apiKey commands not confirmed", { count: commands.length });
+    return { ok: false, reason: "canceled" };
+  }
   await cfgMgr.saveNow(toSave, "import_config");
   return { ok: true, uri, config: cfgMgr.get() };
 }
@@ -231,7 +292,9 @@ module.exports = {
   REDACTED,
   redactConfigSecrets,
   mergeConfigPreservingSecrets,
+  listImportedApiKeyCommands,
   exportConfigWithDialog,
+  exportUsageCsvWithDialog,
   importConfigWithDialog,
   runIoWithUiErrorBoundary
 };
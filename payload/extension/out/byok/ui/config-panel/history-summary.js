@@ -0,0 +1,99 @@
+"use strict";
+
+const { warn } = require("../../infra/log");
+const { normalizeString } = require("../../infra/util");
+const { listHistorySummaryCacheEntries, getHistorySummaryCacheEntry } = require("../../core/augment-history-summary/cache");
+const {
+  getHistorySummaryPins,
+  pinHistorySummaryExchanges,
+  unpinHistorySummaryExchange,
+  clearHistorySummaryPinsAll
+} = require("../../core/augment-history-summary/pins");
+const {
+  deleteHistorySummaryConversation,
+  clearHistorySummaryCacheAll,
+  updateHistorySummaryCacheText,
+  setHistorySummaryCacheRegenerate
+} = require("../../core/augment-history-summary/auto");
+
+// 面板里的“摘要缓存”管理：列表 / 查看编辑 / 指定模型重新生成 / pins / 删除单个对话 / 清空缓存 / 清空 pins
+function createHistorySummaryHandlers({ panel, post, postStatus }) {
+  const postList = () =>
+    post(panel, {
+      type: "historySummaryCache",
+      entries: listHistorySummaryCacheEntries().map((e) => ({ ...e, pinnedCount: getHistorySummaryPins(e.conversationId).pinned.length }))
+    });
+  const postEntry = (conversationId) => {
+    const entry = getHistorySummaryCacheEntry(conversationId);
+    post(panel, { type: "historySummaryCacheEntry", entry: entry ? { ...entry, pins: getHistorySummaryPins(entry.conversationId).pinned } : null });
+  };
+
+  const run = async (label, fn) => {
+    try {
+      postStatus(panel, await fn());
+    } catch (err) {
+      const m = err instanceof Error ? err.message : String(err);
+      warn(`panel ${label} failed:`, m);
+      postStatus(panel, `${label} failed: ${m}`);
+    }
+    postList();
+  };
+
+  return {
+    refreshHistorySummaryCache: async () => {
+      postList();
+    },
+    getHistorySummaryCacheEntry: async (msg) => {
+      postEntry(msg?.conversationId);
+    },
+    pinHistorySummaryExchange: async (msg) => {
+      await run("Pin exchange", async () => {
+        const requestId = normalizeString(msg?.requestId);
+        if (!requestId) return "Pin: request_id missing.";
+        const n = await pinHistorySummaryExchanges(msg?.conversationId, [{ requestId, source: "manual" }]);
+        return n ? `Pinned ${requestId}.` : `${requestId} already pinned.`;
+      });
+      postEntry(msg?.conversationId);
+    },
+    unpinHistorySummaryExchange: async (msg) => {
+      await run("Unpin exchange", async () =>
+        (await unpinHistorySummaryExchange(msg?.conversationId, msg?.requestId)) ? "Unpinned." : "Pin not found."
+      );
+      postEntry(msg?.conversationId);
+    },
+    saveHistorySummaryCacheEntry: async (msg) => {
+      await run("Save history summary", async () => {
+        const ok = await updateHistorySummaryCacheText(msg?.conversationId, msg?.summaryText);
+        return ok ? "History summary saved (OK)." : "History summary not found or empty (not saved).";
+      });
+    },
+    regenerateHistorySummaryCacheEntry: async (msg) => {
+      await run("Regenerate history summary", async () => {
+        const providerId = normalizeString(msg?.providerId);
+        const model = normalizeString(msg?.model);
+        if (!providerId || !model) return "Regenerate: provider/model missing.";
+        const ok = await setHistorySummaryCacheRegenerate(msg?.conversationId, { providerId, model });
+        return ok ? `Regeneration with ${providerId}/${model} deferred until the next summary of this conversation (old summary no longer injected).` : "History summary not found.";
+      });
+    },
+    deleteHistorySummaryCacheEntry: async (msg) => {
+      await run("Delete history summary", async () =>
+        (await deleteHistorySummaryConversation(msg?.conversationId)) ? "History summary deleted (OK)." : "History summary not found."
+      );
+    },
+    clearHistorySummaryCache: async () => {
+      await run("Clear history summary cache", async () => {
+        const n = await clearHistorySummaryCacheAll();
+        return n ? `Cleared history summary cache (${n}); pinned exchanges kept.` : "History summary cache already empty.";
+      });
+    },
+    clearHistorySummaryPins: async () => {
+      await run("Clear pinned exchanges", async () => {
+        const n = await clearHistorySummaryPinsAll();
+        return n ? `Cleared pinned exchanges (${n} conversations).` : "No pinned exchanges.";
+      });
+    }
+  };
+}
+
+module.exports = { createHistorySummaryHandlers };
@@ -16,6 +16,11 @@ function renderConfigPanelHtml({ vscode, webview, ctx, init }) {
     webview.asWebviewUri(vscode.Uri.joinPath(ctx.extensionUri, "out", "byok", "ui", "config-panel", "webview", "render", "endpoints.js")) + `?v=${cacheBust}`;
   const renderPromptsUri =
     webview.asWebviewUri(vscode.Uri.joinPath(ctx.extensionUri, "out", "byok", "ui", "config-panel", "webview", "render", "prompts.js")) + `?v=${cacheBust}`;
+  const renderUsageUri =
+    webview.asWebviewUri(vscode.Uri.joinPath(ctx.extensionUri, "out", "byok", "ui", "config-panel", "webview", "render", "usage.js")) + `?v=${cacheBust}`;
+  const renderHistorySummaryUri =
+    webview.asWebviewUri(vscode.Uri.joinPath(ctx.extensionUri, "out", "byok", "ui", "config-panel", "webview", "render", "history-summary.js")) +
+    `?v=${cacheBust}`;
   const renderAppUri =
     webview.asWebviewUri(vscode.Uri.joinPath(ctx.extensionUri, "out", "byok", "ui", "config-panel", "webview", "render", "app.js")) + `?v=${cacheBust}`;
   const webviewDomUri =
@@ -58,6 +63,8 @@ function renderConfigPanelHtml({ vscode, webview, ctx, init }) {
   <script src="${renderProvidersUri}"></script>
   <script src="${renderEndpointsUri}"></script>
   <script src="${renderPromptsUri}"></script>
+  <script src="${renderUsageUri}"></script>
+  <script src="${renderHistorySummaryUri}"></script>
   <script src="${renderAppUri}"></script>
   <script src="${webviewDomUri}"></script>
   <script src="${webviewCoreUri}"></script>
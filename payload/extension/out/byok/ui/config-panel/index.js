@@ -4,12 +4,15 @@ const { debug, info, warn } = require("../../infra/log");
 const { DEFAULT_SELF_TEST_TIMEOUT_MS } = require("../../infra/constants");
 const { normalizeString, normalizeRawToken } = require("../../infra/util");
 const { setRuntimeEnabled: setRuntimeEnabledPersisted } = require("../../config/state");
-const { clearHistorySummaryCacheAll } = require("../../core/augment-history-summary/auto");
 const { runSelfTest } = require("../../core/self-test/run");
+const { listUsageLedgerEntries, clearUsageLedger } = require("../../core/usage-ledger/store");
+const { summarizeUsageLedger, formatUsageLedgerCsv } = require("../../core/usage-ledger/report");
+const { snapshotKeyPoolHealth } = require("../../core/key-pool");
 const { fetchOfficialGetModels } = require("../../runtime/official/get-models");
 const { fetchProviderModels } = require("../../providers/models");
 const { renderConfigPanelHtml } = require("./html");
-const { exportConfigWithDialog, importConfigWithDialog, runIoWithUiErrorBoundary } = require("../config-io");
+const { createHistorySummaryHandlers } = require("./history-summary");
+const { exportConfigWithDialog, exportUsageCsvWithDialog, importConfigWithDialog, runIoWithUiErrorBoundary } = require("../config-io");
 
 
 function post(panel, msg) {
@@ -24,18 +27,31 @@ function postStatus(panel, status) {
 
 function postRender(panel, cfgMgr, state) {
   post(panel, { type: "render", config: cfgMgr.get(), runtimeEnabled: Boolean(state?.runtimeEnabled) });
+  postKeyHealth(panel, cfgMgr);
+}
+
+function postKeyHealth(panel, cfgMgr) {
+  post(panel, { type: "keyHealth", keyHealth: snapshotKeyPoolHealth(cfgMgr.get()) });
+}
+
+function postUsage(panel) {
+  post(panel, { type: "usage", usage: summarizeUsageLedger(listUsageLedgerEntries()) });
 }
 
 function createHandlers({ vscode, ctx, cfgMgr, state, panel }) {
   let selfTestController = null;
   let selfTestRunning = false;
+  const historySummaryHandlers = createHistorySummaryHandlers({ panel, post, postStatus });
 
   return {
+    ...historySummaryHandlers,
     init: async () => {
       postRender(panel, cfgMgr, state);
+      postUsage(panel);
+      await historySummaryHandlers.refreshHistorySummaryCache();
     },
     reload: async () => {
-      const rr = cfgMgr.reloadNow("panel_reload");
+      const rr = await cfgMgr.reloadWithSecretsNow("panel_reload");
       postStatus(panel, rr.ok ? "Reloaded (OK)." : `Reload failed (${rr.reason || "unknown"}) (kept last-good).`);
       postRender(panel, cfgMgr, state);
     },
@@ -130,16 +146,33 @@ function createHandlers({ vscode, ctx, cfgMgr, state, panel }) {
       }
       postRender(panel, cfgMgr, state);
     },
-    clearHistorySummaryCache: async () => {
+    refreshUsage: async () => {
+      postUsage(panel);
+    },
+    refreshKeyHealth: async () => {
+      postKeyHealth(panel, cfgMgr);
+    },
+    clearUsage: async () => {
       try {
-        const n = await clearHistorySummaryCacheAll();
-        postStatus(panel, n ? `Cleared history summary cache (${n}).` : "History summary cache already empty.");
+        const n = await clearUsageLedger();
+        postStatus(panel, n ? `Cleared usage ledger (${n}).` : "Usage ledger already empty.");
       } catch (err) {
         const m = err instanceof Error ? err.message : String(err);
-        warn("panel clearHistorySummaryCache failed:", m);
-        postStatus(panel, `Clear history summary cache failed: ${m}`);
+        warn("panel clearUsage failed:", m);
+        postStatus(panel, `Clear usage failed: ${m}`);
+      }
+      postUsage(panel);
+    },
+    exportUsageCsv: async () => {
+      try {
+        await runIoWithUiErrorBoundary(async () => {
+          const r = await exportUsageCsvWithDialog({ vscode, csv: formatUsageLedgerCsv(listUsageLedgerEntries()) });
+          postStatus(panel, r.ok ? "Usage exported (OK)." : "Export canceled.");
+        });
+      } catch (err) {
+        const m = err instanceof Error ? err.message : String(err);
+        postStatus(panel, `Usage export failed: ${m}`);
       }
-      postRender(panel, cfgMgr, state);
     },
     fetchProviderModels: async (msg) => {
       const idx = Number(msg?.idx);
@@ -78,7 +78,10 @@
     dirty: false,
     selfTest: { running: false, logs: [], report: null },
     selfTestProviderKeys: persistedSelfTestProviderKeys,
-    endpointSearch: persistedEndpointSearch
+    endpointSearch: persistedEndpointSearch,
+    usage: null,
+    keyHealth: null,
+    historySummaryCache: null
   };
 
   function updateDirtyBadge() {
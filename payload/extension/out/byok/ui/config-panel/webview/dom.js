@@ -43,6 +43,32 @@
         continue;
       }
 
+      if (key.startsWith("pricing.")) {
+        const field = key.slice("pricing.".length);
+        const raw = normalizeStr(el.value);
+        const n = Number(raw);
+        const pricing = p.pricing && typeof p.pricing === "object" && !Array.isArray(p.pricing) ? p.pricing : {};
+        if (raw && Number.isFinite(n) && n >= 0) pricing[field] = n;
+        else delete pricing[field];
+        if (Object.keys(pricing).length) p.pricing = pricing;
+        else delete p.pricing;
+        continue;
+      }
+
+      if (key === "promptCache") {
+        const v = normalizeStr(el.value);
+        p.requestDefaults =
+          p.requestDefaults && typeof p.requestDefaults === "object" && !Array.isArray(p.requestDefaults) ? p.requestDefaults : {};
+        if (v === "5m") p.requestDefaults.__byok_prompt_cache = true;
+        else if (v === "1h") p.requestDefaults.__byok_prompt_cache = "1h";
+        else {
+          try {
+            delete p.requestDefaults.__byok_prompt_cache;
+          } catch {}
+        }
+        continue;
+      }
+
       if (key === "thinkingLevel") {
         const level = normalizeStr(el.value);
         const providerType = normalizeStr(p.type);
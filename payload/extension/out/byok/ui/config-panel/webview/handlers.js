@@ -57,6 +57,9 @@
       if (!dm) cfg.providers[idx].defaultModel = cfg.providers[idx].models[0] || "";
       return setUiState({ cfg, status: "Models fetched (pending save).", dirty: true }, { preserveEdits: false });
     }
+    if (t === "usage") return setUiState({ usage: msg.usage || null }, { preserveEdits: true });
+    if (t === "keyHealth") return setUiState({ keyHealth: msg.keyHealth || null }, { preserveEdits: true });
+    if (typeof ns.handleHistorySummaryMessage === "function" && ns.handleHistorySummaryMessage({ msg, getUiState, setUiState })) return;
     if (t === "providerModelsFailed") return setUiState({ status: msg.error || "Fetch models failed." }, { preserveEdits: true });
     if (t === "selfTestStarted") return setUiState({ selfTest: { running: true, logs: [], report: null }, status: "Self Test started..." }, { preserveEdits: true });
     if (t === "selfTestLog") {
@@ -163,6 +166,8 @@
     }
     if (a === "editProviderModels") return setUiState({ modal: { kind: "models", idx: Number(btn.getAttribute("data-idx")) } }, { preserveEdits: true });
     if (a === "editProviderHeaders") return setUiState({ modal: { kind: "headers", idx: Number(btn.getAttribute("data-idx")) } }, { preserveEdits: true });
+    if (a === "refreshKeyHealth") return postToExtension({ type: "refreshKeyHealth" });
+    if (a === "editProviderApiKeys") return setUiState({ modal: { kind: "apiKeys", idx: Number(btn.getAttribute("data-idx")) } }, { preserveEdits: true });
     if (a === "editProviderRequestDefaults") return setUiState({ modal: { kind: "requestDefaults", idx: Number(btn.getAttribute("data-idx")) } }, { preserveEdits: true });
     if (a === "modalCancel") return setUiState({ modal: null, status: "Canceled." }, { preserveEdits: true });
     if (a === "confirmReset") {
@@ -181,6 +186,7 @@
         return setUiState({ status: "Apply failed: provider index invalid." }, { preserveEdits: true });
       const p = cfg.providers[idx] && typeof cfg.providers[idx] === "object" ? cfg.providers[idx] : (cfg.providers[idx] = {});
       if (kind === "models") p.models = parseModelsTextarea(text);
+      else if (kind === "apiKeys") p.apiKeys = parseModelsTextarea(text);
       else {
         try {
           kind === "headers" ? (p.headers = parseJsonOrEmptyObject(text)) : (p.requestDefaults = parseJsonOrEmptyObject(text));
@@ -243,6 +249,8 @@
     }
 
     if (typeof ns.handlePromptsAction === "function" && ns.handlePromptsAction({ action: a, gatherConfigFromDom, setUiState })) return;
+    if (typeof ns.handleUsageAction === "function" && ns.handleUsageAction({ action: a, postToExtension, setUiState })) return;
+    if (typeof ns.handleHistorySummaryAction === "function" && ns.handleHistorySummaryAction({ action: a, btn, postToExtension, setUiState, getUiState })) return;
 
     if (a === "save") {
       postToExtension({ type: "save", config: gatherConfigFromDom() });
@@ -256,10 +264,6 @@
       postToExtension({ type: "importConfig", dirty: Boolean(getUiState()?.dirty) });
       return setUiState({ status: "Importing..." }, { preserveEdits: true });
     }
-    if (a === "clearHistorySummaryCache") {
-      postToExtension({ type: "clearHistorySummaryCache" });
-      return setUiState({ status: "Clearing history summary cache..." }, { preserveEdits: true });
-    }
     if (a === "reset") return setUiState({ modal: { kind: "confirmReset" } }, { preserveEdits: true });
     if (a === "reload") {
       postToExtension({ type: "reload" });
@@ -358,7 +362,7 @@
       return setUiState({ cfg, status: "Provider updated (pending save).", dirty: true }, { preserveEdits: false });
     }
 
-    if (el.matches("[data-p-key=\"defaultModel\"],[data-p-key=\"thinkingLevel\"]")) return setUiState({ status: "Provider updated (pending save).", dirty: true }, { preserveEdits: true });
+    if (el.matches("[data-p-key=\"defaultModel\"],[data-p-key=\"thinkingLevel\"],[data-p-key=\"promptCache\"]")) return setUiState({ status: "Provider updated (pending save).", dirty: true }, { preserveEdits: true });
     if (el.matches("#historySummaryEnabled,#historySummaryByokModel")) return markDirty("History summary updated (pending save).");
   }
 
@@ -366,6 +370,7 @@
     if (!el || typeof el.matches !== "function") return;
     if (el.matches("#endpointSearch")) return setEndpointSearch(el.value);
     if (el.matches("#modalText")) return;
+    if (typeof ns.handleHistorySummaryInput === "function" && ns.handleHistorySummaryInput({ el, getUiState })) return;
 
     // providers: live validation (avoid full rerender on every keystroke)
     if (el.matches("input[data-p-key=\"id\"],input[data-p-key=\"baseUrl\"]")) {
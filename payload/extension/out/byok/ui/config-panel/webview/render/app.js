@@ -2,7 +2,7 @@
   "use strict";
 
   const ns = (window.__byokCfgPanel = window.__byokCfgPanel || {});
-  const { normalizeStr, uniq, escapeHtml, optionHtml } = ns;
+  const { normalizeStr, uniq, escapeHtml } = ns;
 
   function computeOfficialTestUi(officialTest) {
     const ot = officialTest && typeof officialTest === "object" ? officialTest : {};
@@ -58,7 +58,10 @@
     selfTest,
     selfTestProviderKeys,
     officialTest,
-    providerExpanded
+    providerExpanded,
+    usage,
+    keyHealth,
+    historySummaryCache
   }) {
     const c = cfg && typeof cfg === "object" ? cfg : {};
     const off = c.official && typeof c.official === "object" ? c.official : {};
@@ -228,90 +231,13 @@
 
     const providersHtml =
       typeof ns.renderProvidersPanel === "function"
-        ? ns.renderProvidersPanel({ providers, providerExpanded })
+        ? ns.renderProvidersPanel({ providers, providerExpanded, keyHealth })
         : `<div class="text-muted text-xs">providers renderer missing</div>`;
 
-    const historySummary = c.historySummary && typeof c.historySummary === "object" ? c.historySummary : {};
-    const hsEnabled = historySummary.enabled === true;
-    const hsProviderId = normalizeStr(historySummary.providerId);
-    const hsModel = normalizeStr(historySummary.model);
-    const hsByokModel = hsProviderId && hsModel ? `byok:${hsProviderId}:${hsModel}` : "";
-    const hsPrompt = normalizeStr(historySummary.prompt);
-    const hsModelGroups = providers
-      .map((p) => {
-        const pid = normalizeStr(p?.id);
-        const dm = normalizeStr(p?.defaultModel);
-        const rawModels = Array.isArray(p?.models) ? p.models : [];
-        const models = uniq(rawModels.map((m) => normalizeStr(m)).filter(Boolean).concat(dm ? [dm] : [])).sort((a, b) => a.localeCompare(b));
-        return { pid, models };
-      })
-      .filter((g) => g && g.pid && Array.isArray(g.models) && g.models.length)
-      .sort((a, b) => a.pid.localeCompare(b.pid));
-    const historySummaryHtml = `
-	      <section class="settings-panel">
-	        <header class="settings-panel__header">
-	          <span>History Summary</span>
-	          ${hsEnabled ? `<span class="status-badge status-badge--success">enabled</span>` : `<span class="status-badge status-badge--warning">disabled</span>`}
-	        </header>
-	        <div class="settings-panel__body">
-	          <div class="form-grid">
-	            <div class="form-group">
-	              <label class="form-label">启用</label>
-	              <label class="checkbox-wrapper">
-	                <input type="checkbox" id="historySummaryEnabled" ${hsEnabled ? "checked" : ""} />
-	                <span>启用</span>
-	              </label>
-	              <div class="text-muted text-xs">启用后会在后台自动做“滚动摘要”，用于避免上下文溢出（仅影响发给上游模型的内容）。</div>
-	            </div>
-	            <div class="form-group">
-	              <label class="form-label">Model</label>
-	              <select id="historySummaryByokModel">
-	                ${optionHtml({ value: "", label: "(follow current request)", selected: !hsByokModel })}
-	                ${hsModelGroups
-                  .map((g) => {
-                    const options = g.models
-                      .map((m) => {
-                        const v = `byok:${g.pid}:${m}`;
-                        return optionHtml({ value: v, label: m, selected: v === hsByokModel });
-                      })
-                      .join("");
-                    return `<optgroup label="${escapeHtml(g.pid)}">${options}</optgroup>`;
-                  })
-                  .join("")}
-	              </select>
-	              <div class="text-muted text-xs">留空则跟随当前对话模型；候选项来自 providers[].models。</div>
-	            </div>
-	            <div class="form-group form-grid--full">
-	              <div class="flex-row flex-wrap">
-	                <button class="btn btn--small" data-action="clearHistorySummaryCache">清理摘要缓存</button>
-	                <span class="text-muted text-xs">仅清理后台摘要复用缓存，不影响 UI 历史显示。</span>
-	              </div>
-	            </div>
-              <div class="form-group form-grid--full">
-                <details class="endpoint-group">
-                  <summary class="endpoint-group-summary">
-                    <span>Advanced</span>
-                    <span class="row" style="gap:6px;">
-                      <span class="badge">prompt</span>
-                    </span>
-                  </summary>
-                  <div class="endpoint-group-body">
-                    <div class="text-muted text-xs">用于生成“滚动摘要”的 prompt（保存后对后续摘要生效）。</div>
-                    <div style="height:10px;"></div>
-                    <div class="form-grid">
-                      <div class="form-group form-grid--full">
-                        <label class="form-label" for="historySummaryPrompt">Prompt</label>
-                        <textarea class="mono" id="historySummaryPrompt" rows="6" placeholder="(default)">${escapeHtml(hsPrompt)}</textarea>
-                        <div class="text-muted text-xs">建议保持简洁、结构化；避免泄漏敏感信息。留空会回落默认模板。</div>
-                      </div>
-                    </div>
-                  </div>
-                </details>
-              </div>
-	          </div>
-	        </div>
-	      </section>
-	    `;
+    const historySummaryHtml =
+      typeof ns.renderHistorySummaryPanel === "function"
+        ? ns.renderHistorySummaryPanel({ cfg: c, historySummaryCache })
+        : `<div class="text-muted text-xs">history summary renderer missing</div>`;
 
     const promptsHtml =
       typeof ns.renderPromptsPanel === "function"
@@ -323,6 +249,9 @@
         ? ns.renderEndpointRulesPanel({ cfg: c, endpointSearchText })
         : `<div class="text-muted text-xs">endpoint rules renderer missing</div>`;
 
+    const usageHtml =
+      typeof ns.renderUsagePanel === "function" ? ns.renderUsagePanel({ usage }) : `<div class="text-muted text-xs">usage renderer missing</div>`;
+
     const m = modal && typeof modal === "object" ? modal : null;
     const mKind = normalizeStr(m?.kind);
     const mIdx = Number(m?.idx);
@@ -343,6 +272,8 @@
                 </div>
               </div>
             `
+          : mKind === "historySummaryEntry"
+            ? (typeof ns.renderHistorySummaryEntryModal === "function" ? ns.renderHistorySummaryEntryModal({ cfg: c, modal: m }) : "")
           : !mProvider
             ? ""
             : (() => {
@@ -351,12 +282,15 @@
                     ? `Edit models (Provider #${mIdx + 1})`
                     : mKind === "headers"
                       ? `Edit headers (Provider #${mIdx + 1})`
-                      : `Edit request_defaults (Provider #${mIdx + 1})`;
+                      : mKind === "apiKeys"
+                        ? `Edit key pool (Provider #${mIdx + 1})`
+                        : `Edit request_defaults (Provider #${mIdx + 1})`;
                 const text =
-                  mKind === "models"
-                    ? (Array.isArray(mProvider.models) ? mProvider.models : []).join("\n")
+                  mKind === "models" || mKind === "apiKeys"
+                    ? (Array.isArray(mProvider[mKind]) ? mProvider[mKind] : []).join("\n")
                     : JSON.stringify(mKind === "headers" ? (mProvider.headers ?? {}) : (mProvider.requestDefaults ?? {}), null, 2);
-                const hint = mKind === "models" ? "每行一个 model id（用于下拉选择与 /get-models 注入）。" : "请输入 JSON 对象（会在 Save 时持久化）。";
+                const hint =
+                  mKind === "models" ? "每行一个 model id（用于下拉选择与 /get-models 注入）。" : mKind === "apiKeys" ? "每行一个备用 key（与 API Key 一起组成 key 池；支持 env:/cmd: 引用）。" : "请输入 JSON 对象（会在 Save 时持久化）。";
 
                 return `
               <div class="modal-backdrop">
@@ -381,6 +315,7 @@
 	        ${historySummaryHtml}
 	        ${promptsHtml}
 	        ${endpointRules}
+	        ${usageHtml}
 	        ${selfTestHtml}
 	      </div>
 	      ${modalHtml}
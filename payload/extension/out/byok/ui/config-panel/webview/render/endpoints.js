@@ -72,6 +72,10 @@
             const providerDisabled = !modeIsByok || byokUnsupportedActive;
             const modelDisabled = providerDisabled || !providerId;
             const modelOptions = uniq(models.concat(model ? [model] : []));
+            const fallbacks = modeIsByok && Array.isArray(r.fallbacks) ? r.fallbacks : [];
+            const fallbacksText = fallbacks
+              .map((f) => `${normalizeStr(f?.providerId) || "?"}${normalizeStr(f?.model) ? `/${normalizeStr(f.model)}` : ""}`)
+              .join(" → ");
 
             const desc = typeof ENDPOINT_MEANINGS_V1[ep] === "string" ? ENDPOINT_MEANINGS_V1[ep] : "";
             const byokDisabled = !byokSupported && mode !== "byok";
@@ -81,6 +85,7 @@
                 <div class="endpoint-meta">
                   <div class="mono">${escapeHtml(ep)}</div>
                   ${desc ? `<div class="small endpoint-desc">${escapeHtml(desc)}</div>` : ``}
+                  ${fallbacksText ? `<div class="small text-muted" title="failover（429/5xx/超时/连接失败时依次尝试；仅 JSON 配置）">fallbacks: ${escapeHtml(fallbacksText)}</div>` : ``}
                 </div>
                 <div>
                   <select class="${modeSelectCls}" data-rule-ep="${escapeHtml(ep)}" data-rule-key="mode"${modeSelectTitle ? ` title="${escapeHtml(modeSelectTitle)}"` : ""}>
@@ -0,0 +1,304 @@
+(function () {
+  "use strict";
+
+  const ns = (window.__byokCfgPanel = window.__byokCfgPanel || {});
+  const { qs, normalizeStr, uniq, escapeHtml, optionHtml, parseByokModelId } = ns;
+
+  function modelGroups(providers) {
+    return (Array.isArray(providers) ? providers : [])
+      .map((p) => {
+        const pid = normalizeStr(p?.id);
+        const dm = normalizeStr(p?.defaultModel);
+        const rawModels = Array.isArray(p?.models) ? p.models : [];
+        const models = uniq(rawModels.map((m) => normalizeStr(m)).filter(Boolean).concat(dm ? [dm] : [])).sort((a, b) => a.localeCompare(b));
+        return { pid, models };
+      })
+      .filter((g) => g && g.pid && Array.isArray(g.models) && g.models.length)
+      .sort((a, b) => a.pid.localeCompare(b.pid));
+  }
+
+  function modelOptionsHtml(groups, selectedValue) {
+    return groups
+      .map((g) => {
+        const options = g.models
+          .map((m) => {
+            const v = `byok:${g.pid}:${m}`;
+            return optionHtml({ value: v, label: m, selected: v === selectedValue });
+          })
+          .join("");
+        return `<optgroup label="${escapeHtml(g.pid)}">${options}</optgroup>`;
+      })
+      .join("");
+  }
+
+  function fmtAge(ms) {
+    const t = Number(ms);
+    if (!Number.isFinite(t) || t <= 0) return "-";
+    const s = Math.max(0, Math.floor((Date.now() - t) / 1000));
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.floor(s / 60)}m`;
+    if (s < 86400) return `${Math.floor(s / 3600)}h`;
+    return `${Math.floor(s / 86400)}d`;
+  }
+
+  function shortId(v) {
+    const s = normalizeStr(v);
+    return s.length > 14 ? `${s.slice(0, 6)}…${s.slice(-6)}` : s;
+  }
+
+  function entryModelLabel(e) {
+    const pid = normalizeStr(e?.providerId);
+    const model = normalizeStr(e?.model);
+    return pid || model ? `${pid || "?"}/${model || "?"}` : "-";
+  }
+
+  function entryFlagsHtml(e) {
+    const flags = [];
+    if (Number(e?.pinnedCount) > 0) flags.push(`<span class="badge">pinned=${escapeHtml(String(e.pinnedCount))}</span>`);
+    if (Number(e?.levels) > 1) flags.push(`<span class="badge">levels=${escapeHtml(String(e.levels))}</span>`);
+    if (Number(e?.editedAtMs) > 0) flags.push(`<span class="badge">edited</span>`);
+    if (e?.regenerate) flags.push(`<span class="badge" title="${escapeHtml(entryModelLabel(e.regenerate))}">regenerate deferred</span>`);
+    return flags.join(" ");
+  }
+
+  function cacheListHtml(historySummaryCache) {
+    const list = Array.isArray(historySummaryCache) ? historySummaryCache : null;
+    if (!list) return `<div class="text-muted text-xs">Loading...</div>`;
+    if (!list.length) return `<div class="text-muted text-xs">(no cached summaries)</div>`;
+    const head = ["conversation", "chars", "boundary", "age", "model", "", ""].map((s) => `<th>${escapeHtml(s)}</th>`).join("");
+    const rows = list.map((e) => {
+      const cid = normalizeStr(e?.conversationId);
+      return `<tr>
+        <td class="text-mono" title="${escapeHtml(cid)}">${escapeHtml(shortId(cid))}</td>
+        <td class="text-mono">${escapeHtml(String(Number(e?.summaryChars) || 0))}</td>
+        <td class="text-mono" title="${escapeHtml(normalizeStr(e?.summarizedUntilRequestId))}">${escapeHtml(shortId(e?.summarizedUntilRequestId))}</td>
+        <td class="text-mono">${escapeHtml(fmtAge(e?.updatedAtMs))}</td>
+        <td class="text-mono">${escapeHtml(entryModelLabel(e))}</td>
+        <td>${entryFlagsHtml(e)}</td>
+        <td>
+          <button class="btn btn--small" data-action="openHistorySummaryEntry" data-cid="${escapeHtml(cid)}">查看/编辑</button>
+          <button class="btn btn--small" data-action="deleteHistorySummaryEntry" data-cid="${escapeHtml(cid)}">删除</button>
+        </td>
+      </tr>`;
+    });
+    return `<table class="usage-table"><thead><tr>${head}</tr></thead><tbody>${rows.join("")}</tbody></table>`;
+  }
+
+  ns.renderHistorySummaryPanel = function renderHistorySummaryPanel({ cfg, historySummaryCache } = {}) {
+    const c = cfg && typeof cfg === "object" ? cfg : {};
+    const historySummary = c.historySummary && typeof c.historySummary === "object" ? c.historySummary : {};
+    const hsEnabled = historySummary.enabled === true;
+    const hsProviderId = normalizeStr(historySummary.providerId);
+    const hsModel = normalizeStr(historySummary.model);
+    const hsByokModel = hsProviderId && hsModel ? `byok:${hsProviderId}:${hsModel}` : "";
+    const hsPrompt = normalizeStr(historySummary.prompt);
+    const groups = modelGroups(c.providers);
+    const cacheCount = Array.isArray(historySummaryCache) ? historySummaryCache.length : 0;
+
+    return `
+      <section class="settings-panel">
+        <header class="settings-panel__header">
+          <span>History Summary</span>
+          ${hsEnabled ? `<span class="status-badge status-badge--success">enabled</span>` : `<span class="status-badge status-badge--warning">disabled</span>`}
+        </header>
+        <div class="settings-panel__body">
+          <div class="form-grid">
+            <div class="form-group">
+              <label class="form-label">启用</label>
+              <label class="checkbox-wrapper">
+                <input type="checkbox" id="historySummaryEnabled" ${hsEnabled ? "checked" : ""} />
+                <span>启用</span>
+              </label>
+              <div class="text-muted text-xs">启用后会在后台自动做“滚动摘要”，用于避免上下文溢出（仅影响发给上游模型的内容）。</div>
+            </div>
+            <div class="form-group">
+              <label class="form-label">Model</label>
+              <select id="historySummaryByokModel">
+                ${optionHtml({ value: "", label: "(follow current request)", selected: !hsByokModel })}
+                ${modelOptionsHtml(groups, hsByokModel)}
+              </select>
+              <div class="text-muted text-xs">留空则跟随当前对话模型；候选项来自 providers[].models。</div>
+            </div>
+            <div class="form-group form-grid--full">
+              <label class="form-label">Cached summaries (${escapeHtml(String(cacheCount))})</label>
+              <div class="flex-row flex-wrap">
+                <button class="btn btn--small" data-action="refreshHistorySummaryCache">刷新</button>
+                <button class="btn btn--small" data-action="clearHistorySummaryCache" ${cacheCount ? "" : "disabled"}>清理摘要缓存</button>
+                <button class="btn btn--small" data-action="clearHistorySummaryPins">清理全部 pins</button>
+                <span class="text-muted text-xs">清理摘要缓存只影响后台摘要复用，不影响 UI 历史显示，也不删除固定的 exchanges；pins 需单独清理。</span>
+              </div>
+              <div style="height:10px;"></div>
+              ${cacheListHtml(historySummaryCache)}
+            </div>
+            <div class="form-group form-grid--full">
+              <details class="endpoint-group">
+                <summary class="endpoint-group-summary">
+                  <span>Advanced</span>
+                  <span class="row" style="gap:6px;">
+                    <span class="badge">prompt</span>
+                  </span>
+                </summary>
+                <div class="endpoint-group-body">
+                  <div class="text-muted text-xs">用于生成“滚动摘要”的 prompt（保存后对后续摘要生效）。</div>
+                  <div style="height:10px;"></div>
+                  <div class="form-grid">
+                    <div class="form-group form-grid--full">
+                      <label class="form-label" for="historySummaryPrompt">Prompt</label>
+                      <textarea class="mono" id="historySummaryPrompt" rows="6" placeholder="(default)">${escapeHtml(hsPrompt)}</textarea>
+                      <div class="text-muted text-xs">建议保持简洁、结构化；避免泄漏敏感信息。留空会回落默认模板。</div>
+                    </div>
+                  </div>
+                </div>
+              </details>
+            </div>
+          </div>
+        </div>
+      </section>
+    `;
+  };
+
+  function pinsHtml(pins) {
+    const list = Array.isArray(pins) ? pins : [];
+    const rows = list.map((p) => {
+      const rid = normalizeStr(p?.requestId);
+      const preview = normalizeStr(p?.preview);
+      return `<div class="flex-row flex-wrap">
+        <span class="text-mono text-xs" title="${escapeHtml(rid)}">${escapeHtml(shortId(rid))}</span>
+        <span class="badge">${escapeHtml(normalizeStr(p?.source) || "manual")}</span>
+        <span class="text-muted text-xs inline-ellipsis" title="${escapeHtml(preview)}">${escapeHtml(preview.length > 80 ? `${preview.slice(0, 80)}…` : preview)}</span>
+        <button class="btn btn--small" data-action="unpinHistorySummaryExchange" data-rid="${escapeHtml(rid)}">取消固定</button>
+      </div>`;
+    });
+    return `
+          <div class="hint">Pinned exchanges（摘要时原文带入 {pinned_part_full}，模板没有该占位符时放在 {end_part_full} 最前面）：</div>
+          ${rows.length ? rows.join("") : `<div class="text-muted text-xs">(none)</div>`}
+          <div class="row" style="margin-top:6px;gap:6px;">
+            <input type="text" class="mono" id="historySummaryPinRequestId" placeholder="request_id" />
+            <button class="btn btn--small" data-action="pinHistorySummaryExchange">Pin</button>
+          </div>`;
+  }
+
+  // modal.kind === "historySummaryEntry"：查看/编辑单个对话的摘要；text 为编辑中的草稿（重渲染时保留）
+  ns.renderHistorySummaryEntryModal = function renderHistorySummaryEntryModal({ cfg, modal } = {}) {
+    const m = modal && typeof modal === "object" ? modal : {};
+    const e = m.entry && typeof m.entry === "object" ? m.entry : {};
+    const cid = normalizeStr(e.conversationId);
+    const groups = modelGroups(cfg && typeof cfg === "object" ? cfg.providers : []);
+    const regen = e.regenerate && typeof e.regenerate === "object" ? e.regenerate : null;
+    const regenValue = regen ? `byok:${normalizeStr(regen.providerId)}:${normalizeStr(regen.model)}` : "";
+    const meta = [
+      `boundary=${normalizeStr(e.summarizedUntilRequestId) || "-"}`,
+      `model=${entryModelLabel({ providerId: e.summaryProviderId, model: e.summaryModel })}`,
+      `age=${fmtAge(e.updatedAtMs)}`
+    ].join(" ");
+    return `
+      <div class="modal-backdrop">
+        <div class="modal card">
+          <div class="title">History summary (${escapeHtml(cid)})</div>
+          <div class="hint text-mono">${escapeHtml(meta)}</div>
+          <div class="hint">手动编辑会替换该对话的摘要（分层摘要合并为单层）；后续滚动更新以编辑后的文本为基础。</div>
+          <textarea class="mono" id="historySummaryEntryText" style="min-height:280px;">${escapeHtml(typeof m.text === "string" ? m.text : normalizeStr(e.summaryText))}</textarea>
+          ${pinsHtml(e.pins)}
+          <div class="row" style="margin-top:10px;gap:6px;flex-wrap:wrap;">
+            <select id="historySummaryEntryRegenModel">
+              ${optionHtml({ value: "", label: "(select model)", selected: !regenValue })}
+              ${modelOptionsHtml(groups, regenValue)}
+            </select>
+            <button class="btn" data-action="regenerateHistorySummaryEntry">Regenerate</button>
+            <span class="text-muted text-xs">延后生效：缓存不含对话原文，该对话下次触发摘要时才用所选模型重新生成；在此之前旧摘要不再注入。</span>
+          </div>
+          <div class="row" style="margin-top:10px;justify-content:flex-end;">
+            <button class="btn" data-action="modalCancel">Cancel</button>
+            <button class="btn primary" data-action="saveHistorySummaryEntry">Save</button>
+          </div>
+        </div>
+      </div>
+    `;
+  };
+
+  ns.handleHistorySummaryMessage = function handleHistorySummaryMessage({ msg, getUiState, setUiState } = {}) {
+    const t = normalizeStr(msg?.type);
+    if (t === "historySummaryCache") {
+      setUiState({ historySummaryCache: Array.isArray(msg.entries) ? msg.entries : [] }, { preserveEdits: true });
+      return true;
+    }
+    if (t !== "historySummaryCacheEntry") return false;
+    const entry = msg.entry && typeof msg.entry === "object" ? msg.entry : null;
+    if (!entry) {
+      setUiState({ status: "History summary entry not found." }, { preserveEdits: true });
+      return true;
+    }
+    // 同一对话的刷新（pin/unpin 之后）：保留编辑中的草稿
+    const prev = getUiState()?.modal;
+    const same = prev && prev.kind === "historySummaryEntry" && normalizeStr(prev.entry?.conversationId) === normalizeStr(entry.conversationId);
+    const modal = { kind: "historySummaryEntry", entry, ...(same && typeof prev.text === "string" ? { text: prev.text } : {}) };
+    setUiState(same ? { modal } : { modal, status: "Summary loaded." }, { preserveEdits: true });
+    return true;
+  };
+
+  // 摘要编辑与 pin 输入不属于配置：只记草稿（其它消息触发重渲染时保留），不标记 dirty
+  ns.handleHistorySummaryInput = function handleHistorySummaryInput({ el, getUiState } = {}) {
+    if (!el || typeof el.matches !== "function" || !el.matches("#historySummaryEntryText,#historySummaryPinRequestId")) return false;
+    const m = typeof getUiState === "function" ? getUiState()?.modal : null;
+    if (m && m.kind === "historySummaryEntry" && el.matches("#historySummaryEntryText")) m.text = el.value;
+    return true;
+  };
+
+  function entryCid(btn, getUiState) {
+    const fromBtn = btn && typeof btn.getAttribute === "function" ? normalizeStr(btn.getAttribute("data-cid")) : "";
+    return fromBtn || normalizeStr(getUiState()?.modal?.entry?.conversationId);
+  }
+
+  ns.handleHistorySummaryAction = function handleHistorySummaryAction({ action, btn, postToExtension, setUiState, getUiState } = {}) {
+    const a = normalizeStr(action);
+    if (typeof postToExtension !== "function" || typeof setUiState !== "function" || typeof getUiState !== "function") return false;
+    if (a === "refreshHistorySummaryCache" || a === "clearHistorySummaryCache" || a === "clearHistorySummaryPins") {
+      postToExtension({ type: a });
+      const status = { refreshHistorySummaryCache: "Refreshing history summary cache...", clearHistorySummaryCache: "Clearing history summary cache...", clearHistorySummaryPins: "Clearing pinned exchanges..." }[a];
+      setUiState({ status }, { preserveEdits: true });
+      return true;
+    }
+    if (a === "openHistorySummaryEntry" || a === "deleteHistorySummaryEntry") {
+      const conversationId = entryCid(btn, getUiState);
+      if (!conversationId) return false;
+      postToExtension({ type: a === "openHistorySummaryEntry" ? "getHistorySummaryCacheEntry" : "deleteHistorySummaryCacheEntry", conversationId });
+      setUiState({ status: a === "openHistorySummaryEntry" ? "Loading summary..." : "Deleting summary..." }, { preserveEdits: true });
+      return true;
+    }
+    if (a === "saveHistorySummaryEntry") {
+      const conversationId = entryCid(btn, getUiState);
+      const summaryText = qs("#historySummaryEntryText")?.value ?? "";
+      if (!normalizeStr(summaryText)) {
+        setUiState({ status: "Summary text is empty (kept modal open)." }, { preserveEdits: true });
+        return true;
+      }
+      postToExtension({ type: "saveHistorySummaryCacheEntry", conversationId, summaryText });
+      setUiState({ modal: null, status: "Saving summary..." }, { preserveEdits: true });
+      return true;
+    }
+    if (a === "pinHistorySummaryExchange" || a === "unpinHistorySummaryExchange") {
+      const conversationId = entryCid(null, getUiState);
+      const requestId =
+        a === "pinHistorySummaryExchange" ? normalizeStr(qs("#historySummaryPinRequestId")?.value) : normalizeStr(btn?.getAttribute?.("data-rid"));
+      if (!conversationId || !requestId) {
+        setUiState({ status: "Pin: enter a request_id first." }, { preserveEdits: true });
+        return true;
+      }
+      postToExtension({ type: a, conversationId, requestId });
+      setUiState({ status: a === "pinHistorySummaryExchange" ? "Pinning..." : "Unpinning..." }, { preserveEdits: true });
+      return true;
+    }
+    if (a === "regenerateHistorySummaryEntry") {
+      const conversationId = entryCid(btn, getUiState);
+      const parsed = parseByokModelId(normalizeStr(qs("#historySummaryEntryRegenModel")?.value));
+      if (!parsed) {
+        setUiState({ status: "Regenerate: select a model first." }, { preserveEdits: true });
+        return true;
+      }
+      postToExtension({ type: "regenerateHistorySummaryCacheEntry", conversationId, providerId: parsed.providerId, model: parsed.modelId });
+      setUiState({ modal: null, status: "Requesting regeneration..." }, { preserveEdits: true });
+      return true;
+    }
+    return false;
+  };
+})();
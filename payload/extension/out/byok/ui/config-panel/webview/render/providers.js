@@ -57,8 +57,41 @@
     return { supported: false, value: "", hint: "该类型不支持（可用 Defaults JSON 自定义）" };
   }
 
-  ns.renderProvidersPanel = function renderProvidersPanel({ providers, providerExpanded } = {}) {
+  function computePromptCacheUi({ type, requestDefaults }) {
+    if (type !== "anthropic") return { supported: false, value: "", hint: "" };
+    const rd = requestDefaults && typeof requestDefaults === "object" && !Array.isArray(requestDefaults) ? requestDefaults : {};
+    const raw = rd.__byok_prompt_cache;
+    const s = normalizeStr(typeof raw === "string" ? raw : "").toLowerCase();
+    const v = raw === true || s === "5m" || s === "true" || s === "ephemeral" ? "5m" : s === "1h" ? "1h" : "";
+    return { supported: true, value: v, hint: "Anthropic：cache_control 断点（system / tools / 最近一轮历史）" };
+  }
+
+  // key 池：备用 key 数量 / 轮换策略 / 运行时健康度（冷却中的 key 会被跳过）
+  function renderKeyPool({ idx, apiKeys, rotation, health }) {
+    const rows = (Array.isArray(health) ? health : []).map((h) => {
+      const cooling = h?.state === "cooldown";
+      const badge = cooling
+        ? `<span class="status-badge status-badge--warning">cooldown ${escapeHtml(String(Math.ceil(Number(h.cooldownRemainingMs || 0) / 1000)))}s</span>`
+        : `<span class="status-badge status-badge--success">ok</span>`;
+      const stats = `uses=${Number(h?.uses) || 0} limited=${Number(h?.limitedCount) || 0}${h?.lastError ? ` last=${h.lastError}` : ""}`;
+      return `<div class="flex-row text-xs"><span class="text-mono">#${Number(h?.index) + 1} ${escapeHtml(h?.label || "")}</span>${badge}<span class="text-muted text-mono">${escapeHtml(stats)}</span></div>`;
+    });
+    return `
+                        <div class="flex-row flex-wrap">
+                          <span class="status-badge">pool: ${escapeHtml(String(apiKeys.length + 1))}</span>
+                          <button class="btn btn--small" data-action="editProviderApiKeys" data-idx="${idx}">Key Pool</button>
+                          <select data-p-idx="${idx}" data-p-key="apiKeyRotation" title="轮换策略（仅 key 池 ≥ 2 时生效）">
+                            ${optionHtml({ value: "", label: "round robin", selected: rotation !== "least_recently_limited" })}
+                            ${optionHtml({ value: "least_recently_limited", label: "least recently limited", selected: rotation === "least_recently_limited" })}
+                          </select>
+                          ${rows.length ? `<button class="btn btn--small" data-action="refreshKeyHealth">刷新状态</button>` : ""}
+                        </div>
+                        ${rows.join("")}`;
+  }
+
+  ns.renderProvidersPanel = function renderProvidersPanel({ providers, providerExpanded, keyHealth } = {}) {
     const listProviders = Array.isArray(providers) ? providers : [];
+    const health = keyHealth && typeof keyHealth === "object" && !Array.isArray(keyHealth) ? keyHealth : {};
     const expanded = providerExpanded && typeof providerExpanded === "object" && !Array.isArray(providerExpanded) ? providerExpanded : {};
 
     const list = listProviders
@@ -69,12 +102,17 @@
         const baseUrl = normalizeStr(p?.baseUrl);
         const baseUrlPlaceholder = normalizeStr(typeof defaultBaseUrlForProviderType === "function" ? defaultBaseUrlForProviderType(type) : "") || "https://api.openai.com/v1";
         const apiKeySet = Boolean(normalizeStr(p?.apiKey));
+        const apiKeys = Array.isArray(p?.apiKeys) ? p.apiKeys.filter((k) => normalizeStr(k)) : [];
         const dm = normalizeStr(p?.defaultModel);
         const rawModels = Array.isArray(p?.models) ? p.models : [];
         const models = uniq(rawModels.filter((m) => normalizeStr(m)));
         const modelOptions = uniq(models.concat(dm ? [dm] : []));
         const requestDefaults = p?.requestDefaults && typeof p.requestDefaults === "object" && !Array.isArray(p.requestDefaults) ? p.requestDefaults : {};
         const thinkingUi = computeThinkingUi({ type, requestDefaults });
+        const promptCacheUi = computePromptCacheUi({ type, requestDefaults });
+        const pricing = p?.pricing && typeof p.pricing === "object" && !Array.isArray(p.pricing) ? p.pricing : {};
+        const priceInput = (key, label) =>
+          `<input type="number" min="0" step="any" data-p-idx="${idx}" data-p-key="pricing.${key}" value="${escapeHtml(pricing[key] ?? "")}" placeholder="${escapeHtml(label)}" title="${escapeHtml(label)}" />`;
 
         const issues =
           typeof validateProviderDraft === "function" ? validateProviderDraft({ id: pid, type, baseUrl, models, defaultModel: dm }) : [];
@@ -150,6 +188,10 @@
                           <input type="password" data-p-idx="${idx}" data-p-key="apiKeyInput" value="" placeholder="${apiKeySet ? "(set)" : "(empty)"}" />
                           <button class="btn btn--icon btn--danger" data-action="clearProviderKey" data-idx="${idx}" title="清空 API Key">✕</button>
                         </div>
+                        ${type === "bedrock" ? `<div class="text-muted text-xs">Bedrock：<span class="text-mono">AccessKeyId:SecretAccessKey[:SessionToken]</span>（SigV4，region 取自 Base URL）或 Bedrock API key（Bearer）</div>` : ""}
+                        ${type === "gemini_vertex" ? `<div class="text-muted text-xs">Vertex：粘贴 service account JSON（自动换取并缓存 OAuth token）或 OAuth access token；claude-* 模型走 Anthropic rawPredict</div>` : ""}
+                        ${type === "azure_openai" ? `<div class="text-muted text-xs">Azure OpenAI：Base URL 填资源 endpoint，API Key 以 <span class="text-mono">api-key</span> 头发送；model 名即 deployment 名（可用 requestDefaults.__byok_azure_deployments 映射）</div>` : ""}
+                        ${renderKeyPool({ idx, apiKeys, rotation: normalizeStr(p?.apiKeyRotation), health: health[pid] })}
                       </div>
                       <div class="form-group">
                         <label class="form-label">Models</label>
@@ -179,6 +221,29 @@
                         </select>
                         <div class="text-muted text-xs">${escapeHtml(thinkingUi.hint)}</div>
                       </div>
+                      ${
+                        promptCacheUi.supported
+                          ? `<div class="form-group">
+                        <label class="form-label">Prompt Cache</label>
+                        <select data-p-idx="${idx}" data-p-key="promptCache">
+                          ${optionHtml({ value: "", label: "(Off)", selected: promptCacheUi.value === "" })}
+                          ${optionHtml({ value: "5m", label: "5m", selected: promptCacheUi.value === "5m" })}
+                          ${optionHtml({ value: "1h", label: "1h", selected: promptCacheUi.value === "1h" })}
+                        </select>
+                        <div class="text-muted text-xs">${escapeHtml(promptCacheUi.hint)}</div>
+                      </div>`
+                          : ""
+                      }
+                      <div class="form-group form-grid--full">
+                        <label class="form-label">Pricing（USD / 1M tokens）</label>
+                        <div class="flex-row">
+                          ${priceInput("input", "input")}
+                          ${priceInput("output", "output")}
+                          ${priceInput("cacheRead", "cache read")}
+                          ${priceInput("cacheWrite", "cache write")}
+                        </div>
+                        <div class="text-muted text-xs">用于 Usage 面板费用统计；cache read/write 留空按 input 价计。按 model 覆盖可在导出 JSON 的 pricing.models 中配置。</div>
+                      </div>
                       <div class="form-group form-grid--full">
                         <label class="form-label">Advanced</label>
                         <div class="flex-row flex-wrap">
@@ -0,0 +1,94 @@
+(function () {
+  "use strict";
+
+  const ns = (window.__byokCfgPanel = window.__byokCfgPanel || {});
+  const { normalizeStr, escapeHtml } = ns;
+
+  function fmtInt(v) {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.floor(n).toLocaleString("en-US") : "0";
+  }
+
+  function fmtUsd(v) {
+    const n = Number(v);
+    if (!Number.isFinite(n) || n <= 0) return "-";
+    return n < 0.01 ? `$${n.toFixed(4)}` : `$${n.toFixed(2)}`;
+  }
+
+  function rowCells(t) {
+    return [
+      fmtInt(t.requests),
+      fmtInt(t.inputTokens),
+      fmtInt(t.outputTokens),
+      fmtInt(t.cacheReadInputTokens),
+      fmtInt(t.cacheCreationInputTokens),
+      fmtUsd(t.costUsd)
+    ]
+      .map((s) => `<td class="text-mono">${escapeHtml(s)}</td>`)
+      .join("");
+  }
+
+  function tableHtml(firstLabel, rows) {
+    const head = [firstLabel, "requests", "input", "output", "cache read", "cache write", "cost"].map((s) => `<th>${escapeHtml(s)}</th>`).join("");
+    return `<table class="usage-table"><thead><tr>${head}</tr></thead><tbody>${rows.join("")}</tbody></table>`;
+  }
+
+  ns.renderUsagePanel = function renderUsagePanel({ usage } = {}) {
+    const u = usage && typeof usage === "object" ? usage : null;
+    const totals = u && u.totals && typeof u.totals === "object" ? u.totals : {};
+    const byDay = u && Array.isArray(u.byDay) ? u.byDay : [];
+    const byProviderModel = u && Array.isArray(u.byProviderModel) ? u.byProviderModel : [];
+    const hasData = byDay.length > 0;
+
+    const body = !u
+      ? `<div class="text-muted text-xs">Loading...</div>`
+      : !hasData
+        ? `<div class="text-muted text-xs">(no usage recorded yet)</div>`
+        : `
+          ${tableHtml("total", [`<tr><td>all</td>${rowCells(totals)}</tr>`])}
+          <div style="height:10px;"></div>
+          ${tableHtml(
+            "provider / model",
+            byProviderModel.map((r) => `<tr><td class="text-mono">${escapeHtml(`${normalizeStr(r.providerId)}/${normalizeStr(r.model) || "?"}`)}</td>${rowCells(r)}</tr>`)
+          )}
+          <div style="height:10px;"></div>
+          <details class="endpoint-group">
+            <summary class="endpoint-group-summary"><span>Daily</span><span class="badge">${escapeHtml(String(byDay.length))} days</span></summary>
+            <div class="endpoint-group-body">
+              ${tableHtml("day", byDay.map((r) => `<tr><td class="text-mono">${escapeHtml(normalizeStr(r.day))}</td>${rowCells(r)}</tr>`))}
+            </div>
+          </details>
+        `;
+
+    return `
+      <section class="settings-panel">
+        <header class="settings-panel__header">
+          <div class="flex-row flex-wrap">
+            <span>Usage</span>
+            ${hasData ? `<span class="status-badge">${escapeHtml(fmtUsd(totals.costUsd))}</span>` : ""}
+          </div>
+          <div class="flex-row flex-wrap">
+            <button class="btn btn--small" data-action="refreshUsage">刷新</button>
+            <button class="btn btn--small" data-action="exportUsageCsv" ${hasData ? "" : "disabled"}>导出 CSV</button>
+            <button class="btn btn--small" data-action="clearUsage" ${hasData ? "" : "disabled"}>清空</button>
+          </div>
+        </header>
+        <div class="settings-panel__body">
+          <div class="text-muted text-xs">按 provider / model / endpoint / 天累计上游返回的 TOKEN_USAGE；费用按 providers[].pricing（USD / 1M tokens）在记录时计算。</div>
+          <div style="height:10px;"></div>
+          ${body}
+        </div>
+      </section>
+    `;
+  };
+
+  ns.handleUsageAction = function handleUsageAction({ action, postToExtension, setUiState } = {}) {
+    const a = normalizeStr(action);
+    if (a !== "refreshUsage" && a !== "exportUsageCsv" && a !== "clearUsage") return false;
+    if (typeof postToExtension !== "function" || typeof setUiState !== "function") return false;
+    postToExtension({ type: a });
+    const status = a === "refreshUsage" ? "Refreshing usage..." : a === "exportUsageCsv" ? "Exporting usage..." : "Clearing usage...";
+    setUiState({ status }, { preserveEdits: true });
+    return true;
+  };
+})();
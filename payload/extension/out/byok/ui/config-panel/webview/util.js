@@ -8,7 +8,11 @@
     "openai_compatible",
     "openai_responses",
     "anthropic",
-    "gemini_ai_studio"
+    "gemini_ai_studio",
+    "ollama",
+    "bedrock",
+    "gemini_vertex",
+    "azure_openai"
     /* END GENERATED: KNOWN_PROVIDER_TYPES */
   ];
   ns.KNOWN_PROVIDER_TYPES = Object.freeze(KNOWN_PROVIDER_TYPES.slice());
@@ -17,7 +21,11 @@
     openai_compatible: "https://api.openai.com/v1",
     openai_responses: "https://api.openai.com/v1",
     anthropic: "https://api.anthropic.com/v1",
-    gemini_ai_studio: "https://generativelanguage.googleapis.com/v1beta"
+    gemini_ai_studio: "https://generativelanguage.googleapis.com/v1beta",
+    ollama: "http://127.0.0.1:11434",
+    bedrock: "https://bedrock-runtime.us-east-1.amazonaws.com",
+    gemini_vertex: "https://us-central1-aiplatform.googleapis.com/v1",
+    azure_openai: "https://<resource>.openai.azure.com"
   };
   ns.DEFAULT_BASE_URL_BY_PROVIDER_TYPE = Object.freeze({ ...DEFAULT_BASE_URL_BY_PROVIDER_TYPE });
 
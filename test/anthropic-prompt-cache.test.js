@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  resolveAnthropicPromptCacheControl,
+  applyAnthropicPromptCaching,
+  withAnthropicPromptCacheBetaHeader
+} = require("../payload/extension/out/byok/providers/anthropic/prompt-cache");
+const { anthropicChatStreamChunks } = require("../payload/extension/out/byok/providers/anthropic");
+
+function sseResponse(events) {
+  const text = events.map((e) => `event: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`).join("");
+  return new Response(text, { status: 200, headers: { "content-type": "text/event-stream" } });
+}
+
+async function withStubFetch(impl, fn) {
+  const orig = globalThis.fetch;
+  globalThis.fetch = impl;
+  try {
+    return await fn();
+  } finally {
+    globalThis.fetch = orig;
+  }
+}
+
+test("resolveAnthropicPromptCacheControl: opt-in only", () => {
+  assert.equal(resolveAnthropicPromptCacheControl({}), null);
+  assert.equal(resolveAnthropicPromptCacheControl({ __byok_prompt_cache: false }), null);
+  assert.equal(resolveAnthropicPromptCacheControl(null), null);
+  assert.deepEqual(resolveAnthropicPromptCacheControl({ __byok_prompt_cache: true }), { type: "ephemeral" });
+  assert.deepEqual(resolveAnthropicPromptCacheControl({ __byok_prompt_cache: "1h" }), { type: "ephemeral", ttl: "1h" });
+  assert.deepEqual(resolveAnthropicPromptCacheControl({ __byok_prompt_cache: " 5M " }), { type: "ephemeral", ttl: "5m" });
+});
+
+test("withAnthropicPromptCacheBetaHeader: 1h ttl adds the extended-cache-ttl beta and merges existing betas", () => {
+  const base = { "x-api-key": "k" };
+  assert.equal(withAnthropicPromptCacheBetaHeader(base, { type: "ephemeral" }), base);
+  assert.equal(withAnthropicPromptCacheBetaHeader(base, { type: "ephemeral", ttl: "5m" }), base);
+  assert.equal(withAnthropicPromptCacheBetaHeader(base, null), base);
+  assert.deepEqual(withAnthropicPromptCacheBetaHeader(base, { type: "ephemeral", ttl: "1h" }), { "x-api-key": "k", "anthropic-beta": "extended-cache-ttl-2025-04-11" });
+  assert.deepEqual(withAnthropicPromptCacheBetaHeader({ "Anthropic-Beta": "context-1m-2025-08-07" }, { type: "ephemeral", ttl: "1h" }), {
+    "Anthropic-Beta": "context-1m-2025-08-07,extended-cache-ttl-2025-04-11"
+  });
+  const already = { "anthropic-beta": "extended-cache-ttl-2025-04-11" };
+  assert.deepEqual(withAnthropicPromptCacheBetaHeader(already, { type: "ephemeral", ttl: "1h" }), already);
+});
+
+test("applyAnthropicPromptCaching: marks system / last tool / last stable history turn", () => {
+  const cc = { type: "ephemeral" };
+  const body = {
+    system: "you are helpful",
+    tools: [{ name: "a" }, { name: "b" }],
+    messages: [
+      { role: "user", content: "hi" },
+      { role: "assistant", content: [{ type: "text", text: "ok" }, { type: "tool_use", id: "t1", name: "a", input: {} }] },
+      { role: "user", content: [{ type: "tool_result", tool_use_id: "t1", content: "done" }] }
+    ]
+  };
+  const report = applyAnthropicPromptCaching(body, cc);
+  assert.deepEqual(report, { system: true, tools: true, history: true });
+  assert.deepEqual(body.system, [{ type: "text", text: "you are helpful", cache_control: cc }]);
+  assert.equal(body.tools[0].cache_control, undefined);
+  assert.deepEqual(body.tools[1].cache_control, cc);
+  assert.deepEqual(body.messages[1].content[1].cache_control, cc);
+  assert.equal(body.messages[1].content[0].cache_control, undefined);
+  // 当前轮（最后一条）不打断点：它每轮都会变化
+  assert.equal(body.messages[2].content[0].cache_control, undefined);
+});
+
+test("applyAnthropicPromptCaching: skips thinking blocks and single-message requests", () => {
+  const cc = { type: "ephemeral" };
+  const body = {
+    messages: [
+      { role: "user", content: "q1" },
+      { role: "assistant", content: [{ type: "text", text: "a1" }, { type: "thinking", thinking: "...", signature: "s" }] },
+      { role: "user", content: "q2" }
+    ]
+  };
+  applyAnthropicPromptCaching(body, cc);
+  assert.deepEqual(body.messages[1].content[0].cache_control, cc);
+  assert.equal(body.messages[1].content[1].cache_control, undefined);
+
+  const single = { messages: [{ role: "user", content: "only" }] };
+  assert.deepEqual(applyAnthropicPromptCaching(single, cc), { system: false, tools: false, history: false });
+  assert.equal(single.messages[0].content, "only");
+});
+
+test("anthropicChatStreamChunks: sends cache_control and reports cache tokens in TOKEN_USAGE", async () => {
+  let sentBody = null;
+  let sentHeaders = null;
+  const chunks = await withStubFetch(
+    async (_url, init) => {
+      sentBody = JSON.parse(init.body);
+      sentHeaders = new Headers(init.headers);
+      return sseResponse([
+        { type: "message_start", message: { usage: { input_tokens: 12, cache_read_input_tokens: 900, cache_creation_input_tokens: 40, output_tokens: 1 } } },
+        { type: "content_block_start", index: 0, content_block: { type: "text", text: "" } },
+        { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "hello" } },
+        { type: "content_block_stop", index: 0 },
+        { type: "message_delta", delta: { stop_reason: "end_turn" }, usage: { output_tokens: 5 } },
+        { type: "message_stop" }
+      ]);
+    },
+    async () => {
+      const out = [];
+      for await (const c of anthropicChatStreamChunks({
+        baseUrl: "https://api.anthropic.com/v1",
+        apiKey: "sk-ant-test",
+        model: "claude-test",
+        system: "sys",
+        messages: [
+          { role: "user", content: "q1" },
+          { role: "assistant", content: "a1" },
+          { role: "user", content: "q2" }
+        ],
+        tools: [],
+        timeoutMs: 5000,
+        requestDefaults: { max_tokens: 64, __byok_prompt_cache: "1h" }
+      })) {
+        out.push(c);
+      }
+      return out;
+    }
+  );
+
+  assert.equal(Object.prototype.hasOwnProperty.call(sentBody, "__byok_prompt_cache"), false);
+  assert.deepEqual(sentBody.system[0].cache_control, { type: "ephemeral", ttl: "1h" });
+  assert.deepEqual(sentBody.messages[1].content[0].cache_control, { type: "ephemeral", ttl: "1h" });
+  assert.equal(sentHeaders.get("anthropic-beta"), "extended-cache-ttl-2025-04-11");
+
+  const usage = chunks.flatMap((c) => (Array.isArray(c.nodes) ? c.nodes : [])).find((n) => n && n.token_usage);
+  assert.ok(usage);
+  assert.equal(usage.token_usage.cache_read_input_tokens, 900);
+  assert.equal(usage.token_usage.cache_creation_input_tokens, 40);
+  assert.equal(usage.token_usage.output_tokens, 5);
+});
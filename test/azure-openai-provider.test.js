@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const { normalizeAzureEndpoint, resolveAzureTarget, azureAuthHeaders } = require("../payload/extension/out/byok/providers/azure/request");
+const { fetchProviderModels } = require("../payload/extension/out/byok/providers/models");
+const { convertToolDefinitionsByProviderType, streamAugmentChatChunksByProviderType } = require("../payload/extension/out/byok/core/provider-augment-chat");
+const { completeTextByProviderType } = require("../payload/extension/out/byok/core/provider-text");
+const { RESPONSE_NODE_TOOL_USE, STOP_REASON_TOOL_USE_REQUESTED } = require("../payload/extension/out/byok/core/augment-protocol");
+
+async function withAzure(handler, fn) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+      handler({ path: req.url, body }, res);
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const { port } = server.address();
+  try {
+    return await fn(`http://127.0.0.1:${port}`, requests);
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+}
+
+function writeSse(res, events) {
+  res.writeHead(200, { "content-type": "text/event-stream" });
+  for (const [event, data] of events) res.write(`${event ? `event: ${event}\n` : ""}data: ${typeof data === "string" ? data : JSON.stringify(data)}\n\n`);
+  res.end();
+}
+
+test("azure_openai: endpoint, deployment, api-version and auth resolution", () => {
+  assert.equal(normalizeAzureEndpoint("https://r1.openai.azure.com/"), "https://r1.openai.azure.com");
+  assert.equal(normalizeAzureEndpoint("https://r1.openai.azure.com/openai/deployments/x/chat/completions?api-version=2024-10-21"), "https://r1.openai.azure.com");
+
+  const chat = resolveAzureTarget({
+    baseUrl: "https://r1.openai.azure.com",
+    apiKey: "k1",
+    model: "gpt-4o",
+    requestDefaults: { __byok_azure_deployments: { "gpt-4o": "prod 4o" }, __byok_azure_api_version: "2024-06-01" }
+  });
+  assert.equal(chat.api, "chat");
+  assert.equal(chat.deployment, "prod 4o");
+  assert.equal(chat.url, "https://r1.openai.azure.com/openai/deployments/prod%204o/chat/completions?api-version=2024-06-01");
+  assert.deepEqual(chat.authHeaders, { "api-key": "k1" });
+
+  const resp = resolveAzureTarget({ baseUrl: "https://r1.openai.azure.com", apiKey: "k1", model: "o4-mini", requestDefaults: { __byok_azure_api: "responses" } });
+  assert.equal(resp.url, "https://r1.openai.azure.com/openai/responses?api-version=2025-04-01-preview");
+  assert.equal(resp.deployment, "o4-mini");
+  assert.throws(() => resolveAzureTarget({ baseUrl: "https://r1.openai.azure.com", apiKey: "k1", model: "m", requestDefaults: { __byok_azure_api: "completions" } }), /__byok_azure_api/);
+
+  assert.deepEqual(azureAuthHeaders("Bearer entra-token", {}), { authorization: "Bearer entra-token" });
+  assert.deepEqual(azureAuthHeaders("", { "Api-Key": "from-headers" }), {});
+  assert.throws(() => azureAuthHeaders("", {}), /apiKey 未配置/);
+
+  const toolDefs = [{ name: "view", description: "read", input_schema: { type: "object" } }];
+  assert.equal(convertToolDefinitionsByProviderType("azure_openai", toolDefs, "gpt-4o")[0].function.name, "view");
+  assert.equal(convertToolDefinitionsByProviderType("azure_openai", toolDefs, "gpt-4o", { __byok_azure_api: "responses" })[0].name, "view");
+});
+
+test("azure_openai: chat stream hits the deployment URL with api-key auth and parses tool calls", async () => {
+  await withAzure(
+    (_req, res) =>
+      writeSse(res, [
+        ["", { choices: [{ index: 0, delta: { role: "assistant", content: "ok" } }] }],
+        ["", { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: "call_1", type: "function", function: { name: "view", arguments: "{\"path\":\"a.js\"}" } }] } }] }],
+        ["", { choices: [{ index: 0, delta: {}, finish_reason: "tool_calls" }] }],
+        ["", "[DONE]"]
+      ]),
+    async (origin, requests) => {
+      const chunks = [];
+      for await (const c of streamAugmentChatChunksByProviderType({
+        type: "azure_openai",
+        baseUrl: origin,
+        apiKey: "azure-key",
+        model: "gpt-4o",
+        req: { message: "hi", chat_history: [], tool_definitions: [{ name: "view", description: "read", input_schema: { type: "object" } }] },
+        requestDefaults: { __byok_azure_deployments: { "gpt-4o": "my-4o" }, max_tokens: 64 },
+        timeoutMs: 5000
+      }))
+        chunks.push(c);
+
+      const call = requests[0];
+      assert.equal(call.path, "/openai/deployments/my-4o/chat/completions?api-version=2024-10-21");
+      assert.equal(call.headers["api-key"], "azure-key");
+      assert.equal(call.headers.authorization, undefined);
+      assert.equal(call.body.stream, true);
+      assert.equal("__byok_azure_deployments" in call.body, false);
+      assert.equal(call.body.tools[0].function.name, "view");
+
+      const tool = chunks.flatMap((c) => c.nodes || []).find((n) => n.type === RESPONSE_NODE_TOOL_USE)?.tool_use;
+      assert.deepEqual(JSON.parse(tool.input_json), { path: "a.js" });
+      assert.equal(chunks[chunks.length - 1].stop_reason, STOP_REASON_TOOL_USE_REQUESTED);
+    }
+  );
+});
+
+test("azure_openai: Responses API uses /openai/responses with the deployment as model", async () => {
+  await withAzure(
+    (_req, res) => {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ output: [{ type: "message", role: "assistant", content: [{ type: "output_text", text: "summary" }] }] }));
+    },
+    async (origin, requests) => {
+      const text = await completeTextByProviderType({
+        type: "azure_openai",
+        baseUrl: `${origin}/openai`,
+        apiKey: "azure-key",
+        model: "gpt-5",
+        system: "sys",
+        messages: [{ role: "user", content: "hi" }],
+        requestDefaults: { __byok_azure_api: "responses", __byok_azure_deployments: { "gpt-5": "gpt5-east" }, __byok_azure_responses_api_version: "preview" },
+        timeoutMs: 5000
+      });
+      assert.equal(text, "summary");
+      assert.equal(requests[0].path, "/openai/responses?api-version=preview");
+      assert.equal(requests[0].body.model, "gpt5-east");
+      assert.equal(requests[0].body.instructions, "sys");
+      assert.equal(requests[0].headers["api-key"], "azure-key");
+    }
+  );
+});
+
+test("azure_openai: model listing goes through the deployments API", async () => {
+  await withAzure(
+    (_req, res) => {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ object: "list", data: [{ id: "my-4o", model: "gpt-4o" }, { id: "gpt5-east", model: "gpt-5" }] }));
+    },
+    async (origin, requests) => {
+      const models = await fetchProviderModels({ provider: { type: "azure_openai", baseUrl: origin, apiKey: "azure-key" }, timeoutMs: 5000 });
+      assert.deepEqual(models, ["my-4o", "gpt5-east"]);
+      assert.equal(requests[0].path, "/openai/deployments?api-version=2022-12-01");
+      assert.equal(requests[0].headers["api-key"], "azure-key");
+    }
+  );
+});
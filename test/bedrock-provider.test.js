@@ -0,0 +1,244 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const { signAwsRequest } = require("../payload/extension/out/byok/providers/bedrock/sigv4");
+const { crc32, decodeEventStreamMessage, readEventStreamMessages, encodeEventStreamMessage } = require("../payload/extension/out/byok/providers/bedrock/event-stream");
+const { acquireProviderSlot, resetProviderLimiters } = require("../payload/extension/out/byok/providers/rate-limiter");
+const { runWithProviderFailover } = require("../payload/extension/out/byok/core/provider-failover");
+const { fetchOkWithRetry } = require("../payload/extension/out/byok/providers/request-util");
+const { toBedrockMessages, normalizeBedrockRequestDefaults } = require("../payload/extension/out/byok/providers/bedrock/converse");
+const { parseBedrockCredentials, resolveBedrockRegion } = require("../payload/extension/out/byok/providers/bedrock/request");
+const { bedrockChatStreamChunks, bedrockCompleteText } = require("../payload/extension/out/byok/providers/bedrock");
+const { convertBedrockTools } = require("../payload/extension/out/byok/core/augment-chat");
+const {
+  RESPONSE_NODE_TOOL_USE,
+  RESPONSE_NODE_THINKING,
+  RESPONSE_NODE_TOKEN_USAGE,
+  STOP_REASON_SAFETY,
+  STOP_REASON_TOOL_USE_REQUESTED
+} = require("../payload/extension/out/byok/core/augment-protocol");
+
+async function withBedrock(handler, fn) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+      handler({ path: req.url, body }, res);
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const { port } = server.address();
+  try {
+    return await fn(`http://127.0.0.1:${port}`, requests);
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+}
+
+function writeEventStream(res, events) {
+  res.writeHead(200, { "content-type": "application/vnd.amazon.eventstream" });
+  for (const [type, payload] of events) {
+    const headers = type === "exception" ? { ":message-type": "exception", ":exception-type": payload.__type } : { ":message-type": "event", ":event-type": type, ":content-type": "application/json" };
+    // 拆成两半写出，覆盖跨 chunk 的帧重组
+    const frame = encodeEventStreamMessage(headers, JSON.stringify(payload));
+    res.write(frame.subarray(0, 7));
+    res.write(frame.subarray(7));
+  }
+  res.end();
+}
+
+test("bedrock: SigV4 matches the AWS get-vanilla test vector", () => {
+  const out = signAwsRequest({
+    method: "GET",
+    url: "https://example.amazonaws.com/",
+    headers: {},
+    body: "",
+    region: "us-east-1",
+    service: "service",
+    credentials: { accessKeyId: "AKIDEXAMPLE", secretAccessKey: "wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY" },
+    now: Date.UTC(2015, 7, 30, 12, 36, 0)
+  });
+  assert.equal(out["x-amz-date"], "20150830T123600Z");
+  assert.equal(
+    out.authorization,
+    "AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, SignedHeaders=host;x-amz-date, Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31"
+  );
+});
+
+test("bedrock: event-stream frames round-trip with CRC checks; credentials and region parsing", () => {
+  assert.equal(crc32(new TextEncoder().encode("123456789")).toString(16), "cbf43926");
+  const frame = encodeEventStreamMessage({ ":event-type": "messageStop" }, "{\"stopReason\":\"end_turn\"}");
+  const { headers, payload } = decodeEventStreamMessage(frame);
+  assert.equal(headers[":event-type"], "messageStop");
+  assert.equal(new TextDecoder().decode(payload), "{\"stopReason\":\"end_turn\"}");
+  frame[frame.length - 6] ^= 1;
+  assert.throws(() => decodeEventStreamMessage(frame), /CRC/);
+
+  assert.deepEqual(parseBedrockCredentials("AKID:SECRET:TOKEN"), { accessKeyId: "AKID", secretAccessKey: "SECRET", sessionToken: "TOKEN" });
+  assert.deepEqual(parseBedrockCredentials("ABSKbase64token"), { bearerToken: "ABSKbase64token" });
+  assert.equal(resolveBedrockRegion("https://bedrock-runtime.eu-central-1.amazonaws.com"), "eu-central-1");
+  assert.equal(resolveBedrockRegion("https://vpce-1.bedrock-runtime.us-west-2.vpce.amazonaws.com"), "us-west-2");
+  assert.equal(resolveBedrockRegion("http://127.0.0.1:8080", { __byok_aws_region: "ap-northeast-1" }), "ap-northeast-1");
+});
+
+test("bedrock: event-stream reader reassembles byte-split frames and frees the slot on early break", async () => {
+  const frames = [encodeEventStreamMessage({ ":event-type": "a" }, "{\"n\":1}"), encodeEventStreamMessage({ ":event-type": "b" }, "{\"n\":2}")];
+  const bytes = Buffer.concat(frames);
+  const split = new ReadableStream({
+    start(controller) {
+      for (const b of bytes) controller.enqueue(Uint8Array.of(b));
+      controller.close();
+    }
+  });
+  const seen = [];
+  for await (const m of readEventStreamMessages(split)) seen.push([m.headers[":event-type"], JSON.parse(Buffer.from(m.payload).toString("utf8")).n]);
+  assert.deepEqual(seen, [["a", 1], ["b", 2]]);
+
+  resetProviderLimiters();
+  const server = http.createServer((_req, res) => {
+    res.writeHead(200, { "content-type": "application/vnd.amazon.eventstream" });
+    res.write(frames[0]);
+    // 不结束响应：只有客户端取消才会释放
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const provider = { id: "bedrock-early", type: "bedrock", limits: { maxConcurrent: 1 } };
+  try {
+    const resp = await runWithProviderFailover({
+      candidates: [{ provider, model: "m" }],
+      endpoint: "/chat-stream",
+      run: async () => await fetchOkWithRetry(`http://127.0.0.1:${server.address().port}/x`, { method: "POST", body: "{}" }, { timeoutMs: 5000, label: "t" })
+    });
+    for await (const m of readEventStreamMessages(resp.body)) {
+      assert.equal(m.headers[":event-type"], "a");
+      break;
+    }
+    const release = await acquireProviderSlot(provider, { timeoutMs: 500, label: "probe" });
+    release();
+  } finally {
+    server.closeAllConnections();
+    await new Promise((r) => server.close(r));
+  }
+});
+
+test("bedrock: converts Anthropic messages to Converse blocks and repairs tool pairing", () => {
+  const msgs = toBedrockMessages([
+    { role: "assistant", content: [{ type: "text", text: "prefill" }] },
+    { role: "user", content: [{ type: "text", text: "look" }, { type: "image", source: { type: "base64", media_type: "image/jpeg", data: "AAAA" } }] },
+    { role: "assistant", content: [{ type: "tool_use", id: "t1", name: "view", input: { path: "a.js" } }] },
+    { role: "user", content: [{ type: "text", text: "no result given" }] }
+  ]);
+  assert.deepEqual(msgs[0], { role: "user", content: [{ text: "-" }] });
+  assert.deepEqual(msgs[2].content[1], { image: { format: "jpeg", source: { bytes: "AAAA" } } });
+  assert.deepEqual(msgs[3].content, [{ toolUse: { toolUseId: "t1", name: "view", input: { path: "a.js" } } }]);
+  const result = msgs[4].content.find((b) => b.toolResult)?.toolResult;
+  assert.equal(result?.toolUseId, "t1", "missing tool_result is injected by tool-pairing");
+
+  const flat = toBedrockMessages(
+    [
+      { role: "user", content: "go" },
+      { role: "assistant", content: [{ type: "tool_use", id: "x", name: "view", input: {} }] },
+      { role: "user", content: [{ type: "tool_result", tool_use_id: "x", content: "out" }] }
+    ],
+    { withTools: false }
+  );
+  assert.deepEqual(flat.slice(1), [
+    { role: "assistant", content: [{ text: "[tool_use view] {}" }] },
+    { role: "user", content: [{ text: "[tool_result x]\nout" }] }
+  ]);
+
+  assert.deepEqual(normalizeBedrockRequestDefaults({ max_tokens: 512, temperature: 0.3, top_k: 40, __byok_aws_region: "us-east-1", stream: true }), {
+    inferenceConfig: { maxTokens: 512, temperature: 0.3 },
+    additionalModelRequestFields: { top_k: 40 }
+  });
+});
+
+test("bedrock: ConverseStream yields text, reasoning, tool use, usage and stop reason (SigV4 signed)", async () => {
+  await withBedrock(
+    (_req, res) =>
+      writeEventStream(res, [
+        ["messageStart", { role: "assistant" }],
+        ["contentBlockDelta", { contentBlockIndex: 0, delta: { reasoningContent: { text: "hmm" } } }],
+        ["contentBlockDelta", { contentBlockIndex: 1, delta: { text: "Hel" } }],
+        ["contentBlockDelta", { contentBlockIndex: 1, delta: { text: "lo" } }],
+        ["contentBlockStart", { contentBlockIndex: 2, start: { toolUse: { toolUseId: "tu_1", name: "view" } } }],
+        ["contentBlockDelta", { contentBlockIndex: 2, delta: { toolUse: { input: "{\"path\":" } } }],
+        ["contentBlockDelta", { contentBlockIndex: 2, delta: { toolUse: { input: "\"a.js\"}" } } }],
+        ["contentBlockStop", { contentBlockIndex: 2 }],
+        ["messageStop", { stopReason: "tool_use" }],
+        ["metadata", { usage: { inputTokens: 40, outputTokens: 9, cacheReadInputTokens: 100 } }]
+      ]),
+    async (origin, requests) => {
+      const tools = convertBedrockTools([{ name: "view", description: "read", input_schema_json: "{\"type\":\"object\"}" }]);
+      const chunks = [];
+      for await (const c of bedrockChatStreamChunks({
+        baseUrl: origin,
+        apiKey: "AKIDEXAMPLE:secret",
+        model: "us.anthropic.claude-sonnet-4-v1:0",
+        system: "be brief",
+        messages: [{ role: "user", content: "hi" }],
+        tools,
+        requestDefaults: { __byok_aws_region: "us-east-1", max_tokens: 256 },
+        timeoutMs: 5000
+      }))
+        chunks.push(c);
+
+      const req = requests[0];
+      assert.equal(req.path, "/model/us.anthropic.claude-sonnet-4-v1%3A0/converse-stream");
+      assert.match(req.headers.authorization, /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/us-east-1\/bedrock\/aws4_request/);
+      assert.deepEqual(req.body.system, [{ text: "be brief" }]);
+      assert.deepEqual(req.body.inferenceConfig, { maxTokens: 256 });
+      assert.equal(req.body.toolConfig.tools[0].toolSpec.name, "view");
+      assert.deepEqual(req.body.toolConfig.tools[0].toolSpec.inputSchema, { json: { type: "object" } });
+
+      const nodes = chunks.flatMap((c) => c.nodes || []);
+      assert.equal(chunks.map((c) => c.text || "").join(""), "Hello");
+      assert.equal(nodes.find((n) => n.type === RESPONSE_NODE_THINKING)?.thinking?.summary, "hmm");
+      const tool = nodes.find((n) => n.type === RESPONSE_NODE_TOOL_USE)?.tool_use;
+      assert.equal(tool?.tool_use_id, "tu_1");
+      assert.deepEqual(JSON.parse(tool.input_json), { path: "a.js" });
+      const usage = nodes.find((n) => n.type === RESPONSE_NODE_TOKEN_USAGE)?.token_usage;
+      assert.equal(usage?.input_tokens, 40);
+      assert.equal(usage?.cache_read_input_tokens, 100);
+      assert.equal(chunks[chunks.length - 1].stop_reason, STOP_REASON_TOOL_USE_REQUESTED);
+    }
+  );
+});
+
+test("bedrock: guardrails map to safety; exception frames and non-stream completion", async () => {
+  let mode = "guardrail";
+  await withBedrock(
+    (req, res) => {
+      if (req.path.endsWith("/converse")) {
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ output: { message: { role: "assistant", content: [{ text: "full answer" }] } }, stopReason: "end_turn" }));
+        return;
+      }
+      if (mode === "exception") {
+        writeEventStream(res, [["contentBlockDelta", { contentBlockIndex: 0, delta: { text: "x" } }], ["exception", { __type: "throttlingException", message: "slow down" }]]);
+        return;
+      }
+      writeEventStream(res, [["contentBlockDelta", { contentBlockIndex: 0, delta: { text: "no" } }], ["messageStop", { stopReason: "guardrail_intervened" }]]);
+    },
+    async (origin, requests) => {
+      const args = { baseUrl: origin, apiKey: "bedrock-api-key", model: "amazon.nova-pro-v1:0", system: "", messages: [{ role: "user", content: "hi" }], timeoutMs: 5000 };
+      const chunks = [];
+      for await (const c of bedrockChatStreamChunks(args)) chunks.push(c);
+      assert.equal(chunks[chunks.length - 1].stop_reason, STOP_REASON_SAFETY);
+      assert.equal(requests[0].headers.authorization, "Bearer bedrock-api-key");
+
+      assert.equal(await bedrockCompleteText(args), "full answer");
+
+      mode = "exception";
+      await assert.rejects(async () => {
+        for await (const _c of bedrockChatStreamChunks(args)) void _c;
+      }, /throttlingException: slow down/);
+
+      await assert.rejects(async () => await bedrockCompleteText({ ...args, apiKey: "" }), /未配置凭证/);
+    }
+  );
+});
@@ -0,0 +1,195 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { listExceededBudgets, applyBudgetGuard, formatBudgetBlockedMessage } = require("../payload/extension/out/byok/core/budget-guard");
+const { setUsageLedgerStorage, recordUsage, sumUsageCostUsd, clearUsageLedger } = require("../payload/extension/out/byok/core/usage-ledger/store");
+const { normalizeConfig } = require("../payload/extension/out/byok/config/normalize-config");
+
+const pricey = { id: "pricey", type: "anthropic", defaultModel: "big" };
+const cheap = { id: "cheap", type: "openai_compatible", defaultModel: "small" };
+
+function makeSpend(table) {
+  return ({ providerId, period }) => Number(table[`${providerId || "*"}:${period}`]) || 0;
+}
+
+function byokRoute(extra) {
+  return { mode: "byok", endpoint: "/chat-stream", reason: "rule", provider: pricey, model: "big", fallbacks: [], ...extra };
+}
+
+test("budget guard: lists overall and per-provider limits that are reached", () => {
+  const budgets = { dailyUsd: 5, monthlyUsd: 100, providers: { pricey: { dailyUsd: 1 } } };
+  const out = listExceededBudgets(budgets, { providerId: "pricey", spend: makeSpend({ "*:daily": 2, "*:monthly": 100, "pricey:daily": 1.5 }) });
+  assert.deepEqual(
+    out.map((e) => `${e.scope}:${e.period}`),
+    ["overall:monthly", "provider:daily"]
+  );
+  assert.equal(out[1].spentUsd, 1.5);
+});
+
+test("budget guard: blocks when exceeded and leaves exempt/non-byok routes alone", () => {
+  const cfg = { providers: [pricey, cheap], budgets: { dailyUsd: 1 } };
+  const spend = makeSpend({ "*:daily": 3 });
+
+  const blocked = applyBudgetGuard({ cfg, route: byokRoute({ fallbacks: [{ provider: cheap, model: "small" }] }), spend });
+  assert.equal(blocked.mode, "blocked");
+  assert.equal(blocked.reason, "budget");
+  assert.deepEqual(blocked.fallbacks, []);
+  assert.match(formatBudgetBlockedMessage(blocked), /\$3\.00 \/ \$1\.00/);
+
+  const models = byokRoute({ endpoint: "/get-models" });
+  assert.equal(applyBudgetGuard({ cfg, route: models, spend }), models);
+  const official = { mode: "official", endpoint: "/chat-stream", reason: "rule" };
+  assert.equal(applyBudgetGuard({ cfg, route: official, spend }), official);
+  const within = byokRoute();
+  assert.equal(applyBudgetGuard({ cfg, route: within, spend: makeSpend({ "*:daily": 0.5 }) }), within);
+});
+
+test("budget guard: downgrades provider-scoped overages unless the target or a global limit is over budget", () => {
+  const budgets = { providers: { pricey: { monthlyUsd: 10 } }, onExceeded: "downgrade", downgrade: { providerId: "cheap" } };
+  const cfg = { providers: [pricey, cheap], budgets };
+
+  const r = applyBudgetGuard({ cfg, route: byokRoute(), spend: makeSpend({ "pricey:monthly": 12 }) });
+  assert.equal(r.mode, "byok");
+  assert.equal(r.reason, "budget_downgrade");
+  assert.equal(r.provider, cheap);
+  assert.equal(r.model, "small");
+
+  const cfg2 = { ...cfg, budgets: { ...budgets, providers: { ...budgets.providers, cheap: { dailyUsd: 1 } } } };
+  const r2 = applyBudgetGuard({ cfg: cfg2, route: byokRoute(), spend: makeSpend({ "pricey:monthly": 12, "cheap:daily": 1 }) });
+  assert.equal(r2.mode, "blocked");
+
+  // 全局额度超限：换 provider 也无济于事，直接拒绝
+  const cfg3 = { ...cfg, budgets: { ...budgets, dailyUsd: 5 } };
+  const r3 = applyBudgetGuard({ cfg: cfg3, route: byokRoute(), spend: makeSpend({ "*:daily": 6 }) });
+  assert.equal(r3.mode, "blocked");
+  assert.match(r3.budgetExceeded, /全部 provider/);
+  const r4 = applyBudgetGuard({ cfg: cfg3, route: byokRoute(), spend: makeSpend({ "*:daily": 6, "pricey:monthly": 12 }) });
+  assert.equal(r4.mode, "blocked", "a provider overage does not unlock downgrade while the global limit is also hit");
+});
+
+test("budget guard: drops over-budget providers from the failover chain", () => {
+  const other = { id: "other", type: "gemini_ai_studio", defaultModel: "g" };
+  const cfg = { providers: [pricey, cheap, other], budgets: { providers: { cheap: { dailyUsd: 1 } } } };
+  const route = byokRoute({ fallbacks: [{ provider: cheap, model: "small" }, { provider: other, model: "g" }] });
+  const r = applyBudgetGuard({ cfg, route, spend: makeSpend({ "cheap:daily": 2 }) });
+  assert.equal(r.mode, "byok");
+  assert.deepEqual(r.fallbacks.map((f) => f.provider.id), ["other"]);
+});
+
+test("budget guard: usage ledger sums cost per day and month", async () => {
+  const store = new Map();
+  setUsageLedgerStorage({ get: (k) => store.get(k), update: async (k, v) => void store.set(k, v) });
+  const provider = { id: "p", pricing: { input: 1, output: 0 } };
+  const day1 = new Date(2026, 2, 1, 12).getTime();
+  const day2 = new Date(2026, 2, 2, 12).getTime();
+  await recordUsage({ provider, model: "m", endpoint: "/chat-stream", usage: { input_tokens: 1000000 }, now: day1 });
+  await recordUsage({ provider, model: "m", endpoint: "/chat-stream", usage: { input_tokens: 2000000 }, now: day2 });
+  await recordUsage({ provider: { id: "q", pricing: { input: 1 } }, model: "m", endpoint: "/chat-stream", usage: { input_tokens: 1000000 }, now: day2 });
+
+  assert.equal(sumUsageCostUsd({ providerId: "p", period: "daily", now: day2 }), 2);
+  assert.equal(sumUsageCostUsd({ providerId: "p", period: "monthly", now: day2 }), 3);
+  assert.equal(sumUsageCostUsd({ period: "monthly", now: day2 }), 4);
+  await clearUsageLedger();
+});
+
+test("budget guard: normalizeConfig keeps valid budgets only", () => {
+  const cfg = normalizeConfig({
+    budgets: { dailyUsd: "2", monthlyUsd: -1, providers: { a: { monthlyUsd: 20 }, b: { dailyUsd: 0 } }, onExceeded: "downgrade", downgrade: { providerId: " b ", model: "m" } }
+  });
+  assert.deepEqual(cfg.budgets, { dailyUsd: 2, providers: { a: { monthlyUsd: 20 } }, onExceeded: "downgrade", downgrade: { providerId: "b", model: "m" } });
+  assert.equal(normalizeConfig({ budgets: { onExceeded: "downgrade" } }).budgets, undefined);
+});
+
+test("budget guard: /chat spend is recorded and trips the daily limit", async () => {
+  const { createMockLlmServer } = require("../tools/mock/llm-server");
+  const { ensureConfigManager } = require("../payload/extension/out/byok/config/state");
+  const { maybeHandleCallApi } = require("../payload/extension/out/byok/runtime/shim/call-api");
+  const mock = createMockLlmServer({ defaultScript: { steps: [{ type: "text", text: "answer" }], usage: { input: 10, output: 2 } } });
+  const { origin } = await mock.listen(0);
+  const ledger = new Map();
+  setUsageLedgerStorage({ get: (k) => ledger.get(k), update: async (k, v) => void ledger.set(k, v) });
+  const store = new Map();
+  try {
+    const mgr = ensureConfigManager({ ctx: { globalState: { get: (k) => store.get(k), update: async (k, v) => void store.set(k, v) } } });
+    await mgr.saveNow(
+      {
+        providers: [{ id: "paid", type: "openai_compatible", baseUrl: `${origin}/v1`, apiKey: "k", models: ["m"], defaultModel: "m", pricing: { input: 100000, output: 0 } }],
+        routing: { rules: { "/chat": { mode: "byok", providerId: "paid", model: "m" } } },
+        budgets: { dailyUsd: 0.5 }
+      },
+      "test"
+    );
+    const chat = async () => await maybeHandleCallApi({ endpoint: "/chat", body: { message: "hi", chat_history: [] }, transform: (x) => x, timeoutMs: 5000 });
+
+    assert.equal((await chat()).text, "answer");
+    await new Promise((r) => setImmediate(r));
+    assert.ok(Math.abs(sumUsageCostUsd({ providerId: "paid", period: "daily" }) - 1) < 1e-9, "non-stream /chat usage is priced into the ledger");
+    assert.match((await chat()).text, /\$1\.00 \/ \$0\.50/);
+    assert.equal(mock.requests.length, 1, "the blocked request never reaches the provider");
+  } finally {
+    await clearUsageLedger();
+    await mock.close();
+  }
+});
+
+test("budget guard: blocked requests get an endpoint-shaped result and a throttled warning", async () => {
+  const { ensureConfigManager, state } = require("../payload/extension/out/byok/config/state");
+  const { maybeHandleCallApi } = require("../payload/extension/out/byok/runtime/shim/call-api");
+  const { maybeHandleCallApiStream } = require("../payload/extension/out/byok/runtime/shim/call-api-stream");
+  const { resetBudgetBlockedNotices } = require("../payload/extension/out/byok/runtime/shim/budget-blocked");
+  const ledger = new Map();
+  setUsageLedgerStorage({ get: (k) => ledger.get(k), update: async (k, v) => void ledger.set(k, v) });
+  const paid = { id: "paid", type: "openai_compatible", baseUrl: "http://127.0.0.1:9/v1", apiKey: "k", models: ["m"], defaultModel: "m", pricing: { input: 1, output: 0 } };
+  await recordUsage({ provider: paid, model: "m", endpoint: "/chat", usage: { input_tokens: 2000000 } });
+  const endpoints = ["/chat", "/edit", "/completion", "/chat-input-completion", "/next_edit_loc"];
+  const streamEndpoints = ["/chat-stream", "/prompt-enhancer", "/generate-conversation-title", "/generate-commit-message-stream", "/instruction-stream", "/smart-paste-stream", "/next-edit-stream"];
+  const rules = Object.fromEntries([...endpoints, ...streamEndpoints].map((ep) => [ep, { mode: "byok", providerId: "paid", model: "m" }]));
+  const store = new Map();
+  const warnings = [];
+  const prevVscode = state.vscode;
+  state.vscode = { window: { showWarningMessage: async (m) => void warnings.push(m) } };
+  resetBudgetBlockedNotices();
+  try {
+    const mgr = ensureConfigManager({ ctx: { globalState: { get: (k) => store.get(k), update: async (k, v) => void store.set(k, v) } } });
+    await mgr.saveNow({ providers: [paid], routing: { rules }, budgets: { dailyUsd: 0.5 } }, "test");
+    const call = async (endpoint, body = {}) => await maybeHandleCallApi({ endpoint, body, transform: (x) => x, timeoutMs: 5000 });
+    const stream = async (endpoint, body = {}) => {
+      const out = [];
+      for await (const c of await maybeHandleCallApiStream({ endpoint, body, transform: (x) => x, timeoutMs: 5000 })) out.push(c);
+      return out;
+    };
+
+    assert.match((await call("/chat", { message: "hi", chat_history: [] })).text, /预算已超限/);
+    assert.equal((await call("/edit")).text, "", "no error text is written into the editor");
+    assert.equal((await call("/completion")).completion_items[0].text, "");
+    assert.equal((await call("/chat-input-completion")).completion_items[0].text, "");
+    const loc = await call("/next_edit_loc");
+    assert.deepEqual(loc.candidate_locations, []);
+    assert.match(loc.critical_errors[0], /预算已超限/);
+
+    for (const ep of ["/chat-stream", "/prompt-enhancer", "/generate-conversation-title", "/generate-commit-message-stream"]) {
+      const chunks = await stream(ep);
+      assert.equal(chunks.length, 1, ep);
+      assert.match(chunks[0].text, /预算已超限/, ep);
+    }
+    for (const ep of ["/instruction-stream", "/smart-paste-stream"]) {
+      const [chunk] = await stream(ep, { instruction: "x", selected_text: "a" });
+      assert.match(chunk.text, /预算已超限/, ep);
+      assert.equal(chunk.replacement_text, undefined, `${ep} does not replace code`);
+    }
+    assert.deepEqual(await stream("/next-edit-stream"), []);
+
+    // 只对结果不显示提示文本的端点弹窗，且每个端点每分钟一次
+    assert.deepEqual(
+      warnings.map((m) => m.split(":")[0]),
+      ["/edit", "/completion", "/chat-input-completion", "/next_edit_loc", "/instruction-stream", "/smart-paste-stream", "/next-edit-stream"]
+    );
+    await call("/completion");
+    await new Promise((r) => setImmediate(r));
+    assert.equal(warnings.length, 7, "repeat blocks within the window are not re-notified");
+  } finally {
+    state.vscode = prevVscode;
+    resetBudgetBlockedNotices();
+    await clearUsageLedger();
+  }
+});
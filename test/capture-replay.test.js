@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { createMockLlmServer } = require("../tools/mock/llm-server");
+const { ensureConfigManager } = require("../payload/extension/out/byok/config/state");
+const { maybeHandleCallApiStream } = require("../payload/extension/out/byok/runtime/shim/call-api-stream");
+const { redactSecrets } = require("../payload/extension/out/byok/infra/log");
+const { readCaptureFile, resolveCaptureConfig, setCaptureDefaultDir } = require("../payload/extension/out/byok/core/capture/store");
+const { replayCaptureChunks, diffReplayChunks } = require("../payload/extension/out/byok/core/capture/replay");
+
+const API_KEY = "mock-secret-key-0123456789";
+
+function makeGlobalState() {
+  const store = new Map();
+  return { get: (k) => store.get(k), update: async (k, v) => void store.set(k, v) };
+}
+
+async function withCapture(scripts, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "byok-capture-"));
+  const mock = createMockLlmServer({ scripts });
+  const { origin } = await mock.listen(0);
+  try {
+    const mgr = ensureConfigManager({ ctx: { globalState: makeGlobalState() } });
+    const providers = ["openai_compatible", "anthropic"].map((type) => ({
+      id: `mock-${type}`,
+      type,
+      baseUrl: `${origin}/v1`,
+      apiKey: API_KEY,
+      models: ["mock-model"],
+      defaultModel: "mock-model"
+    }));
+    await mgr.saveNow({ providers, routing: { rules: { "/chat-stream": { mode: "byok" } } }, capture: { enabled: true, dir, maxFiles: 2 } }, "test");
+    return await fn(dir);
+  } finally {
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runChatStream(providerId) {
+  const gen = await maybeHandleCallApiStream({
+    endpoint: "/chat-stream",
+    body: {
+      message: "hi",
+      model: `byok:${providerId}:mock-model`,
+      chat_history: [],
+      tool_definitions: [{ name: "view", description: "read", input_schema_json: "{\"type\":\"object\"}" }]
+    },
+    transform: (x) => x,
+    timeoutMs: 5000
+  });
+  const chunks = [];
+  for await (const c of gen) chunks.push(c);
+  return chunks;
+}
+
+function listCaptures(dir) {
+  return fs.readdirSync(dir).filter((n) => n.endsWith(".json")).sort();
+}
+
+async function collect(gen) {
+  const out = [];
+  for await (const c of gen) out.push(c);
+  return out;
+}
+
+test("capture: config resolution and secret redaction without truncation", () => {
+  assert.equal(resolveCaptureConfig({}), null);
+  assert.equal(resolveCaptureConfig({ capture: { enabled: false, dir: "/tmp/x" } }), null);
+  assert.deepEqual(resolveCaptureConfig({ capture: { enabled: true, dir: "/tmp/x" } }), { dir: "/tmp/x", maxFiles: 50 });
+  setCaptureDefaultDir("/gs");
+  assert.equal(resolveCaptureConfig({ capture: { enabled: true } }).dir, path.join("/gs", "captures"));
+  setCaptureDefaultDir("");
+  assert.equal(resolveCaptureConfig({ capture: { enabled: true } }), null);
+
+  const long = "x".repeat(10000);
+  const out = redactSecrets({ headers: { "api-key": "k", authorization: "Bearer abcdefghijkl" }, chat_history: [long], body: '{"access_token":"ya29.secret"}' });
+  assert.deepEqual(out.headers, { "api-key": "[redacted]", authorization: "[redacted]" });
+  assert.equal(out.chat_history[0].length, 10000);
+  assert.equal(out.body, '{"access_token":"***"}');
+});
+
+test("capture: /chat-stream writes a redacted, rotating capture that replays to the same chunks", async () => {
+  const script = {
+    steps: [
+      { type: "text", text: ["Hel", "lo"] },
+      { type: "tool_call", id: "call_1", name: "view", input: { path: "a.js" } }
+    ],
+    usage: { input: 12, output: 3 }
+  };
+  await withCapture([script, script, script], async (dir) => {
+    await runChatStream("mock-openai_compatible");
+    await runChatStream("mock-anthropic");
+    const chunks = await runChatStream("mock-openai_compatible");
+
+    const files = listCaptures(dir);
+    assert.equal(files.length, 2, "rotation keeps maxFiles newest captures");
+    const raw = fs.readFileSync(path.join(dir, files[1]), "utf8");
+    assert.equal(raw.includes(API_KEY), false, "apiKey never reaches disk");
+
+    const capture = await readCaptureFile(path.join(dir, files[1]));
+    assert.equal(capture.endpoint, "/chat-stream");
+    assert.equal(capture.augmentRequest.message, "hi");
+    const attempt = capture.attempts[0];
+    assert.equal(attempt.type, "openai_compatible");
+    const ex = attempt.exchanges[0];
+    assert.match(ex.request.url, /\/v1\/chat\/completions$/);
+    assert.equal(ex.request.headers.authorization, "[redacted]");
+    assert.equal(ex.request.body.stream, true);
+    assert.equal(ex.response.status, 200);
+    assert.match(ex.response.bodyChunks.join(""), /data: \[DONE\]/);
+    assert.deepEqual(capture.chunks, JSON.parse(JSON.stringify(chunks)));
+
+    const replayed = await collect(replayCaptureChunks(capture));
+    assert.equal(diffReplayChunks(capture.chunks, replayed), null);
+
+    // 篡改录制的 SSE 帧 → 回放输出出现差异（即可把 capture 固化为回归测试）
+    const tampered = JSON.parse(JSON.stringify(capture));
+    const frames = tampered.attempts[0].exchanges[0].response.bodyChunks;
+    tampered.attempts[0].exchanges[0].response.bodyChunks = frames.map((f) => f.replace(/"Hel"/g, '"Bye"'));
+    const diff = diffReplayChunks(capture.chunks, await collect(replayCaptureChunks(tampered)));
+    assert.ok(diff);
+    assert.equal(diff.actual.text, "Bye");
+  });
+});
+
+test("capture: anthropic SSE replays through the anthropic adapter", async () => {
+  await withCapture([{ steps: [{ type: "thinking", text: "hmm" }, { type: "text", text: "ok" }] }], async (dir) => {
+    await runChatStream("mock-anthropic");
+    const [file] = listCaptures(dir);
+    const capture = await readCaptureFile(path.join(dir, file));
+    assert.equal(capture.attempts[0].type, "anthropic");
+    assert.equal(capture.attempts[0].exchanges[0].request.headers["x-api-key"], "[redacted]");
+    const replayed = await collect(replayCaptureChunks(capture));
+    assert.equal(diffReplayChunks(capture.chunks, replayed), null);
+  });
+});
@@ -35,7 +35,8 @@ async function buildCtx({ provider, kind } = {}) {
 
 test("buildByokAugmentChatContext: injects auto max_output_tokens when requestDefaults missing", async () => {
   const ctx = await buildCtx({ provider: makeProvider({ type: "openai_compatible", requestDefaults: {} }), kind: "chat-stream" });
-  assert.equal(ctx.requestDefaults.max_output_tokens, 65536);
+  // 上限取模型能力表的 maxOutputTokens（gpt-4o-mini: 16384）
+  assert.equal(ctx.requestDefaults.max_output_tokens, 16384);
 });
 
 test("buildByokAugmentChatContext: does not override explicit max_tokens", async () => {
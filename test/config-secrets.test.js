@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createConfigManager } = require("../payload/extension/out/byok/config/config");
+const { splitConfigSecrets, resolveConfigSecrets, SECRET_STORAGE_PREFIX } = require("../payload/extension/out/byok/config/secrets");
+const { REDACTED, redactConfigSecrets } = require("../payload/extension/out/byok/ui/config-io");
+
+const CONFIG_KEY = "augment-byok.config.v1";
+
+function makeCtx(initial) {
+  const store = new Map(initial ? [[CONFIG_KEY, initial]] : []);
+  const secrets = new Map();
+  return {
+    store,
+    secretMap: secrets,
+    globalState: { get: (k) => store.get(k), update: async (k, v) => void store.set(k, v) },
+    secrets: {
+      get: async (k) => secrets.get(k),
+      store: async (k, v) => void secrets.set(k, v),
+      delete: async (k) => void secrets.delete(k)
+    }
+  };
+}
+
+function legacyCfg() {
+  return {
+    version: 1,
+    official: { completionUrl: "https://api.augmentcode.com/", apiToken: "ace_plain" },
+    providers: [
+      {
+        id: "p1",
+        type: "openai_compatible",
+        baseUrl: "https://example.com/v1",
+        apiKey: "sk-plain",
+        headers: { Authorization: "Bearer H", other: "Z" },
+        models: ["m1"],
+        defaultModel: "m1"
+      }
+    ]
+  };
+}
+
+test("config-secrets: split/resolve round-trip keeps non-secret fields", () => {
+  const { config, secrets } = splitConfigSecrets(legacyCfg());
+  assert.equal(config.official.apiToken, "secret:official/apiToken");
+  assert.equal(config.providers[0].apiKey, "secret:providers/p1/apiKey");
+  assert.equal(config.providers[0].headers.Authorization, "secret:providers/p1/headers/authorization");
+  assert.equal(config.providers[0].headers.other, "Z");
+  assert.equal(secrets.get("providers/p1/apiKey"), "sk-plain");
+
+  const { config: back, missing } = resolveConfigSecrets(config, (n) => (n === "official/apiToken" ? undefined : secrets.get(n)));
+  assert.deepEqual(missing, ["official/apiToken"]);
+  assert.equal(back.official.apiToken, "");
+  assert.equal(back.providers[0].apiKey, "sk-plain");
+  assert.equal(back.providers[0].headers.Authorization, "Bearer H");
+});
+
+test("config-secrets: activate migrates plaintext secrets out of globalState once", async () => {
+  const ctx = makeCtx(legacyCfg());
+  const mgr = createConfigManager({ ctx });
+  const rr = await mgr.reloadWithSecretsNow("activate");
+  assert.equal(rr.ok, true);
+
+  const stored = JSON.stringify(ctx.store.get(CONFIG_KEY));
+  for (const s of ["ace_plain", "sk-plain", "Bearer H"]) assert.equal(stored.includes(s), false, `${s} left in globalState`);
+  assert.equal(ctx.secretMap.get(`${SECRET_STORAGE_PREFIX}providers/p1/apiKey`), "sk-plain");
+
+  // 内存中的配置是解析后的原文（适配器/导出 include secrets 直接使用）
+  assert.equal(mgr.get().providers[0].apiKey, "sk-plain");
+  assert.equal(mgr.get().official.apiToken, "ace_plain");
+
+  // 新会话：只从引用 + SecretStorage 恢复
+  const mgr2 = createConfigManager({ ctx });
+  assert.equal(mgr2.get().providers[0].apiKey, "", "sync load before secrets hydrate never exposes refs");
+  await mgr2.reloadWithSecretsNow("activate");
+  assert.equal(mgr2.get().providers[0].headers.Authorization, "Bearer H");
+  assert.equal(redactConfigSecrets(mgr2.get()).providers[0].apiKey, REDACTED);
+});
+
+test("config-secrets: save stores changed secrets and deletes removed ones", async () => {
+  const ctx = makeCtx(legacyCfg());
+  const mgr = createConfigManager({ ctx });
+  await mgr.reloadWithSecretsNow("activate");
+
+  const next = JSON.parse(JSON.stringify(mgr.get()));
+  next.providers[0].apiKey = "sk-new";
+  next.providers[0].headers = {};
+  next.official.apiToken = "";
+  await mgr.saveNow(next, "test");
+
+  assert.equal(ctx.secretMap.get(`${SECRET_STORAGE_PREFIX}providers/p1/apiKey`), "sk-new");
+  assert.deepEqual(Array.from(ctx.secretMap.keys()), [`${SECRET_STORAGE_PREFIX}providers/p1/apiKey`]);
+  assert.equal(ctx.store.get(CONFIG_KEY).providers[0].apiKey, "secret:providers/p1/apiKey");
+  assert.equal(mgr.get().providers[0].apiKey, "sk-new");
+});
+
+test("config-secrets: without SecretStorage the config stays plaintext (legacy hosts)", async () => {
+  const ctx = makeCtx();
+  delete ctx.secrets;
+  const mgr = createConfigManager({ ctx });
+  await mgr.saveNow(legacyCfg(), "test");
+  assert.equal(ctx.store.get(CONFIG_KEY).providers[0].apiKey, "sk-plain");
+  assert.equal((await mgr.reloadWithSecretsNow("activate")).ok, true);
+  assert.equal(mgr.get().providers[0].apiKey, "sk-plain");
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMockLlmServer } = require("../tools/mock/llm-server");
+const { ensureConfigManager } = require("../payload/extension/out/byok/config/state");
+const { normalizeConfig } = require("../payload/extension/out/byok/config/config");
+const { parseEditPatch, applyEditPatch } = require("../payload/extension/out/byok/core/edit-patch");
+const { buildMessagesForEndpoint } = require("../payload/extension/out/byok/core/protocol");
+const { maybeHandleCallApiStream } = require("../payload/extension/out/byok/runtime/shim/call-api-stream");
+
+const SELECTED = "function f(a) {\n  const x = a + 1;\n  return x;\n}\n";
+
+test("edit patch: SEARCH/REPLACE blocks and unified diff apply to the selection", () => {
+  const blocks = "<<<<<<< SEARCH\n  const x = a + 1;\n=======\n  const x = a + 2;\n>>>>>>> REPLACE\n<<<<<<< SEARCH\n  return x;\n=======\n  return x * 2;\n>>>>>>> REPLACE";
+  assert.deepEqual(applyEditPatch(SELECTED, blocks), { ok: true, text: "function f(a) {\n  const x = a + 2;\n  return x * 2;\n}\n" });
+
+  const diff = "```diff\n--- a\n+++ b\n@@ -1,3 +1,3 @@\n function f(a) {\n-  const x = a + 1;\n+  const x = a - 1;\n   return x;\n```";
+  assert.equal(applyEditPatch(SELECTED, diff).text, "function f(a) {\n  const x = a - 1;\n  return x;\n}\n");
+
+  // 空白漂移：按整行模糊匹配
+  const drift = "<<<<<<< SEARCH\nconst x  =  a + 1;\n    return x;\n=======\n  return a + 1;\n>>>>>>> REPLACE";
+  assert.equal(applyEditPatch(SELECTED, drift).text, "function f(a) {\n  return a + 1;\n}\n");
+});
+
+test("edit patch: unmatched, truncated or missing blocks fail so callers can rewrite", () => {
+  assert.equal(parseEditPatch("just some code"), null);
+  assert.equal(parseEditPatch("<<<<<<< SEARCH\na\n=======\nb"), null, "unclosed block");
+  assert.match(applyEditPatch(SELECTED, "<<<<<<< SEARCH\nnope();\n=======\nx\n>>>>>>> REPLACE").error, /block 1: SEARCH text not found/);
+  assert.match(applyEditPatch(SELECTED, "<<<<<<< SEARCH\n\n=======\nx\n>>>>>>> REPLACE").error, /empty SEARCH/);
+
+  const cfg = normalizeConfig({ prompts: { editOutputMode: { "/edit": "diff", "/instruction-stream?x=1": "rewrite", "/chat": "diff", "/smart-paste-stream": "bogus" } } });
+  assert.deepEqual(cfg.prompts.editOutputMode, { "/edit": "diff", "/instruction-stream": "rewrite" });
+  assert.match(buildMessagesForEndpoint("/edit", { selected_code: "x" }, cfg, { outputMode: "diff" }).system, /<<<<<<< SEARCH/);
+  assert.doesNotMatch(buildMessagesForEndpoint("/edit", { selected_code: "x" }, cfg).system, /<<<<<<< SEARCH/);
+});
+
+test("edit patch: /instruction-stream in diff mode streams the patched selection and falls back to a full rewrite", async () => {
+  const patch = "<<<<<<< SEARCH\n  return x;\n=======\n  return x + 1;\n>>>>>>> REPLACE";
+  const mock = createMockLlmServer({
+    scripts: [
+      { steps: [{ type: "text", text: patch }] },
+      { steps: [{ type: "text", text: "<<<<<<< SEARCH\nmissing\n=======\ny\n>>>>>>> REPLACE" }] },
+      { steps: [{ type: "text", text: ["rewritten", "\n"] }] }
+    ]
+  });
+  const { origin } = await mock.listen(0);
+  const store = new Map();
+  try {
+    const mgr = ensureConfigManager({ ctx: { globalState: { get: (k) => store.get(k), update: async (k, v) => void store.set(k, v) } } });
+    await mgr.saveNow(
+      {
+        providers: [{ id: "m", type: "openai_compatible", baseUrl: `${origin}/v1`, apiKey: "k", models: ["mock-model"], defaultModel: "mock-model" }],
+        routing: { rules: { "/instruction-stream": { mode: "byok", providerId: "m", model: "mock-model" } } },
+        prompts: { editOutputMode: { "/instruction-stream": "diff" } }
+      },
+      "test"
+    );
+    const run = async () => {
+      const gen = await maybeHandleCallApiStream({
+        endpoint: "/instruction-stream",
+        body: { instruction: "bump", selected_text: SELECTED, prefix: "", suffix: "" },
+        transform: (x) => x,
+        timeoutMs: 5000
+      });
+      const chunks = [];
+      for await (const c of gen) chunks.push(c);
+      return chunks.map((c) => c.replacement_text || "").join("");
+    };
+
+    assert.equal(await run(), SELECTED.replace("return x;", "return x + 1;"));
+    assert.equal(mock.requests.length, 1);
+    assert.equal(await run(), "rewritten\n");
+    assert.equal(mock.requests.length, 3, "failed patch triggers one full-rewrite request");
+  } finally {
+    await mock.close();
+  }
+});
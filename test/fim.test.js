@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const { normalizeConfig } = require("../payload/extension/out/byok/config/config");
+const { ensureConfigManager } = require("../payload/extension/out/byok/config/state");
+const { resolveFimTemplate, buildFimStopSequences, trimFimSuffixOverlap } = require("../payload/extension/out/byok/providers/fim/templates");
+const { fimCompleteText } = require("../payload/extension/out/byok/providers/fim");
+const { maybeHandleCallApi } = require("../payload/extension/out/byok/runtime/shim/call-api");
+
+// 记录请求并按 path 返回 JSON；/slow/* 故意超时
+async function startFimServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ path: req.url, body });
+      const send = (json) => {
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify(json));
+      };
+      if (req.url.startsWith("/slow/")) return void setTimeout(() => send({ choices: [{ text: "late" }] }), 400);
+      if (req.url === "/api/generate") return send({ response: "a + b;\n}", done: true });
+      if (req.url.endsWith("/fim/completions")) return send({ choices: [{ message: { role: "assistant", content: "  return 1;" } }] });
+      if (req.url.endsWith("/chat/completions")) return send({ choices: [{ message: { role: "assistant", content: "chatted" } }] });
+      send({ choices: [{ text: " x + 1" }] });
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const close = () => {
+    server.closeAllConnections();
+    return new Promise((r) => server.close(r));
+  };
+  return { origin, requests, close };
+}
+
+test("fim: templates, stop sequences, suffix overlap and config normalization", () => {
+  assert.match(resolveFimTemplate("", "qwen2.5-coder:7b").template, /^<\|fim_prefix\|>/);
+  assert.match(resolveFimTemplate("", "codellama:7b-code").template, /^<PRE> /);
+  assert.equal(resolveFimTemplate("A{prefix}B{suffix}C", "x").template, "A{prefix}B{suffix}C");
+  assert.match(resolveFimTemplate("not-a-template", "starcoder2").template, /^<fim_prefix>/);
+
+  assert.deepEqual(buildFimStopSequences({ suffix: ");\nnext", stop: ["\n", "//"] }), ["\n", "//"], "cursor mid-line: single line");
+  assert.deepEqual(buildFimStopSequences({ suffix: "\n}\n", stop: ["a", "b", "c"], templateStop: ["d", "e"], max: 4 }), ["a", "b", "c", "d"]);
+
+  assert.equal(trimFimSuffixOverlap("  x += 1;\n}", "\n}\n"), "  x += 1;\n");
+  assert.equal(trimFimSuffixOverlap("  x += 1;", "\n}\n"), "  x += 1;");
+  // 嵌套块的闭合括号缩进不同，不能当成 suffix 的重复
+  assert.equal(trimFimSuffixOverlap("if (a) {\n    b();\n  }", "\n}\n"), "if (a) {\n    b();\n  }");
+  assert.equal(trimFimSuffixOverlap("  if (a) {\n    b();\n  }", "\n  }\n"), "  if (a) {\n    b();\n");
+  assert.equal(trimFimSuffixOverlap("  return foo(x);", "\nfoo(x);\n"), "  return");
+
+  const cfg = normalizeConfig({
+    providers: [
+      { id: "a", type: "openai_compatible", fim: { style: "deepseek", model: " deepseek-chat ", stop: ["\n\n", 3, ""], maxTokens: "64", timeoutMs: 0 } },
+      { id: "b", type: "ollama", fim: { style: "bogus" } }
+    ]
+  });
+  assert.deepEqual(cfg.providers[0].fim, { style: "deepseek", model: "deepseek-chat", stop: ["\n\n"], maxTokens: 64 });
+  assert.equal("fim" in cfg.providers[1], false);
+});
+
+test("fim: each style posts prefix/suffix natively to its endpoint", async () => {
+  const srv = await startFimServer();
+  const call = (fim, baseUrl, extra) => fimCompleteText({ fim, baseUrl, apiKey: "k", model: "m", prefix: "const y =", suffix: ";\n", timeoutMs: 5000, ...extra });
+  try {
+    assert.equal(await call({ style: "openai_completions" }, `${srv.origin}/v1`), " x + 1");
+    assert.deepEqual(srv.requests[0], {
+      path: "/v1/completions",
+      body: { model: "m", prompt: "const y =", suffix: ";\n", max_tokens: 128, temperature: 0, stream: false, stop: ["\n"] }
+    });
+
+    await call({ style: "deepseek", model: "deepseek-chat" }, `${srv.origin}/v1`);
+    assert.equal(srv.requests[1].path, "/beta/completions");
+    assert.equal(srv.requests[1].body.model, "deepseek-chat");
+
+    assert.equal(await call({ style: "codestral", maxTokens: 32 }, `${srv.origin}/v1`, { suffix: "\n" }), "  return 1;");
+    assert.equal(srv.requests[2].path, "/v1/fim/completions");
+    assert.equal(srv.requests[2].body.max_tokens, 32);
+    assert.equal("stop" in srv.requests[2].body, false, "cursor at end of line: multi-line completion");
+
+    const text = await call({ style: "ollama_raw", template: "codellama" }, `${srv.origin}/v1`, { prefix: "function f(a, b) {\n  return ", suffix: "\n}\n" });
+    assert.equal(text, "a + b;\n", "trailing copy of the suffix is trimmed");
+    assert.deepEqual([srv.requests[3].path, srv.requests[3].body.raw, srv.requests[3].body.prompt], ["/api/generate", true, "<PRE> function f(a, b) {\n  return  <SUF>\n}\n <MID>"]);
+    assert.deepEqual(srv.requests[3].body.options, { num_predict: 128, temperature: 0, stop: ["<EOT>", "<PRE>", "<SUF>"] });
+  } finally {
+    await srv.close();
+  }
+});
+
+test("fim: /completion uses FIM under a low-latency budget and fails over to chat providers", async () => {
+  const srv = await startFimServer();
+  const store = new Map();
+  try {
+    const mgr = ensureConfigManager({ ctx: { globalState: { get: (k) => store.get(k), update: async (k, v) => void store.set(k, v) } } });
+    await mgr.saveNow(
+      {
+        providers: [
+          { id: "fim", type: "openai_compatible", baseUrl: `${srv.origin}/v1`, apiKey: "k", models: ["code"], fim: { style: "openai_completions" } },
+          { id: "slow", type: "openai_compatible", baseUrl: `${srv.origin}/slow/v1`, apiKey: "k", models: ["code"], fim: { style: "openai_completions", timeoutMs: 50 } },
+          { id: "chat", type: "openai_compatible", baseUrl: `${srv.origin}/v1`, apiKey: "k", models: ["chat-model"] }
+        ],
+        routing: {
+          rules: {
+            "/completion": { mode: "byok", providerId: "fim", model: "code" },
+            "/chat-input-completion": { mode: "byok", providerId: "fim", model: "code" }
+          }
+        }
+      },
+      "test"
+    );
+    const complete = (endpoint) => maybeHandleCallApi({ endpoint, body: { prompt: "let a =", suffix: "" }, transform: (x) => x, timeoutMs: 5000 });
+
+    assert.equal((await complete("/completion")).completion_items[0].text, " x + 1");
+    assert.equal(srv.requests.at(-1).path, "/v1/completions");
+    assert.equal((await complete("/chat-input-completion")).completion_items[0].text, "chatted", "chat input completion keeps the chat prompt");
+
+    const cfg = mgr.get();
+    await mgr.saveNow({ ...cfg, routing: { rules: { "/completion": [{ providerId: "slow", model: "code" }, { providerId: "chat", model: "chat-model" }] } } }, "test");
+    const startedAt = Date.now();
+    assert.equal((await complete("/completion")).completion_items[0].text, "chatted");
+    assert.ok(Date.now() - startedAt < 400, "FIM timeout budget cuts the slow provider short");
+    assert.equal(srv.requests.at(-1).path, "/v1/chat/completions");
+  } finally {
+    await srv.close();
+  }
+});
@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMockLlmServer } = require("../tools/mock/llm-server");
+const {
+  setHistorySummaryStorage,
+  cacheGetFresh,
+  cachePut,
+  listHistorySummaryCacheEntries,
+  getHistorySummaryCacheEntry
+} = require("../payload/extension/out/byok/core/augment-history-summary/cache");
+const { buildSummaryLevel } = require("../payload/extension/out/byok/core/augment-history-summary/levels");
+const {
+  maybeSummarizeAndCompactAugmentChatRequest,
+  updateHistorySummaryCacheText,
+  setHistorySummaryCacheRegenerate
+} = require("../payload/extension/out/byok/core/augment-history-summary/auto");
+const { REQUEST_NODE_HISTORY_SUMMARY } = require("../payload/extension/out/byok/core/augment-protocol");
+
+const KEY = "augment-byok.historySummaryCache.v1";
+
+function makeStorage() {
+  const state = new Map();
+  return { state, get: (k) => state.get(k), update: async (k, v) => void state.set(k, v) };
+}
+
+function ex(id, msg = `user ${id}`, resp = `assistant ${id}`) {
+  return { request_id: id, request_message: msg, response_text: resp, request_nodes: [], structured_request_nodes: [], nodes: [], response_nodes: [], structured_output_nodes: [] };
+}
+
+test("historySummary cache admin: list, edit and regenerate marks persist across reloads", async () => {
+  const storage = makeStorage();
+  setHistorySummaryStorage(storage);
+  try {
+    const head = [ex("r1"), ex("r2")];
+    const levels = [buildSummaryLevel(0, "recent", "r3", head), buildSummaryLevel(1, "digest", "r2", head.slice(0, 1))];
+    await cachePut("c-old", "r3", "old summary", "s0", 1000, { startRequestId: "r1", providerId: "p", model: "m-a" });
+    await cachePut("c-new", "r3", "new summary", "s1", 2000, { startRequestId: "r1", providerId: "p", model: "m-b", levels });
+
+    const list = listHistorySummaryCacheEntries();
+    assert.deepEqual(list.map((e) => [e.conversationId, e.summaryChars, e.summarizedUntilRequestId, e.model, e.levels]), [
+      ["c-new", 11, "r3", "m-b", 2],
+      ["c-old", 11, "r3", "m-a", 1]
+    ]);
+    assert.equal("summaryText" in list[0], false, "the list does not carry summary text");
+
+    assert.equal(await updateHistorySummaryCacheText("c-new", "  pinned: use pnpm\nnew summary  "), true);
+    assert.equal(await updateHistorySummaryCacheText("c-new", "   "), false, "empty edits are rejected");
+    assert.equal(await updateHistorySummaryCacheText("missing", "x"), false);
+    const edited = getHistorySummaryCacheEntry("c-new");
+    assert.equal(edited.summaryText, "pinned: use pnpm\nnew summary");
+    assert.deepEqual(edited.levels.map((l) => [l.level, l.text]), [[0, "pinned: use pnpm\nnew summary"]], "levels collapse into the edited text");
+    assert.ok(edited.editedAtMs > 0);
+    assert.equal(cacheGetFresh("c-new", "r3", Date.now(), 0).summaryText, "pinned: use pnpm\nnew summary");
+
+    assert.equal(await setHistorySummaryCacheRegenerate("c-old", { providerId: "p", model: "m-c" }), true);
+    assert.equal(cacheGetFresh("c-old", "r3", Date.now(), 0), null, "a pending regenerate bypasses the exact cache hit");
+
+    const saved = storage.state.get(KEY).entries;
+    assert.deepEqual(saved["c-old"].regenerate, { providerId: "p", model: "m-c" });
+    assert.equal(saved["c-new"].summaryModel, "m-b");
+
+    setHistorySummaryStorage(storage);
+    const reloaded = listHistorySummaryCacheEntries();
+    assert.deepEqual(reloaded.find((e) => e.conversationId === "c-old").regenerate, { providerId: "p", model: "m-c" });
+    assert.ok(reloaded.find((e) => e.conversationId === "c-new").editedAtMs > 0);
+    assert.equal(await setHistorySummaryCacheRegenerate("c-old", null), true);
+    assert.equal(getHistorySummaryCacheEntry("c-old").regenerate, null);
+  } finally {
+    setHistorySummaryStorage(null);
+  }
+});
+
+test("historySummary cache admin: regenerate re-summarizes the whole head with the chosen model", async () => {
+  const mock = createMockLlmServer({ scripts: ({ model }) => ({ steps: [{ type: "text", text: `SUMMARY by ${model}` }] }) });
+  const { origin } = await mock.listen(0);
+  setHistorySummaryStorage(makeStorage());
+  try {
+    const cfg = {
+      historySummary: {
+        enabled: true,
+        triggerStrategy: "chars",
+        triggerOnHistorySizeChars: 100,
+        historyTailSizeCharsToExclude: 60,
+        minTailExchanges: 2,
+        rollingSummary: true,
+        prompt: "Summarize."
+      }
+    };
+    const provider = { id: "m", type: "openai_compatible", baseUrl: `${origin}/v1`, apiKey: "k", models: ["model-a", "model-b"] };
+    const history = Array.from({ length: 6 }, (_, i) => ex(`r${i + 1}`, `u${i + 1} ` + "x".repeat(30)));
+    const run = async () => {
+      const req = { message: "continue", conversation_id: "conv-r", chat_history: history, request_nodes: [] };
+      const ok = await maybeSummarizeAndCompactAugmentChatRequest({ cfg, req, requestedModel: "model-a", fallbackProvider: provider, fallbackModel: "model-a", timeoutMs: 5000 });
+      assert.equal(ok, true);
+      return req.request_nodes.find((n) => n.type === REQUEST_NODE_HISTORY_SUMMARY).history_summary_node.summary_text;
+    };
+
+    assert.equal(await run(), "SUMMARY by model-a");
+    assert.equal(getHistorySummaryCacheEntry("conv-r").summaryModel, "model-a");
+    assert.equal(await run(), "SUMMARY by model-a");
+    assert.equal(mock.requests.length, 1, "second request is an exact cache hit");
+
+    // 客户端已裁掉头部（未达触发阈值）：走缓存注入；标记重新生成后旧摘要不再注入
+    const runTrimmed = async () => {
+      const req = { message: "continue", conversation_id: "conv-r", chat_history: history.slice(4), request_nodes: [] };
+      const ok = await maybeSummarizeAndCompactAugmentChatRequest({ cfg, req, requestedModel: "model-a", fallbackProvider: provider, fallbackModel: "model-a", timeoutMs: 5000 });
+      return ok ? req.request_nodes.find((n) => n.type === REQUEST_NODE_HISTORY_SUMMARY).history_summary_node.summary_text : null;
+    };
+    assert.equal(await runTrimmed(), "SUMMARY by model-a");
+
+    assert.equal(await setHistorySummaryCacheRegenerate("conv-r", { providerId: "m", model: "model-b" }), true);
+    assert.equal(await runTrimmed(), null, "a pending regenerate is never injected from cache");
+    assert.equal(mock.requests.length, 1);
+    assert.equal(await run(), "SUMMARY by model-b");
+    assert.equal(mock.requests.length, 2);
+    const body = JSON.stringify(mock.requests[1].body.messages);
+    assert.equal(body.includes("PREVIOUS_SUMMARY"), false, "regeneration does not roll the old summary forward");
+    assert.equal(body.includes("u1 "), true);
+
+    const entry = getHistorySummaryCacheEntry("conv-r");
+    assert.deepEqual([entry.summaryProviderId, entry.summaryModel, entry.regenerate], ["m", "model-b", null]);
+  } finally {
+    setHistorySummaryStorage(null);
+    await mock.close();
+  }
+});
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMockLlmServer } = require("../tools/mock/llm-server");
+const { setHistorySummaryStorage, cacheGetFreshState, cachePut } = require("../payload/extension/out/byok/core/augment-history-summary/cache");
+const { buildSummaryLevel, verifySummaryLevels, renderSummaryLevels } = require("../payload/extension/out/byok/core/augment-history-summary/levels");
+const { maybeSummarizeAndCompactAugmentChatRequest } = require("../payload/extension/out/byok/core/augment-history-summary/auto");
+const { REQUEST_NODE_HISTORY_SUMMARY } = require("../payload/extension/out/byok/core/augment-protocol");
+
+const KEY = "augment-byok.historySummaryCache.v1";
+
+function makeStorage(initial) {
+  const state = new Map(initial ? [[KEY, initial]] : []);
+  return { state, get: (k) => state.get(k), update: async (k, v) => void state.set(k, v) };
+}
+
+function ex(id, msg = `user ${id}`, resp = `assistant ${id}`) {
+  return { request_id: id, request_message: msg, response_text: resp, request_nodes: [], structured_request_nodes: [], nodes: [], response_nodes: [], structured_output_nodes: [] };
+}
+
+test("historySummary levels: flat records derive level 0 on read, newer schemas are skipped, only hierarchical levels persist", async () => {
+  const storage = makeStorage({
+    version: 1,
+    entries: {
+      old: { summaryText: "S", summarizedUntilRequestId: "r3", updatedAtMs: 1, startRequestId: "r1", summarizedTailRequestIds: ["r1", "r2"] },
+      future: { schemaVersion: 3, summaryText: "X", summarizedUntilRequestId: "r3", updatedAtMs: 1 }
+    }
+  });
+  setHistorySummaryStorage(storage);
+
+  const old = cacheGetFreshState("old", 2, 0);
+  assert.deepEqual(old.levels.map((l) => [l.level, l.text, l.untilRequestId]), [[0, "S", "r3"]]);
+  assert.deepEqual(verifySummaryLevels(old, [ex("r1"), ex("r2"), ex("r3")]).length, 1, "migrated level 0 verifies against the same history");
+  assert.equal(cacheGetFreshState("future", 2, 0), null);
+
+  const history = [ex("r1"), ex("r2"), ex("r3"), ex("r4"), ex("r5")];
+  const levels = [buildSummaryLevel(0, "recent", "r5", history.slice(2, 4)), buildSummaryLevel(1, "digest", "r3", history.slice(0, 2))];
+  await cachePut("c1", "r5", renderSummaryLevels(levels), "s1", 3, { startRequestId: "r1", levels });
+  const saved = storage.state.get(KEY);
+  assert.equal(saved.version, 2);
+  assert.equal(saved.entries.c1.schemaVersion, 2);
+  assert.deepEqual(saved.entries.c1.levels.map((l) => l.level), [0, 1]);
+  assert.equal(saved.entries.c1.summaryText, "[EPOCH_DIGEST level=1]\ndigest\n[/EPOCH_DIGEST]\n\nrecent");
+  // 非分层记录（含 v1 迁移）不回写派生出的 level 0
+  assert.equal("levels" in saved.entries.old, false);
+  await cachePut("flat", "r3", "plain", "s2", 4, { startRequestId: "r1" });
+  assert.equal("levels" in storage.state.get(KEY).entries.flat, false);
+  assert.deepEqual(cacheGetFreshState("flat", 5, 0).levels.map((l) => [l.level, l.text]), [[0, "plain"]], "level 0 is derived on read");
+});
+
+test("historySummary levels: per-level hashes keep older epochs across rewinds and head trimming", () => {
+  const history = [ex("r1"), ex("r2"), ex("r3"), ex("r4"), ex("r5"), ex("r6")];
+  const entry = {
+    startRequestId: "r1",
+    levels: [buildSummaryLevel(0, "recent", "r5", history.slice(0, 4)), buildSummaryLevel(1, "digest", "r3", history.slice(0, 2))]
+  };
+  const levelsOf = (h) => verifySummaryLevels(entry, h).map((l) => l.level);
+
+  assert.deepEqual(levelsOf(history), [0, 1]);
+  assert.deepEqual(levelsOf([ex("r1"), ex("r2"), ex("r3"), ex("r4b")]), [1], "rewind past level 0 keeps the epoch digest");
+  assert.deepEqual(levelsOf([ex("r1"), ex("r2b"), ex("r3"), ex("r4")]), [], "fork before every boundary drops all levels");
+  assert.deepEqual(levelsOf([ex("r1"), ex("r2")]), [], "same start without any boundary is a rewind");
+  assert.deepEqual(levelsOf([ex("r4"), ex("r5"), ex("r6")]), [0, 1], "head trimmed by the client still verifies by the tail window");
+});
+
+test("historySummary hierarchical: over-budget rolling summary folds into an epoch digest, then rolls again", async () => {
+  const mock = createMockLlmServer({
+    scripts: ({ body }) => {
+      const all = JSON.stringify(body.messages);
+      const text = all.includes("EPOCH DIGEST") ? "DIGEST of early work" : all.includes("u8 ") ? "short update" : "R".repeat(80);
+      return { steps: [{ type: "text", text }] };
+    }
+  });
+  const { origin } = await mock.listen(0);
+  setHistorySummaryStorage(makeStorage());
+  try {
+    const cfg = {
+      historySummary: {
+        enabled: true,
+        triggerStrategy: "chars",
+        triggerOnHistorySizeChars: 100,
+        historyTailSizeCharsToExclude: 60,
+        minTailExchanges: 2,
+        rollingSummary: true,
+        prompt: "Summarize.",
+        hierarchical: { enabled: true, levelCharBudgets: [50, 40] }
+      }
+    };
+    const provider = { id: "m", type: "openai_compatible", baseUrl: `${origin}/v1`, apiKey: "k", models: ["mock-model"] };
+    const run = async (history) => {
+      const req = { message: "continue", conversation_id: "conv-h", chat_history: history, request_nodes: [] };
+      const ok = await maybeSummarizeAndCompactAugmentChatRequest({ cfg, req, requestedModel: "mock-model", fallbackProvider: provider, fallbackModel: "mock-model", timeoutMs: 5000 });
+      assert.equal(ok, true);
+      return req.request_nodes.find((n) => n.type === REQUEST_NODE_HISTORY_SUMMARY).history_summary_node.summary_text;
+    };
+
+    const h1 = Array.from({ length: 6 }, (_, i) => ex(`r${i + 1}`, `u${i + 1} ` + "x".repeat(30)));
+    assert.equal(await run(h1), "[EPOCH_DIGEST level=1]\nDIGEST of early work\n[/EPOCH_DIGEST]");
+    assert.equal(mock.requests.length, 2, "rolling summary + fold into level 1");
+
+    const h2 = [...h1, ...Array.from({ length: 4 }, (_, i) => ex(`r${i + 7}`, `u${i + 7} ` + "x".repeat(30)))];
+    assert.equal(await run(h2), "[EPOCH_DIGEST level=1]\nDIGEST of early work\n[/EPOCH_DIGEST]\n\nshort update");
+    assert.equal(mock.requests.length, 3, "level 0 restarts from the epoch boundary and stays within budget");
+    const deltaMessages = JSON.stringify(mock.requests[2].body.messages);
+    assert.equal(deltaMessages.includes("u1 "), false, "exchanges covered by the epoch digest are not re-summarized");
+    assert.equal(deltaMessages.includes("PREVIOUS_SUMMARY"), false);
+  } finally {
+    setHistorySummaryStorage(null);
+    await mock.close();
+  }
+});
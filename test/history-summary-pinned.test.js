@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMockLlmServer } = require("../tools/mock/llm-server");
+const { setHistorySummaryStorage } = require("../payload/extension/out/byok/core/augment-history-summary/cache");
+const {
+  getHistorySummaryPins,
+  pinHistorySummaryExchanges,
+  unpinHistorySummaryExchange,
+  clearHistorySummaryPinsAll
+} = require("../payload/extension/out/byok/core/augment-history-summary/pins");
+const { selectPinnedExchanges, computeTailSelectionWithPins } = require("../payload/extension/out/byok/core/augment-history-summary/auto/pinned");
+const { estimateExchangeSizeChars } = require("../payload/extension/out/byok/core/augment-history-summary/auto/estimate");
+const {
+  maybeSummarizeAndCompactAugmentChatRequest,
+  deleteHistorySummaryCache,
+  deleteHistorySummaryConversation,
+  clearHistorySummaryCacheAll
+} = require("../payload/extension/out/byok/core/augment-history-summary/auto");
+const { renderHistorySummaryNodeValue } = require("../payload/extension/out/byok/core/augment-history-summary");
+const { REQUEST_NODE_HISTORY_SUMMARY, REQUEST_NODE_TOOL_RESULT } = require("../payload/extension/out/byok/core/augment-protocol");
+const { defaultConfig } = require("../payload/extension/out/byok/config/default-config");
+
+const PINS_KEY = "augment-byok.historySummaryPins.v1";
+
+function makeStorage() {
+  const state = new Map();
+  return { state, get: (k) => state.get(k), update: async (k, v) => void state.set(k, v) };
+}
+
+function ex(id, msg = `user ${id} ` + "x".repeat(30), resp = `assistant ${id}`, requestNodes = []) {
+  return { request_id: id, request_message: msg, response_text: resp, request_nodes: requestNodes, structured_request_nodes: [], nodes: [], response_nodes: [], structured_output_nodes: [] };
+}
+
+test("historySummary pins: pattern pins respect manual unpin, persist per conversation", async () => {
+  const storage = makeStorage();
+  setHistorySummaryStorage(storage);
+  try {
+    assert.equal(await pinHistorySummaryExchanges("c1", [{ requestId: "r1", source: "pattern", preview: "spec" }, { requestId: "r2" }]), 2);
+    assert.equal(await pinHistorySummaryExchanges("c1", [{ requestId: "r1", source: "manual" }]), 0, "already pinned");
+    assert.equal(await unpinHistorySummaryExchange("c1", "r1"), true);
+    assert.equal(await pinHistorySummaryExchanges("c1", [{ requestId: "r1", source: "pattern" }]), 0, "pattern does not re-pin a manual unpin");
+    assert.deepEqual(getHistorySummaryPins("c1").unpinned, ["r1"]);
+    assert.equal(await pinHistorySummaryExchanges("c1", [{ requestId: "r1", source: "manual" }]), 1, "manual pin revokes the unpin");
+
+    setHistorySummaryStorage(storage);
+    const reloaded = getHistorySummaryPins("c1");
+    assert.deepEqual(reloaded.pinned.map((p) => [p.requestId, p.source]), [["r2", "manual"], ["r1", "manual"]]);
+    assert.deepEqual(reloaded.unpinned, []);
+    assert.ok(storage.state.get(PINS_KEY).entries.c1);
+
+    assert.equal(await deleteHistorySummaryCache("c1"), false);
+    assert.equal(getHistorySummaryPins("c1").pinned.length, 2, "summary invalidation keeps pins");
+    await clearHistorySummaryCacheAll();
+    assert.equal(getHistorySummaryPins("c1").pinned.length, 2, "clearing the summary cache keeps pins");
+    assert.equal(await deleteHistorySummaryConversation("c1"), true);
+    assert.deepEqual(getHistorySummaryPins("c1").pinned, []);
+
+    await pinHistorySummaryExchanges("c2", [{ requestId: "r9", source: "manual" }]);
+    assert.equal(await clearHistorySummaryPinsAll(), 1, "pins are only removed by the explicit clear");
+    assert.deepEqual(getHistorySummaryPins("c2").pinned, []);
+  } finally {
+    setHistorySummaryStorage(null);
+  }
+});
+
+test("historySummary pins: selection stays before the boundary, brings the tool_use turn and honors maxChars", () => {
+  const toolResult = { id: 1, type: REQUEST_NODE_TOOL_RESULT, tool_result_node: { tool_use_id: "t1", content: "KEY RESULT", is_error: false } };
+  const history = [ex("r1"), ex("r2"), ex("r3", "", "", [toolResult]), ex("r4"), ex("r5")];
+  const hs = { pinned: { maxChars: 100000 } };
+  const ids = (r) => r.exchanges.map((h) => h.request_id);
+
+  assert.deepEqual(ids(selectPinnedExchanges({ hs, history, pinnedIdx: [2, 4], tailStart: 4 })), ["r2", "r3"]);
+  const tight = selectPinnedExchanges({ hs: { pinned: { maxChars: 60 } }, history, pinnedIdx: [0, 3], tailStart: 4 });
+  assert.deepEqual([ids(tight), tight.omitted], [["r1"], 1]);
+  assert.equal(selectPinnedExchanges({ hs: { pinned: { maxChars: 0 } }, history, pinnedIdx: [0], tailStart: 4 }).exchanges.length, 0);
+});
+
+test("historySummary pins: tail budget is charged against the final boundary", () => {
+  const history = Array.from({ length: 10 }, (_, i) => ex(`r${i}`));
+  const size = estimateExchangeSizeChars(history[0]);
+  const hs = { minTailExchanges: 1, pinned: { maxChars: 100000 } };
+  const decision = { tailExcludeChars: size * 4.5, thresholdChars: 0 };
+  // 首轮边界 r6 之前只有 r5；边界后移到 r7 后 r6 也落到边界之前，需再扣一次
+  const sel = computeTailSelectionWithPins({ history, hs, decision, pinnedIdx: [5, 6] });
+  assert.equal(sel.boundaryRequestId, "r8");
+  const pinned = selectPinnedExchanges({ hs, history, pinnedIdx: [5, 6], tailStart: sel.tailStart });
+  const tailChars = sel.tail.reduce((n, h) => n + estimateExchangeSizeChars(h), 0);
+  assert.ok(tailChars + pinned.chars <= decision.tailExcludeChars, "pinned + tail stay within the tail budget");
+});
+
+test("historySummary pins: pattern-matched early exchanges are carried verbatim and shrink the tail", async () => {
+  const mock = createMockLlmServer({ scripts: () => ({ steps: [{ type: "text", text: "SUMMARY" }] }) });
+  const { origin } = await mock.listen(0);
+  setHistorySummaryStorage(makeStorage());
+  try {
+    const provider = { id: "m", type: "openai_compatible", baseUrl: `${origin}/v1`, apiKey: "k", models: ["mock-model"] };
+    const cfg = (pinned, template) => ({
+      historySummary: {
+        enabled: true,
+        triggerStrategy: "chars",
+        triggerOnHistorySizeChars: 100,
+        historyTailSizeCharsToExclude: 200,
+        minTailExchanges: 1,
+        rollingSummary: false,
+        prompt: "Summarize.",
+        pinned,
+        summaryNodeRequestMessageTemplate: template || defaultConfig().historySummary.summaryNodeRequestMessageTemplate
+      }
+    });
+    const history = [ex("r1", "[PIN] original spec: keep every id stable " + "s".repeat(10)), ...Array.from({ length: 7 }, (_, i) => ex(`r${i + 2}`))];
+    const run = async (conversationId, c) => {
+      const req = { message: "continue", conversation_id: conversationId, chat_history: history, request_nodes: [] };
+      assert.equal(await maybeSummarizeAndCompactAugmentChatRequest({ cfg: c, req, requestedModel: "mock-model", fallbackProvider: provider, fallbackModel: "mock-model", timeoutMs: 5000 }), true);
+      const node = req.request_nodes.find((n) => n.type === REQUEST_NODE_HISTORY_SUMMARY).history_summary_node;
+      return { node, text: renderHistorySummaryNodeValue(node) };
+    };
+
+    const base = await run("conv-base", cfg({ patterns: [], maxChars: 20000 }));
+    assert.equal(base.node.history_pinned, undefined);
+
+    const pinned = await run("conv-pin", cfg({ patterns: ["\\[pin\\]"], maxChars: 20000 }));
+    assert.deepEqual(pinned.node.history_pinned.map((h) => h.request_id), ["r1"]);
+    assert.ok(pinned.node.history_end.length < base.node.history_end.length, "pinned chars come out of the tail budget");
+    assert.match(pinned.text, /<end_part_full>\n<pinned_exchanges>\n<exchange>[\s\S]*original spec[\s\S]*<\/pinned_exchanges>/);
+    assert.deepEqual(getHistorySummaryPins("conv-pin").pinned.map((p) => [p.requestId, p.source]), [["r1", "pattern"]]);
+
+    // 已记录的 pin 不依赖 patterns；模板带 {pinned_part_full} 时放入专用区块
+    const template = "{summary}|{summarization_request_id}|{beginning_part_dropped_num_exchanges}|{middle_part_abridged}|<pinned>{pinned_part_full}</pinned>|<end>{end_part_full}</end>";
+    const section = await run("conv-pin", cfg({ patterns: [], maxChars: 20000 }, template));
+    assert.match(section.text, /<pinned><exchange>[\s\S]*original spec[\s\S]*<\/pinned>/);
+    assert.equal(section.text.includes("<pinned_exchanges>"), false);
+  } finally {
+    setHistorySummaryStorage(null);
+    await mock.close();
+  }
+});
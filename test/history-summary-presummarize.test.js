@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMockLlmServer } = require("../tools/mock/llm-server");
+const {
+  setHistorySummaryStorage,
+  maybeSummarizeAndCompactAugmentChatRequest,
+  scheduleHistorySummaryPresummarize,
+  deleteHistorySummaryCache
+} = require("../payload/extension/out/byok/core/augment-history-summary/auto");
+const { REQUEST_NODE_HISTORY_SUMMARY } = require("../payload/extension/out/byok/core/augment-protocol");
+
+function ex(id, msg, resp) {
+  return { request_id: id, request_message: msg, response_text: resp, request_nodes: [], structured_request_nodes: [], nodes: [], response_nodes: [], structured_output_nodes: [] };
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function withMock(run) {
+  const mock = createMockLlmServer({ scripts: () => ({ steps: [{ type: "text", text: "PRESUMMARY" }] }) });
+  const { origin } = await mock.listen(0);
+  const store = new Map();
+  setHistorySummaryStorage({ get: (k) => store.get(k), update: async (k, v) => void store.set(k, v) });
+  try {
+    const provider = { id: "m", type: "openai_compatible", baseUrl: `${origin}/v1`, apiKey: "k", models: ["mock-model"] };
+    const cfg = (presummarize) => ({
+      historySummary: {
+        enabled: true,
+        triggerStrategy: "chars",
+        triggerOnHistorySizeChars: 1000,
+        historyTailSizeCharsToExclude: 800,
+        minTailExchanges: 1,
+        prompt: "Summarize.",
+        presummarize: { enabled: true, triggerFraction: 0.5, ...presummarize }
+      }
+    });
+    await run({ mock, provider, cfg });
+  } finally {
+    setHistorySummaryStorage(null);
+    await mock.close();
+  }
+}
+
+const h1 = [ex("r1", "a".repeat(150), "b".repeat(100)), ex("r2", "c".repeat(150), "d".repeat(100)), ex("r3", "e".repeat(150), "f".repeat(100))];
+const turn = { message: "m".repeat(100), response: "r".repeat(250) };
+
+test("historySummary presummarize: a completed turn near the threshold pre-fills the cache for the next request", async () => {
+  await withMock(async ({ mock, provider, cfg }) => {
+    const req1 = { conversation_id: "conv-p", message: turn.message, chat_history: h1, request_nodes: [] };
+    const args = { cfg: cfg({ debounceMs: 0 }), requestedModel: "mock-model", fallbackProvider: provider, fallbackModel: "mock-model" };
+    assert.equal(await maybeSummarizeAndCompactAugmentChatRequest({ ...args, req: req1, timeoutMs: 5000 }), false, "turn 1 is below the trigger");
+    assert.equal(scheduleHistorySummaryPresummarize({ ...args, req: req1, responseText: turn.response }), true);
+    await sleep(20);
+
+    const req2 = { conversation_id: "conv-p", message: "n".repeat(300), chat_history: [...h1, ex("r4", turn.message, turn.response)], request_nodes: [] };
+    assert.equal(await maybeSummarizeAndCompactAugmentChatRequest({ ...args, req: req2, timeoutMs: 5000 }), true);
+    const node = req2.request_nodes.find((n) => n.type === REQUEST_NODE_HISTORY_SUMMARY).history_summary_node;
+    assert.equal(node.summary_text, "PRESUMMARY");
+    assert.deepEqual(node.history_end.map((h) => h.request_id), ["r3", "r4"]);
+    assert.equal(mock.requests.length, 1, "the over-threshold turn is served from the background summary");
+    assert.equal(JSON.stringify(mock.requests[0].body.messages).includes("e".repeat(150)), false, "tail exchanges are not summarized");
+
+    assert.equal(scheduleHistorySummaryPresummarize({ ...args, req: req1, responseText: turn.response }), false, "cache already covers the boundary");
+  });
+});
+
+test("historySummary presummarize: debounced per conversation and cancelled with the conversation", async () => {
+  await withMock(async ({ mock, provider, cfg }) => {
+    const args = { cfg: cfg({ debounceMs: 30 }), requestedModel: "mock-model", fallbackProvider: provider, fallbackModel: "mock-model", responseText: turn.response };
+    const req = { conversation_id: "conv-q", message: turn.message, chat_history: h1, request_nodes: [] };
+    assert.equal(scheduleHistorySummaryPresummarize({ ...args, req }), true);
+    assert.equal(scheduleHistorySummaryPresummarize({ ...args, req }), true, "a newer turn replaces the pending job");
+    await sleep(80);
+    assert.equal(mock.requests.length, 1);
+
+    await deleteHistorySummaryCache("conv-q");
+    assert.equal(scheduleHistorySummaryPresummarize({ ...args, req }), true);
+    await deleteHistorySummaryCache("conv-q");
+    await sleep(80);
+    assert.equal(mock.requests.length, 1, "deleting the conversation cancels its pending job");
+
+    const small = { conversation_id: "conv-s", message: "hi", chat_history: [ex("s1", "hi", "hello")], request_nodes: [] };
+    assert.equal(scheduleHistorySummaryPresummarize({ ...args, req: small }), false, "far below the trigger");
+  });
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const { normalizeConfig } = require("../payload/extension/out/byok/config/config");
+const { leaseCandidateKey, markKeyRateLimited, snapshotKeyPoolHealth, resetKeyPools } = require("../payload/extension/out/byok/core/key-pool");
+const { runWithProviderFailover } = require("../payload/extension/out/byok/core/provider-failover");
+const { fetchOkWithRetry } = require("../payload/extension/out/byok/providers/request-util");
+const { redactConfigSecrets, mergeConfigPreservingSecrets, REDACTED } = require("../payload/extension/out/byok/ui/config-io");
+
+function pooledProvider(extra) {
+  return { id: "pool", type: "openai_compatible", baseUrl: "http://127.0.0.1/v1", apiKey: "sk-key-aaaa", apiKeys: ["sk-key-bbbb", "sk-key-cccc"], models: ["m"], ...extra };
+}
+
+function leaseKey(provider, tried) {
+  return leaseCandidateKey({ provider, model: "m" }, tried || new Set());
+}
+
+test("key pool: config keeps apiKeys/apiKeyRotation and export/import treat them as secrets", () => {
+  const cfg = normalizeConfig({ providers: [pooledProvider({ apiKeys: ["sk-key-aaaa", "sk-key-bbbb", ""], apiKeyRotation: "least_recently_limited" })] });
+  assert.deepEqual(cfg.providers[0].apiKeys, ["sk-key-bbbb"]);
+  assert.equal(cfg.providers[0].apiKeyRotation, "least_recently_limited");
+  assert.equal("apiKeys" in normalizeConfig({ providers: [{ id: "a", type: "anthropic" }] }).providers[0], false);
+
+  const redacted = redactConfigSecrets(cfg);
+  assert.deepEqual(redacted.providers[0].apiKeys, [REDACTED]);
+  assert.deepEqual(mergeConfigPreservingSecrets(cfg, redacted).providers[0].apiKeys, ["sk-key-bbbb"]);
+});
+
+test("key pool: round robin skips keys on cooldown; least_recently_limited prefers never-limited keys", () => {
+  resetKeyPools();
+  const p = pooledProvider();
+  assert.deepEqual([0, 1, 2, 3].map(() => leaseKey(p).candidate.provider.apiKey), ["sk-key-aaaa", "sk-key-bbbb", "sk-key-cccc", "sk-key-aaaa"]);
+
+  markKeyRateLimited(leaseKey(p).lease, { status: 429, retryAfterMs: 30000 }); // bbbb
+  assert.deepEqual([0, 1, 2].map(() => leaseKey(p).candidate.provider.apiKey), ["sk-key-cccc", "sk-key-aaaa", "sk-key-cccc"]);
+
+  const health = snapshotKeyPoolHealth({ providers: [p] }).pool;
+  assert.equal(health.length, 3);
+  assert.equal(health[1].state, "cooldown");
+  assert.ok(health[1].cooldownRemainingMs > 25000);
+  assert.equal(health[1].label, "…bbbb");
+  assert.equal(JSON.stringify(health).includes("sk-key"), false, "health never exposes keys");
+
+  resetKeyPools();
+  const lrl = pooledProvider({ apiKeyRotation: "least_recently_limited" });
+  markKeyRateLimited(leaseKey(lrl).lease, { status: 429, retryAfterMs: 1 }); // aaaa, cooldown already over
+  const picks = [0, 1, 2].map(() => leaseKey(lrl).candidate.provider.apiKey);
+  assert.deepEqual(picks, ["sk-key-bbbb", "sk-key-cccc", "sk-key-bbbb"]);
+
+  assert.equal(leaseKey({ id: "single", apiKey: "sk-only" }).lease, null);
+});
+
+test("key pool: a 429 cools the key down for retry-after and the same request rotates to the next key", async () => {
+  resetKeyPools();
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    const auth = String(req.headers.authorization || "");
+    seen.push(auth);
+    if (auth.endsWith("aaaa")) {
+      res.writeHead(429, { "content-type": "application/json", "retry-after": "120" });
+      res.end(JSON.stringify({ error: { message: "Rate limit reached", type: "rate_limit" } }));
+      return;
+    }
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end("{}");
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const url = `http://127.0.0.1:${server.address().port}/v1/chat/completions`;
+  try {
+    const provider = pooledProvider();
+    const out = await runWithProviderFailover({
+      candidates: [{ provider, model: "m" }],
+      run: async (c) => {
+        const resp = await fetchOkWithRetry(url, { method: "POST", headers: { authorization: `Bearer ${c.provider.apiKey}` }, body: "{}" }, { timeoutMs: 5000, label: "t" });
+        return `${resp.status}:${c.provider.apiKey}`;
+      }
+    });
+    assert.equal(out, "200:sk-key-bbbb");
+    assert.deepEqual(seen, ["Bearer sk-key-aaaa", "Bearer sk-key-bbbb"], "429 is not retried on the same key");
+
+    const health = snapshotKeyPoolHealth({ providers: [provider] }).pool;
+    assert.equal(health[0].state, "cooldown");
+    assert.ok(health[0].cooldownRemainingMs > 100000, "cooldown follows retry-after");
+    assert.equal(health[0].lastError, "http_429");
+
+    // 下一次请求直接跳过冷却中的 key
+    seen.length = 0;
+    await runWithProviderFailover({ candidates: [{ provider, model: "m" }], run: async (c) => (await fetchOkWithRetry(url, { headers: { authorization: `Bearer ${c.provider.apiKey}` } }, { timeoutMs: 5000 })).status });
+    assert.deepEqual(seen, ["Bearer sk-key-cccc"]);
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+});
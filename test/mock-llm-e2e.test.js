@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMockLlmServer } = require("../tools/mock/llm-server");
+const { ensureConfigManager } = require("../payload/extension/out/byok/config/state");
+const { maybeHandleCallApiStream } = require("../payload/extension/out/byok/runtime/shim/call-api-stream");
+const { completeTextByProviderType } = require("../payload/extension/out/byok/core/provider-text");
+const {
+  RESPONSE_NODE_TOOL_USE,
+  RESPONSE_NODE_THINKING,
+  RESPONSE_NODE_TOKEN_USAGE,
+  STOP_REASON_END_TURN,
+  STOP_REASON_MAX_TOKENS,
+  STOP_REASON_TOOL_USE_REQUESTED,
+  STOP_REASON_UNSPECIFIED
+} = require("../payload/extension/out/byok/core/augment-protocol");
+
+const TYPES = ["openai_compatible", "openai_responses", "anthropic", "gemini_ai_studio"];
+
+function makeGlobalState() {
+  const store = new Map();
+  return { get: (k) => store.get(k), update: async (k, v) => void store.set(k, v) };
+}
+
+function mockProvider(type, origin) {
+  return {
+    id: `mock-${type}`,
+    type,
+    baseUrl: `${origin}/${type === "gemini_ai_studio" ? "v1beta" : "v1"}`,
+    apiKey: "mock-key",
+    models: ["mock-model"],
+    defaultModel: "mock-model"
+  };
+}
+
+async function withMock(scripts, fn) {
+  const mock = createMockLlmServer({ scripts });
+  const { origin } = await mock.listen(0);
+  try {
+    const mgr = ensureConfigManager({ ctx: { globalState: makeGlobalState() } });
+    await mgr.saveNow({ providers: TYPES.map((t) => mockProvider(t, origin)), routing: { rules: { "/chat-stream": { mode: "byok" } } } }, "test");
+    return await fn(mock);
+  } finally {
+    await mock.close();
+  }
+}
+
+async function runChatStream(type) {
+  const gen = await maybeHandleCallApiStream({
+    endpoint: "/chat-stream",
+    body: { message: "hi", model: `byok:mock-${type}:mock-model`, chat_history: [] },
+    transform: (x) => x,
+    timeoutMs: 5000
+  });
+  assert.ok(gen, "expected BYOK stream (not official fallback)");
+  const chunks = [];
+  for await (const c of gen) chunks.push(c);
+  const nodes = chunks.flatMap((c) => (Array.isArray(c.nodes) ? c.nodes : []));
+  return {
+    chunks,
+    text: chunks.map((c) => c.text || "").join(""),
+    nodes,
+    stopReason: chunks[chunks.length - 1]?.stop_reason
+  };
+}
+
+for (const type of TYPES) {
+  test(`mock llm e2e (${type}): text, thinking, tool call and usage through /chat-stream`, async () => {
+    const script = {
+      steps: [
+        { type: "thinking", text: "plan it" },
+        { type: "text", text: ["Hello", ", world"] },
+        { type: "tool_call", id: "call_1", name: "view", input: { path: "a.js" } }
+      ],
+      usage: { input: 100, output: 20, cacheRead: 40 }
+    };
+    await withMock([script], async (mock) => {
+      const out = await runChatStream(type);
+      assert.equal(mock.requests.length, 1);
+      assert.equal(mock.requests[0].dialect, type);
+      assert.equal(mock.requests[0].stream, true);
+
+      assert.ok(out.text.includes("Hello, world"), out.text);
+      const tool = out.nodes.find((n) => n.type === RESPONSE_NODE_TOOL_USE);
+      assert.equal(tool?.tool_use?.tool_name, "view");
+      assert.deepEqual(JSON.parse(tool.tool_use.input_json), { path: "a.js" });
+      // Gemini 的 thought parts 目前按正文处理，不产出 THINKING 节点
+      if (type !== "gemini_ai_studio") assert.ok(out.nodes.some((n) => n.type === RESPONSE_NODE_THINKING));
+      const usage = out.nodes.find((n) => n.type === RESPONSE_NODE_TOKEN_USAGE)?.token_usage;
+      assert.equal(usage?.output_tokens, 20);
+      assert.equal(usage?.cache_read_input_tokens, 40);
+      assert.equal(out.stopReason, STOP_REASON_TOOL_USE_REQUESTED);
+    });
+  });
+}
+
+test("mock llm e2e: max_tokens, truncation and mid-stream errors map to augment stop reasons", async () => {
+  for (const type of TYPES) {
+    await withMock(
+      [
+        { steps: [{ type: "text", text: "partial" }], stopReason: "max_tokens" },
+        { steps: [{ type: "text", text: "cut" }, { type: "truncate" }] },
+        { steps: [{ type: "text", text: "ok" }] }
+      ],
+      async () => {
+        assert.equal((await runChatStream(type)).stopReason, STOP_REASON_MAX_TOKENS, type);
+        assert.equal((await runChatStream(type)).stopReason, STOP_REASON_UNSPECIFIED, type);
+        assert.equal((await runChatStream(type)).stopReason, STOP_REASON_END_TURN, type);
+      }
+    );
+  }
+
+  await withMock([{ steps: [{ type: "text", text: "before" }, { type: "error", message: "boom" }] }], async () => {
+    const out = await runChatStream("anthropic");
+    assert.ok(out.text.includes("before"));
+    assert.ok(out.text.includes("boom"), out.text);
+  });
+});
+
+test("mock llm e2e: HTTP errors and non-stream JSON responses per dialect", async () => {
+  const complete = (p) => completeTextByProviderType({ ...p, model: "mock-model", system: "sys", messages: [{ role: "user", content: "hi" }], timeoutMs: 5000 });
+
+  // 400 会触发最小化兜底重试：每次请求都回放同一个错误
+  await withMock(() => ({ error: { status: 400, message: "bad request from mock" } }), async (mock) => {
+    const provider = ensureConfigManager().get().providers.find((p) => p.type === "anthropic");
+    await assert.rejects(complete(provider), /bad request from mock/);
+    assert.ok(mock.requests.length >= 1);
+  });
+
+  for (const type of TYPES) {
+    await withMock([{ steps: [{ type: "text", text: `json-${type}` }] }], async (mock) => {
+      const provider = ensureConfigManager().get().providers.find((p) => p.type === type);
+      assert.equal(await complete(provider), `json-${type}`);
+      assert.equal(mock.requests[0].dialect, type);
+    });
+  }
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeConfig } = require("../payload/extension/out/byok/config/config");
+const {
+  rememberModelCapabilities,
+  resolveModelCapabilities,
+  describeModelCapabilities,
+  clearDiscoveredModelCapabilities
+} = require("../payload/extension/out/byok/core/model-capabilities");
+const { pickModelListCapabilities } = require("../payload/extension/out/byok/providers/models");
+const { resolveContextWindowTokens } = require("../payload/extension/out/byok/core/augment-history-summary/auto/config");
+const { resolveUsagePricing } = require("../payload/extension/out/byok/core/usage-ledger/pricing");
+const { ensureModelRegistryFeatureFlags } = require("../payload/extension/out/byok/core/model-registry");
+
+test("model capabilities: builtin table < discovered metadata < provider overrides", () => {
+  clearDiscoveredModelCapabilities();
+  const sonnet = resolveModelCapabilities({ model: "byok:anthropic:claude-sonnet-4-5" });
+  assert.equal(sonnet.contextWindowTokens, 200000);
+  assert.equal(sonnet.maxOutputTokens, 64000);
+  assert.equal(sonnet.reasoning, "budget");
+  assert.equal(resolveModelCapabilities({ model: "gpt-4o-mini" }).maxOutputTokens, 16384);
+  assert.equal(resolveModelCapabilities({ model: "o3-mini" }).reasoning, "effort");
+  assert.equal(resolveModelCapabilities({ model: "my-coder-32k" }).contextWindowTokens, 32768, "NNk suffix is the last resort");
+  assert.deepEqual(resolveModelCapabilities({ model: "unknown-model" }), {});
+
+  rememberModelCapabilities({ providerId: "p", model: "models/gemini-2.5-pro" }, { contextWindowTokens: 2000000, vision: "yes" });
+  const gemini = resolveModelCapabilities({ provider: { id: "p" }, model: "gemini-2.5-pro" });
+  assert.equal(gemini.contextWindowTokens, 2000000);
+  assert.equal(gemini.vision, true, "invalid discovered values are ignored");
+  assert.equal(resolveModelCapabilities({ model: "byok:p:gemini-2.5-pro" }).contextWindowTokens, 2000000, "providerId parsed from byok model id");
+  // 同名模型在另一个 provider（例如代理/自建网关）上不继承探测结果
+  assert.equal(resolveModelCapabilities({ provider: { id: "proxy" }, model: "gemini-2.5-pro" }).contextWindowTokens, 1048576);
+  assert.equal(resolveModelCapabilities({ model: "gemini-2.5-pro" }).contextWindowTokens, 1048576);
+  assert.equal(rememberModelCapabilities({ model: "gemini-2.5-pro" }, { contextWindowTokens: 1 }), false, "providerId is required");
+
+  const provider = { id: "p", modelCapabilities: { "gemini-2.5": { maxOutputTokens: 4096 }, "gemini-2.5-pro": { contextWindowTokens: 500000, reasoning: "none" } } };
+  const overridden = resolveModelCapabilities({ provider, model: "gemini-2.5-pro" });
+  assert.equal(overridden.contextWindowTokens, 500000);
+  assert.equal(overridden.maxOutputTokens, 65536, "exact key wins; other fields fall through");
+  assert.equal(overridden.reasoning, "none");
+  assert.equal(resolveModelCapabilities({ provider, model: "gemini-2.5-flash" }).maxOutputTokens, 4096);
+  clearDiscoveredModelCapabilities();
+});
+
+test("model capabilities: model-list metadata and config overrides are normalized", () => {
+  const openRouter = pickModelListCapabilities({
+    id: "anthropic/claude-x",
+    context_length: 300000,
+    top_provider: { max_completion_tokens: 20000 },
+    architecture: { input_modalities: ["text", "image"] },
+    supported_parameters: ["tools", "temperature"],
+    pricing: { prompt: "0.000003", completion: "0.000015" }
+  });
+  assert.equal(openRouter.contextWindowTokens, 300000);
+  assert.equal(openRouter.maxOutputTokens, 20000);
+  assert.equal(openRouter.vision, true);
+  assert.equal(openRouter.tools, true);
+  assert.deepEqual({ input: openRouter.pricing.input, output: openRouter.pricing.output }, { input: 3, output: 15 });
+
+  const gemini = pickModelListCapabilities({ name: "models/gemini-x", inputTokenLimit: 1048576, outputTokenLimit: 65536, thinking: true });
+  assert.deepEqual([gemini.contextWindowTokens, gemini.maxOutputTokens, gemini.reasoning], [1048576, 65536, "budget"]);
+
+  const cfg = normalizeConfig({
+    providers: [{ id: "a", type: "openai_compatible", modelCapabilities: { "m-1": { contextWindowTokens: "32000", tools: false, reasoning: "bogus", pricing: { input: 1 } }, empty: {} } }]
+  });
+  assert.deepEqual(cfg.providers[0].modelCapabilities, { "m-1": { contextWindowTokens: 32000, tools: false, pricing: { input: 1 } } });
+});
+
+test("model capabilities: history summary, pricing and /get-models read from the registry", () => {
+  const provider = { id: "p", modelCapabilities: { "m-1": { contextWindowTokens: 32000, maxOutputTokens: 4000, tools: true, pricing: { input: 2, output: 8 } } } };
+  assert.equal(resolveContextWindowTokens({}, "", { provider, model: "m-1" }), 32000);
+  assert.equal(resolveContextWindowTokens({ contextWindowTokensDefault: 1000 }, "byok:p:m-1", { provider, model: "m-1" }), 1000, "historySummary config still wins");
+
+  assert.deepEqual(resolveUsagePricing(provider, "m-1"), { input: 2, output: 8, cacheRead: 2, cacheWrite: 2 });
+  assert.equal(resolveUsagePricing({ ...provider, pricing: { input: 5 } }, "m-1").input, 5, "provider.pricing wins");
+
+  assert.equal(describeModelCapabilities({ contextWindowTokens: 32000, maxOutputTokens: 4000, tools: true }), "ctx 32k · out 4k · tools");
+  const flags = ensureModelRegistryFeatureFlags({}, { byokModelIds: ["byok:p:m-1"], defaultModel: "byok:p:m-1", cfg: { providers: [provider] } });
+  const info = JSON.parse(flags.model_info_registry)["byok:p:m-1"];
+  assert.equal(info.description, "ctx 32k · out 4k · tools");
+  assert.deepEqual(info.capabilities, { contextWindowTokens: 32000, maxOutputTokens: 4000, tools: true }, "structured fields alongside the description, without pricing");
+
+  // 上游探测到的能力同样以结构化字段出现在 /get-models
+  clearDiscoveredModelCapabilities();
+  rememberModelCapabilities({ providerId: "p", model: "m-2" }, { contextWindowTokens: 64000, maxOutputTokens: 8000, vision: true, tools: true });
+  const discovered = ensureModelRegistryFeatureFlags({}, { byokModelIds: ["byok:p:m-2"], defaultModel: "byok:p:m-2", cfg: { providers: [provider] } });
+  assert.deepEqual(JSON.parse(discovered.model_info_registry)["byok:p:m-2"].capabilities, { contextWindowTokens: 64000, maxOutputTokens: 8000, vision: true, tools: true });
+  clearDiscoveredModelCapabilities();
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMockLlmServer } = require("../tools/mock/llm-server");
+const { ensureConfigManager } = require("../payload/extension/out/byok/config/state");
+const { validateJsonSchema } = require("../payload/extension/out/byok/core/json-schema");
+const { NEXT_EDIT_LOC_OUTPUT_SCHEMA, parseNextEditLocOutput } = require("../payload/extension/out/byok/core/next-edit/loc-utils");
+const { toGeminiResponseSchema } = require("../payload/extension/out/byok/providers/gemini/request");
+const { maybeHandleCallApi } = require("../payload/extension/out/byok/runtime/shim/call-api");
+
+const VALID = { candidate_locations: [{ path: "src/a.js", start: 4, stop: 6 }] };
+
+test("next_edit_loc structured output: schema validation and provider schema shapes", () => {
+  assert.deepEqual(validateJsonSchema(VALID, NEXT_EDIT_LOC_OUTPUT_SCHEMA.schema), []);
+  assert.deepEqual(validateJsonSchema({ candidate_locations: [{ path: "a", start: "4", stop: 1, why: "x" }] }, NEXT_EDIT_LOC_OUTPUT_SCHEMA.schema), [
+    "$.candidate_locations[0].start: expected integer",
+    "$.candidate_locations[0].why: unexpected property"
+  ]);
+
+  const ok = parseNextEditLocOutput("```json\n" + JSON.stringify(VALID) + "\n```", { max: 3 });
+  assert.deepEqual(ok.candidates.map((c) => c.item), [{ path: "src/a.js", range: { start: 4, stop: 6 } }]);
+  assert.match(parseNextEditLocOutput("Sure! Edit around line 4.").error, /invalid JSON/);
+  assert.match(parseNextEditLocOutput('Sure! The next edit is {"path":"a"}').error, /candidate_locations\[0\]\.start: required/);
+  assert.match(parseNextEditLocOutput('[{"path":"a","start":"4"}]').error, /start: expected integer/);
+
+  // 宽松形状：前后解释文本、根数组、locations/range 形状在校验前收敛，无需修复重试
+  const prose = parseNextEditLocOutput("Here you go:\n" + JSON.stringify(VALID) + "\nHope this helps.", { max: 3 });
+  assert.deepEqual(prose.candidates.map((c) => c.item), [{ path: "src/a.js", range: { start: 4, stop: 6 } }]);
+  const arr = parseNextEditLocOutput('[{"file_path":"b.js","start_line":2},{"path":"c.js","start":1,"stop":3}]', { max: 3 });
+  assert.deepEqual(arr.candidates.map((c) => c.item), [
+    { path: "b.js", range: { start: 2, stop: 2 } },
+    { path: "c.js", range: { start: 1, stop: 3 } }
+  ]);
+  const locs = parseNextEditLocOutput('{"locations":[{"range":{"start":{"line":7},"end":{"line":9}}}]}', { fallbackPath: "d.js", max: 3 });
+  assert.deepEqual(locs.candidates.map((c) => c.item), [{ path: "d.js", range: { start: 7, stop: 9 } }]);
+  assert.deepEqual(parseNextEditLocOutput('{"locations":[]}'), { ok: true, candidates: [] });
+
+  const g = toGeminiResponseSchema(NEXT_EDIT_LOC_OUTPUT_SCHEMA.schema);
+  assert.equal(g.type, "OBJECT");
+  assert.equal(g.properties.candidate_locations.items.properties.start.type, "INTEGER");
+  assert.equal("additionalProperties" in g.properties.candidate_locations.items, false);
+});
+
+async function withMock(scripts, provider, run) {
+  const mock = createMockLlmServer({ scripts });
+  const { origin } = await mock.listen(0);
+  const store = new Map();
+  try {
+    const mgr = ensureConfigManager({ ctx: { globalState: { get: (k) => store.get(k), update: async (k, v) => void store.set(k, v) } } });
+    await mgr.saveNow(
+      {
+        providers: [{ id: "m", apiKey: "k", models: ["mock-model"], defaultModel: "mock-model", ...provider(origin) }],
+        routing: { rules: { "/next_edit_loc": { mode: "byok", providerId: "m", model: "mock-model" } } }
+      },
+      "test"
+    );
+    const call = async () =>
+      await maybeHandleCallApi({ endpoint: "/next_edit_loc", body: { path: "src/a.js", num_results: 2 }, transform: (x) => x, timeoutMs: 5000 });
+    await run({ mock, call });
+  } finally {
+    await mock.close();
+  }
+}
+
+test("next_edit_loc structured output: OpenAI json_schema with one repair retry on chatty output", async () => {
+  const scripts = [{ steps: [{ type: "text", text: "Sure! I think you should edit src/a.js around line 4." }] }, { steps: [{ type: "text", text: JSON.stringify(VALID) }] }];
+  await withMock(scripts, (origin) => ({ type: "openai_compatible", baseUrl: `${origin}/v1` }), async ({ mock, call }) => {
+    const out = await call();
+    assert.deepEqual(out.candidate_locations[0].item, { path: "src/a.js", range: { start: 4, stop: 6 } }, "validated LLM candidate merged ahead of the baseline");
+    assert.equal(mock.requests.length, 2);
+    assert.equal(mock.requests[0].body.response_format.type, "json_schema");
+    assert.equal(mock.requests[0].body.response_format.json_schema.name, "next_edit_locations");
+    const repair = mock.requests[1].body.messages;
+    assert.equal(repair.at(-2).role, "assistant");
+    assert.match(repair.at(-1).content, /invalid JSON/);
+  });
+});
+
+test("next_edit_loc structured output: Anthropic forced tool-use, invalid output after repair keeps only the baseline", async () => {
+  const scripts = [{ steps: [{ type: "tool_call", name: "next_edit_locations", input: VALID }] }];
+  await withMock(scripts, (origin) => ({ type: "anthropic", baseUrl: `${origin}/v1` }), async ({ mock, call }) => {
+    const out = await call();
+    assert.deepEqual(out.candidate_locations[0].item.range, { start: 4, stop: 6 });
+    assert.deepEqual(mock.requests[0].body.tool_choice, { type: "tool", name: "next_edit_locations" });
+    assert.equal(mock.requests[0].body.tools[0].input_schema.required[0], "candidate_locations");
+  });
+
+  const chatty = [{ steps: [{ type: "text", text: "Sure:\n```json\n" + JSON.stringify(VALID.candidate_locations) + "\n```" }] }];
+  await withMock(chatty, (origin) => ({ type: "openai_compatible", baseUrl: `${origin}/v1` }), async ({ mock, call }) => {
+    const out = await call();
+    assert.deepEqual(out.candidate_locations[0].item.range, { start: 4, stop: 6 });
+    assert.equal(mock.requests.length, 1, "loosely extracted output that passes the schema skips the repair call");
+  });
+
+  const bad = [{ steps: [{ type: "text", text: "no idea" }] }, { steps: [{ type: "text", text: '{"candidate_locations":[{"path":"x"}]}' }] }];
+  await withMock(bad, (origin) => ({ type: "openai_compatible", baseUrl: `${origin}/v1` }), async ({ mock, call }) => {
+    const out = await call();
+    assert.equal(mock.requests.length, 2, "single repair retry");
+    assert.equal(out.candidate_locations.some((c) => c.item.path === "x"), false, "invalid output is never merged");
+  });
+});
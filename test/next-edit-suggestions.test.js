@@ -0,0 +1,150 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  createNextEditBlockParser,
+  collectNextEditFiles,
+  streamNextEditSuggestions,
+  buildPrimaryMatchHints
+} = require("../payload/extension/out/byok/core/next-edit/suggestions");
+const { buildNextEditStreamRuntimeContext } = require("../payload/extension/out/byok/core/next-edit/stream-utils");
+const http = require("node:http");
+const { ensureConfigManager } = require("../payload/extension/out/byok/config/state");
+const { acquireProviderSlot, resetProviderLimiters } = require("../payload/extension/out/byok/providers/rate-limiter");
+const { maybeHandleCallApiStream } = require("../payload/extension/out/byok/runtime/shim/call-api-stream");
+
+async function* deltasOf(text, size) {
+  for (let i = 0; i < text.length; i += size) yield text.slice(i, i + size);
+}
+
+async function collect(gen) {
+  const out = [];
+  for await (const x of gen) out.push(x);
+  return out;
+}
+
+const MAIN = "const a = 1;\nconst b = 2;\nfunction f() {\n  return a;\n}\n";
+const UTIL = "export function g() {\n  return 'x';\n}\n";
+
+function makeContext() {
+  const body = {
+    path: "src/main.js",
+    blobs: { "src/main.js": MAIN, "src/util.js": UTIL },
+    recent_changes: [{ path: "src/util.js", blob_name: "blob-util", char_start: 0, char_end: 0 }],
+    selection_begin_char: 13,
+    selection_end_char: 25
+  };
+  const ctx = buildNextEditStreamRuntimeContext(body);
+  const primary = { ...ctx, ...buildPrimaryMatchHints(ctx.blobText, ctx.selectionBegin, ctx.selectionEnd) };
+  return { primary, files: collectNextEditFiles(ctx.promptBody) };
+}
+
+test("next-edit suggestions: parser closes blocks across arbitrary delta boundaries", () => {
+  const p = createNextEditBlockParser();
+  const text = "<<<<<<< EDIT src/x.js\nold\n=======\nnew\n>>>>>>> END\n<<<<<<< EDIT\n\n=======\nins\n>>>>>>> END";
+  const blocks = [];
+  for (let i = 0; i < text.length; i += 3) blocks.push(...p.push(text.slice(i, i + 3)));
+  assert.deepEqual(blocks, [{ path: "src/x.js", original: "old", updated: "new" }]);
+  assert.deepEqual(p.finish(), [{ path: "", original: "", updated: "ins" }]);
+  assert.equal(p.legacyText(), null);
+
+  const legacy = createNextEditBlockParser();
+  legacy.push("```js\nconst b = 3;\n```");
+  assert.deepEqual(legacy.finish(), []);
+  assert.equal(legacy.legacyText(), "const b = 3;");
+});
+
+test("next-edit suggestions: multiple files, exact char ranges, unchanged hunks suppressed", async () => {
+  const { primary, files } = makeContext();
+  assert.equal(primary.existingCode, "const b = 2;");
+  const out = [
+    "<<<<<<< EDIT",
+    "",
+    "=======",
+    "const b = 3;",
+    ">>>>>>> END",
+    "<<<<<<< EDIT src/main.js",
+    "function f() {",
+    "  return a;",
+    "}",
+    "=======",
+    "function f() {",
+    "  return a + b;",
+    "}",
+    ">>>>>>> END",
+    "<<<<<<< EDIT src/util.js",
+    "  return 'x';",
+    "=======",
+    "  return 'x';",
+    ">>>>>>> END",
+    "<<<<<<< EDIT src/util.js",
+    "export function g() {",
+    "=======",
+    "export function g(y) {",
+    ">>>>>>> END",
+    "<<<<<<< EDIT src/missing.js",
+    "nothing",
+    "=======",
+    "x",
+    ">>>>>>> END"
+  ].join("\n");
+  const got = await collect(streamNextEditSuggestions(deltasOf(out, 7), { primary, files, maxSuggestions: 5 }));
+
+  assert.equal(got.length, 3);
+  assert.deepEqual(got[0], { path: "src/main.js", blobName: "src/main.js", charStart: 13, charEnd: 25, existingCode: "const b = 2;", suggestedCode: "const b = 3;" });
+  const returnAt = MAIN.indexOf("  return a;");
+  assert.deepEqual([got[1].charStart, got[1].charEnd, got[1].existingCode, got[1].suggestedCode], [returnAt, returnAt + 11, "  return a;", "  return a + b;"]);
+  assert.deepEqual([got[2].path, got[2].blobName, got[2].charStart, got[2].charEnd], ["src/util.js", "blob-util", 0, "export function g() {".length]);
+});
+
+test("next-edit suggestions: overlapping edits are dropped, max is honored and plain output stays compatible", async () => {
+  const { primary, files } = makeContext();
+  const twice = "<<<<<<< EDIT\n\n=======\nconst b = 4;\n>>>>>>> END\n<<<<<<< EDIT\nconst b = 2;\n=======\nconst b = 5;\n>>>>>>> END\n";
+  assert.equal((await collect(streamNextEditSuggestions(deltasOf(twice, 5), { primary, files, maxSuggestions: 3 }))).length, 1);
+
+  const many = "<<<<<<< EDIT\n\n=======\nconst b = 4;\n>>>>>>> END\n<<<<<<< EDIT src/util.js\nexport function g() {\n=======\nexport function h() {\n>>>>>>> END\n";
+  assert.equal((await collect(streamNextEditSuggestions(deltasOf(many, 5), { primary, files, maxSuggestions: 1 }))).length, 1);
+
+  const plain = await collect(streamNextEditSuggestions(deltasOf("const b = 9;", 4), { primary, files, maxSuggestions: 3 }));
+  assert.deepEqual([plain[0].charStart, plain[0].charEnd, plain[0].suggestedCode], [13, 25, "const b = 9;"]);
+  assert.equal((await collect(streamNextEditSuggestions(deltasOf("const b = 2;", 4), { primary, files }))).length, 0, "no-op rewrite is suppressed");
+});
+
+test("next-edit suggestions: /next-edit-stream stops the upstream request after max suggestions and frees the slot", async () => {
+  resetProviderLimiters();
+  let closed = false;
+  const sse = (content) => `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content } }] })}\n\n`;
+  const server = http.createServer((req, res) => {
+    req.resume();
+    res.on("close", () => (closed = true));
+    res.writeHead(200, { "content-type": "text/event-stream" });
+    res.write(sse("<<<<<<< EDIT\n\n=======\nconst b = 3;\n>>>>>>> END\n"));
+    res.write(sse("<<<<<<< EDIT src/util.js\n"));
+    // 模型仍在输出：不结束响应
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const store = new Map();
+  try {
+    const mgr = ensureConfigManager({ ctx: { globalState: { get: (k) => store.get(k), update: async (k, v) => void store.set(k, v) } } });
+    const provider = { id: "ne", type: "openai_compatible", baseUrl: `http://127.0.0.1:${server.address().port}/v1`, apiKey: "k", models: ["m"], defaultModel: "m", limits: { maxConcurrent: 1 } };
+    await mgr.saveNow({ providers: [provider], routing: { rules: { "/next-edit-stream": { mode: "byok", providerId: "ne", model: "m" } } } }, "test");
+
+    const gen = await maybeHandleCallApiStream({
+      endpoint: "/next-edit-stream",
+      body: { path: "src/main.js", prefix: "const a = 1;\n", selected_text: "const b = 2;", suffix: MAIN.slice(25), num_results: 1 },
+      transform: (x) => x,
+      timeoutMs: 5000
+    });
+    const chunks = [];
+    for await (const c of gen) chunks.push(c);
+    assert.equal(chunks.length, 1);
+
+    const release = await acquireProviderSlot(provider, { timeoutMs: 500, label: "probe" });
+    release();
+    await new Promise((r) => setTimeout(r, 20));
+    assert.equal(closed, true, "upstream connection is closed");
+  } finally {
+    server.closeAllConnections();
+    await new Promise((r) => server.close(r));
+  }
+});
@@ -0,0 +1,180 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const { toOllamaMessages, normalizeOllamaRequestDefaults, normalizeOllamaBaseUrl } = require("../payload/extension/out/byok/providers/ollama/request");
+const { ollamaChatStreamChunks, ollamaCompleteText } = require("../payload/extension/out/byok/providers/ollama");
+const { OLLAMA_DEFAULT_NUM_CTX, resolveOllamaContextWindowTokens, clearOllamaModelInfoCache } = require("../payload/extension/out/byok/providers/ollama/model-info");
+const { fetchProviderModels } = require("../payload/extension/out/byok/providers/models");
+const { resolveModelCapabilities } = require("../payload/extension/out/byok/core/model-capabilities");
+const { providerRequestContext } = require("../payload/extension/out/byok/runtime/shim/common");
+const {
+  RESPONSE_NODE_TOOL_USE,
+  RESPONSE_NODE_THINKING,
+  RESPONSE_NODE_TOKEN_USAGE,
+  STOP_REASON_MAX_TOKENS,
+  STOP_REASON_TOOL_USE_REQUESTED
+} = require("../payload/extension/out/byok/core/augment-protocol");
+
+async function withOllama(handler, fn) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+      handler({ path: req.url, body }, res);
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const { port } = server.address();
+  try {
+    return await fn(`http://127.0.0.1:${port}`, requests);
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+}
+
+function writeNdjson(res, lines) {
+  res.writeHead(200, { "content-type": "application/x-ndjson" });
+  for (const l of lines) res.write(`${JSON.stringify(l)}\n`);
+  res.end();
+}
+
+test("ollama: converts OpenAI messages (images, tool calls, tool results) and request defaults", () => {
+  const msgs = toOllamaMessages([
+    { role: "system", content: "sys" },
+    { role: "user", content: [{ type: "text", text: "look" }, { type: "image_url", image_url: { url: "data:image/png;base64,AAAA" } }] },
+    { role: "assistant", content: "", tool_calls: [{ id: "c1", type: "function", function: { name: "view", arguments: "{\"path\":\"a.js\"}" } }] },
+    { role: "tool", tool_call_id: "c1", content: "file body" }
+  ]);
+  assert.deepEqual(msgs, [
+    { role: "system", content: "sys" },
+    { role: "user", content: "look", images: ["AAAA"] },
+    { role: "assistant", content: "", tool_calls: [{ function: { name: "view", arguments: { path: "a.js" } } }] },
+    { role: "tool", content: "file body", tool_name: "view" }
+  ]);
+
+  assert.deepEqual(normalizeOllamaRequestDefaults({ max_tokens: 512, temperature: 0.2, keepAlive: "5m", stream_options: {}, options: { num_ctx: 8192 } }), {
+    keep_alive: "5m",
+    options: { num_ctx: 8192, temperature: 0.2, num_predict: 512 }
+  });
+  assert.equal(normalizeOllamaBaseUrl("http://localhost:11434/v1/"), "http://localhost:11434");
+  assert.equal(normalizeOllamaBaseUrl("http://localhost:11434/api"), "http://localhost:11434");
+});
+
+test("ollama: NDJSON chat stream yields text, thinking, tool calls, usage and stop reason", async () => {
+  await withOllama(
+    (_req, res) =>
+      writeNdjson(res, [
+        { model: "qwen3", message: { role: "assistant", content: "", thinking: "hmm" }, done: false },
+        { model: "qwen3", message: { role: "assistant", content: "Hel" }, done: false },
+        { model: "qwen3", message: { role: "assistant", content: "lo" }, done: false },
+        { model: "qwen3", message: { role: "assistant", content: "", tool_calls: [{ function: { name: "view", arguments: { path: "a.js" } } }] }, done: false },
+        { model: "qwen3", message: { role: "assistant", content: "" }, done: true, done_reason: "stop", prompt_eval_count: 42, eval_count: 7 }
+      ]),
+    async (origin, requests) => {
+      const chunks = [];
+      const tools = [{ type: "function", function: { name: "view", parameters: { type: "object" } } }];
+      for await (const c of ollamaChatStreamChunks({ baseUrl: origin, apiKey: "", model: "qwen3", messages: [{ role: "user", content: "hi" }], tools, timeoutMs: 5000 })) chunks.push(c);
+
+      assert.equal(requests[0].path, "/api/chat");
+      assert.equal(requests[0].body.stream, true);
+      assert.deepEqual(requests[0].body.tools, tools);
+      assert.equal(requests[0].headers.authorization, undefined);
+
+      const nodes = chunks.flatMap((c) => c.nodes || []);
+      assert.equal(chunks.map((c) => c.text || "").join(""), "Hello");
+      assert.equal(nodes.find((n) => n.type === RESPONSE_NODE_THINKING)?.thinking?.summary, "hmm");
+      const tool = nodes.find((n) => n.type === RESPONSE_NODE_TOOL_USE)?.tool_use;
+      assert.equal(tool?.tool_name, "view");
+      assert.deepEqual(JSON.parse(tool.input_json), { path: "a.js" });
+      assert.match(tool.tool_use_id, /^call_/);
+      const usage = nodes.find((n) => n.type === RESPONSE_NODE_TOKEN_USAGE)?.token_usage;
+      assert.equal(usage?.input_tokens, 42);
+      assert.equal(usage?.output_tokens, 7);
+      assert.equal(chunks[chunks.length - 1].stop_reason, STOP_REASON_TOOL_USE_REQUESTED);
+    }
+  );
+});
+
+test("ollama: done_reason=length maps to max tokens; errors and non-stream completion", async () => {
+  let mode = "length";
+  await withOllama(
+    (req, res) => {
+      if (mode === "error") {
+        writeNdjson(res, [{ message: { role: "assistant", content: "x" }, done: false }, { error: "model crashed" }]);
+        return;
+      }
+      if (req.body.stream === false) {
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ message: { role: "assistant", content: "full answer" }, done: true, done_reason: "stop" }));
+        return;
+      }
+      writeNdjson(res, [{ message: { role: "assistant", content: "part" }, done: false }, { message: { content: "" }, done: true, done_reason: "length" }]);
+    },
+    async (origin) => {
+      const args = { baseUrl: `${origin}/v1`, apiKey: "", model: "llama3.1", messages: [{ role: "user", content: "hi" }], timeoutMs: 5000 };
+      const chunks = [];
+      for await (const c of ollamaChatStreamChunks(args)) chunks.push(c);
+      assert.equal(chunks[chunks.length - 1].stop_reason, STOP_REASON_MAX_TOKENS);
+
+      assert.equal(await ollamaCompleteText(args), "full answer");
+
+      mode = "error";
+      await assert.rejects(async () => {
+        for await (const _c of ollamaChatStreamChunks(args)) void _c;
+      }, /model crashed/);
+    }
+  );
+});
+
+test("ollama: lists local models from /api/tags and allows keyless providers", async () => {
+  await withOllama(
+    (_req, res) => {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ models: [{ name: "llama3.1:8b", model: "llama3.1:8b" }, { name: "qwen3:14b" }] }));
+    },
+    async (origin, requests) => {
+      const provider = { id: "local", type: "ollama", baseUrl: origin, apiKey: "" };
+      assert.deepEqual(await fetchProviderModels({ provider, timeoutMs: 5000 }), ["llama3.1:8b", "qwen3:14b"]);
+      assert.equal(requests[0].path, "/api/tags");
+      assert.equal((await providerRequestContext(provider)).type, "ollama");
+      await assert.rejects(() => providerRequestContext({ ...provider, type: "openai_compatible" }), /api_key/);
+    }
+  );
+});
+
+test("ollama: context window comes from /api/show (configured num_ctx > Modelfile > runtime default)", async () => {
+  clearOllamaModelInfoCache();
+  const show = {
+    "mistral-nemo": { parameters: "stop \"[INST]\"\nnum_ctx 16384", model_info: { "general.architecture": "llama", "llama.context_length": 1024000 } },
+    "qwen3:14b": { parameters: "", model_info: { "general.architecture": "qwen3", "qwen3.context_length": 40960 } },
+    "tiny:1b": { parameters: "", model_info: { "general.architecture": "llama", "llama.context_length": 2048 } }
+  };
+  await withOllama(
+    (req, res) => {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify(show[req.body.model] || {}));
+    },
+    async (origin, requests) => {
+      const base = { providerId: "local", baseUrl: origin, apiKey: "", timeoutMs: 5000 };
+      assert.equal(await resolveOllamaContextWindowTokens({ ...base, model: "mistral-nemo" }), 16384);
+      // 未设置 num_ctx：Ollama 按运行时默认值加载，训练长度只作上限
+      assert.equal(await resolveOllamaContextWindowTokens({ ...base, model: "qwen3:14b" }), OLLAMA_DEFAULT_NUM_CTX);
+      assert.equal(await resolveOllamaContextWindowTokens({ ...base, model: "tiny:1b" }), 2048);
+      assert.equal(requests.every((r) => r.path === "/api/show"), true);
+
+      // 名称启发式会把 "32k" 当作窗口；/api/show 的结果优先
+      assert.equal(await resolveOllamaContextWindowTokens({ ...base, model: "coder-32k", requestDefaults: { options: { num_ctx: 65536 } } }), 65536);
+      assert.equal(resolveModelCapabilities({ model: "byok:local:coder-32k" }).contextWindowTokens, 65536);
+      assert.equal(resolveModelCapabilities({ provider: { id: "local" }, model: "qwen3:14b" }).contextWindowTokens, OLLAMA_DEFAULT_NUM_CTX);
+
+      const before = requests.length;
+      await resolveOllamaContextWindowTokens({ ...base, model: "qwen3:14b" });
+      assert.equal(requests.length, before, "cached per baseUrl/model");
+    }
+  );
+});
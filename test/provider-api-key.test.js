@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { resolveApiKey, resolveProviderApiKey, invalidateProviderApiKey, isApiKeyRef } = require("../payload/extension/out/byok/core/provider-api-key");
+const { runWithProviderFailover, streamWithProviderFailover } = require("../payload/extension/out/byok/core/provider-failover");
+const { providerRequestContext } = require("../payload/extension/out/byok/runtime/shim/common");
+
+function withKeyFile(initial, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "byok-key-"));
+  const file = path.join(dir, "key.txt");
+  fs.writeFileSync(file, initial);
+  process.env.BYOK_TEST_KEY_FILE = file;
+  return Promise.resolve(fn(file)).finally(() => {
+    delete process.env.BYOK_TEST_KEY_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+}
+
+const READ_KEY_CMD = `cmd:node -p "require('fs').readFileSync(process.env.BYOK_TEST_KEY_FILE,'utf8')"`;
+
+function unauthorized() {
+  const err = new Error("OpenAI 401: invalid api key");
+  err.status = 401;
+  return err;
+}
+
+test("api key refs: env: resolves lazily and plain values pass through", async () => {
+  assert.equal(isApiKeyRef("env:OPENAI_API_KEY"), true);
+  assert.equal(isApiKeyRef("sk-env:x"), false);
+  assert.equal(await resolveApiKey("Bearer sk-plain"), "sk-plain");
+
+  process.env.BYOK_TEST_ENV_KEY = "sk-from-env";
+  try {
+    assert.equal(await resolveApiKey("env:BYOK_TEST_ENV_KEY", { ttlMs: 0 }), "sk-from-env");
+  } finally {
+    delete process.env.BYOK_TEST_ENV_KEY;
+  }
+  await assert.rejects(() => resolveApiKey("env:BYOK_TEST_ENV_KEY", { ttlMs: 0 }), /BYOK_TEST_ENV_KEY/);
+});
+
+test("api key refs: cmd: output is cached for the configured TTL and dropped on invalidate", async () => {
+  await withKeyFile("sk-one\n", async (file) => {
+    const provider = { id: "p", type: "openai_compatible", apiKey: READ_KEY_CMD, requestDefaults: { __byok_api_key_ttl_seconds: 3600 } };
+    assert.equal(await resolveProviderApiKey(provider), "sk-one");
+    fs.writeFileSync(file, "sk-two\n");
+    assert.equal(await resolveProviderApiKey(provider), "sk-one", "cached within TTL");
+    assert.equal(invalidateProviderApiKey(provider), true);
+    assert.equal(await resolveProviderApiKey(provider), "sk-two");
+    assert.equal(invalidateProviderApiKey({ apiKey: "sk-plain" }), false);
+  });
+  await assert.rejects(() => resolveApiKey("cmd:node -e \"process.exit(3)\"", { ttlMs: 0 }), /code=3/);
+});
+
+test("api key refs: a 401 re-resolves the key and retries the same candidate once", async () => {
+  await withKeyFile("sk-old", async (file) => {
+    const provider = { id: "p", type: "openai_compatible", apiKey: READ_KEY_CMD, requestDefaults: {} };
+    const candidates = [{ provider, model: "m" }];
+    const seen = [];
+    const call = async (c) => {
+      const { apiKey } = await providerRequestContext(c.provider);
+      seen.push(apiKey);
+      if (apiKey !== "sk-new") throw unauthorized();
+      return "ok";
+    };
+
+    invalidateProviderApiKey(provider);
+    assert.equal(await resolveProviderApiKey(provider), "sk-old");
+    fs.writeFileSync(file, "sk-new");
+    assert.equal(await runWithProviderFailover({ candidates, run: call }), "ok");
+    assert.deepEqual(seen, ["sk-old", "sk-new"]);
+
+    // 刷新后仍 401：只重试一次，随后按原逻辑抛出（4xx 不 failover）
+    fs.writeFileSync(file, "sk-bad");
+    invalidateProviderApiKey(provider);
+    seen.length = 0;
+    const stream = streamWithProviderFailover({
+      candidates,
+      run: async function* (c) {
+        yield await call(c);
+      }
+    });
+    await assert.rejects(async () => {
+      for await (const _ of stream) void _;
+    }, /401/);
+    assert.deepEqual(seen, ["sk-bad", "sk-bad"]);
+  });
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  classifyProviderFailoverReason,
+  listRouteCandidates,
+  runWithProviderFailover,
+  streamWithProviderFailover
+} = require("../payload/extension/out/byok/core/provider-failover");
+
+function httpError(status, message) {
+  const err = new Error(message || `Provider ${status}: boom`);
+  err.status = status;
+  return err;
+}
+
+function abortError(message) {
+  const err = new Error(message);
+  err.name = "AbortError";
+  return err;
+}
+
+const P1 = { id: "p1", type: "openai_compatible" };
+const P2 = { id: "p2", type: "anthropic" };
+
+test("classifyProviderFailoverReason: 429/5xx/timeout/connection only", () => {
+  assert.equal(classifyProviderFailoverReason(httpError(429)), "http_429");
+  assert.equal(classifyProviderFailoverReason(httpError(503)), "http_503");
+  assert.equal(classifyProviderFailoverReason(new Error("Anthropic(chat-stream) 502: first: bad gateway")), "http_502");
+  assert.equal(classifyProviderFailoverReason(abortError("Timeout while fetching OpenAI")), "timeout");
+  assert.equal(classifyProviderFailoverReason(new Error("OpenAI failed: fetch failed")), "connection");
+
+  assert.equal(classifyProviderFailoverReason(httpError(401)), "");
+  assert.equal(classifyProviderFailoverReason(new Error("OpenAI 400: max 500: tokens")), "");
+  assert.equal(classifyProviderFailoverReason(abortError("Aborted")), "");
+  assert.equal(classifyProviderFailoverReason(new Error("OpenAI 响应缺少可解析文本")), "");
+});
+
+test("listRouteCandidates: primary first, dedupes fallbacks", () => {
+  const list = listRouteCandidates({
+    provider: P1,
+    model: "m1",
+    fallbacks: [{ provider: P1, model: "m1" }, { provider: P2, model: "m2" }, { provider: null, model: "x" }]
+  });
+  assert.deepEqual(list.map((c) => `${c.provider.id}/${c.model}`), ["p1/m1", "p2/m2"]);
+});
+
+test("runWithProviderFailover: moves to next provider on retryable error", async () => {
+  const seen = [];
+  const out = await runWithProviderFailover({
+    candidates: listRouteCandidates({ provider: P1, model: "m1", fallbacks: [{ provider: P2, model: "m2" }] }),
+    label: "test",
+    run: async (c) => {
+      seen.push(c.provider.id);
+      if (c.provider.id === "p1") throw httpError(503);
+      return "ok";
+    }
+  });
+  assert.equal(out, "ok");
+  assert.deepEqual(seen, ["p1", "p2"]);
+});
+
+test("runWithProviderFailover: non-retryable error is thrown without trying fallbacks", async () => {
+  const seen = [];
+  await assert.rejects(
+    runWithProviderFailover({
+      candidates: listRouteCandidates({ provider: P1, model: "m1", fallbacks: [{ provider: P2, model: "m2" }] }),
+      run: async (c) => {
+        seen.push(c.provider.id);
+        throw httpError(401);
+      }
+    }),
+    /401/
+  );
+  assert.deepEqual(seen, ["p1"]);
+});
+
+test("streamWithProviderFailover: fails over before first chunk, not after", async () => {
+  const candidates = listRouteCandidates({ provider: P1, model: "m1", fallbacks: [{ provider: P2, model: "m2" }] });
+
+  const collect = async (src) => {
+    const out = [];
+    for await (const x of src) out.push(x);
+    return out;
+  };
+
+  const ok = await collect(
+    streamWithProviderFailover({
+      candidates,
+      run: async function* (c) {
+        if (c.provider.id === "p1") throw httpError(429);
+        yield "a";
+        yield "b";
+      }
+    })
+  );
+  assert.deepEqual(ok, ["a", "b"]);
+
+  const seen = [];
+  await assert.rejects(
+    collect(
+      streamWithProviderFailover({
+        candidates,
+        run: async function* (c) {
+          seen.push(c.provider.id);
+          yield "partial";
+          throw httpError(503);
+        }
+      })
+    ),
+    /503/
+  );
+  assert.deepEqual(seen, ["p1"]);
+});
@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const { normalizeConfig } = require("../payload/extension/out/byok/config/config");
+const {
+  PRIORITY_BACKGROUND,
+  PRIORITY_INTERACTIVE,
+  resolveRequestPriority,
+  acquireProviderSlot,
+  releaseOnBodyEnd,
+  resetProviderLimiters
+} = require("../payload/extension/out/byok/providers/rate-limiter");
+const { parseSse } = require("../payload/extension/out/byok/providers/sse");
+const { runWithProviderFailover } = require("../payload/extension/out/byok/core/provider-failover");
+const { fetchOkWithRetry } = require("../payload/extension/out/byok/providers/request-util");
+
+const tick = () => new Promise((r) => setImmediate(r));
+
+test("rate limiter: config keeps positive integer limits and endpoints map to priorities", () => {
+  const cfg = normalizeConfig({ providers: [{ id: "a", type: "openai_compatible", limits: { maxConcurrent: "2", requestsPerMinute: 0, tokensPerMinute: 1500.7, extra: 1 } }] });
+  assert.deepEqual(cfg.providers[0].limits, { maxConcurrent: 2, tokensPerMinute: 1500 });
+  assert.equal("limits" in normalizeConfig({ providers: [{ id: "b", type: "anthropic", limits: { maxConcurrent: -1 } }] }).providers[0], false);
+
+  assert.equal(resolveRequestPriority("/chat-stream"), PRIORITY_INTERACTIVE);
+  assert.equal(resolveRequestPriority("/next-edit-stream"), PRIORITY_BACKGROUND);
+  assert.equal(resolveRequestPriority("/completion"), PRIORITY_BACKGROUND);
+});
+
+test("rate limiter: queued requests are granted by priority and honor abort/timeout", async () => {
+  resetProviderLimiters();
+  const provider = { id: "lim", limits: { maxConcurrent: 1 } };
+  const first = await acquireProviderSlot(provider, {});
+  const order = [];
+  const bg = acquireProviderSlot(provider, { priority: PRIORITY_BACKGROUND }).then((r) => (order.push("background"), r));
+  const chat = acquireProviderSlot(provider, { priority: PRIORITY_INTERACTIVE }).then((r) => (order.push("chat"), r));
+
+  const ac = new AbortController();
+  const aborted = acquireProviderSlot(provider, { priority: PRIORITY_INTERACTIVE, abortSignal: ac.signal });
+  ac.abort();
+  await assert.rejects(aborted, { name: "AbortError" });
+  await assert.rejects(acquireProviderSlot(provider, { timeoutMs: 20, label: "t" }), /Timeout after 20ms while queued/);
+
+  first();
+  (await chat)();
+  (await bg)();
+  assert.deepEqual(order, ["chat", "background"]);
+
+  // 无 limits：不排队
+  const release = await acquireProviderSlot({ id: "free" }, {});
+  assert.equal(typeof release, "function");
+});
+
+test("rate limiter: requestsPerMinute queues in fetchWithRetry and streaming bodies hold the concurrency slot", async () => {
+  resetProviderLimiters();
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits += 1;
+    res.writeHead(200, { "content-type": "text/plain" });
+    res.end("ok");
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const url = `http://127.0.0.1:${server.address().port}/v1/x`;
+  try {
+    const call = (provider, endpoint, opts) =>
+      runWithProviderFailover({
+        candidates: [{ provider, model: "m" }],
+        endpoint,
+        run: async () => await fetchOkWithRetry(url, { method: "POST", body: "{}" }, { timeoutMs: 5000, label: "t", ...opts })
+      });
+
+    const rpm = { id: "rpm", type: "openai_compatible", limits: { requestsPerMinute: 1 } };
+    assert.equal(await (await call(rpm, "/chat-stream")).text(), "ok");
+    await assert.rejects(call(rpm, "/completion", { timeoutMs: 50 }), /while queued/);
+    assert.equal(hits, 1, "over-limit request never reaches upstream");
+
+    const conc = { id: "conc", type: "openai_compatible", limits: { maxConcurrent: 1 } };
+    const held = await call(conc, "/chat-stream");
+    let second = null;
+    const pending = call(conc, "/next-edit-stream").then((r) => (second = r));
+    await tick();
+    await new Promise((r) => setTimeout(r, 30));
+    assert.equal(second, null, "slot is held until the first body is consumed");
+    assert.equal(await held.text(), "ok");
+    await pending;
+    assert.equal(await second.text(), "ok");
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+});
+
+test("rate limiter: a consumer that stops reading a stream early frees the concurrency slot", async () => {
+  resetProviderLimiters();
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { "content-type": "text/event-stream" });
+    res.write("data: one\n\ndata: two\n\n");
+    // 不结束响应：只有客户端取消才会释放
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const url = `http://127.0.0.1:${server.address().port}/v1/x`;
+  const provider = { id: "early", type: "openai_compatible", limits: { maxConcurrent: 1 } };
+  try {
+    const resp = await runWithProviderFailover({
+      candidates: [{ provider, model: "m" }],
+      endpoint: "/chat-stream",
+      run: async () => await fetchOkWithRetry(url, { method: "POST", body: "{}" }, { timeoutMs: 5000, label: "t" })
+    });
+    for await (const ev of parseSse(resp)) {
+      assert.equal(ev.data, "one");
+      break;
+    }
+    const release = await acquireProviderSlot(provider, { timeoutMs: 500, label: "probe" });
+    release();
+  } finally {
+    server.closeAllConnections();
+    await new Promise((r) => server.close(r));
+  }
+});
+
+test("rate limiter: providers without limits get the upstream Response unwrapped", async () => {
+  const resp = new Response("ok");
+  assert.equal(releaseOnBodyEnd(resp, await acquireProviderSlot({ id: "free" }, {})), resp);
+  assert.notEqual(releaseOnBodyEnd(new Response("ok"), () => {}), resp, "a real release wraps the body");
+});
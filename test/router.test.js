@@ -88,3 +88,23 @@ test("decideRoute: empty routing.rules falls back to built-in defaults", () => {
   assert.equal(r.mode, "byok");
   assert.equal(r.endpoint, "/get-models");
 });
+
+test("decideRoute: resolves rule fallbacks (skips unknown provider and the primary itself)", () => {
+  const cfg = defaultConfig();
+  cfg.routing.rules["/chat-stream"] = {
+    mode: "byok",
+    providerId: "openai",
+    model: "gpt-4o-mini",
+    fallbacks: [
+      { providerId: "missing", model: "x" },
+      { providerId: "openai", model: "gpt-4o-mini" },
+      { providerId: "anthropic", model: "" }
+    ]
+  };
+  const r = decideRoute({ cfg, endpoint: "/chat-stream", body: {}, runtimeEnabled: true });
+  assert.equal(r.mode, "byok");
+  assert.equal(r.provider.id, "openai");
+  assert.equal(r.fallbacks.length, 1);
+  assert.equal(r.fallbacks[0].provider.id, "anthropic");
+  assert.equal(r.fallbacks[0].model, "claude-3-5-sonnet-20241022");
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  resolveTokenizerFamily,
+  registerTokenizer,
+  countTokens,
+  estimateTokens,
+  getTokenCorrectionFactor,
+  learnTokenCorrectionFromChatChunks,
+  resetTokenCorrections
+} = require("../payload/extension/out/byok/core/token-budget/tokenizer");
+const { createTokenMeter, estimateHistorySizeChars } = require("../payload/extension/out/byok/core/augment-history-summary/auto/estimate");
+
+test("tokenizer: model families and per-script estimates", () => {
+  assert.equal(resolveTokenizerFamily("byok:openai:gpt-4o-mini"), "o200k");
+  assert.equal(resolveTokenizerFamily("o3-mini"), "o200k");
+  assert.equal(resolveTokenizerFamily("gpt-4-turbo"), "cl100k");
+  assert.equal(resolveTokenizerFamily("claude-sonnet-4-5"), "claude");
+  assert.equal(resolveTokenizerFamily("models/gemini-2.5-pro"), "gemini");
+  assert.equal(resolveTokenizerFamily("qwen3-coder"), "generic");
+
+  assert.equal(countTokens("", { model: "gpt-4o" }), 0);
+
+  // 非 OpenAI 族用估算：同样字符数中文明显比英文更“贵”
+  const zhClaude = "上下文窗口估算需要考虑中文字符".repeat(20);
+  assert.ok(countTokens(zhClaude, { model: "claude-sonnet-4-5" }) > countTokens("context window estimation".repeat(12), { model: "claude-sonnet-4-5" }));
+});
+
+test("tokenizer: OpenAI families count exactly with bundled BPE tables", () => {
+  // 期望值与 tiktoken encode_ordinary 一致
+  const cases = [
+    ["hello world", 2, 2],
+    ["The quick brown fox jumps over the lazy dog.", 10, 10],
+    ["上下文窗口估算需要考虑中文字符", 16, 9],
+    ["function add(a, b) {\n  return a + b;\n}\n", 14, 14],
+    ["1234567890 3.14159 0xDEADBEEF", 15, 15],
+    ["naïve café résumé — ✓ 🚀🚀", 15, 11],
+    ["<|endoftext|> is special", 9, 9]
+  ];
+  for (const [text, cl100k, o200k] of cases) {
+    assert.equal(countTokens(text, { model: "gpt-4-turbo" }), cl100k, `cl100k: ${text}`);
+    assert.equal(countTokens(text, { model: "byok:openai:gpt-4o-mini" }), o200k, `o200k: ${text}`);
+  }
+
+  // 超长无分隔片段分段合并：与整体合并（4000）只差分段边界
+  const run = countTokens("abcdefghij".repeat(2000), { model: "gpt-4o" });
+  assert.ok(run >= 4000 && run <= 4040, String(run));
+
+  // o200k 对 CJK 比 cl100k 更省
+  const zh = "上下文窗口估算需要考虑中文字符".repeat(20);
+  const en = "context window estimation".repeat(12);
+  assert.ok(countTokens(zh, { model: "gpt-4" }) > zh.length / 2);
+  assert.ok(countTokens(en, { model: "gpt-4" }) < en.length / 4);
+  assert.ok(countTokens(zh, { model: "gpt-4o" }) < countTokens(zh, { model: "gpt-4" }));
+});
+
+test("tokenizer: registerTokenizer plugs an external tokenizer per family", () => {
+  try {
+    registerTokenizer("claude", (s) => s.length);
+    registerTokenizer("o200k", () => 42);
+    assert.equal(countTokens("abcdef", { model: "claude-opus-4" }), 6);
+    assert.equal(countTokens("abcdef", { model: "gpt-4o" }), 42, "registered tokenizer wins over builtin BPE");
+    assert.equal(countTokens("hello world", { model: "gpt-4" }), 2, "other families keep the builtin tokenizer");
+    assert.throws(() => registerTokenizer("nope", () => 1), /未知 tokenizer family/);
+  } finally {
+    registerTokenizer("claude", null);
+    registerTokenizer("o200k", null);
+  }
+  assert.equal(countTokens("abcdef", { model: "claude-opus-4" }), 2);
+  assert.equal(countTokens("hello world", { model: "gpt-4o" }), 2);
+});
+
+test("tokenizer: image nodes are metered at a fixed cost", () => {
+  // 图片按固定 token 计，不按 base64 长度
+  const history = [{ request_id: "r1", request_nodes: [{ id: 1, type: 2, image_node: { image_data: "A".repeat(400000) } }], response_text: "ok" }];
+  assert.ok(estimateHistorySizeChars(history, createTokenMeter("gpt-4o")) < 2000);
+  assert.ok(estimateHistorySizeChars(history) > 400000);
+});
+
+test("tokenizer: correction factor is learned from TOKEN_USAGE chunks", async () => {
+  resetTokenCorrections();
+  const provider = { id: "p" };
+  const chunks = async function* () {
+    yield { text: "hi", nodes: [] };
+    yield { text: "", nodes: [{ id: 2, type: 10, token_usage: { input_tokens: 600, cache_read_input_tokens: 400, output_tokens: 5 } }] };
+  };
+  const seen = [];
+  for await (const c of learnTokenCorrectionFromChatChunks(chunks(), { provider, model: "m", estimatedTokens: 800 })) seen.push(c);
+  assert.equal(seen.length, 2, "chunks pass through untouched");
+  assert.equal(getTokenCorrectionFactor({ provider, model: "byok:p:m" }), 1.25);
+  assert.equal(estimateTokens("x".repeat(50), { provider, model: "m" }), Math.ceil(countTokens("x".repeat(50), { model: "m" }) * 1.25));
+
+  // input 已含 cache read 时不重复累加；EMA 平滑
+  for await (const _ of learnTokenCorrectionFromChatChunks(chunks(), { provider, model: "m", estimatedTokens: 600, inputIncludesCacheReads: true })) void _;
+  assert.equal(getTokenCorrectionFactor({ provider, model: "m" }), 1.25 * 0.8 + 1 * 0.2);
+
+  // 样本太小不学习
+  for await (const _ of learnTokenCorrectionFromChatChunks(chunks(), { provider: { id: "q" }, model: "m", estimatedTokens: 100 })) void _;
+  assert.equal(getTokenCorrectionFactor({ provider: { id: "q" }, model: "m" }), 1);
+  resetTokenCorrections();
+});
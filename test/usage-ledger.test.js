@@ -0,0 +1,161 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  USAGE_LEDGER_KEY,
+  usageDayKey,
+  setUsageLedgerStorage,
+  recordUsage,
+  recordUsageFromChatChunks,
+  flushUsageLedger,
+  listUsageLedgerEntries,
+  clearUsageLedger
+} = require("../payload/extension/out/byok/core/usage-ledger/store");
+const { resolveUsagePricing, computeUsageCostUsd } = require("../payload/extension/out/byok/core/usage-ledger/pricing");
+const { summarizeUsageLedger, formatUsageLedgerCsv } = require("../payload/extension/out/byok/core/usage-ledger/report");
+
+function makeStorage() {
+  const store = new Map();
+  return {
+    store,
+    get: (k) => store.get(k),
+    update: async (k, v) => {
+      store.set(k, v);
+    }
+  };
+}
+
+const provider = {
+  id: "anth",
+  type: "anthropic",
+  pricing: { input: 3, output: 15, cacheRead: 0.3, models: { "claude-haiku": { input: 1, output: 5 } } }
+};
+
+test("usage pricing: provider defaults, per-model overrides and cache fallbacks", () => {
+  assert.deepEqual(resolveUsagePricing(provider, "claude-sonnet"), { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3 });
+  assert.deepEqual(resolveUsagePricing(provider, "claude-haiku"), { input: 1, output: 5, cacheRead: 0.3, cacheWrite: 1 });
+  assert.equal(resolveUsagePricing({ id: "x" }, "m"), null);
+
+  const cost = computeUsageCostUsd(resolveUsagePricing(provider, "claude-sonnet"), {
+    inputTokens: 1000000,
+    outputTokens: 100000,
+    cacheReadInputTokens: 1000000,
+    cacheCreationInputTokens: 0
+  });
+  assert.ok(Math.abs(cost - (3 + 1.5 + 0.3)) < 1e-9);
+});
+
+test("usage ledger: aggregates by day/provider/model/endpoint and persists to storage", async () => {
+  const storage = makeStorage();
+  setUsageLedgerStorage(storage);
+  const now = Date.UTC(2026, 0, 15, 12);
+
+  await recordUsage({ provider, model: "claude-sonnet", endpoint: "/chat-stream", usage: { input_tokens: 100, output_tokens: 20, cache_read_input_tokens: 1000 }, now });
+  await recordUsage({ provider, model: "claude-sonnet", endpoint: "/chat-stream", usage: { input_tokens: 50, output_tokens: 10 }, now });
+  await recordUsage({
+    provider: { id: "oai", pricing: { input: 2, output: 8 } },
+    model: "gpt",
+    endpoint: "/chat-stream",
+    usage: { input_tokens: 1000, output_tokens: 0, cache_read_input_tokens: 400 },
+    inputIncludesCacheReads: true,
+    now
+  });
+
+  const entries = listUsageLedgerEntries();
+  assert.equal(entries.length, 2);
+  const anth = entries.find((e) => e.providerId === "anth");
+  assert.equal(anth.day, usageDayKey(now));
+  assert.equal(anth.requests, 2);
+  assert.equal(anth.inputTokens, 150);
+  assert.equal(anth.outputTokens, 30);
+  assert.equal(anth.cacheReadInputTokens, 1000);
+  const oai = entries.find((e) => e.providerId === "oai");
+  assert.equal(oai.inputTokens, 600);
+  assert.equal(oai.cacheReadInputTokens, 400);
+
+  assert.equal(storage.store.get(USAGE_LEDGER_KEY), undefined, "writes are batched");
+  assert.equal(await flushUsageLedger(), true);
+  const persisted = storage.store.get(USAGE_LEDGER_KEY);
+  assert.equal(persisted.version, 1);
+  assert.equal(persisted.entries.length, 2);
+
+  // 重新注入 storage 后可从持久化数据恢复
+  setUsageLedgerStorage(storage);
+  assert.equal(listUsageLedgerEntries().length, 2);
+
+  assert.equal(await clearUsageLedger(), 2);
+  assert.equal(listUsageLedgerEntries().length, 0);
+  assert.deepEqual(storage.store.get(USAGE_LEDGER_KEY).entries, []);
+});
+
+test("usage ledger: records TOKEN_USAGE nodes from chat chunks without altering the stream", async () => {
+  const storage = makeStorage();
+  setUsageLedgerStorage(storage);
+  async function* src() {
+    yield { text: "hi", nodes: [] };
+    yield { text: "", nodes: [{ id: 1, type: 10, content: "", token_usage: { input_tokens: 7, output_tokens: 3 } }] };
+  }
+  const out = [];
+  for await (const c of recordUsageFromChatChunks(src(), { provider, model: "claude-sonnet", endpoint: "/chat-stream" })) out.push(c);
+  assert.equal(out.length, 2);
+  assert.equal(out[0].text, "hi");
+  await new Promise((r) => setImmediate(r));
+  const entries = listUsageLedgerEntries();
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].inputTokens, 7);
+  assert.equal(entries[0].outputTokens, 3);
+  await clearUsageLedger();
+});
+
+test("usage report: summary groups and CSV escaping", () => {
+  const entries = [
+    { day: "2026-01-02", providerId: "a", model: "m,1", endpoint: "/chat-stream", requests: 1, inputTokens: 10, outputTokens: 1, cacheReadInputTokens: 0, cacheCreationInputTokens: 0, costUsd: 0.5 },
+    { day: "2026-01-01", providerId: "a", model: "m,1", endpoint: "/chat-stream", requests: 2, inputTokens: 20, outputTokens: 2, cacheReadInputTokens: 5, cacheCreationInputTokens: 0, costUsd: 1 }
+  ];
+  const s = summarizeUsageLedger(entries);
+  assert.equal(s.totals.requests, 3);
+  assert.equal(s.totals.costUsd, 1.5);
+  assert.deepEqual(s.byDay.map((d) => d.day), ["2026-01-02", "2026-01-01"]);
+  assert.equal(s.byProviderModel.length, 1);
+  assert.equal(s.byProviderModel[0].model, "m,1");
+
+  const csv = formatUsageLedgerCsv(entries).trim().split("\n");
+  assert.equal(csv[0], "day,providerId,model,endpoint,requests,inputTokens,outputTokens,cacheReadInputTokens,cacheCreationInputTokens,costUsd");
+  assert.equal(csv[1], "2026-01-02,a,\"m,1\",/chat-stream,1,10,1,0,0,0.500000");
+});
+
+test("usage ledger: text, structured and streamed text endpoints record upstream usage", async () => {
+  const { createMockLlmServer } = require("../tools/mock/llm-server");
+  const { byokCompleteText, byokCompleteStructured, byokStreamText } = require("../payload/extension/out/byok/runtime/shim/byok-text");
+  const mock = createMockLlmServer({ defaultScript: { steps: [{ type: "text", text: "{\"ok\":true}" }], usage: { input: 40, output: 5 } } });
+  const { origin } = await mock.listen(0);
+  setUsageLedgerStorage(makeStorage());
+  try {
+    const oai = { id: "oai", type: "openai_compatible", baseUrl: `${origin}/v1`, apiKey: "k", models: ["m"] };
+    const anth = { id: "anth", type: "anthropic", baseUrl: `${origin}/v1`, apiKey: "k", models: ["c"] };
+    const messages = [{ role: "user", content: "hi" }];
+    await byokCompleteText({ provider: oai, model: "m", system: "s", messages, timeoutMs: 5000, endpoint: "/edit" });
+    await byokCompleteText({ provider: anth, model: "c", system: "s", messages, timeoutMs: 5000, endpoint: "/edit" });
+    const schema = { name: "out", schema: { type: "object", properties: { ok: { type: "boolean" } } } };
+    await byokCompleteStructured({ provider: oai, model: "m", system: "s", messages, schema, timeoutMs: 5000, endpoint: "/next_edit_loc" });
+    for (const provider of [oai, anth]) {
+      let text = "";
+      for await (const d of byokStreamText({ provider, model: provider.models[0], system: "s", messages, timeoutMs: 5000, endpoint: "/instruction-stream" })) text += d;
+      assert.equal(text, "{\"ok\":true}");
+    }
+    await new Promise((r) => setImmediate(r));
+
+    const got = listUsageLedgerEntries().map((e) => [e.providerId, e.endpoint, e.requests, e.inputTokens, e.outputTokens]);
+    assert.deepEqual(got.sort(), [
+      ["anth", "/edit", 1, 40, 5],
+      ["anth", "/instruction-stream", 1, 40, 5],
+      ["oai", "/edit", 1, 40, 5],
+      ["oai", "/instruction-stream", 1, 40, 5],
+      ["oai", "/next_edit_loc", 1, 40, 5]
+    ]);
+    assert.equal(mock.requests.find((r) => r.dialect === "openai_compatible" && r.stream).body.stream_options?.include_usage, true);
+  } finally {
+    await clearUsageLedger();
+    await mock.close();
+  }
+});
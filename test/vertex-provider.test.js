@@ -0,0 +1,201 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const crypto = require("node:crypto");
+
+const { parseVertexCredentials, getVertexAccessToken, clearVertexTokenCache } = require("../payload/extension/out/byok/providers/vertex/auth");
+const { splitVertexModel, resolveVertexLocationRoot } = require("../payload/extension/out/byok/providers/vertex/request");
+const {
+  convertToolDefinitionsByProviderType,
+  usageInputIncludesCacheReadsByProviderType,
+  streamAugmentChatChunksByProviderType
+} = require("../payload/extension/out/byok/core/provider-augment-chat");
+const { completeTextByProviderType } = require("../payload/extension/out/byok/core/provider-text");
+const { RESPONSE_NODE_TOOL_USE, STOP_REASON_TOOL_USE_REQUESTED } = require("../payload/extension/out/byok/core/augment-protocol");
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+function serviceAccountJson(tokenUri) {
+  return JSON.stringify({
+    type: "service_account",
+    project_id: "proj-1",
+    private_key_id: "kid-1",
+    private_key: privateKey.export({ type: "pkcs8", format: "pem" }),
+    client_email: `sa-${crypto.randomUUID()}@proj-1.iam.gserviceaccount.com`,
+    token_uri: tokenUri
+  });
+}
+
+function decodeJwt(assertion) {
+  const [h, c, sig] = assertion.split(".");
+  const verified = crypto.createVerify("RSA-SHA256").update(`${h}.${c}`).verify(publicKey, Buffer.from(sig, "base64url"));
+  return { header: JSON.parse(Buffer.from(h, "base64url").toString()), claims: JSON.parse(Buffer.from(c, "base64url").toString()), verified };
+}
+
+async function withVertex(handler, fn) {
+  const requests = [];
+  let tokenSeq = 0;
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      if (req.url === "/token") {
+        const form = new URLSearchParams(raw);
+        requests.push({ path: req.url, headers: req.headers, form });
+        tokenSeq += 1;
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ access_token: `ya29.token-${tokenSeq}`, expires_in: handler.expiresIn ?? 3599, token_type: "Bearer" }));
+        return;
+      }
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+      handler({ path: req.url, body }, res);
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const { port } = server.address();
+  try {
+    return await fn(`http://127.0.0.1:${port}`, requests);
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+}
+
+function writeSse(res, events) {
+  res.writeHead(200, { "content-type": "text/event-stream" });
+  for (const [event, data] of events) res.write(`${event ? `event: ${event}\n` : ""}data: ${JSON.stringify(data)}\n\n`);
+  res.end();
+}
+
+test("vertex: credentials, model publisher and location root resolution", () => {
+  assert.deepEqual(parseVertexCredentials("Bearer ya29.abc"), { accessToken: "ya29.abc" });
+  assert.equal(parseVertexCredentials(serviceAccountJson("https://oauth2.googleapis.com/token")).serviceAccount.projectId, "proj-1");
+  assert.throws(() => parseVertexCredentials("{not json"), /JSON/);
+
+  assert.deepEqual(splitVertexModel("claude-sonnet-4@20250514"), { publisher: "anthropic", modelId: "claude-sonnet-4@20250514" });
+  assert.deepEqual(splitVertexModel("gemini-2.5-pro"), { publisher: "google", modelId: "gemini-2.5-pro" });
+  assert.deepEqual(splitVertexModel("publishers/anthropic/models/claude-opus-4"), { publisher: "anthropic", modelId: "claude-opus-4" });
+
+  assert.equal(
+    resolveVertexLocationRoot({ baseUrl: "https://europe-west4-aiplatform.googleapis.com/v1", projectId: "proj-1" }),
+    "https://europe-west4-aiplatform.googleapis.com/v1/projects/proj-1/locations/europe-west4"
+  );
+  assert.equal(
+    resolveVertexLocationRoot({ baseUrl: "https://aiplatform.googleapis.com", requestDefaults: { __byok_vertex_project: "other" } }),
+    "https://aiplatform.googleapis.com/v1/projects/other/locations/global"
+  );
+  assert.equal(resolveVertexLocationRoot({ baseUrl: "http://gw.local/v1/projects/p/locations/us-east5/" }), "http://gw.local/v1/projects/p/locations/us-east5");
+  assert.throws(() => resolveVertexLocationRoot({ baseUrl: "https://us-central1-aiplatform.googleapis.com/v1" }), /project/);
+
+  const toolDefs = [{ name: "view", description: "read", input_schema: { type: "object" } }];
+  assert.equal(convertToolDefinitionsByProviderType("gemini_vertex", toolDefs, "claude-sonnet-4@20250514")[0].input_schema.type, "object");
+  assert.equal(convertToolDefinitionsByProviderType("gemini_vertex", toolDefs, "gemini-2.5-pro")[0].functionDeclarations[0].name, "view");
+  assert.equal(usageInputIncludesCacheReadsByProviderType("gemini_vertex", "claude-sonnet-4"), false);
+  assert.equal(usageInputIncludesCacheReadsByProviderType("gemini_vertex", "gemini-2.5-pro"), true);
+});
+
+test("vertex: service account JWT exchange is signed, cached and refreshed before expiry", async () => {
+  clearVertexTokenCache();
+  const handler = () => {};
+  await withVertex(handler, async (origin, requests) => {
+    const creds = parseVertexCredentials(serviceAccountJson(`${origin}/token`));
+    const [a, b] = await Promise.all([getVertexAccessToken(creds, { timeoutMs: 5000 }), getVertexAccessToken(creds, { timeoutMs: 5000 })]);
+    assert.equal(a, "ya29.token-1");
+    assert.equal(b, "ya29.token-1", "concurrent callers share one exchange");
+    assert.equal(requests.length, 1);
+
+    const { form } = requests[0];
+    assert.equal(form.get("grant_type"), "urn:ietf:params:oauth:grant-type:jwt-bearer");
+    const jwt = decodeJwt(form.get("assertion"));
+    assert.equal(jwt.verified, true);
+    assert.equal(jwt.header.kid, "kid-1");
+    assert.equal(jwt.claims.aud, `${origin}/token`);
+    assert.equal(jwt.claims.scope, "https://www.googleapis.com/auth/cloud-platform");
+    assert.equal(jwt.claims.exp - jwt.claims.iat, 3600);
+
+    assert.equal(await getVertexAccessToken(creds, { timeoutMs: 5000 }), "ya29.token-1");
+    assert.equal(requests.length, 1, "cached until close to expiry");
+
+    // 过期前 5 分钟内的 token 会被刷新
+    clearVertexTokenCache();
+    handler.expiresIn = 120;
+    assert.equal(await getVertexAccessToken(creds, { timeoutMs: 5000 }), "ya29.token-2");
+    assert.equal(await getVertexAccessToken(creds, { timeoutMs: 5000 }), "ya29.token-3");
+  });
+});
+
+test("vertex: Gemini models use publishers/google streamGenerateContent with a bearer token", async () => {
+  clearVertexTokenCache();
+  await withVertex(
+    (_req, res) =>
+      writeSse(res, [
+        ["", { candidates: [{ content: { role: "model", parts: [{ text: "Hel" }] } }] }],
+        ["", { candidates: [{ content: { role: "model", parts: [{ text: "Hello" }] }, finishReason: "STOP" }], usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 2 } }]
+      ]),
+    async (origin, requests) => {
+      const chunks = [];
+      for await (const c of streamAugmentChatChunksByProviderType({
+        type: "gemini_vertex",
+        baseUrl: `${origin}/v1`,
+        apiKey: serviceAccountJson(`${origin}/token`),
+        model: "gemini-2.5-pro",
+        req: { message: "hi", chat_history: [], tool_definitions: [] },
+        requestDefaults: { __byok_vertex_location: "us-central1", max_tokens: 64 },
+        timeoutMs: 5000
+      }))
+        chunks.push(c);
+
+      const call = requests.find((r) => r.path !== "/token");
+      assert.equal(call.path, "/v1/projects/proj-1/locations/us-central1/publishers/google/models/gemini-2.5-pro:streamGenerateContent?alt=sse");
+      assert.equal(call.headers.authorization, "Bearer ya29.token-1");
+      assert.equal(call.body.generationConfig.maxOutputTokens, 64);
+      assert.equal(chunks.map((c) => c.text || "").join(""), "Hello");
+    }
+  );
+});
+
+test("vertex: Claude models use Anthropic rawPredict / streamRawPredict", async () => {
+  await withVertex(
+    (req, res) => {
+      if (req.path.endsWith(":rawPredict")) {
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ type: "message", role: "assistant", content: [{ type: "text", text: "summary" }], stop_reason: "end_turn" }));
+        return;
+      }
+      writeSse(res, [
+        ["message_start", { type: "message_start", message: { usage: { input_tokens: 10, output_tokens: 0 } } }],
+        ["content_block_start", { type: "content_block_start", index: 0, content_block: { type: "tool_use", id: "toolu_1", name: "view", input: {} } }],
+        ["content_block_delta", { type: "content_block_delta", index: 0, delta: { type: "input_json_delta", partial_json: "{\"path\":\"a.js\"}" } }],
+        ["content_block_stop", { type: "content_block_stop", index: 0 }],
+        ["message_delta", { type: "message_delta", delta: { stop_reason: "tool_use" }, usage: { output_tokens: 5 } }],
+        ["message_stop", { type: "message_stop" }]
+      ]);
+    },
+    async (origin, requests) => {
+      const base = { type: "gemini_vertex", baseUrl: `${origin}/v1/projects/p/locations/us-east5`, apiKey: "ya29.direct", model: "claude-sonnet-4@20250514", timeoutMs: 5000 };
+      const chunks = [];
+      for await (const c of streamAugmentChatChunksByProviderType({
+        ...base,
+        req: { message: "hi", chat_history: [], tool_definitions: [{ name: "view", description: "read", input_schema: { type: "object" } }] }
+      }))
+        chunks.push(c);
+
+      const call = requests[0];
+      assert.equal(call.path, "/v1/projects/p/locations/us-east5/publishers/anthropic/models/claude-sonnet-4@20250514:streamRawPredict");
+      assert.equal(call.headers.authorization, "Bearer ya29.direct");
+      assert.equal(call.headers["x-api-key"], undefined);
+      assert.equal(call.body.anthropic_version, "vertex-2023-10-16");
+      assert.equal("model" in call.body, false);
+      assert.equal(call.body.tools[0].name, "view");
+
+      const tool = chunks.flatMap((c) => c.nodes || []).find((n) => n.type === RESPONSE_NODE_TOOL_USE)?.tool_use;
+      assert.deepEqual(JSON.parse(tool.input_json), { path: "a.js" });
+      assert.equal(chunks[chunks.length - 1].stop_reason, STOP_REASON_TOOL_USE_REQUESTED);
+
+      const text = await completeTextByProviderType({ ...base, system: "sys", messages: [{ role: "user", content: "hi" }] });
+      assert.equal(text, "summary");
+      assert.match(requests[requests.length - 1].path, /claude-sonnet-4@20250514:rawPredict$/);
+    }
+  );
+});
@@ -4,7 +4,7 @@
 const fs = require("fs");
 const path = require("path");
 
-const PROVIDER_TYPES = ["openai_compatible", "openai_responses", "anthropic", "gemini_ai_studio"];
+const PROVIDER_TYPES = ["openai_compatible", "openai_responses", "anthropic", "gemini_ai_studio", "ollama", "bedrock", "gemini_vertex", "azure_openai"];
 
 function escapeRe(s) {
   return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
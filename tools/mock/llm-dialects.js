@@ -0,0 +1,272 @@
+"use strict";
+
+// 脚本格式（每次请求回放一个 script）：
+// {
+//   steps: [
+//     { type: "text", text: "..." | ["delta1", "delta2"] },
+//     { type: "thinking", text: "..." },
+//     { type: "tool_call", id?, name, input? },
+//     { type: "error", message }       // 流中 error 事件（随后断流）
+//     { type: "truncate" }             // 直接断流：不发结束事件 / [DONE]
+//   ],
+//   usage?: { input, output, cacheRead?, cacheWrite? },   // input 不含 cacheRead（各方言按自己的口径换算）
+//   stopReason?: "end_turn" | "max_tokens" | "tool_use",  // 缺省：有 tool_call → tool_use，否则 end_turn
+//   error?: { status, message }                            // 直接返回 HTTP 错误（不进入流）
+// }
+
+const DIALECTS = ["openai_compatible", "openai_responses", "anthropic", "gemini_ai_studio"];
+
+function asText(v) {
+  return typeof v === "string" ? v : "";
+}
+
+function toCount(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+}
+
+function normalizeScript(raw, { seq } = {}) {
+  const s = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const steps = [];
+  let toolSeq = 0;
+  for (const st of Array.isArray(s.steps) ? s.steps : []) {
+    const type = asText(st?.type);
+    if (type === "text") {
+      const deltas = (Array.isArray(st.text) ? st.text : [st.text]).map(asText).filter(Boolean);
+      if (deltas.length) steps.push({ type, deltas, text: deltas.join("") });
+    } else if (type === "thinking") {
+      if (asText(st.text)) steps.push({ type, text: st.text });
+    } else if (type === "tool_call") {
+      if (!asText(st.name)) continue;
+      toolSeq += 1;
+      const input = st.input && typeof st.input === "object" ? st.input : {};
+      steps.push({ type, id: asText(st.id) || `call_mock_${Number(seq) || 0}_${toolSeq}`, name: st.name, args: JSON.stringify(input), input });
+    } else if (type === "error") {
+      steps.push({ type, message: asText(st.message) || "mock upstream error" });
+    } else if (type === "truncate") {
+      steps.push({ type });
+    }
+  }
+  const u = s.usage && typeof s.usage === "object" ? s.usage : null;
+  const usage = u ? { input: toCount(u.input), output: toCount(u.output), cacheRead: toCount(u.cacheRead), cacheWrite: toCount(u.cacheWrite) } : null;
+  const hasTool = steps.some((x) => x.type === "tool_call");
+  const stopReason = ["end_turn", "max_tokens", "tool_use"].includes(s.stopReason) ? s.stopReason : hasTool ? "tool_use" : "end_turn";
+  const e = s.error && typeof s.error === "object" ? s.error : null;
+  const status = Number(e?.status);
+  const error = e ? { status: Number.isFinite(status) && status >= 400 ? Math.floor(status) : 500, message: asText(e.message) || "mock upstream error" } : null;
+  return { steps, usage, stopReason, error };
+}
+
+// 截断/错误之前的步骤；ending=null 表示正常结束
+function splitSteps(script) {
+  const body = [];
+  for (const st of script.steps) {
+    if (st.type === "error" || st.type === "truncate") return { body, ending: st };
+    body.push(st);
+  }
+  return { body, ending: null };
+}
+
+function sseFrame(data, event) {
+  const payload = typeof data === "string" ? data : JSON.stringify(data);
+  return `${event ? `event: ${event}\n` : ""}data: ${payload}\n\n`;
+}
+
+function halves(s) {
+  const mid = Math.ceil(s.length / 2);
+  return [s.slice(0, mid), s.slice(mid)].filter(Boolean);
+}
+
+// ---- openai_compatible（Chat Completions）----
+
+const OPENAI_FINISH = { end_turn: "stop", max_tokens: "length", tool_use: "tool_calls" };
+
+function openAiUsage(u) {
+  return { prompt_tokens: u.input + u.cacheRead, completion_tokens: u.output, total_tokens: u.input + u.cacheRead + u.output, prompt_tokens_details: { cached_tokens: u.cacheRead } };
+}
+
+function openAiStream(script, { model, id }) {
+  const { body, ending } = splitSteps(script);
+  const chunk = (delta, extra) => sseFrame({ id, object: "chat.completion.chunk", model, choices: [{ index: 0, delta, finish_reason: null }], ...(extra || {}) });
+  const frames = [chunk({ role: "assistant", content: "" })];
+  let toolIndex = 0;
+  for (const st of body) {
+    if (st.type === "text") for (const d of st.deltas) frames.push(chunk({ content: d }));
+    if (st.type === "thinking") frames.push(chunk({ reasoning_content: st.text }));
+    if (st.type === "tool_call") {
+      const index = toolIndex++;
+      frames.push(chunk({ tool_calls: [{ index, id: st.id, type: "function", function: { name: st.name, arguments: "" } }] }));
+      for (const part of halves(st.args)) frames.push(chunk({ tool_calls: [{ index, function: { arguments: part } }] }));
+    }
+  }
+  if (ending?.type === "error") return frames.concat(sseFrame({ error: { message: ending.message, type: "server_error" } }));
+  if (ending) return frames;
+  frames.push(sseFrame({ id, object: "chat.completion.chunk", model, choices: [{ index: 0, delta: {}, finish_reason: OPENAI_FINISH[script.stopReason] }] }));
+  if (script.usage) frames.push(sseFrame({ id, object: "chat.completion.chunk", model, choices: [], usage: openAiUsage(script.usage) }));
+  return frames.concat(sseFrame("[DONE]"));
+}
+
+function openAiJson(script, { model, id }) {
+  const { body } = splitSteps(script);
+  const text = body.filter((s) => s.type === "text").map((s) => s.text).join("");
+  const thinking = body.filter((s) => s.type === "thinking").map((s) => s.text).join("\n");
+  const tools = body.filter((s) => s.type === "tool_call").map((s) => ({ id: s.id, type: "function", function: { name: s.name, arguments: s.args } }));
+  const message = { role: "assistant", content: text || null, ...(thinking ? { reasoning_content: thinking } : {}), ...(tools.length ? { tool_calls: tools } : {}) };
+  return { id, object: "chat.completion", model, choices: [{ index: 0, message, finish_reason: OPENAI_FINISH[script.stopReason] }], ...(script.usage ? { usage: openAiUsage(script.usage) } : {}) };
+}
+
+// ---- anthropic（Messages）----
+
+function anthropicUsage(u, { outputOnly } = {}) {
+  if (!u) return outputOnly ? { output_tokens: 0 } : { input_tokens: 0, output_tokens: 0 };
+  if (outputOnly) return { output_tokens: u.output };
+  return { input_tokens: u.input, output_tokens: u.output, cache_read_input_tokens: u.cacheRead, cache_creation_input_tokens: u.cacheWrite };
+}
+
+function anthropicBlock(st) {
+  if (st.type === "text") return { type: "text", text: st.text };
+  if (st.type === "thinking") return { type: "thinking", thinking: st.text, signature: "mock" };
+  return { type: "tool_use", id: st.id, name: st.name, input: st.input };
+}
+
+function anthropicStream(script, { model, id }) {
+  const { body, ending } = splitSteps(script);
+  const ev = (type, data) => sseFrame({ type, ...data }, type);
+  const startUsage = script.usage ? { ...anthropicUsage(script.usage), output_tokens: 1 } : anthropicUsage(null);
+  const frames = [ev("message_start", { message: { id, type: "message", role: "assistant", model, content: [], stop_reason: null, usage: startUsage } })];
+  body.forEach((st, index) => {
+    const start = st.type === "text" ? { type: "text", text: "" } : st.type === "thinking" ? { type: "thinking", thinking: "" } : { type: "tool_use", id: st.id, name: st.name, input: {} };
+    frames.push(ev("content_block_start", { index, content_block: start }));
+    if (st.type === "text") for (const d of st.deltas) frames.push(ev("content_block_delta", { index, delta: { type: "text_delta", text: d } }));
+    if (st.type === "thinking") frames.push(ev("content_block_delta", { index, delta: { type: "thinking_delta", thinking: st.text } }));
+    if (st.type === "tool_call") for (const part of halves(st.args)) frames.push(ev("content_block_delta", { index, delta: { type: "input_json_delta", partial_json: part } }));
+    frames.push(ev("content_block_stop", { index }));
+  });
+  if (ending?.type === "error") return frames.concat(ev("error", { error: { type: "api_error", message: ending.message } }));
+  if (ending) return frames;
+  frames.push(ev("message_delta", { delta: { stop_reason: script.stopReason, stop_sequence: null }, usage: anthropicUsage(script.usage, { outputOnly: true }) }));
+  return frames.concat(ev("message_stop", {}));
+}
+
+function anthropicJson(script, { model, id }) {
+  const { body } = splitSteps(script);
+  return { id, type: "message", role: "assistant", model, content: body.map(anthropicBlock), stop_reason: script.stopReason, stop_sequence: null, usage: anthropicUsage(script.usage) };
+}
+
+// ---- openai_responses（Responses API）----
+
+function responsesOutputItem(st, idx) {
+  if (st.type === "text") return { id: `msg_${idx}`, type: "message", role: "assistant", status: "completed", content: [{ type: "output_text", text: st.text, annotations: [] }] };
+  if (st.type === "thinking") return { id: `rs_${idx}`, type: "reasoning", summary: [{ type: "summary_text", text: st.text }] };
+  return { id: `fc_${idx}`, type: "function_call", status: "completed", call_id: st.id, name: st.name, arguments: st.args };
+}
+
+function responsesObject(script, { model, id, output }) {
+  const incomplete = script.stopReason === "max_tokens";
+  const u = script.usage;
+  return {
+    id,
+    object: "response",
+    model,
+    status: incomplete ? "incomplete" : "completed",
+    incomplete_details: incomplete ? { reason: "max_output_tokens" } : null,
+    output,
+    usage: u ? { input_tokens: u.input + u.cacheRead, output_tokens: u.output, total_tokens: u.input + u.cacheRead + u.output, input_tokens_details: { cached_tokens: u.cacheRead } } : null
+  };
+}
+
+function responsesStream(script, { model, id }) {
+  const { body, ending } = splitSteps(script);
+  const ev = (type, data) => sseFrame({ type, ...data }, type);
+  const frames = [ev("response.created", { response: { id, object: "response", model, status: "in_progress", output: [] } })];
+  const output = [];
+  body.forEach((st, output_index) => {
+    const item = responsesOutputItem(st, output_index);
+    if (st.type === "text") {
+      frames.push(ev("response.output_item.added", { output_index, item: { ...item, status: "in_progress", content: [] } }));
+      for (const d of st.deltas) frames.push(ev("response.output_text.delta", { output_index, content_index: 0, item_id: item.id, delta: d }));
+      frames.push(ev("response.output_text.done", { output_index, content_index: 0, item_id: item.id, text: st.text }));
+    } else if (st.type === "thinking") {
+      frames.push(ev("response.output_item.added", { output_index, item: { ...item, summary: [] } }));
+      frames.push(ev("response.reasoning_summary_text.delta", { output_index, summary_index: 0, item_id: item.id, delta: st.text }));
+      frames.push(ev("response.reasoning_summary_text.done", { output_index, summary_index: 0, item_id: item.id, text: st.text }));
+    } else {
+      frames.push(ev("response.output_item.added", { output_index, item: { ...item, status: "in_progress", arguments: "" } }));
+      for (const part of halves(st.args)) frames.push(ev("response.function_call_arguments.delta", { output_index, item_id: item.id, delta: part }));
+      frames.push(ev("response.function_call_arguments.done", { output_index, item_id: item.id, arguments: st.args }));
+    }
+    frames.push(ev("response.output_item.done", { output_index, item }));
+    output.push(item);
+  });
+  if (ending?.type === "error") return frames.concat(ev("error", { code: "server_error", message: ending.message }));
+  if (ending) return frames;
+  const final = responsesObject(script, { model, id, output });
+  return frames.concat(ev(final.status === "incomplete" ? "response.incomplete" : "response.completed", { response: final }));
+}
+
+function responsesJson(script, { model, id }) {
+  const { body } = splitSteps(script);
+  return responsesObject(script, { model, id, output: body.map(responsesOutputItem) });
+}
+
+// ---- gemini_ai_studio（generateContent / streamGenerateContent?alt=sse）----
+
+function geminiPart(st) {
+  if (st.type === "text") return { text: st.text };
+  if (st.type === "thinking") return { text: st.text, thought: true };
+  return { functionCall: { name: st.name, args: st.input } };
+}
+
+function geminiUsage(u) {
+  return { promptTokenCount: u.input + u.cacheRead, candidatesTokenCount: u.output, totalTokenCount: u.input + u.cacheRead + u.output, cachedContentTokenCount: u.cacheRead };
+}
+
+function geminiFinal(script, parts) {
+  const finishReason = script.stopReason === "max_tokens" ? "MAX_TOKENS" : "STOP";
+  return { candidates: [{ content: { role: "model", parts }, finishReason, index: 0 }], ...(script.usage ? { usageMetadata: geminiUsage(script.usage) } : {}) };
+}
+
+function geminiStream(script) {
+  const { body, ending } = splitSteps(script);
+  const frames = [];
+  const cand = (parts) => sseFrame({ candidates: [{ content: { role: "model", parts }, index: 0 }] });
+  for (const st of body) {
+    if (st.type === "text") for (const d of st.deltas) frames.push(cand([{ text: d }]));
+    else frames.push(cand([geminiPart(st)]));
+  }
+  if (ending?.type === "error") return frames.concat(sseFrame({ error: { code: 500, message: ending.message, status: "INTERNAL" } }));
+  if (ending) return frames;
+  return frames.concat(sseFrame(geminiFinal(script, [])));
+}
+
+function geminiJson(script) {
+  return geminiFinal(script, splitSteps(script).body.map(geminiPart));
+}
+
+// ---- HTTP 错误体 ----
+
+function makeErrorBody(dialect, { status, message }) {
+  if (dialect === "anthropic") return { type: "error", error: { type: status === 429 ? "rate_limit_error" : "api_error", message } };
+  if (dialect === "gemini_ai_studio") return { error: { code: status, message, status: status === 429 ? "RESOURCE_EXHAUSTED" : "INTERNAL" } };
+  return { error: { message, type: status === 429 ? "rate_limit_exceeded" : "server_error", code: null } };
+}
+
+const ENCODERS = {
+  openai_compatible: { stream: openAiStream, json: openAiJson },
+  openai_responses: { stream: responsesStream, json: responsesJson },
+  anthropic: { stream: anthropicStream, json: anthropicJson },
+  gemini_ai_studio: { stream: geminiStream, json: geminiJson }
+};
+
+// 按 URL 路径识别方言（baseUrl 前缀任意）
+function detectDialect(pathname) {
+  const p = String(pathname || "").replace(/\/+$/, "");
+  if (p.endsWith("/chat/completions")) return { dialect: "openai_compatible" };
+  if (p.endsWith("/responses")) return { dialect: "openai_responses" };
+  if (p.endsWith("/messages")) return { dialect: "anthropic" };
+  const m = p.match(/\/models\/([^/:]+):(streamGenerateContent|generateContent)$/);
+  if (m) return { dialect: "gemini_ai_studio", model: decodeURIComponent(m[1]), stream: m[2] === "streamGenerateContent" };
+  return null;
+}
+
+module.exports = { DIALECTS, ENCODERS, normalizeScript, makeErrorBody, detectDialect };
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const { getArgValue, hasFlag } = require("../lib/cli-args");
+const { ENCODERS, normalizeScript, makeErrorBody, detectDialect } = require("./llm-dialects");
+
+const DEFAULT_SCRIPT = { steps: [{ type: "text", text: "mock response" }], usage: { input: 10, output: 2 } };
+const DEFAULT_MODELS = ["mock-model"];
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function sleep(ms) {
+  return ms > 0 ? new Promise((r) => setTimeout(r, ms)) : Promise.resolve();
+}
+
+function sendJson(res, status, json) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(json));
+}
+
+// scripts：数组（按请求顺序依次消费，用完后回放 defaultScript）或函数 ({ dialect, model, stream, body, seq }) => script
+function createMockLlmServer({ scripts, defaultScript, models, chunkDelayMs } = {}) {
+  const queue = Array.isArray(scripts) ? scripts.slice() : [];
+  const pick = typeof scripts === "function" ? scripts : () => (queue.length ? queue.shift() : defaultScript || DEFAULT_SCRIPT);
+  const modelIds = Array.isArray(models) && models.length ? models.map(String) : DEFAULT_MODELS;
+  const delay = Number(chunkDelayMs) > 0 ? Number(chunkDelayMs) : 0;
+  const requests = [];
+  let seq = 0;
+
+  async function handle(req, res) {
+    const url = new URL(req.url || "/", "http://mock.local");
+    const pathname = url.pathname.replace(/\/+$/, "");
+
+    if (req.method === "GET" && pathname.endsWith("/models")) {
+      sendJson(res, 200, { object: "list", data: modelIds.map((id) => ({ id, object: "model" })) });
+      return;
+    }
+
+    const hit = req.method === "POST" ? detectDialect(pathname) : null;
+    if (!hit) {
+      sendJson(res, 404, { error: { message: `mock: unsupported ${req.method} ${pathname}` } });
+      return;
+    }
+
+    const raw = await readBody(req);
+    let body = null;
+    try {
+      body = raw ? JSON.parse(raw) : {};
+    } catch {
+      sendJson(res, 400, makeErrorBody(hit.dialect, { status: 400, message: "mock: invalid JSON body" }));
+      return;
+    }
+
+    seq += 1;
+    const model = hit.model || String(body?.model || "") || modelIds[0];
+    const stream = hit.dialect === "gemini_ai_studio" ? hit.stream : body?.stream === true;
+    requests.push({ seq, dialect: hit.dialect, path: pathname, model, stream, headers: req.headers, body });
+
+    const script = normalizeScript(pick({ dialect: hit.dialect, model, stream, body, seq }), { seq });
+    if (script.error) {
+      sendJson(res, script.error.status, makeErrorBody(hit.dialect, script.error));
+      return;
+    }
+
+    const enc = ENCODERS[hit.dialect];
+    const id = `mock-${seq}`;
+    if (!stream) {
+      sendJson(res, 200, enc.json(script, { model, id }));
+      return;
+    }
+
+    res.writeHead(200, { "content-type": "text/event-stream", "cache-control": "no-cache" });
+    for (const frame of enc.stream(script, { model, id })) {
+      if (res.destroyed) return;
+      res.write(frame);
+      await sleep(delay);
+    }
+    res.end();
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      if (!res.headersSent) sendJson(res, 500, { error: { message: `mock: ${err instanceof Error ? err.message : String(err)}` } });
+      else res.destroy();
+    });
+  });
+
+  return {
+    server,
+    requests,
+    listen(port, host) {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(Number(port) || 0, host || "127.0.0.1", () => {
+          const addr = server.address();
+          resolve({ origin: `http://${addr.address}:${addr.port}` });
+        });
+      });
+    },
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    }
+  };
+}
+
+function loadScripts(file) {
+  const p = path.resolve(String(file));
+  const json = JSON.parse(fs.readFileSync(p, "utf8"));
+  return Array.isArray(json) ? json : [json];
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  if (hasFlag(argv, "--help") || hasFlag(argv, "-h")) {
+    console.log("usage: node tools/mock/llm-server.js [--port 8787] [--host 127.0.0.1] [--script scripts.json] [--loop] [--delay-ms 0] [--models a,b]");
+    return;
+  }
+  const scriptFile = getArgValue(argv, "--script");
+  const list = scriptFile ? loadScripts(scriptFile) : null;
+  const loop = hasFlag(argv, "--loop");
+  let i = 0;
+  const scripts = list && loop ? () => list[i++ % list.length] : list || undefined;
+  const models = (getArgValue(argv, "--models") || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+  const mock = createMockLlmServer({ scripts, models, chunkDelayMs: Number(getArgValue(argv, "--delay-ms")) || 0 });
+  const { origin } = await mock.listen(Number(getArgValue(argv, "--port")) || 8787, getArgValue(argv, "--host") || "127.0.0.1");
+  console.log(`[mock-llm] listening on ${origin}`);
+  console.log(`- openai_compatible / openai_responses / anthropic: baseUrl=${origin}/v1`);
+  console.log(`- gemini_ai_studio: baseUrl=${origin}/v1beta`);
+  mock.server.on("request", (req) => console.log(`[mock-llm] ${req.method} ${req.url}`));
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`[mock-llm] ${err instanceof Error ? err.message : String(err)}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { createMockLlmServer, DEFAULT_SCRIPT };
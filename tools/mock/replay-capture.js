@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+"use strict";
+
+const path = require("path");
+
+const { getArgValue, hasFlag } = require("../lib/cli-args");
+
+const { readCaptureFile } = require("../../payload/extension/out/byok/core/capture/store");
+const { replayCaptureChunks, diffReplayChunks } = require("../../payload/extension/out/byok/core/capture/replay");
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const attempt = getArgValue(argv, "--attempt");
+  const file = argv.find((a, i) => a && !a.startsWith("-") && argv[i - 1] !== "--attempt");
+  const help = hasFlag(argv, "--help") || hasFlag(argv, "-h");
+  if (!file || help) {
+    console.log("usage: node tools/mock/replay-capture.js <capture.json> [--attempt N] [--check] [--quiet]");
+    console.log("  重新把录制的上游响应喂给 provider 适配器，输出 Augment chunks（NDJSON）；--check 与录制的 chunks 对比，不一致时退出码 1");
+    if (!help) process.exitCode = 2;
+    return;
+  }
+
+  const capture = await readCaptureFile(path.resolve(file));
+  const quiet = hasFlag(argv, "--quiet");
+  const chunks = [];
+  for await (const chunk of replayCaptureChunks(capture, { attemptIndex: attempt == null ? undefined : Number(attempt) })) {
+    chunks.push(chunk);
+    if (!quiet) console.log(JSON.stringify(chunk));
+  }
+
+  const a = capture.attempts[attempt == null ? capture.attempts.length - 1 : Number(attempt)];
+  console.error(`[replay] ${capture.endpoint || "?"} type=${a?.type} model=${a?.model} chunks=${chunks.length} (captured ${Array.isArray(capture.chunks) ? capture.chunks.length : 0})`);
+  if (!hasFlag(argv, "--check")) return;
+
+  const diff = diffReplayChunks(capture.chunks, chunks);
+  if (!diff) {
+    console.error("[replay] OK: output matches the capture");
+    return;
+  }
+  console.error(`[replay] MISMATCH at chunk #${diff.index}`);
+  console.error(`  expected: ${JSON.stringify(diff.expected)}`);
+  console.error(`  actual:   ${JSON.stringify(diff.actual)}`);
+  process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`[replay] ${err instanceof Error ? err.message : String(err)}`);
+    process.exit(1);
+  });
+}